@@ -4,6 +4,8 @@ import Settings from './components/Settings';
 import Login from './components/Login';
 import UserManagement from './components/UserManagement';
 import CameraManagement from './components/CameraManagement';
+import AvailabilityReport from './components/AvailabilityReport';
+import AlertList from './components/AlertList';
 import ConnectionStatus from './components/ConnectionStatus';
 import { useAuth } from './context/AuthContext';
 import './App.css';
@@ -12,6 +14,8 @@ const ADMIN_SECTIONS = [
   { id: 'dashboard', name: 'Dashboard', icon: '📊' },
   { id: 'users', name: 'User Management', icon: '👥' },
   { id: 'cameras', name: 'Camera Management', icon: '📷' },
+  { id: 'availability', name: 'Availability', icon: '📈' },
+  { id: 'alerts', name: 'Alerts', icon: '🔔' },
   { id: 'settings', name: 'Settings', icon: '⚙️' },
 ];
 
@@ -82,6 +86,18 @@ function App() {
           </div>
         )}
 
+        {currentSection === 'availability' && (
+          <div className="admin-section">
+            <AvailabilityReport inline />
+          </div>
+        )}
+
+        {currentSection === 'alerts' && (
+          <div className="admin-section">
+            <AlertList inline />
+          </div>
+        )}
+
         {currentSection === 'settings' && (
           <div className="admin-section">
             <Settings inline />
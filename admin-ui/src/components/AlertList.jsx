@@ -0,0 +1,119 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { alertsAPI } from '../services/api';
+import './AlertList.css';
+
+const CAUSES = {
+  heartbeat: 'No messages',
+  paths: 'No path events',
+};
+
+function formatDuration(from, to) {
+  const minutes = Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+}
+
+function AlertList({ inline = false }) {
+  const [filter, setFilter] = useState('active');
+  const [alerts, setAlerts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      setError(null);
+      const params = { limit: 200 };
+      if (filter !== 'all') params.active = filter === 'active';
+      const response = await alertsAPI.list(params);
+      setAlerts(response.data || []);
+      setTotal(response.total || 0);
+    } catch (err) {
+      setError('Failed to load alerts: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    loadAlerts();
+    // Refresh every 30 seconds; the watchdog checks once a minute
+    const interval = setInterval(loadAlerts, 30000);
+    return () => clearInterval(interval);
+  }, [loadAlerts]);
+
+  return (
+    <div className={inline ? 'alerts-inline' : 'alerts-modal'}>
+      <div className="alerts-content">
+        <div className="alerts-header">
+          <h2>Alerts</h2>
+          <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+            <option value="active">Active</option>
+            <option value="resolved">Recovered</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="alerts-list">
+          {loading ? (
+            <div className="loading">Loading...</div>
+          ) : alerts.length === 0 ? (
+            <div className="no-data">{filter === 'active' ? 'No silent cameras' : 'No alerts'}</div>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Status</th>
+                  <th>Camera</th>
+                  <th>Serial Number</th>
+                  <th>Cause</th>
+                  <th>Last Activity</th>
+                  <th>Raised</th>
+                  <th>Silent For</th>
+                </tr>
+              </thead>
+              <tbody>
+                {alerts.map((alert) => (
+                  <tr key={alert._id} className={alert.active ? 'alert-active' : 'alert-resolved'}>
+                    <td>
+                      <span className={`alert-badge ${alert.active ? 'badge-silent' : 'badge-recovered'}`}>
+                        {alert.active ? 'Silent' : 'Recovered'}
+                      </span>
+                    </td>
+                    <td>{alert.name || '—'}</td>
+                    <td className="serial-number">{alert.serial}</td>
+                    <td title={`Expected within ${alert.thresholdMinutes} min (including grace period)`}>
+                      {CAUSES[alert.cause] || alert.cause}
+                    </td>
+                    <td>{alert.lastActivityAt ? new Date(alert.lastActivityAt).toLocaleString() : 'Never'}</td>
+                    <td>{new Date(alert.raisedAt).toLocaleString()}</td>
+                    <td>
+                      {alert.lastActivityAt
+                        ? formatDuration(alert.lastActivityAt, alert.resolvedAt || new Date())
+                        : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {total > alerts.length && (
+            <div className="alerts-footnote">
+              Showing the latest {alerts.length} of {total} alerts
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+AlertList.propTypes = {
+  inline: PropTypes.bool,
+};
+
+export default AlertList;
@@ -0,0 +1,215 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { connectivityAPI } from '../services/api';
+import './AvailabilityReport.css';
+
+const PRESETS = [
+  { id: '24h', label: 'Last 24 hours', days: 1 },
+  { id: '7d', label: 'Last 7 days', days: 7 },
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: 'month', label: 'Calendar month' },
+];
+
+function currentMonth() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// Period in local time; a calendar month runs from its first midnight to the next month's
+function periodFor(preset, month) {
+  if (preset === 'month') {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return { from: new Date(year, monthIndex - 1, 1), to: new Date(year, monthIndex, 1) };
+  }
+  const days = PRESETS.find((p) => p.id === preset).days;
+  const to = new Date();
+  return { from: new Date(to.getTime() - days * 24 * 60 * 60 * 1000), to };
+}
+
+function formatDuration(seconds) {
+  if (!seconds) return '0m';
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return minutes > 0 ? `${minutes}m` : `${seconds}s`;
+}
+
+function uptimeClass(percent) {
+  if (percent === null) return 'uptime-unknown';
+  if (percent >= 99) return 'uptime-good';
+  if (percent >= 95) return 'uptime-fair';
+  return 'uptime-poor';
+}
+
+function AvailabilityReport({ inline = false }) {
+  const [preset, setPreset] = useState('30d');
+  const [month, setMonth] = useState(currentMonth());
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedSerial, setSelectedSerial] = useState(null);
+  const [events, setEvents] = useState([]);
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const { from, to } = periodFor(preset, month);
+      const response = await connectivityAPI.getAvailability(from.toISOString(), to.toISOString());
+      if (response.success) {
+        setReport(response.data);
+      }
+    } catch (err) {
+      setError('Failed to load availability report: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [preset, month]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const showEvents = async (serial) => {
+    if (selectedSerial === serial) {
+      setSelectedSerial(null);
+      return;
+    }
+    try {
+      const response = await connectivityAPI.getEvents({ serial, from: report.from, to: report.to, limit: 200 });
+      setEvents(response.data || []);
+      setSelectedSerial(serial);
+    } catch (err) {
+      setError('Failed to load connectivity events: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const downloadCsv = async () => {
+    try {
+      const blob = await connectivityAPI.downloadAvailabilityCsv(report.from, report.to);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `availability_${report.from.slice(0, 10)}_${report.to.slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to download report: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  return (
+    <div className={inline ? 'availability-inline' : 'availability-modal'}>
+      <div className="availability-content">
+        <div className="availability-header">
+          <h2>Camera Availability</h2>
+        </div>
+
+        <div className="availability-toolbar">
+          <select value={preset} onChange={(e) => setPreset(e.target.value)}>
+            {PRESETS.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+          {preset === 'month' && (
+            <input type="month" value={month} max={currentMonth()} onChange={(e) => setMonth(e.target.value)} />
+          )}
+          <button className="btn-secondary" onClick={loadReport} disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+          <button className="btn-primary" onClick={downloadCsv} disabled={!report || loading}>
+            Download CSV
+          </button>
+          {report && (
+            <span className="availability-period">
+              {new Date(report.from).toLocaleString()} – {new Date(report.to).toLocaleString()}
+            </span>
+          )}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {report && (
+          <div className="availability-list">
+            <table>
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Serial Number</th>
+                  <th>Uptime</th>
+                  <th>Downtime</th>
+                  <th>Outages</th>
+                  <th>Longest Outage</th>
+                  <th>Not Monitored</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {report.cameras.length === 0 ? (
+                  <tr>
+                    <td colSpan="8" className="no-data">
+                      No cameras found
+                    </td>
+                  </tr>
+                ) : (
+                  report.cameras.map((camera) => (
+                    <Fragment key={camera.serial}>
+                      <tr>
+                        <td>{camera.name}</td>
+                        <td className="serial-number">{camera.serial}</td>
+                        <td>
+                          <span className={`uptime-badge ${uptimeClass(camera.uptimePercent)}`}>
+                            {camera.uptimePercent === null ? 'No data' : `${camera.uptimePercent.toFixed(2)}%`}
+                          </span>
+                        </td>
+                        <td>{formatDuration(camera.downtimeSeconds)}</td>
+                        <td>{camera.outages}</td>
+                        <td>{formatDuration(camera.longestOutageSeconds)}</td>
+                        <td>{camera.unknownSeconds > 0 ? formatDuration(camera.unknownSeconds) : '—'}</td>
+                        <td>
+                          <button className="btn-link" onClick={() => showEvents(camera.serial)}>
+                            {selectedSerial === camera.serial ? 'Hide log' : 'Log'}
+                          </button>
+                        </td>
+                      </tr>
+                      {selectedSerial === camera.serial && (
+                        <tr className="availability-events">
+                          <td colSpan="8">
+                            {events.length === 0 ? (
+                              <div className="no-data">No connectivity changes in this period</div>
+                            ) : (
+                              <ul>
+                                {events.map((event) => (
+                                  <li key={event._id}>
+                                    <span className={event.connected ? 'event-online' : 'event-offline'}>
+                                      {event.connected ? '● Online' : '○ Offline'}
+                                    </span>{' '}
+                                    {new Date(event.timestamp).toLocaleString()} ({event.reason})
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+AvailabilityReport.propTypes = {
+  inline: PropTypes.bool,
+};
+
+export default AvailabilityReport;
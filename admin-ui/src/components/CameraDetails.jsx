@@ -0,0 +1,322 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { camerasAPI } from '../services/api';
+import './CameraDetails.css';
+
+const RANGES = [
+  { label: '6 hours', hours: 6 },
+  { label: '24 hours', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 },
+];
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 48 };
+
+function formatTick(timestamp, rangeHours) {
+  const date = new Date(timestamp);
+  if (rangeHours <= 24) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+// Line chart of one or more series; the line breaks where buckets have no samples (camera offline)
+function StatusChart({ title, unit, points, series, from, to, bucketSeconds, rangeHours, fixedMax }) {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  const values = points.flatMap((point) => series.map((s) => point[s.key])).filter((v) => v !== null);
+  const max = fixedMax ?? Math.max(1, ...values) * 1.1;
+
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (timestamp) => PADDING.left + ((new Date(timestamp).getTime() - start) / (end - start)) * plotWidth;
+  const y = (value) => PADDING.top + plotHeight - (value / max) * plotHeight;
+
+  const linePath = (key) => {
+    let d = '';
+    let previous = null;
+    for (const point of points) {
+      if (point[key] === null) {
+        previous = null;
+        continue;
+      }
+      const time = new Date(point.timestamp).getTime();
+      const connected = previous !== null && time - previous <= bucketSeconds * 1500;
+      d += `${connected ? 'L' : 'M'}${x(time).toFixed(1)},${y(point[key]).toFixed(1)} `;
+      previous = time;
+    }
+    return d;
+  };
+
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => f * max);
+  const xTicks = [0, 0.25, 0.5, 0.75, 1].map((f) => start + f * (end - start));
+
+  return (
+    <div className="status-chart">
+      <div className="status-chart-header">
+        <h4>{title}</h4>
+        <div className="status-chart-legend">
+          {series.map((s) => (
+            <span key={s.key} className="legend-item">
+              <span className="legend-swatch" style={{ background: s.color }} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      </div>
+      {values.length === 0 ? (
+        <div className="no-data">No status samples in this period</div>
+      ) : (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="status-chart-svg">
+          {yTicks.map((tick) => (
+            <g key={`y${tick}`}>
+              <line x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} className="grid-line" />
+              <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end" className="axis-label">
+                {Math.round(tick)}
+                {unit}
+              </text>
+            </g>
+          ))}
+          {xTicks.map((tick) => (
+            <text key={`x${tick}`} x={x(tick)} y={CHART_HEIGHT - 6} textAnchor="middle" className="axis-label">
+              {formatTick(tick, rangeHours)}
+            </text>
+          ))}
+          {series.map((s) => (
+            <path
+              key={s.key}
+              d={linePath(s.key)}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="1.5"
+              strokeDasharray={s.dashed ? '4 3' : undefined}
+            />
+          ))}
+        </svg>
+      )}
+    </div>
+  );
+}
+
+StatusChart.propTypes = {
+  title: PropTypes.string.isRequired,
+  unit: PropTypes.string.isRequired,
+  points: PropTypes.array.isRequired,
+  series: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      color: PropTypes.string.isRequired,
+      dashed: PropTypes.bool,
+    })
+  ).isRequired,
+  from: PropTypes.string.isRequired,
+  to: PropTypes.string.isRequired,
+  bucketSeconds: PropTypes.number.isRequired,
+  rangeHours: PropTypes.number.isRequired,
+  fixedMax: PropTypes.number,
+};
+
+// datetime-local value (local time, minutes) for a date
+function toLocalInput(date) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000);
+  return local.toISOString().slice(0, 16);
+}
+
+// Archived background closest to a chosen time (what historical paths were recorded against)
+function SnapshotAt({ serialNumber }) {
+  const [at, setAt] = useState(() => toLocalInput(new Date()));
+  const [snapshot, setSnapshot] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    camerasAPI
+      .getSnapshotAt(serialNumber, new Date(at).toISOString())
+      .then((response) => {
+        if (cancelled) return;
+        setSnapshot(response.data);
+        setMessage(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setSnapshot(null);
+        setMessage(err.response?.status === 404 ? 'No snapshot archived' : 'Failed to load snapshot');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [serialNumber, at]);
+
+  return (
+    <div className="snapshot-at">
+      <div className="camera-details-toolbar">
+        <label htmlFor="snapshotAt">Snapshot at</label>
+        <input
+          id="snapshotAt"
+          type="datetime-local"
+          value={at}
+          onChange={(e) => e.target.value && setAt(e.target.value)}
+        />
+        {snapshot && <span className="snapshot-at-taken">taken {new Date(snapshot.timestamp).toLocaleString()}</span>}
+      </div>
+      {message && <div className="no-data">{message}</div>}
+      {snapshot && (
+        <img
+          className="snapshot-at-image"
+          src={snapshot.url}
+          alt={`Snapshot taken ${new Date(snapshot.timestamp).toLocaleString()}`}
+        />
+      )}
+    </div>
+  );
+}
+
+SnapshotAt.propTypes = {
+  serialNumber: PropTypes.string.isRequired,
+};
+
+function CameraDetails({ camera, onClose }) {
+  const [rangeHours, setRangeHours] = useState(24);
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const to = new Date();
+      const from = new Date(to.getTime() - rangeHours * 60 * 60 * 1000);
+      const response = await camerasAPI.getStatusHistory(camera.serialNumber, {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        points: 200,
+      });
+      if (response.success) {
+        setHistory(response.data);
+      }
+    } catch (err) {
+      setError('Failed to load status history: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [camera.serialNumber, rangeHours]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const status = camera.deviceStatus || {};
+
+  return (
+    <div className="camera-details">
+      <div className="camera-details-header">
+        <h3>
+          {camera.name} <span className="serial-number">{camera.serialNumber}</span>
+        </h3>
+        <button className="btn-secondary" onClick={onClose}>
+          Back to list
+        </button>
+      </div>
+
+      <div className="camera-details-info">
+        <div>
+          <span className="info-label">Model</span>
+          {camera.model || '-'}
+        </div>
+        <div>
+          <span className="info-label">Connected</span>
+          {status.connected ? 'Yes' : 'No'}
+        </div>
+        <div>
+          <span className="info-label">CPU</span>
+          {status.cpuAverage ?? '-'}%
+        </div>
+        <div>
+          <span className="info-label">Network</span>
+          {status.networkKbps ?? '-'} kbps
+        </div>
+        <div>
+          <span className="info-label">Uptime</span>
+          {status.uptimeHours ?? '-'} h
+        </div>
+        <div>
+          <span className="info-label">Last seen</span>
+          {status.lastSeen ? new Date(status.lastSeen).toLocaleString() : 'Never'}
+        </div>
+      </div>
+
+      <div className="camera-details-toolbar">
+        <label htmlFor="statusRange">Period</label>
+        <select id="statusRange" value={rangeHours} onChange={(e) => setRangeHours(Number(e.target.value))}>
+          {RANGES.map((range) => (
+            <option key={range.hours} value={range.hours}>
+              {range.label}
+            </option>
+          ))}
+        </select>
+        <button className="btn-secondary" onClick={loadHistory} disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {history && (
+        <>
+          <StatusChart
+            title="CPU load"
+            unit="%"
+            points={history.points}
+            from={history.from}
+            to={history.to}
+            bucketSeconds={history.bucketSeconds}
+            rangeHours={rangeHours}
+            fixedMax={100}
+            series={[
+              { key: 'cpuAverage', label: 'Average', color: '#007bff' },
+              { key: 'cpuMax', label: 'Peak', color: '#dc3545', dashed: true },
+            ]}
+          />
+          <StatusChart
+            title="Network load"
+            unit=""
+            points={history.points}
+            from={history.from}
+            to={history.to}
+            bucketSeconds={history.bucketSeconds}
+            rangeHours={rangeHours}
+            series={[
+              { key: 'networkKbps', label: 'Average kbps', color: '#28a745' },
+              { key: 'networkMax', label: 'Peak kbps', color: '#fd7e14', dashed: true },
+            ]}
+          />
+          <div className="camera-details-footnote">
+            {history.points.reduce((sum, point) => sum + point.samples, 0)} samples,{' '}
+            {history.bucketSeconds >= 3600
+              ? `${Math.round(history.bucketSeconds / 360) / 10} h`
+              : `${Math.round(history.bucketSeconds / 60)} min`}{' '}
+            per point
+          </div>
+        </>
+      )}
+
+      <SnapshotAt serialNumber={camera.serialNumber} />
+    </div>
+  );
+}
+
+CameraDetails.propTypes = {
+  camera: PropTypes.shape({
+    name: PropTypes.string,
+    serialNumber: PropTypes.string.isRequired,
+    model: PropTypes.string,
+    deviceStatus: PropTypes.object,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default CameraDetails;
@@ -0,0 +1,446 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { camerasAPI } from '../services/api';
+import { FILTER_REASON_LABELS } from '../utils/filterReasons';
+import './CameraFilters.css';
+
+const OBJECT_TYPES = ['Human', 'Car', 'Truck', 'Bus', 'Bike', 'LicensePlate', 'Head', 'Bag', 'Vehicle', 'Animal', 'Undefined', 'Other'];
+
+const EVALUATE_LABELS = { any: 'Any path point', birth: 'Birth point', end: 'End point' };
+
+// IANA zones offered for the schedule; other names can still be typed
+const TIME_ZONES = Intl.supportedValuesOf?.('timeZone') ?? ['UTC'];
+
+const PREVIEW_RANGES = [
+  { label: '24 hours', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+];
+
+// Path coordinates are normalized to 0-1000 on both axes, whatever the image size
+function toViewPoint(event) {
+  const rect = event.currentTarget.getBoundingClientRect();
+  const clamp = (value) => Math.min(1000, Math.max(0, Math.round(value)));
+  return {
+    x: clamp(((event.clientX - rect.left) / rect.width) * 1000),
+    y: clamp(((event.clientY - rect.top) / rect.height) * 1000),
+  };
+}
+
+// Include/exclude polygons drawn on the camera snapshot
+function RegionEditor({ regions, snapshotUrl, onChange }) {
+  const [drawing, setDrawing] = useState(null);
+  const [imageFailed, setImageFailed] = useState(false);
+
+  const updateRegion = (index, changes) =>
+    onChange(regions.map((region, i) => (i === index ? { ...region, ...changes } : region)));
+
+  const finishDrawing = () => {
+    onChange([...regions, { name: `Region ${regions.length + 1}`, mode: 'exclude', evaluate: 'any', points: drawing }]);
+    setDrawing(null);
+  };
+
+  return (
+    <div className="region-editor">
+      <div className={`region-canvas ${drawing ? 'drawing' : ''}`}>
+        {snapshotUrl && !imageFailed ? (
+          <img src={snapshotUrl} alt="Camera snapshot" onError={() => setImageFailed(true)} />
+        ) : (
+          <div className="region-canvas-empty">No snapshot available</div>
+        )}
+        <svg
+          viewBox="0 0 1000 1000"
+          preserveAspectRatio="none"
+          onClick={(e) => drawing && setDrawing([...drawing, toViewPoint(e)])}
+        >
+          {regions.map((region, index) => (
+            <polygon
+              key={index}
+              className={`region-${region.mode}`}
+              points={region.points.map((p) => `${p.x},${p.y}`).join(' ')}
+            />
+          ))}
+          {drawing && (
+            <>
+              <polyline className="region-drawing" points={drawing.map((p) => `${p.x},${p.y}`).join(' ')} />
+              {drawing.map((p, index) => (
+                <circle key={index} className="region-drawing" cx={p.x} cy={p.y} r={8} />
+              ))}
+            </>
+          )}
+        </svg>
+      </div>
+
+      {drawing ? (
+        <div className="region-toolbar">
+          <span>Click on the snapshot to add points ({drawing.length})</span>
+          <button type="button" className="btn-primary" onClick={finishDrawing} disabled={drawing.length < 3}>
+            Finish
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setDrawing(drawing.slice(0, -1))} disabled={drawing.length === 0}>
+            Undo point
+          </button>
+          <button type="button" className="btn-secondary" onClick={() => setDrawing(null)}>
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="region-toolbar">
+          <button type="button" className="btn-secondary" onClick={() => setDrawing([])}>
+            + Draw region
+          </button>
+        </div>
+      )}
+
+      {regions.map((region, index) => (
+        <div key={index} className="region-row">
+          <span className={`region-swatch region-${region.mode}`} />
+          <input
+            type="text"
+            value={region.name}
+            onChange={(e) => updateRegion(index, { name: e.target.value })}
+            aria-label="Region name"
+          />
+          <select value={region.mode} onChange={(e) => updateRegion(index, { mode: e.target.value })} aria-label="Region mode">
+            <option value="include">Include</option>
+            <option value="exclude">Exclude</option>
+          </select>
+          <select
+            value={region.evaluate}
+            onChange={(e) => updateRegion(index, { evaluate: e.target.value })}
+            aria-label="Tested point"
+          >
+            {Object.entries(EVALUATE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button type="button" className="btn-delete" onClick={() => onChange(regions.filter((_, i) => i !== index))}>
+            Remove
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+RegionEditor.propTypes = {
+  regions: PropTypes.array.isRequired,
+  snapshotUrl: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+};
+
+// Dry-run of the filters being edited against the camera's stored paths
+function FilterPreview({ serialNumber, filters }) {
+  const [days, setDays] = useState(7);
+  const [preview, setPreview] = useState(null);
+  const [previewedFilters, setPreviewedFilters] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runPreview = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const to = new Date();
+      const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+      const response = await camerasAPI.previewFilters(serialNumber, filters, {
+        from: from.toISOString(),
+        to: to.toISOString(),
+      });
+      setPreview(response.data);
+      setPreviewedFilters(JSON.stringify(filters));
+    } catch (err) {
+      setError('Preview failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const stale = preview && previewedFilters !== JSON.stringify(filters);
+  const percent = (count) => (preview.evaluated > 0 ? Math.round((count / preview.evaluated) * 100) : 0);
+
+  return (
+    <div className="filter-preview">
+      <div className="region-toolbar">
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} aria-label="Preview range">
+          {PREVIEW_RANGES.map((range) => (
+            <option key={range.days} value={range.days}>
+              Last {range.label}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="btn-secondary" onClick={runPreview} disabled={loading}>
+          {loading ? 'Evaluating...' : 'Preview on stored paths'}
+        </button>
+        {stale && <span className="filter-preview-stale">Filters changed since this preview</span>}
+      </div>
+      {error && <div className="error-message">{error}</div>}
+
+      {preview && (
+        <>
+          <p className="filter-preview-summary">
+            {preview.evaluated} paths evaluated{preview.truncated ? ' (newest only)' : ''}: keeps{' '}
+            <strong>{preview.kept}</strong> ({percent(preview.kept)}%), drops <strong>{preview.dropped}</strong> (
+            {percent(preview.dropped)}%). Stored paths already passed the filters in force when they arrived.
+          </p>
+          <div className="filter-preview-tables">
+            <table>
+              <thead>
+                <tr>
+                  <th>Class</th>
+                  <th>Kept</th>
+                  <th>Dropped</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(preview.byClass).map(([objectClass, counts]) => (
+                  <tr key={objectClass}>
+                    <td>{objectClass}</td>
+                    <td>{counts.kept}</td>
+                    <td>{counts.dropped}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table>
+              <thead>
+                <tr>
+                  <th>Reason</th>
+                  <th>Dropped</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(preview.byReason).map(([reason, count]) => (
+                  <tr key={reason}>
+                    <td>{FILTER_REASON_LABELS[reason] || reason}</td>
+                    <td>{count}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {preview.samples.length > 0 && (
+            <table className="filter-preview-samples">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Track</th>
+                  <th>Class</th>
+                  <th>Age (s)</th>
+                  <th>Confidence</th>
+                  <th>Dropped because</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.samples.map((sample) => (
+                  <tr key={sample._id}>
+                    <td>{new Date(sample.timestamp < 1e11 ? sample.timestamp * 1000 : sample.timestamp).toLocaleString()}</td>
+                    <td>{sample.id}</td>
+                    <td>{sample.class}</td>
+                    <td>{sample.age ?? '-'}</td>
+                    <td>{sample.confidence ?? '-'}</td>
+                    <td>{FILTER_REASON_LABELS[sample.reason] || sample.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+FilterPreview.propTypes = {
+  serialNumber: PropTypes.string.isRequired,
+  filters: PropTypes.object.isRequired,
+};
+
+// Camera.filters: which path events are stored (see src/dataq/filters.js)
+function CameraFilters({ filters, serialNumber, snapshotUrl, onChange }) {
+  const set = (changes) => onChange({ ...filters, ...changes });
+  const number = (value) => (value === '' ? null : Number(value));
+
+  const toggleObjectType = (objectType) =>
+    set({
+      objectTypes: filters.objectTypes.includes(objectType)
+        ? filters.objectTypes.filter((t) => t !== objectType)
+        : [...filters.objectTypes, objectType],
+    });
+
+  const classDistance = (objectType) => filters.classMinDistance.find((entry) => entry.class === objectType);
+  const setClassDistance = (objectType, value) => {
+    const others = filters.classMinDistance.filter((entry) => entry.class !== objectType);
+    set({ classMinDistance: value === '' ? others : [...others, { class: objectType, minDistance: Number(value) }] });
+  };
+
+  return (
+    <div className="filter-section">
+      <h4>Detection Filters</h4>
+
+      <div className="form-group">
+        <label>Object types</label>
+        <div className="checkbox-group">
+          {OBJECT_TYPES.map((objectType) => (
+            <label key={objectType} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={filters.objectTypes.includes(objectType)}
+                onChange={() => toggleObjectType(objectType)}
+              />
+              <span>{objectType}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="filterMinDistance">Minimum distance: {filters.minDistance}% of the view</label>
+          <input
+            type="range"
+            id="filterMinDistance"
+            min={0}
+            max={50}
+            value={filters.minDistance}
+            onChange={(e) => set({ minDistance: Number(e.target.value) })}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="filterMinConfidence">Minimum confidence: {filters.minConfidence}%</label>
+          <input
+            type="range"
+            id="filterMinConfidence"
+            min={0}
+            max={100}
+            value={filters.minConfidence}
+            onChange={(e) => set({ minConfidence: Number(e.target.value) })}
+          />
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="filterMinAge">Minimum age (s)</label>
+          <input
+            type="number"
+            id="filterMinAge"
+            min={0}
+            max={10}
+            step="any"
+            value={filters.minAge}
+            onChange={(e) => set({ minAge: number(e.target.value) ?? 0 })}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="filterMaxAge">Maximum age (s)</label>
+          <input
+            type="number"
+            id="filterMaxAge"
+            min={0}
+            step="any"
+            value={filters.maxAge ?? ''}
+            onChange={(e) => set({ maxAge: number(e.target.value) })}
+            placeholder="No limit"
+          />
+        </div>
+      </div>
+
+      {filters.objectTypes.length > 0 && (
+        <div className="form-group">
+          <label>Minimum distance per object type (%)</label>
+          <div className="class-distance-group">
+            {filters.objectTypes.map((objectType) => (
+              <label key={objectType}>
+                <span>{objectType}</span>
+                <input
+                  type="number"
+                  min={0}
+                  max={50}
+                  value={classDistance(objectType)?.minDistance ?? ''}
+                  onChange={(e) => setClassDistance(objectType, e.target.value)}
+                  placeholder={String(filters.minDistance)}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={filters.schedule.enabled}
+            onChange={(e) => set({ schedule: { ...filters.schedule, enabled: e.target.checked } })}
+          />
+          <span>Only keep paths detected between</span>
+        </label>
+        {filters.schedule.enabled && (
+          <div className="form-row">
+            <input
+              type="time"
+              value={filters.schedule.start}
+              onChange={(e) => set({ schedule: { ...filters.schedule, start: e.target.value } })}
+              aria-label="Schedule start"
+              required
+            />
+            <input
+              type="time"
+              value={filters.schedule.end}
+              onChange={(e) => set({ schedule: { ...filters.schedule, end: e.target.value } })}
+              aria-label="Schedule end"
+              required
+            />
+            <input
+              type="text"
+              list="schedule-time-zones"
+              value={filters.schedule.timezone || 'UTC'}
+              onChange={(e) => set({ schedule: { ...filters.schedule, timezone: e.target.value } })}
+              aria-label="Schedule time zone"
+              required
+            />
+            <datalist id="schedule-time-zones">
+              {TIME_ZONES.map((zone) => (
+                <option key={zone} value={zone} />
+              ))}
+            </datalist>
+          </div>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label>Regions</label>
+        <RegionEditor regions={filters.regions} snapshotUrl={snapshotUrl} onChange={(regions) => set({ regions })} />
+      </div>
+
+      {serialNumber && (
+        <div className="form-group">
+          <label>Preview</label>
+          <FilterPreview serialNumber={serialNumber} filters={filters} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+CameraFilters.propTypes = {
+  filters: PropTypes.shape({
+    objectTypes: PropTypes.arrayOf(PropTypes.string).isRequired,
+    minDistance: PropTypes.number.isRequired,
+    minAge: PropTypes.number.isRequired,
+    maxAge: PropTypes.number,
+    minConfidence: PropTypes.number.isRequired,
+    classMinDistance: PropTypes.array.isRequired,
+    regions: PropTypes.array.isRequired,
+    schedule: PropTypes.object.isRequired,
+  }).isRequired,
+  // Only cameras that already exist have stored paths to preview against
+  serialNumber: PropTypes.string,
+  snapshotUrl: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default CameraFilters;
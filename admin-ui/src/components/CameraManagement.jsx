@@ -1,16 +1,44 @@
 import { useState, useEffect } from 'react';
-import { camerasAPI } from '../services/api';
+import { camerasAPI, configAPI } from '../services/api';
+import CameraDetails from './CameraDetails';
+import CameraFilters from './CameraFilters';
 import './CameraManagement.css';
 
+const DEFAULT_FILTERS = {
+  objectTypes: ['Human', 'Car', 'Truck', 'Bus', 'Bike', 'Vehicle', 'Undefined'],
+  minDistance: 20,
+  minAge: 2,
+  maxAge: null,
+  minConfidence: 0,
+  classMinDistance: [],
+  regions: [],
+  // New schedules default to the browser's time zone
+  schedule: { enabled: false, start: '06:00', end: '22:00', timezone: Intl.DateTimeFormat().resolvedOptions().timeZone },
+};
+
+// Empty interval fields fall back to the system watchdog settings
+const DEFAULT_WATCHDOG = { enabled: true, heartbeatMinutes: null, pathGapMinutes: null };
+
+function toWatchdogPayload(watchdog) {
+  const interval = (value) => (value === '' || value == null ? null : Number(value));
+  return {
+    enabled: watchdog.enabled,
+    heartbeatMinutes: interval(watchdog.heartbeatMinutes),
+    pathGapMinutes: interval(watchdog.pathGapMinutes),
+  };
+}
+
 function CameraManagement({ onClose, inline = false }) {
   const [cameras, setCameras] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [editingCamera, setEditingCamera] = useState(null);
+  const [detailsCamera, setDetailsCamera] = useState(null);
   const [showAddCamera, setShowAddCamera] = useState(false);
   const [refreshingSnapshot, setRefreshingSnapshot] = useState(null);
   const [connecting, setConnecting] = useState(false);
   const [connected, setConnected] = useState(false);
+  const [brokers, setBrokers] = useState([]);
   const [formData, setFormData] = useState({
     cameraType: '', // Start with no selection
     name: '',
@@ -21,19 +49,27 @@ function CameraManagement({ onClose, inline = false }) {
     password: '',
     useTLS: false,
     mqttTopic: '',
+    brokerId: '',
     enabled: true,
-    filters: {
-      objectTypes: ['Human', 'Car', 'Truck', 'Bus', 'Bike', 'Vehicle', 'Undefined'],
-      minDistance: 20,
-      minAge: 2,
-    },
+    filters: { ...DEFAULT_FILTERS },
     retentionDays: null,
+    watchdog: { ...DEFAULT_WATCHDOG },
   });
 
   useEffect(() => {
     loadCameras();
+    loadBrokers();
   }, []);
 
+  const loadBrokers = async () => {
+    try {
+      const response = await configAPI.getMqttBrokers();
+      setBrokers(response.data || []);
+    } catch (err) {
+      console.error('Error loading MQTT brokers:', err);
+    }
+  };
+
   const loadCameras = async () => {
     try {
       setLoading(true);
@@ -53,46 +89,25 @@ function CameraManagement({ onClose, inline = false }) {
     const newValue = type === 'checkbox' ? checked : type === 'number' ? (value === '' ? '' : Number(value)) : value;
 
     setFormData((prev) => {
-      // Handle filter fields separately
-      if (name.startsWith('filter.')) {
-        const filterField = name.split('.')[1];
-        return {
-          ...prev,
-          filters: {
-            ...prev.filters,
-            [filterField]: type === 'number' ? parseFloat(value) : value,
-          },
-        };
+      if (name.startsWith('watchdog.')) {
+        const watchdogField = name.split('.')[1];
+        return { ...prev, watchdog: { ...prev.watchdog, [watchdogField]: newValue } };
       }
 
-      const updates = { [name]: newValue };
-
-      // Auto-populate MQTT topic when serial number changes (for remote cameras)
-      if (name === 'serialNumber' && value && formData.cameraType === 'remote' && !prev.mqttTopic) {
-        updates.mqttTopic = `dataq/path/${value.toUpperCase()}`;
-      }
-
-      return { ...prev, ...updates };
+      return { ...prev, [name]: newValue };
     });
   };
 
-  const handleObjectTypeChange = (objectType) => {
-    setFormData((prev) => {
-      const currentTypes = prev.filters.objectTypes || [];
-      const newTypes = currentTypes.includes(objectType)
-        ? currentTypes.filter((t) => t !== objectType)
-        : [...currentTypes, objectType];
-
-      return {
-        ...prev,
-        filters: {
-          ...prev.filters,
-          objectTypes: newTypes,
-        },
-      };
-    });
+  const handleFiltersChange = (filters) => {
+    setFormData((prev) => ({ ...prev, filters }));
   };
 
+  // Regions are drawn on the latest snapshot of the camera being edited
+  const editedCamera = cameras.find((camera) => camera._id === editingCamera);
+  const filterSnapshotUrl = editedCamera?.latestSnapshotId
+    ? `/api/cameras/${editedCamera.serialNumber}/snapshot?v=${editedCamera.latestSnapshotId}`
+    : null;
+
   const handleConnect = async () => {
     if (!formData.ipAddress || !formData.username || !formData.password) {
       setError('Please fill in all connection fields');
@@ -117,7 +132,6 @@ function CameraManagement({ onClose, inline = false }) {
         setFormData((prev) => ({
           ...prev,
           serialNumber: serialNumber || '',
-          mqttTopic: `dataq/path/${serialNumber || ''}`,
           name: prev.name || productName || '',
         }));
 
@@ -140,6 +154,7 @@ function CameraManagement({ onClose, inline = false }) {
       setError(null);
       const payload = { ...formData };
       if (payload.retentionDays === '' || payload.retentionDays == null) delete payload.retentionDays;
+      payload.watchdog = toWatchdogPayload(payload.watchdog);
       await camerasAPI.create(payload);
       setShowAddCamera(false);
       resetForm();
@@ -162,13 +177,16 @@ function CameraManagement({ onClose, inline = false }) {
       password: '', // Don't populate password for security
       useTLS: camera.useTLS || false,
       mqttTopic: camera.mqttTopic || '',
+      brokerId: camera.brokerId || '',
       enabled: camera.enabled !== false,
+      // The whole filters object is saved, so keep every stored field
       filters: {
-        objectTypes: camera.filters?.objectTypes || ['Human', 'Car', 'Truck', 'Bus', 'Bike', 'Vehicle', 'Undefined'],
-        minDistance: camera.filters?.minDistance !== undefined ? camera.filters.minDistance : 20,
-        minAge: camera.filters?.minAge !== undefined ? camera.filters.minAge : 2,
+        ...DEFAULT_FILTERS,
+        ...camera.filters,
+        schedule: { ...DEFAULT_FILTERS.schedule, ...camera.filters?.schedule },
       },
       retentionDays: camera.retentionDays !== undefined ? camera.retentionDays : null,
+      watchdog: { ...DEFAULT_WATCHDOG, ...camera.watchdog },
     });
     setConnected(camera.cameraType === 'local'); // If editing local camera, consider it "connected"
   };
@@ -179,6 +197,7 @@ function CameraManagement({ onClose, inline = false }) {
       setError(null);
       const payload = { ...formData };
       if (payload.retentionDays === '' || payload.retentionDays == null) delete payload.retentionDays;
+      payload.watchdog = toWatchdogPayload(payload.watchdog);
       await camerasAPI.update(editingCamera, payload);
       setEditingCamera(null);
       resetForm();
@@ -234,13 +253,11 @@ function CameraManagement({ onClose, inline = false }) {
       password: '',
       useTLS: false,
       mqttTopic: '',
+      brokerId: '',
       enabled: true,
-      filters: {
-        objectTypes: ['Human', 'Car', 'Truck', 'Bus', 'Bike', 'Vehicle', 'Undefined'],
-        minDistance: 20,
-        minAge: 2,
-      },
+      filters: { ...DEFAULT_FILTERS },
       retentionDays: null,
+      watchdog: { ...DEFAULT_WATCHDOG },
     });
     setConnected(false);
     setConnecting(false);
@@ -270,7 +287,9 @@ function CameraManagement({ onClose, inline = false }) {
 
         {error && <div className="error-message">{error}</div>}
 
-        {!showAddCamera && !editingCamera && (
+        {detailsCamera && <CameraDetails camera={detailsCamera} onClose={() => setDetailsCamera(null)} />}
+
+        {!showAddCamera && !editingCamera && !detailsCamera && (
           <>
             <div className="camera-management-actions">
               <button className="btn-primary" onClick={() => setShowAddCamera(true)}>
@@ -314,6 +333,9 @@ function CameraManagement({ onClose, inline = false }) {
                           </span>
                         </td>
                         <td className="actions">
+                          <button className="btn-details" onClick={() => setDetailsCamera(camera)}>
+                            Details
+                          </button>
                           {camera.cameraType === 'local' && (
                             <button
                               className="btn-refresh"
@@ -404,6 +426,47 @@ function CameraManagement({ onClose, inline = false }) {
                         />
                       </div>
 
+                      <div className="form-group">
+                        <label>
+                          <input
+                            type="checkbox"
+                            name="watchdog.enabled"
+                            checked={formData.watchdog.enabled}
+                            onChange={handleInputChange}
+                          />{' '}
+                          Alert when this camera goes silent
+                        </label>
+                      </div>
+
+                      {formData.watchdog.enabled && (
+                        <div className="form-row">
+                          <div className="form-group">
+                            <label htmlFor="watchdogHeartbeat">Expected message interval (min)</label>
+                            <input
+                              type="number"
+                              id="watchdogHeartbeat"
+                              name="watchdog.heartbeatMinutes"
+                              value={formData.watchdog.heartbeatMinutes ?? ''}
+                              onChange={handleInputChange}
+                              placeholder="System default"
+                              min={1}
+                            />
+                          </div>
+                          <div className="form-group">
+                            <label htmlFor="watchdogPathGap">Path event gap (min, 0 = off)</label>
+                            <input
+                              type="number"
+                              id="watchdogPathGap"
+                              name="watchdog.pathGapMinutes"
+                              value={formData.watchdog.pathGapMinutes ?? ''}
+                              onChange={handleInputChange}
+                              placeholder="System default"
+                              min={0}
+                            />
+                          </div>
+                        </div>
+                      )}
+
                       <div className="form-group">
                         <label htmlFor="ipAddress">IP Address *</label>
                         <input
@@ -492,9 +555,21 @@ function CameraManagement({ onClose, inline = false }) {
                             />
                           </div>
 
+                          {brokers.length > 1 && (
+                            <div className="form-group">
+                              <label htmlFor="brokerId">MQTT Broker</label>
+                              <select id="brokerId" name="brokerId" value={formData.brokerId} onChange={handleInputChange}>
+                                <option value="">Default broker</option>
+                                {brokers.filter((b) => !b.isDefault).map((b) => (
+                                  <option key={b.id} value={b.id}>{b.name}</option>
+                                ))}
+                              </select>
+                            </div>
+                          )}
+
                           <div className="form-group">
                             <label htmlFor="mqttTopic">
-                              MQTT Path Topic (default: dataq/path/{'{SERIAL}'})
+                              MQTT Path Topic (leave empty for the configured path topic template)
                             </label>
                             <input
                               type="text"
@@ -502,7 +577,7 @@ function CameraManagement({ onClose, inline = false }) {
                               name="mqttTopic"
                               value={formData.mqttTopic}
                               onChange={handleInputChange}
-                              placeholder={`dataq/path/${formData.serialNumber || '{SERIAL}'}`}
+                              placeholder="Default path topic"
                             />
                           </div>
 
@@ -518,6 +593,13 @@ function CameraManagement({ onClose, inline = false }) {
                             </label>
                           </div>
 
+                          <CameraFilters
+                            filters={formData.filters}
+                            serialNumber={editedCamera?.serialNumber}
+                            snapshotUrl={filterSnapshotUrl}
+                            onChange={handleFiltersChange}
+                          />
+
                           <div className="form-actions">
                             <button type="submit" className="btn-primary">
                               {editingCamera ? 'Update Camera' : 'Save'}
@@ -572,6 +654,47 @@ function CameraManagement({ onClose, inline = false }) {
                         />
                       </div>
 
+                      <div className="form-group">
+                        <label>
+                          <input
+                            type="checkbox"
+                            name="watchdog.enabled"
+                            checked={formData.watchdog.enabled}
+                            onChange={handleInputChange}
+                          />{' '}
+                          Alert when this camera goes silent
+                        </label>
+                      </div>
+
+                      {formData.watchdog.enabled && (
+                        <div className="form-row">
+                          <div className="form-group">
+                            <label htmlFor="watchdogHeartbeat">Expected message interval (min)</label>
+                            <input
+                              type="number"
+                              id="watchdogHeartbeat"
+                              name="watchdog.heartbeatMinutes"
+                              value={formData.watchdog.heartbeatMinutes ?? ''}
+                              onChange={handleInputChange}
+                              placeholder="System default"
+                              min={1}
+                            />
+                          </div>
+                          <div className="form-group">
+                            <label htmlFor="watchdogPathGap">Path event gap (min, 0 = off)</label>
+                            <input
+                              type="number"
+                              id="watchdogPathGap"
+                              name="watchdog.pathGapMinutes"
+                              value={formData.watchdog.pathGapMinutes ?? ''}
+                              onChange={handleInputChange}
+                              placeholder="System default"
+                              min={0}
+                            />
+                          </div>
+                        </div>
+                      )}
+
                       <div className="form-group">
                         <label htmlFor="serialNumber">Serial Number *</label>
                         <input
@@ -586,9 +709,21 @@ function CameraManagement({ onClose, inline = false }) {
                         />
                       </div>
 
+                      {brokers.length > 1 && (
+                        <div className="form-group">
+                          <label htmlFor="brokerId">MQTT Broker</label>
+                          <select id="brokerId" name="brokerId" value={formData.brokerId} onChange={handleInputChange}>
+                            <option value="">Default broker</option>
+                            {brokers.filter((b) => !b.isDefault).map((b) => (
+                              <option key={b.id} value={b.id}>{b.name}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+
                       <div className="form-group">
                         <label htmlFor="mqttTopic">
-                          MQTT Path Topic (default: dataq/path/{'{SERIAL}'})
+                          MQTT Path Topic (leave empty for the broker's path topic template)
                         </label>
                         <input
                           type="text"
@@ -596,7 +731,7 @@ function CameraManagement({ onClose, inline = false }) {
                           name="mqttTopic"
                           value={formData.mqttTopic}
                           onChange={handleInputChange}
-                          placeholder={`dataq/path/${formData.serialNumber || '{SERIAL}'}`}
+                          placeholder="Default path topic"
                         />
                       </div>
 
@@ -612,6 +747,13 @@ function CameraManagement({ onClose, inline = false }) {
                         </label>
                       </div>
 
+                      <CameraFilters
+                        filters={formData.filters}
+                        serialNumber={editedCamera?.serialNumber}
+                        snapshotUrl={filterSnapshotUrl}
+                        onChange={handleFiltersChange}
+                      />
+
                       <div className="form-actions">
                         <button type="submit" className="btn-primary">
                           {editingCamera ? 'Update Camera' : 'Save'}
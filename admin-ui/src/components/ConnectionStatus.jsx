@@ -36,7 +36,11 @@ function ConnectionStatus() {
     <div className="connection-status">
       <div
         className="status-item"
-        title={status.mqtt.connected ? 'MQTT Connected' : 'MQTT Disconnected'}
+        title={
+          status.mqtt.brokers?.length > 1
+            ? status.mqtt.brokers.map((b) => `${b.name}: ${b.connected ? 'Connected' : 'Disconnected'}`).join('\n')
+            : status.mqtt.connected ? 'MQTT Connected' : 'MQTT Disconnected'
+        }
       >
         <span className={`status-dot ${status.mqtt.connected ? 'connected' : 'disconnected'}`}></span>
         <span className="status-label">MQTT</span>
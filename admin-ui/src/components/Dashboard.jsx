@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { camerasAPI } from '../services/api';
+import IngestStats from './IngestStats';
 import './Dashboard.css';
 
 function Dashboard({ inline = false }) {
@@ -12,9 +13,9 @@ function Dashboard({ inline = false }) {
     disconnected: 0,
   });
 
-  // Camera is considered connected if any MQTT message has been received (lastSeen exists)
+  // Camera is considered connected if it has sent messages and the watchdog has not found it silent
   const isConnected = (camera) => {
-    return !!camera.deviceStatus?.lastSeen;
+    return !!camera.deviceStatus?.lastSeen && !camera.deviceStatus?.silentSince;
   };
 
   useEffect(() => {
@@ -131,7 +132,14 @@ function Dashboard({ inline = false }) {
                     return (
                       <tr key={camera._id} className={connected ? 'device-connected' : 'device-disconnected'}>
                         <td>
-                          <span className={`status-indicator ${connected ? 'status-online' : 'status-offline'}`}>
+                          <span
+                            className={`status-indicator ${connected ? 'status-online' : 'status-offline'}`}
+                            title={
+                              camera.deviceStatus?.silentSince
+                                ? `Silent since ${new Date(camera.deviceStatus.silentSince).toLocaleString()}`
+                                : undefined
+                            }
+                          >
                             {connected ? '●' : '○'}
                           </span>
                         </td>
@@ -156,6 +164,14 @@ function Dashboard({ inline = false }) {
             </div>
           )}
         </div>
+
+        {/* Where each camera's path messages went: saved, filtered (by reason), rejected... */}
+        {cameras.length > 0 && (
+          <div className="dashboard-section">
+            <h3>Path Ingestion (last 24 hours)</h3>
+            <IngestStats cameras={cameras} />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { camerasAPI } from '../services/api';
+import { FILTER_REASON_LABELS } from '../utils/filterReasons';
+import './IngestStats.css';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 48 };
+
+// Stacked per hour, bottom to top; "lost" covers rejected, ignored and dropped messages
+const SERIES = [
+  { key: 'saved', label: 'Saved', color: '#28a745' },
+  { key: 'filtered', label: 'Filtered', color: '#fd7e14' },
+  { key: 'duplicates', label: 'Duplicates', color: '#adb5bd' },
+  { key: 'lost', label: 'Rejected / ignored / dropped', color: '#dc3545' },
+];
+
+const COUNTERS = [
+  { key: 'received', label: 'Received' },
+  { key: 'parsed', label: 'Parsed' },
+  { key: 'rejected', label: 'Rejected' },
+  { key: 'ignored', label: 'Ignored' },
+  { key: 'filtered', label: 'Filtered' },
+  { key: 'dropped', label: 'Dropped' },
+  { key: 'duplicates', label: 'Duplicates' },
+  { key: 'saved', label: 'Saved' },
+];
+
+const withLost = (bucket) => ({ ...bucket, lost: bucket.rejected + bucket.ignored + bucket.dropped });
+
+// Hourly stacked bars of what happened to a camera's path messages
+function IngestChart({ buckets }) {
+  const innerWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const rows = buckets.map(withLost);
+  const max = Math.max(1, ...rows.map((row) => SERIES.reduce((sum, s) => sum + row[s.key], 0)));
+  const barWidth = innerWidth / rows.length;
+  const y = (value) => PADDING.top + innerHeight - (value / max) * innerHeight;
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="ingest-chart-svg">
+      {[0, 0.5, 1].map((fraction) => (
+        <g key={fraction}>
+          <line className="grid-line" x1={PADDING.left} x2={CHART_WIDTH - PADDING.right} y1={y(max * fraction)} y2={y(max * fraction)} />
+          <text className="axis-label" x={PADDING.left - 6} y={y(max * fraction) + 3} textAnchor="end">
+            {Math.round(max * fraction)}
+          </text>
+        </g>
+      ))}
+      {rows.map((row, index) => {
+        const x = PADDING.left + index * barWidth;
+        let base = 0;
+        return (
+          <g key={row.hour}>
+            <title>
+              {new Date(row.hour).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}:{' '}
+              {SERIES.map((s) => `${s.label} ${row[s.key]}`).join(', ')}
+            </title>
+            {SERIES.map((s) => {
+              const top = base + row[s.key];
+              const rect = (
+                <rect key={s.key} x={x + 1} width={Math.max(barWidth - 2, 1)} y={y(top)} height={y(base) - y(top)} fill={s.color} />
+              );
+              base = top;
+              return rect;
+            })}
+            {index % Math.ceil(rows.length / 8) === 0 && (
+              <text className="axis-label" x={x + barWidth / 2} y={CHART_HEIGHT - 6} textAnchor="middle">
+                {new Date(row.hour).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+IngestChart.propTypes = {
+  buckets: PropTypes.array.isRequired,
+};
+
+// Per-camera ingest statistics for the last 24 hours
+function IngestStats({ cameras }) {
+  const [serialNumber, setSerialNumber] = useState('');
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  const selected = serialNumber || cameras[0]?.serialNumber || '';
+
+  useEffect(() => {
+    if (!selected) return undefined;
+    let cancelled = false;
+    const load = () =>
+      camerasAPI
+        .getIngestStats(selected)
+        .then((response) => {
+          if (cancelled) return;
+          setStats(response.data);
+          setError(null);
+        })
+        .catch((err) => {
+          if (!cancelled) setError('Failed to load ingest statistics: ' + (err.response?.data?.error || err.message));
+        });
+    load();
+    const interval = setInterval(load, 60000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [selected]);
+
+  if (cameras.length === 0) return null;
+
+  const filteredBy = Object.entries(stats?.totals.filteredBy || {}).sort((a, b) => b[1] - a[1]);
+
+  return (
+    <div className="ingest-stats">
+      <div className="ingest-stats-toolbar">
+        <select value={selected} onChange={(e) => setSerialNumber(e.target.value)} aria-label="Camera">
+          {cameras.map((camera) => (
+            <option key={camera._id} value={camera.serialNumber}>
+              {camera.name || camera.serialNumber}
+            </option>
+          ))}
+        </select>
+        <div className="ingest-stats-legend">
+          {SERIES.map((s) => (
+            <span key={s.key} className="legend-item">
+              <span className="legend-swatch" style={{ background: s.color }} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      </div>
+      {error && <div className="error-message">{error}</div>}
+
+      {stats && stats.serial === selected && (
+        <>
+          <IngestChart buckets={stats.buckets} />
+          <div className="ingest-stats-totals">
+            {COUNTERS.map((counter) => (
+              <div key={counter.key} className="ingest-stats-total">
+                <div className="ingest-stats-value">{stats.totals[counter.key]}</div>
+                <div className="ingest-stats-label">{counter.label}</div>
+              </div>
+            ))}
+          </div>
+          {filteredBy.length > 0 && (
+            <div className="ingest-stats-reasons">
+              Filtered by:{' '}
+              {filteredBy.map(([reason, count]) => `${FILTER_REASON_LABELS[reason] || reason} ${count}`).join(' · ')}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+IngestStats.propTypes = {
+  cameras: PropTypes.array.isRequired,
+};
+
+export default IngestStats;
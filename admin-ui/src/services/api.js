@@ -64,6 +64,34 @@ export const camerasAPI = {
     return response.data;
   },
 
+  getStatusHistory: async (serialNumber, params) => {
+    const response = await api.get(`/cameras/${serialNumber}/status-history`, { params });
+    return response.data;
+  },
+
+  // Hourly path message counters (params: from, to)
+  getIngestStats: async (serialNumber, params) => {
+    const response = await api.get(`/cameras/${serialNumber}/ingest-stats`, { params });
+    return response.data;
+  },
+
+  // Archived snapshot metadata (params: from, to, limit, skip)
+  getSnapshots: async (serialNumber, params) => {
+    const response = await api.get(`/cameras/${serialNumber}/snapshots`, { params });
+    return response.data;
+  },
+
+  getSnapshotAt: async (serialNumber, at) => {
+    const response = await api.get(`/cameras/${serialNumber}/snapshots`, { params: { at } });
+    return response.data;
+  },
+
+  // Dry-run proposed filters against stored paths (options: from, to, samples)
+  previewFilters: async (serialNumber, filters, options = {}) => {
+    const response = await api.post(`/cameras/${serialNumber}/filters/preview`, { filters, ...options });
+    return response.data;
+  },
+
   refreshSnapshot: async (id) => {
     const response = await api.post(`/cameras/${id}/refresh-snapshot`);
     return response.data;
@@ -131,9 +159,9 @@ export const authAPI = {
 
 // Configuration API
 export const configAPI = {
-  // Get connection status
+  // Get connection status (with broker details, ingest counters and spool)
   getStatus: async () => {
-    const response = await api.get('/config/status');
+    const response = await api.get('/config/status/details');
     return response.data;
   },
 
@@ -158,6 +186,48 @@ export const configAPI = {
     return response.data;
   },
 
+  // MQTT brokers (the default broker is the one /config/mqtt edits)
+  getMqttBrokers: async () => {
+    const response = await api.get('/config/mqtt/brokers');
+    return response.data;
+  },
+
+  createMqttBroker: async (config) => {
+    const response = await api.post('/config/mqtt/brokers', config);
+    return response.data;
+  },
+
+  updateMqttBroker: async (id, config) => {
+    const response = await api.put(`/config/mqtt/brokers/${id}`, config);
+    return response.data;
+  },
+
+  deleteMqttBroker: async (id) => {
+    const response = await api.delete(`/config/mqtt/brokers/${id}`);
+    return response.data;
+  },
+
+  reconnectMqttBroker: async (id) => {
+    const response = await api.post(`/config/mqtt/brokers/${id}/reconnect`);
+    return response.data;
+  },
+
+  // Embedded MQTT broker
+  getEmbeddedBroker: async () => {
+    const response = await api.get('/config/mqtt/embedded');
+    return response.data;
+  },
+
+  updateEmbeddedBroker: async (config) => {
+    const response = await api.put('/config/mqtt/embedded', config);
+    return response.data;
+  },
+
+  restartEmbeddedBroker: async () => {
+    const response = await api.post('/config/mqtt/embedded/restart');
+    return response.data;
+  },
+
   // System Configuration
   getSystemConfig: async () => {
     const response = await api.get('/config/system');
@@ -278,6 +348,39 @@ export const countersAPI = {
   },
 };
 
+// Camera connectivity API (admin only)
+export const connectivityAPI = {
+  // Uptime %, outages and longest outage per camera; from/to are ISO strings
+  getAvailability: async (from, to) => {
+    const response = await api.get('/connectivity/availability', { params: { from, to } });
+    return response.data;
+  },
+
+  // Same report as a CSV file (Blob)
+  downloadAvailabilityCsv: async (from, to) => {
+    const response = await api.get('/connectivity/availability', {
+      params: { from, to, format: 'csv' },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  // Online/offline transitions, newest first
+  getEvents: async (params) => {
+    const response = await api.get('/connectivity/events', { params });
+    return response.data;
+  },
+};
+
+// Watchdog alerts API (admin only)
+export const alertsAPI = {
+  // params: { active, serial, limit, skip }
+  list: async (params) => {
+    const response = await api.get('/alerts', { params });
+    return response.data;
+  },
+};
+
 // Health check
 export const healthCheck = async () => {
   const response = await api.get('/health');
@@ -0,0 +1,13 @@
+/**
+ * Labels of the reasons camera filters drop a path (FILTER_REASONS in src/dataq/filters.js)
+ */
+export const FILTER_REASON_LABELS = {
+  objectType: 'Object type',
+  minConfidence: 'Confidence too low',
+  minAge: 'Age too low',
+  maxAge: 'Age too high',
+  minDistance: 'Distance too short',
+  includeRegions: 'Outside include regions',
+  excludeRegion: 'In exclude region',
+  schedule: 'Outside schedule',
+};
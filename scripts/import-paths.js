@@ -0,0 +1,94 @@
+/**
+ * Script to bulk import historical DataQ path messages
+ *
+ * Usage:
+ *   node scripts/import-paths.js <file> [--no-filters] [--recount]
+ *
+ * <file> is NDJSON (one path message per line) or, for .json files, an array of
+ * messages or { "events": [...] }. Uses MONGODB_URI / MONGODB_* from .env.
+ *
+ *   --no-filters  Keep paths the camera filters would drop
+ *   --recount     Recount the counter sets of the imported cameras and wait for them
+ */
+
+import { createReadStream } from 'fs';
+import { readFile } from 'fs/promises';
+import { connectDB, disconnectDB } from '../src/db/connection.js';
+import { importPathEvents, readLines } from '../src/services/importService.js';
+import { getBackfillStatus } from '../src/services/counterSetsService.js';
+
+async function loadMessages(file) {
+  if (!file.toLowerCase().endsWith('.json')) {
+    return readLines(createReadStream(file));
+  }
+  const data = JSON.parse(await readFile(file, 'utf8'));
+  const messages = Array.isArray(data) ? data : data?.events;
+  if (!Array.isArray(messages)) {
+    throw new Error('JSON file must contain an array of path messages or { "events": [...] }');
+  }
+  return messages;
+}
+
+async function waitForRecounts(ids, startedAt) {
+  for (const id of ids) {
+    while (true) {
+      const backfill = await getBackfillStatus(id);
+      const finished = backfill?.completedAt && new Date(backfill.completedAt) >= startedAt;
+      if (!backfill || finished) {
+        console.log(`  • ${id}: ${backfill?.status ?? 'deleted'} (${backfill?.processedPaths ?? 0} paths)`);
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+async function importPaths() {
+  const args = process.argv.slice(2);
+  const file = args.find((arg) => !arg.startsWith('--'));
+  if (!file) {
+    console.error('Usage: node scripts/import-paths.js <file> [--no-filters] [--recount]');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Connecting to MongoDB...');
+    if (!(await connectDB())) {
+      throw new Error('Could not connect to MongoDB');
+    }
+
+    const startedAt = new Date();
+    console.log(`Importing ${file}...`);
+    const result = await importPathEvents(await loadMessages(file), {
+      applyFilters: !args.includes('--no-filters'),
+      recount: args.includes('--recount'),
+    });
+
+    console.log('\n═══════════════════════════════════════════════════════════');
+    console.log(`Messages:  ${result.total}`);
+    console.log(`Inserted:  ${result.inserted}`);
+    console.log(`Skipped:   ${result.skipped} (${result.duplicates} duplicates, ${result.filtered} filtered)`);
+    console.log(`Rejected:  ${result.rejected}`);
+    console.log('═══════════════════════════════════════════════════════════');
+    for (const { line, error } of result.errors) {
+      console.log(`  line ${line}: ${error}`);
+    }
+    if (result.rejected > result.errors.length) {
+      console.log(`  ... ${result.rejected - result.errors.length} more`);
+    }
+
+    if (result.recounted.length > 0) {
+      console.log(`\nRecounting ${result.recounted.length} counter set(s)...`);
+      await waitForRecounts(result.recounted, startedAt);
+    }
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('Import failed:', error.message);
+    await disconnectDB().catch(() => {});
+    process.exit(1);
+  }
+}
+
+importPaths();
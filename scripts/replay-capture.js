@@ -0,0 +1,153 @@
+/**
+ * Script to replay a raw MQTT capture (see src/mqtt/capture.js) into a database
+ *
+ * Usage:
+ *   node scripts/replay-capture.js <capture dir | file...> [--speed N] [--limit N]
+ *     [--database NAME | --mongodb-uri URI] [--copy-config]
+ *
+ * Messages go through the same pipeline as live traffic (validation, camera filters,
+ * dead letters, batched saving), spaced by their original receive times. Uses
+ * MONGODB_URI / MONGODB_* from .env unless another database is given.
+ *
+ *   --speed N        Time factor: 1 = real time (default), 10 = ten times faster, 0 = no delays
+ *   --limit N        Stop after N messages
+ *   --database NAME  Replay into another database on the same server (e.g. dataq-replay)
+ *   --mongodb-uri    Replay into the database at this URI
+ *   --copy-config    Copy cameras and counter sets (counts zeroed) from the .env database
+ *                    into an empty target first, so paths are not ignored as unknown cameras
+ */
+
+import { readdir, stat } from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { connectDB, disconnectDB } from '../src/db/connection.js';
+import { dbConfig } from '../src/config/index.js';
+import { replayCapture } from '../src/mqtt/replay.js';
+import { drainIngestQueue } from '../src/mqtt/ingestQueue.js';
+import { getIngestStats } from '../src/mqtt/client.js';
+
+const USAGE = 'Usage: node scripts/replay-capture.js <capture dir | file...> [--speed N] [--limit N] '
+  + '[--database NAME | --mongodb-uri URI] [--copy-config]';
+
+function parseArgs(argv) {
+  const options = { inputs: [], speed: 1, limit: null, database: null, uri: null, copyConfig: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--speed') options.speed = Number(argv[++i]);
+    else if (arg === '--limit') options.limit = Number(argv[++i]);
+    else if (arg === '--database') options.database = argv[++i];
+    else if (arg === '--mongodb-uri') options.uri = argv[++i];
+    else if (arg === '--copy-config') options.copyConfig = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.inputs.push(arg);
+  }
+  return options;
+}
+
+async function resolveFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if ((await stat(input)).isDirectory()) {
+      const names = (await readdir(input)).filter((name) => name.endsWith('.ndjson')).sort();
+      files.push(...names.map((name) => path.join(input, name)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+// Copy cameras and counter sets from the .env database into the (empty) replay target
+async function copyConfig() {
+  const source = await mongoose.createConnection(dbConfig.uri, dbConfig.options).asPromise();
+  try {
+    if (source.db.databaseName === mongoose.connection.db.databaseName && source.host === mongoose.connection.host) {
+      console.log('Target is the .env database - nothing to copy');
+      return;
+    }
+
+    for (const name of ['cameras', 'countersets']) {
+      const target = mongoose.connection.db.collection(name);
+      if ((await target.countDocuments({}, { limit: 1 })) > 0) {
+        console.log(`  • ${name}: target not empty, kept as is`);
+        continue;
+      }
+
+      let docs = await source.db.collection(name).find().toArray();
+      if (name === 'countersets') {
+        const now = new Date();
+        docs = docs.map((doc) => ({
+          ...doc,
+          counters: (doc.counters || []).map((counter) => ({ ...counter, total: 0, byClass: {} })),
+          days: 0,
+          lastDayProcessed: null,
+          resetAt: now,
+          mqttPublishedAt: null,
+          backfill: { status: 'idle', totalPaths: 0, processedPaths: 0, startedAt: null, completedAt: null, error: null },
+        }));
+      }
+      if (docs.length > 0) await target.insertMany(docs);
+      console.log(`  • ${name}: copied ${docs.length}`);
+    }
+  } finally {
+    await source.close();
+  }
+}
+
+async function replay() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    options = null;
+  }
+  if (!options || options.inputs.length === 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const files = await resolveFiles(options.inputs);
+    if (files.length === 0) throw new Error('No capture files found');
+
+    console.log('Connecting to MongoDB...');
+    const connectOptions = options.database ? { dbName: options.database } : {};
+    if (!(await connectDB(options.uri, connectOptions))) {
+      throw new Error('Could not connect to MongoDB');
+    }
+    console.log(`Replaying into database ${mongoose.connection.db.databaseName}`);
+
+    if (options.copyConfig) {
+      console.log('Copying cameras and counter sets...');
+      await copyConfig();
+    }
+
+    console.log(`Replaying ${files.length} file(s) at ${options.speed === 0 ? 'full' : `${options.speed}x`} speed...`);
+    const result = await replayCapture(files, {
+      name: path.basename(options.inputs[0]),
+      speed: options.speed,
+      limit: options.limit,
+    });
+    await drainIngestQueue();
+    if (result.error) throw new Error(result.error);
+
+    const stats = getIngestStats();
+    console.log('\n═══════════════════════════════════════════════════════════');
+    console.log(`Messages:  ${result.replayed} (${result.corrupt} unreadable lines)`);
+    console.log(`Saved:     ${stats.saved} paths (${stats.duplicates} duplicates)`);
+    console.log(`Skipped:   ${stats.filtered} filtered, ${stats.ignored} ignored`);
+    console.log(`Rejected:  ${stats.rejected} (stored as dead letters)`);
+    console.log(`Errors:    ${stats.errors}`);
+    console.log('═══════════════════════════════════════════════════════════');
+
+    await disconnectDB();
+    process.exit(0);
+  } catch (error) {
+    console.error('Replay failed:', error.message);
+    await disconnectDB().catch(() => {});
+    process.exit(1);
+  }
+}
+
+replay();
@@ -0,0 +1,138 @@
+/**
+ * Script to simulate DataQ cameras, for demos and load testing
+ *
+ * Usage:
+ *   node scripts/simulate-dataq.js [--cameras N] [--rate N] [--duration S] [--scenario file.json]
+ *     [--broker-url URL] [--username U] [--password P] [--topic-prefix P] [--serial-prefix SIM]
+ *     [--status-interval S] [--image-interval S] [--inject]
+ *
+ * Virtual cameras publish dataq/connect, status, image and path messages to the broker
+ * (MQTT_BROKER_URL / MQTT_USERNAME / MQTT_PASSWORD / MQTT_TOPIC_PREFIX from .env unless
+ * given), like real cameras. Stop with Ctrl+C; the cameras then announce a disconnect.
+ *
+ *   --cameras N        Virtual cameras (default 4)
+ *   --rate N           Average paths per camera per minute (default 30)
+ *   --duration S       Stop after S seconds
+ *   --scenario FILE    JSON scenario ({ "flows": [...] }, see src/dataq/simulator.js)
+ *   --inject           Skip the broker: feed messages straight into this process's ingest
+ *                      pipeline, saving to MONGODB_URI (measures pipeline throughput)
+ */
+
+import { readFile } from 'fs/promises';
+import mqtt from 'mqtt';
+import { mqttConfig } from '../src/config/index.js';
+import { resolveTopicTemplates } from '../src/dataq/topics.js';
+import { connectDB, disconnectDB } from '../src/db/connection.js';
+import { drainIngestQueue } from '../src/mqtt/ingestQueue.js';
+import {
+  startSimulator,
+  stopSimulator,
+  getSimulatorStatus,
+  mqttSender,
+  injectSender,
+} from '../src/services/simulatorService.js';
+
+const REPORT_INTERVAL_MS = 5000;
+
+const OPTIONS = {
+  '--cameras': 'cameras',
+  '--rate': 'pathsPerMinute',
+  '--duration': 'duration',
+  '--scenario': 'scenarioFile',
+  '--broker-url': 'brokerUrl',
+  '--username': 'username',
+  '--password': 'password',
+  '--topic-prefix': 'topicPrefix',
+  '--serial-prefix': 'serialPrefix',
+  '--status-interval': 'statusIntervalSeconds',
+  '--image-interval': 'imageIntervalSeconds',
+};
+
+function parseArgs(argv) {
+  const args = { inject: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--inject') args.inject = true;
+    else if (OPTIONS[argv[i]] && argv[i + 1] !== undefined) args[OPTIONS[argv[i]]] = argv[++i];
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return args;
+}
+
+function report(status) {
+  const { sent } = status;
+  console.log(
+    `paths ${sent.path} (${status.pathsPerSecond}/s)  status ${sent.status}  images ${sent.image}`
+    + `  lag ${status.lagMs} ms  errors ${status.errors}${status.lastError ? ` (${status.lastError})` : ''}`
+  );
+}
+
+async function simulate() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node scripts/simulate-dataq.js [--cameras N] [--rate N] [--duration S] [--scenario file.json] '
+      + '[--broker-url URL] [--username U] [--password P] [--topic-prefix P] [--serial-prefix SIM] '
+      + '[--status-interval S] [--image-interval S] [--inject]');
+    process.exit(1);
+  }
+
+  let client = null;
+  let reporter = null;
+  const finish = async (code) => {
+    clearInterval(reporter);
+    const summary = await stopSimulator();
+    if (summary) report(summary);
+    if (args.inject) {
+      await drainIngestQueue();
+      await disconnectDB().catch(() => {});
+    }
+    if (client) await client.endAsync().catch(() => {});
+    process.exit(code);
+  };
+
+  try {
+    const options = {
+      cameras: args.cameras,
+      pathsPerMinute: args.pathsPerMinute,
+      serialPrefix: args.serialPrefix,
+      statusIntervalSeconds: args.statusIntervalSeconds,
+      imageIntervalSeconds: args.imageIntervalSeconds,
+      scenario: args.scenarioFile ? JSON.parse(await readFile(args.scenarioFile, 'utf8')) : undefined,
+      mode: args.inject ? 'inject' : 'mqtt',
+    };
+
+    let send;
+    if (args.inject) {
+      console.log('Connecting to MongoDB...');
+      if (!(await connectDB())) throw new Error('Could not connect to MongoDB');
+      send = injectSender();
+    } else {
+      const brokerUrl = args.brokerUrl || mqttConfig.brokerUrl;
+      if (!brokerUrl) throw new Error('No broker: set MQTT_BROKER_URL or pass --broker-url');
+      console.log(`Connecting to ${brokerUrl}...`);
+      client = await mqtt.connectAsync(brokerUrl, {
+        username: args.username || mqttConfig.username || undefined,
+        password: args.password || mqttConfig.password || undefined,
+        clientId: `dataq-simulator-${Math.random().toString(16).slice(2, 10)}`,
+      });
+      send = mqttSender(client, resolveTopicTemplates({ topicPrefix: args.topicPrefix ?? mqttConfig.topicPrefix }));
+    }
+
+    const status = await startSimulator(options, { send });
+    const { settings } = status;
+    console.log(`Simulating ${settings.cameras} camera(s) (${settings.serialPrefix}...), `
+      + `${settings.pathsPerMinute} paths/min each, flows: ${settings.flows.join(', ')}`);
+
+    process.on('SIGINT', () => finish(0));
+    process.on('SIGTERM', () => finish(0));
+    reporter = setInterval(() => report(getSimulatorStatus()), REPORT_INTERVAL_MS);
+    if (args.duration) setTimeout(() => finish(0), Number(args.duration) * 1000);
+  } catch (error) {
+    console.error('Simulation failed:', error.message);
+    await finish(1);
+  }
+}
+
+simulate();
@@ -1,5 +1,6 @@
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import path from 'path';
 
 // Load environment variables
 dotenv.config();
@@ -78,6 +79,12 @@ export const mqttConfig = {
   password: process.env.MQTT_PASSWORD || null,
   useTls: process.env.MQTT_USE_TLS === 'true',
   topicPrefix: process.env.MQTT_TOPIC_PREFIX || 'dataq/#',
+  // MQTT v5 shared subscription group for path topics ($share/<group>/...), so replicas
+  // split path events between them instead of each storing every event
+  sharedGroup: process.env.MQTT_SHARED_GROUP || '',
+  // Embedded broker defaults until its settings are saved (see mqtt/broker.js)
+  embeddedBroker: process.env.MQTT_EMBEDDED_BROKER === 'true',
+  embeddedBrokerPort: parseInt(process.env.MQTT_EMBEDDED_PORT, 10) || 1883,
   clientId: `dataq-analyzer-${Math.random().toString(16).substr(2, 8)}`,
 };
 
@@ -102,6 +109,31 @@ export const appConfig = {
   // Default query limits
   defaultPageSize: 100,
   maxPageSize: 1000,
+  // Limits for client-supplied path queries and aggregation pipelines
+  maxQueryResults: 50000,
+  maxPipelineStages: 20,
+  maxQueryDepth: 12,
+  queryMaxTimeMS: parseInt(process.env.QUERY_MAX_TIME_MS, 10) || 30000,
+  // NDJSON streams walk a cursor over arbitrarily large ranges, so they get a longer budget
+  streamMaxTimeMS: parseInt(process.env.STREAM_MAX_TIME_MS, 10) || 600000,
+  // Batched path event ingestion (see mqtt/ingestQueue.js)
+  ingestBatchSize: parseInt(process.env.INGEST_BATCH_SIZE, 10) || 500,
+  ingestFlushIntervalMs: parseInt(process.env.INGEST_FLUSH_INTERVAL_MS, 10) || 1000,
+  ingestQueueCapacity: parseInt(process.env.INGEST_QUEUE_CAPACITY, 10) || 20000,
+  // How often per-camera ingest counters are added to MongoDB (see services/ingestStatsService.js)
+  ingestStatsFlushIntervalMs: parseInt(process.env.INGEST_STATS_FLUSH_INTERVAL_MS, 10) || 60000,
+  cameraCacheTtlMs: 60000,
+  lastSeenFlushIntervalMs: 5000,
+  // How often the stale-camera watchdog checks lastSeen (see services/watchdogService.js)
+  watchdogIntervalMs: parseInt(process.env.WATCHDOG_INTERVAL_MS, 10) || 60000,
+  // Disk spool for path events while MongoDB is unreachable (see mqtt/spool.js)
+  spoolDir: path.resolve(process.env.SPOOL_DIR || 'data/spool'),
+  spoolMaxBytes: parseInt(process.env.SPOOL_MAX_BYTES, 10) || 512 * 1024 * 1024,
+  spoolSegmentBytes: 8 * 1024 * 1024,
+  // Raw MQTT captures for offline reproduction (see mqtt/capture.js)
+  captureDir: path.resolve(process.env.CAPTURE_DIR || 'data/captures'),
+  captureFileBytes: parseInt(process.env.CAPTURE_FILE_BYTES, 10) || 64 * 1024 * 1024,
+  captureMaxBytes: parseInt(process.env.CAPTURE_MAX_BYTES, 10) || 1024 * 1024 * 1024,
 };
 
 export default {
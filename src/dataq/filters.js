@@ -0,0 +1,203 @@
+import logger from '../utils/logger.js';
+
+// Why a path was filtered out: reason → log message
+export const FILTER_REASONS = {
+  objectType: 'object type not in list',
+  minConfidence: 'confidence too low',
+  minAge: 'age too low',
+  maxAge: 'age too high',
+  minDistance: 'distance too short',
+  includeRegions: 'outside include regions',
+  excludeRegion: 'in exclude region',
+  schedule: 'outside schedule',
+};
+
+/**
+ * The first camera filter a path fails
+ * @param {Object} pathData - Parsed path event data
+ * @param {Object} filters - Camera filter configuration
+ * @returns {{reason: string, details: Object}|null} - reason is a FILTER_REASONS key; null if the path passes
+ */
+export function filterPath(pathData, filters) {
+  // Use default values if filters not configured
+  const defaultObjectTypes = ['Human', 'Car', 'Truck', 'Bus', 'Bike', 'LicensePlate', 'Head', 'Bag', 'Vehicle', 'Animal', 'Undefined', 'Other'];
+  const objectTypes = filters?.objectTypes || defaultObjectTypes;
+  const minAge = filters?.minAge !== undefined ? filters.minAge : 2;
+  const classDistance = filters?.classMinDistance?.find((entry) => entry.class === pathData.class);
+  const minDistance = classDistance?.minDistance ?? (filters?.minDistance !== undefined ? filters.minDistance : 20);
+
+  // Filter by object type
+  if (objectTypes.length > 0 && !objectTypes.includes(pathData.class)) {
+    return { reason: 'objectType', details: { class: pathData.class, allowedTypes: objectTypes } };
+  }
+
+  if (pathData.confidence !== undefined && pathData.confidence < (filters?.minConfidence || 0)) {
+    return { reason: 'minConfidence', details: { confidence: pathData.confidence, minConfidence: filters.minConfidence } };
+  }
+
+  // Filter by minimum age (using original 'age' property)
+  if (pathData.age < minAge) {
+    return { reason: 'minAge', details: { age: pathData.age, minAge } };
+  }
+
+  if (filters?.maxAge != null && pathData.age > filters.maxAge) {
+    return { reason: 'maxAge', details: { age: pathData.age, maxAge: filters.maxAge } };
+  }
+
+  // Filter by minimum distance (as percentage of diagonal)
+  // Calculate total displacement as percentage
+  // Diagonal of 1000x1000 coordinate system = sqrt(1000^2 + 1000^2) = 1414.21
+  const displacement = Math.sqrt(pathData.dx * pathData.dx + pathData.dy * pathData.dy);
+  const displacementPercent = (displacement / 1414.21) * 100;
+
+  if (displacementPercent < minDistance) {
+    return {
+      reason: 'minDistance',
+      details: {
+        displacement: displacement.toFixed(2),
+        displacementPercent: displacementPercent.toFixed(2),
+        minDistance,
+        dx: pathData.dx,
+        dy: pathData.dy,
+      },
+    };
+  }
+
+  const regions = filters?.regions || [];
+  const includes = regions.filter((region) => region.mode === 'include');
+  if (includes.length > 0 && !includes.some((region) => pathInRegion(pathData, region))) {
+    return { reason: 'includeRegions', details: {} };
+  }
+  const excluded = regions.find((region) => region.mode !== 'include' && pathInRegion(pathData, region));
+  if (excluded) {
+    return { reason: 'excludeRegion', details: { region: excluded.name } };
+  }
+
+  if (filters?.schedule?.enabled && !inSchedule(filters.schedule, pathTime(pathData))) {
+    return {
+      reason: 'schedule',
+      details: {
+        timestamp: pathData.timestamp,
+        schedule: `${filters.schedule.start}-${filters.schedule.end} ${filters.schedule.timezone || 'UTC'}`,
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check if a path should be saved based on camera filters
+ * @param {Object} pathData - Parsed path event data
+ * @param {Object} filters - Camera filter configuration
+ * @returns {boolean} - True if path should be saved
+ */
+export function shouldSavePath(pathData, filters) {
+  const rejection = filterPath(pathData, filters);
+  if (rejection) {
+    logger.debug(`Path filtered: ${FILTER_REASONS[rejection.reason]}`, {
+      ...rejection.details,
+      trackingId: pathData.id,
+    });
+    return false;
+  }
+  return true;
+}
+
+// Ray casting point-in-polygon test
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.y > point.y !== b.y > point.y && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// The path points a region is tested against (birth, end or all of them)
+function regionTestPoints(pathData, evaluate) {
+  const points = pathData.path || [];
+  if (evaluate === 'birth') {
+    const birth = typeof pathData.bx === 'number' ? { x: pathData.bx, y: pathData.by } : points[0];
+    return birth ? [birth] : [];
+  }
+  if (evaluate === 'end') {
+    return points.length > 0 ? [points[points.length - 1]] : [];
+  }
+  return points;
+}
+
+function pathInRegion(pathData, region) {
+  if (!region.points || region.points.length < 3) return false;
+  return regionTestPoints(pathData, region.evaluate || 'any').some((point) => pointInPolygon(point, region.points));
+}
+
+// Birth time of a path (timestamp is epoch ms, see path-data-structure.md)
+function pathTime(pathData) {
+  return new Date(pathData.timestamp);
+}
+
+/**
+ * Minutes since midnight of an 'HH:MM' time
+ * @param {string} hhmm
+ * @returns {number}
+ */
+export function minutesOfDay(hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether a name is an IANA time zone (e.g. Europe/Stockholm) known to this Node.js build
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// time zone → Intl.DateTimeFormat giving the hour and minute there
+const clockFormats = new Map();
+
+/**
+ * Minutes since midnight of a point in time, on the clock of a time zone
+ * @param {Date} date
+ * @param {string} timeZone - IANA time zone
+ * @returns {number}
+ */
+export function minutesInZone(date, timeZone) {
+  if (!clockFormats.has(timeZone)) {
+    clockFormats.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    );
+  }
+  const parts = Object.fromEntries(clockFormats.get(timeZone).formatToParts(date).map((part) => [part.type, part.value]));
+  return Number(parts.hour) * 60 + Number(parts.minute);
+}
+
+function inSchedule(schedule, date) {
+  if (Number.isNaN(date.getTime())) return false;
+  const start = minutesOfDay(schedule.start);
+  const end = minutesOfDay(schedule.end);
+  if (start === end) return true;
+  const at = minutesInZone(date, schedule.timezone || 'UTC');
+  return start < end ? at >= start && at < end : at >= start || at < end;
+}
+
+export default {
+  FILTER_REASONS,
+  filterPath,
+  shouldSavePath,
+  minutesOfDay,
+  minutesInZone,
+  isTimeZone,
+};
@@ -1,4 +1,5 @@
 import logger from '../utils/logger.js';
+import { matchTopic } from './topics.js';
 
 /**
  * Parses a DataQ MQTT message payload
@@ -43,22 +44,14 @@ export function isPathDataMessage(data) {
 }
 
 /**
- * Extracts the camera serial number from an MQTT topic
- * Example: dataq/B8A44FF11A35/path -> B8A44FF11A35
+ * Extracts the camera serial number from an MQTT topic using the configured topic templates
+ * Example: dataq/path/B8A44FF11A35 -> B8A44FF11A35
  *
  * @param {string} topic - MQTT topic
  * @returns {string|null} - Extracted serial number or null
  */
 export function extractSerialNumberFromTopic(topic) {
-  if (!topic) return null;
-
-  // Expected format: dataq/<serialNumber>/<dataType>
-  const parts = topic.split('/');
-  if (parts.length >= 2) {
-    return parts[1].toUpperCase();
-  }
-
-  return null;
+  return matchTopic(topic)?.serial || null;
 }
 
 export default {
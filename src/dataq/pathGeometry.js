@@ -0,0 +1,47 @@
+/**
+ * GeoJSON geometry of Geospace-calibrated paths
+ *
+ * Path points carry lat/lon when Geospace calibration is enabled on the camera.
+ * Stored on the PathEvent as `geo` ({ line, start, end }, 2dsphere-indexed) so paths
+ * of several cameras can be queried on one map. Coordinates are [lon, lat] (WGS84).
+ */
+
+function isValidPosition(point) {
+  return (
+    Number.isFinite(point?.lat) &&
+    Number.isFinite(point?.lon) &&
+    point.lat >= -90 &&
+    point.lat <= 90 &&
+    point.lon >= -180 &&
+    point.lon <= 180
+  );
+}
+
+/**
+ * Build the geometry of a path from its lat/lon points
+ * Points without coordinates are skipped. Paths that never moved get no line.
+ * @param {Object} pathData - Path message
+ * @returns {Object|null} - { line?: LineString, start: Point, end: Point }, null without coordinates
+ */
+export function derivePathGeometry(pathData) {
+  const positions = (Array.isArray(pathData.path) ? pathData.path : [])
+    .filter(isValidPosition)
+    .map((point) => [point.lon, point.lat]);
+  if (positions.length === 0) return null;
+
+  // 2dsphere rejects lines whose consecutive vertices repeat
+  const vertices = positions.filter(
+    (position, index) => index === 0 || position[0] !== positions[index - 1][0] || position[1] !== positions[index - 1][1]
+  );
+
+  const geo = {
+    start: { type: 'Point', coordinates: positions[0] },
+    end: { type: 'Point', coordinates: positions[positions.length - 1] },
+  };
+  if (vertices.length >= 2) geo.line = { type: 'LineString', coordinates: vertices };
+  return geo;
+}
+
+export default {
+  derivePathGeometry,
+};
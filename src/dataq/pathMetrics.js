@@ -0,0 +1,123 @@
+/**
+ * Derived path metrics
+ *
+ * Computed from a path message at ingest and stored on the PathEvent as `derived`,
+ * so clients can query and index them instead of recomputing them from `path`.
+ * Distances are in view units (the 0-1000 coordinate space), times in seconds.
+ */
+
+// Bump when the metrics or the stored geometry (pathGeometry.js) change; the backfill
+// recomputes documents of older versions. 2: added `geo`.
+export const PATH_METRICS_VERSION = 2;
+
+// Compass sectors of 45°, clockwise from up (negative y)
+export const HEADING_SECTORS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// A birth or last point this close to the frame border counts as entering/leaving there
+export const EDGE_MARGIN = 100;
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Degrees clockwise from up, 0-360; null without movement
+function bearing(dx, dy) {
+  if (dx === 0 && dy === 0) return null;
+  return (Math.atan2(dx, -dy) * (180 / Math.PI) + 360) % 360;
+}
+
+function sector(degrees) {
+  return HEADING_SECTORS[Math.round(degrees / 45) % 8];
+}
+
+/**
+ * Frame edge nearest to a point
+ * @param {number} x
+ * @param {number} y
+ * @returns {string|null} - top | bottom | left | right, inside when farther than EDGE_MARGIN from all edges
+ */
+function frameEdge(x, y) {
+  if (x == null || y == null) return null;
+  const distances = { top: y, bottom: 1000 - y, left: x, right: 1000 - x };
+  const [edge, distance] = Object.entries(distances).reduce((nearest, entry) => (entry[1] < nearest[1] ? entry : nearest));
+  return distance <= EDGE_MARGIN ? edge : 'inside';
+}
+
+function inRect(point, rect) {
+  return point.x >= rect.x1 && point.x <= rect.x2 && point.y >= rect.y1 && point.y <= rect.y2;
+}
+
+/**
+ * Compute the derived metrics of a path
+ * @param {Object} pathData - Path message (bx/by, path with x/y and optional t)
+ * @param {Array<Object>} [zones=[]] - Named zones of the camera: { counterSet, label, name, rect: { x1, y1, x2, y2 } }
+ * @returns {Object} - {
+ *   version, points, length, duration, speed, bearing, heading, headings,
+ *   entryEdge, exitEdge, bbox, zones: [{ counterSet, label, name }]
+ * }
+ */
+export function derivePathMetrics(pathData, zones = []) {
+  const points = (Array.isArray(pathData.path) ? pathData.path : []).filter(
+    (point) => Number.isFinite(point?.x) && Number.isFinite(point?.y)
+  );
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  // Path length and how much of it went in each direction
+  let length = 0;
+  const sectorLengths = Object.fromEntries(HEADING_SECTORS.map((name) => [name, 0]));
+  for (let i = 1; i < points.length; i++) {
+    const dx = points[i].x - points[i - 1].x;
+    const dy = points[i].y - points[i - 1].y;
+    const segment = Math.hypot(dx, dy);
+    if (segment === 0) continue;
+    length += segment;
+    sectorLengths[sector(bearing(dx, dy))] += segment;
+  }
+  const headings = Object.fromEntries(
+    Object.entries(sectorLengths).map(([name, value]) => [name, length > 0 ? round(value / length, 3) : 0])
+  );
+  const heading = length > 0 ? HEADING_SECTORS.reduce((best, name) => (sectorLengths[name] > sectorLengths[best] ? name : best)) : null;
+
+  const times = points.map((point) => point.t).filter(Number.isFinite);
+  const duration = times.length >= 2 ? round(Math.max(times[times.length - 1] - times[0], 0), 2) : null;
+
+  const overall = first && last ? bearing(last.x - first.x, last.y - first.y) : null;
+
+  // Zones visited, in the order they were first entered
+  const visited = [];
+  for (const point of points) {
+    for (const zone of zones) {
+      if (!inRect(point, zone.rect)) continue;
+      if (visited.some((v) => String(v.counterSet) === String(zone.counterSet) && v.label === zone.label)) continue;
+      visited.push({ counterSet: zone.counterSet, label: zone.label, name: zone.name || zone.label });
+    }
+  }
+
+  return {
+    version: PATH_METRICS_VERSION,
+    points: points.length,
+    length: round(length, 1),
+    duration,
+    speed: duration > 0 ? round(length / duration, 2) : null,
+    bearing: overall == null ? null : round(overall, 1),
+    heading,
+    headings,
+    entryEdge: frameEdge(pathData.bx ?? first?.x, pathData.by ?? first?.y),
+    exitEdge: frameEdge(last?.x, last?.y),
+    bbox: first
+      ? {
+          x1: Math.min(...points.map((point) => point.x)),
+          y1: Math.min(...points.map((point) => point.y)),
+          x2: Math.max(...points.map((point) => point.x)),
+          y2: Math.max(...points.map((point) => point.y)),
+        }
+      : null,
+    zones: visited,
+  };
+}
+
+export default {
+  PATH_METRICS_VERSION,
+  HEADING_SECTORS,
+  EDGE_MARGIN,
+  derivePathMetrics,
+};
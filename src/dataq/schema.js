@@ -0,0 +1,187 @@
+import { matchTopic } from './topics.js';
+
+/**
+ * Schemas for DataQ MQTT payloads
+ * Based on path-data-structure.md and the connect/status/image messages the ACAP
+ * publishes. Unknown properties are allowed so new DataQ fields are still stored;
+ * only the properties the backend relies on are checked.
+ *
+ * Bump a schema's `version` whenever its rules change. Dead letters record the
+ * version that rejected them, and replays are validated against the current one.
+ */
+
+const PATH_POINT = {
+  type: 'object',
+  properties: {
+    x: { type: 'number', required: true, min: 0, max: 1000 },
+    y: { type: 'number', required: true, min: 0, max: 1000 },
+    d: { type: 'number', min: 0 },
+    t: { type: 'number' },
+    lat: { type: 'number', min: -90, max: 90 },
+    lon: { type: 'number', min: -180, max: 180 },
+  },
+};
+
+export const MESSAGE_SCHEMAS = {
+  path: {
+    version: 1,
+    type: 'object',
+    properties: {
+      class: { type: 'string', required: true },
+      id: { type: ['string', 'number'], required: true },
+      timestamp: { type: 'number', required: true, min: 0 },
+      path: { type: 'array', required: true, minItems: 1, items: PATH_POINT },
+      serial: { type: 'string' },
+      device: { type: 'string' },
+      confidence: { type: 'number', min: 0, max: 100 },
+      age: { type: 'number', min: 0 },
+      distance: { type: 'number', min: 0 },
+      directions: { type: 'number', min: 0 },
+      color: { type: 'string' },
+      color2: { type: 'string' },
+      dx: { type: 'number' },
+      dy: { type: 'number' },
+      bx: { type: 'number' },
+      by: { type: 'number' },
+      dwell: { type: 'number', min: 0 },
+      maxSpeed: { type: 'number', min: 0 },
+      maxIdle: { type: 'number', min: 0 },
+      face: { type: 'boolean' },
+      hat: { type: 'string' },
+      anomaly: { type: 'string' },
+      stitched: { type: 'boolean' },
+      name: { type: 'string' },
+      location: { type: 'string' },
+    },
+    // serial is added by the MQTT publish layer; older firmware used device
+    check: (data) => (data.serial || data.device ? [] : ['serial is required']),
+  },
+  connect: {
+    version: 1,
+    type: 'object',
+    properties: {
+      connected: { type: 'boolean', required: true },
+      name: { type: 'string' },
+      location: { type: 'string' },
+      model: { type: 'string' },
+      address: { type: 'string' },
+      firmware: { type: 'string' },
+      labels: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  status: {
+    version: 1,
+    type: 'object',
+    properties: {
+      Network_Kbps: { type: 'number', min: 0 },
+      CPU_average: { type: 'number', min: 0 },
+      Uptime_Hours: { type: 'number', min: 0 },
+    },
+  },
+  image: {
+    version: 1,
+    type: 'object',
+    properties: {
+      image: { type: 'string', required: true, minLength: 1 },
+      timestamp: { type: 'number', min: 0 },
+      rotation: { type: 'number' },
+      aspect: { type: 'string' },
+    },
+  },
+};
+
+export const MESSAGE_KINDS = Object.keys(MESSAGE_SCHEMAS);
+
+/**
+ * Determine the message kind from its MQTT topic (see dataq/topics.js)
+ * Anything that is not a connect/status/image topic is treated as path data
+ * (cameras may publish paths on a custom mqttTopic).
+ * @param {string} topic - MQTT topic
+ * @returns {string} - path | connect | status | image
+ */
+export function getMessageKind(topic) {
+  return matchTopic(topic)?.kind || 'path';
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema node, collecting error messages
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} name - Property path for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkValue(value, schema, name, errors) {
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  if (!types.includes(actual)) {
+    errors.push(`${name || 'payload'} must be ${types.join(' or ')} (got ${actual})`);
+    return;
+  }
+
+  if (actual === 'number') {
+    if (schema.min !== undefined && value < schema.min) errors.push(`${name} must be >= ${schema.min}`);
+    if (schema.max !== undefined && value > schema.max) errors.push(`${name} must be <= ${schema.max}`);
+  }
+  if (actual === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${name} must not be empty`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${name} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkValue(item, schema.items, `${name}[${index}]`, errors));
+    }
+  }
+  if (actual === 'object' && schema.properties) {
+    for (const [key, property] of Object.entries(schema.properties)) {
+      if (value[key] === undefined) {
+        if (property.required) errors.push(`${name ? `${name}.` : ''}${key} is required`);
+        continue;
+      }
+      checkValue(value[key], property, name ? `${name}.${key}` : key, errors);
+    }
+  }
+}
+
+// Path arrays can hold hundreds of points; don't report every bad one
+const MAX_ERRORS = 20;
+
+/**
+ * Validate a parsed DataQ message against its schema
+ * @param {string} kind - path | connect | status | image
+ * @param {*} data - Parsed JSON payload
+ * @returns {{ valid: boolean, errors: Array<string>, version: number }}
+ */
+export function validateMessage(kind, data) {
+  const schema = MESSAGE_SCHEMAS[kind];
+  if (!schema) {
+    return { valid: false, errors: [`Unknown message kind ${kind}`], version: 0 };
+  }
+
+  const errors = [];
+  checkValue(data, schema, '', errors);
+  if (errors.length === 0 && schema.check) errors.push(...schema.check(data));
+
+  return {
+    valid: errors.length === 0,
+    errors: errors.length > MAX_ERRORS
+      ? [...errors.slice(0, MAX_ERRORS), `... ${errors.length - MAX_ERRORS} more`]
+      : errors,
+    version: schema.version,
+  };
+}
+
+export default {
+  MESSAGE_SCHEMAS,
+  MESSAGE_KINDS,
+  getMessageKind,
+  validateMessage,
+};
@@ -0,0 +1,389 @@
+import crypto from 'crypto';
+
+/**
+ * DataQ traffic simulation
+ *
+ * Generates the messages a DataQ camera publishes (connect, status, image and path)
+ * for virtual cameras, following path-data-structure.md. Paths come from a scenario:
+ * a list of weighted flows, each producing objects of its classes at its speeds.
+ *
+ *   lane   - objects follow a route (points, in [0,1000] view space) within a band of
+ *            width view units; bidirectional lanes are also travelled end to start.
+ *            Crossing flows are lanes whose routes intersect.
+ *   loiter - objects wander between random points in area [x1, y1, x2, y2], pausing
+ *            on the way, for duration seconds.
+ *
+ * Speeds are view units per second. Either flow type may pause objects on the way
+ * (pause: { chance, seconds: [min, max] }), e.g. vehicles waiting at a crossing.
+ */
+
+// Positions are sampled when an object has moved 5% of the view
+const SAMPLE_DISTANCE = 50;
+const STEP_SECONDS = 0.1;
+const MIN_PATH_POINTS = 3;
+// A turn of more than this (degrees) between samples counts as a direction change
+const DIRECTION_CHANGE_DEGREES = 60;
+
+export const FLOW_TYPES = ['lane', 'loiter'];
+
+export const DEFAULT_SCENARIO = {
+  flows: [
+    {
+      name: 'Eastbound',
+      type: 'lane',
+      classes: { Car: 8, Truck: 1, Bus: 1 },
+      points: [[0, 560], [1000, 560]],
+      width: 60,
+      speed: [120, 260],
+      pause: { chance: 0.1, seconds: [2, 10] },
+      weight: 3,
+    },
+    {
+      name: 'Westbound',
+      type: 'lane',
+      classes: { Car: 8, Truck: 1, Bus: 1 },
+      points: [[1000, 440], [0, 440]],
+      width: 60,
+      speed: [120, 260],
+      pause: { chance: 0.1, seconds: [2, 10] },
+      weight: 3,
+    },
+    {
+      name: 'Crosswalk',
+      type: 'lane',
+      classes: { Human: 9, Bike: 1 },
+      points: [[500, 280], [500, 720]],
+      width: 80,
+      speed: [25, 50],
+      bidirectional: true,
+      weight: 2,
+    },
+    {
+      name: 'Plaza',
+      type: 'loiter',
+      classes: { Human: 1 },
+      area: [100, 100, 300, 300],
+      duration: [30, 180],
+      speed: [15, 40],
+      pause: { chance: 0.5, seconds: [2, 20] },
+      weight: 1,
+    },
+  ],
+};
+
+const VEHICLE_CLASSES = ['Car', 'Truck', 'Bus', 'Vehicle'];
+const VEHICLE_COLORS = ['White', 'Black', 'Gray', 'Silver', 'Red', 'Blue'];
+const CLOTHING_COLORS = ['Black', 'Blue', 'Gray', 'White', 'Red', 'Green', 'Beige'];
+const HATS = ['Cap', 'Helmet', 'Beanie'];
+
+// 320x176 grayscale JPEG of the default scenario's scene (road, crosswalk, plaza)
+const SNAPSHOT = '/9j/4AAQSkZJRgABAQAAAQABAAD/2wBDAAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAj/wAALCACwAUABAREA/8QAHwAAAQUBAQEBAQEAAAAAAAAAAAECAwQFBgcICQoL/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQAAPwDIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD0YAAAPOQAAAAAAAAAAAAAAA9GAAADzkAAAAAAAAAAAAAAAPRgAAA85AAAAAAAAAAAAAAAD0YAAAPOQAAAAAAAAAAAAAAA9GAAADzkAAAAAAAAAAAAAOtAAAAAAAAAAAAAAAAAAADy8AAAAAAAAPpEAPm4AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPpEAPm4AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAPpEAPm4AAAAAAAAAAAAAAAAAAAAAAAAAAAAPUAAAAAAAAAAAAAAAAAAAA5IAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAP/2Q==';
+
+function isPoint(value) {
+  return Array.isArray(value) && value.length === 2
+    && value.every((n) => typeof n === 'number' && n >= 0 && n <= 1000);
+}
+
+function isRange(value, min = 0) {
+  return Array.isArray(value) && value.length === 2
+    && value.every((n) => typeof n === 'number' && Number.isFinite(n) && n > min - 1e-9)
+    && value[0] <= value[1];
+}
+
+/**
+ * Check a scenario before it is used
+ * @param {Object} scenario - { flows: [...] }
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+export function validateScenario(scenario) {
+  if (!Array.isArray(scenario?.flows) || scenario.flows.length === 0) {
+    return ['scenario.flows must be a non-empty array'];
+  }
+
+  const errors = [];
+  scenario.flows.forEach((flow, index) => {
+    const name = `flows[${index}]`;
+    if (!FLOW_TYPES.includes(flow?.type)) {
+      errors.push(`${name}.type must be one of: ${FLOW_TYPES.join(', ')}`);
+      return;
+    }
+    const weights = Object.values(flow.classes || {});
+    if (weights.length === 0 || !weights.every((w) => typeof w === 'number' && w > 0)) {
+      errors.push(`${name}.classes must map class names to positive weights`);
+    }
+    if (flow.weight !== undefined && !(typeof flow.weight === 'number' && flow.weight > 0)) {
+      errors.push(`${name}.weight must be a positive number`);
+    }
+    if (!isRange(flow.speed) || flow.speed[0] <= 0) {
+      errors.push(`${name}.speed must be [min, max] view units per second (> 0)`);
+    }
+    if (flow.pause !== undefined && !(
+      typeof flow.pause?.chance === 'number' && flow.pause.chance >= 0 && flow.pause.chance <= 1
+      && isRange(flow.pause.seconds)
+    )) {
+      errors.push(`${name}.pause must be { chance: 0-1, seconds: [min, max] }`);
+    }
+
+    if (flow.type === 'lane') {
+      if (!Array.isArray(flow.points) || flow.points.length < 2 || !flow.points.every(isPoint)) {
+        errors.push(`${name}.points must be at least two [x, y] points in 0-1000`);
+      }
+      if (flow.width !== undefined && !(typeof flow.width === 'number' && flow.width >= 0)) {
+        errors.push(`${name}.width must be a number >= 0`);
+      }
+    } else {
+      const area = flow.area;
+      if (!(Array.isArray(area) && area.length === 4 && isPoint(area.slice(0, 2)) && isPoint(area.slice(2))
+        && area[0] < area[2] && area[1] < area[3])) {
+        errors.push(`${name}.area must be [x1, y1, x2, y2] in 0-1000 with x1 < x2 and y1 < y2`);
+      }
+      if (!isRange(flow.duration) || flow.duration[0] <= 0) {
+        errors.push(`${name}.duration must be [min, max] seconds (> 0)`);
+      }
+    }
+  });
+  return errors;
+}
+
+const random = (min, max) => min + Math.random() * (max - min);
+const pick = (values) => values[Math.floor(Math.random() * values.length)];
+const clamp = (value) => Math.min(1000, Math.max(0, value));
+const round = (value, decimals = 0) => Number(value.toFixed(decimals));
+
+function pickWeighted(weights) {
+  const entries = Object.entries(weights);
+  let r = Math.random() * entries.reduce((sum, [, w]) => sum + w, 0);
+  for (const [key, weight] of entries) {
+    r -= weight;
+    if (r < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
+
+function pauseSeconds(flow) {
+  return flow.pause && Math.random() < flow.pause.chance ? random(...flow.pause.seconds) : 0;
+}
+
+// Legs { to: [x, y], speed, pause } for an object on a lane, starting at the route's start
+function laneLegs(flow) {
+  const route = flow.bidirectional && Math.random() < 0.5 ? [...flow.points].reverse() : flow.points;
+  const half = (flow.width ?? 0) / 2;
+  const offset = [random(-half, half), random(-half, half)];
+  const speed = random(...flow.speed);
+  const jitter = () => random(-SAMPLE_DISTANCE / 10, SAMPLE_DISTANCE / 10);
+  const points = route.map(([x, y]) => [clamp(x + offset[0] + jitter()), clamp(y + offset[1] + jitter())]);
+
+  // An optional pause somewhere along the route, placed on an extra waypoint
+  const pause = pauseSeconds(flow);
+  const pauseLeg = pause > 0 ? Math.floor(Math.random() * (points.length - 1)) : -1;
+  if (pause > 0) {
+    const f = random(0.2, 0.8);
+    const [a, b] = [points[pauseLeg], points[pauseLeg + 1]];
+    points.splice(pauseLeg + 1, 0, [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f]);
+  }
+
+  return {
+    start: points[0],
+    legs: points.slice(1).map((to, index) => ({
+      to,
+      speed: speed * random(0.9, 1.1),
+      pause: index === pauseLeg ? pause : 0,
+    })),
+  };
+}
+
+// Legs for an object wandering inside an area
+function loiterLegs(flow) {
+  const [x1, y1, x2, y2] = flow.area;
+  const point = () => [random(x1, x2), random(y1, y2)];
+  const duration = random(...flow.duration);
+  const speed = random(...flow.speed);
+
+  const start = point();
+  const legs = [];
+  let elapsed = 0;
+  let at = start;
+  while (elapsed < duration) {
+    const to = point();
+    const legSpeed = speed * random(0.7, 1.3);
+    const pause = pauseSeconds(flow);
+    legs.push({ to, speed: legSpeed, pause });
+    elapsed += Math.hypot(to[0] - at[0], to[1] - at[1]) / legSpeed + pause;
+    at = to;
+  }
+  return { start, legs };
+}
+
+// Move along the legs, sampling a position whenever the object moved SAMPLE_DISTANCE
+function walk({ start, legs }) {
+  const samples = [{ x: start[0], y: start[1], d: 0, t: 0 }];
+  let [x, y] = start;
+  let t = 0;
+  let travelled = 0;
+  let maxSpeed = 0;
+  let maxIdle = 0;
+
+  for (const leg of legs) {
+    const length = Math.hypot(leg.to[0] - x, leg.to[1] - y);
+    const steps = Math.max(1, Math.ceil(length / leg.speed / STEP_SECONDS));
+    const [sx, sy] = [(leg.to[0] - x) / steps, (leg.to[1] - y) / steps];
+    for (let i = 0; i < steps; i++) {
+      x += sx;
+      y += sy;
+      t += length / leg.speed / steps;
+      const last = samples[samples.length - 1];
+      if (Math.hypot(x - last.x, y - last.y) >= SAMPLE_DISTANCE) {
+        samples.push({ x, y, d: 0, t });
+      }
+    }
+    travelled += length;
+    maxSpeed = Math.max(maxSpeed, leg.speed);
+
+    if (leg.pause > 0) {
+      samples[samples.length - 1].d += leg.pause;
+      t += leg.pause;
+      maxIdle = Math.max(maxIdle, leg.pause);
+    }
+  }
+  return { samples, age: t, travelled, maxSpeed, maxIdle };
+}
+
+function countDirectionChanges(samples) {
+  let changes = 0;
+  let heading = null;
+  for (let i = 1; i < samples.length; i++) {
+    const next = Math.atan2(samples[i].y - samples[i - 1].y, samples[i].x - samples[i - 1].x);
+    if (heading !== null) {
+      const turn = Math.abs(((next - heading + 3 * Math.PI) % (2 * Math.PI)) - Math.PI);
+      if (turn > (DIRECTION_CHANGE_DEGREES * Math.PI) / 180) changes++;
+    }
+    heading = next;
+  }
+  return changes;
+}
+
+function classAttributes(objectClass) {
+  if (VEHICLE_CLASSES.includes(objectClass)) {
+    return { color: pick(VEHICLE_COLORS) };
+  }
+  if (objectClass === 'Human') {
+    const attributes = { color: pick(CLOTHING_COLORS), color2: pick(CLOTHING_COLORS), face: Math.random() < 0.4 };
+    if (Math.random() < 0.2) attributes.hat = pick(HATS);
+    return attributes;
+  }
+  return {};
+}
+
+/**
+ * Virtual cameras with generated serial numbers (prefix + zero-padded index, 12 characters)
+ * @param {number} count
+ * @param {string} [serialPrefix='SIM']
+ * @returns {Array<Object>} - { serial, name, location }
+ */
+export function createVirtualCameras(count, serialPrefix = 'SIM') {
+  return Array.from({ length: count }, (_, index) => ({
+    serial: `${serialPrefix}${String(index + 1).padStart(Math.max(1, 12 - serialPrefix.length), '0')}`,
+    name: `Simulated camera ${index + 1}`,
+    location: 'Simulator',
+  }));
+}
+
+/**
+ * Connect announcement (or the disconnect a camera's last will would publish)
+ * @param {Object} camera - Virtual camera
+ * @param {Object} scenario
+ * @param {boolean} [connected=true]
+ * @returns {Object}
+ */
+export function connectMessage(camera, scenario, connected = true) {
+  if (!connected) return { connected: false };
+  const labels = new Set(scenario.flows.flatMap((flow) => Object.keys(flow.classes)));
+  return {
+    connected: true,
+    name: camera.name,
+    location: camera.location,
+    model: 'DataQ Simulator',
+    address: '127.0.0.1',
+    firmware: 'simulated',
+    labels: [...labels],
+  };
+}
+
+/**
+ * Status heartbeat
+ * @param {Date|number} startedAt - When the virtual camera came up
+ * @returns {Object}
+ */
+export function statusMessage(startedAt) {
+  return {
+    Network_Kbps: round(random(50, 400), 1),
+    CPU_average: round(random(10, 60), 1),
+    Uptime_Hours: round((Date.now() - new Date(startedAt).getTime()) / 3600000, 2),
+  };
+}
+
+/**
+ * Snapshot message with a placeholder image of the default scenario's scene
+ * @returns {Object}
+ */
+export function imageMessage() {
+  return { image: SNAPSHOT, timestamp: Date.now(), rotation: 0, aspect: '16:9' };
+}
+
+/**
+ * Generate one finished path for a camera, ending now
+ * @param {Object} camera - Virtual camera
+ * @param {Object} scenario - Validated scenario
+ * @param {number} [endAt=Date.now()] - Epoch ms at which the object left the scene
+ * @returns {Object} - Path message as published by DataQ
+ */
+export function generatePath(camera, scenario, endAt = Date.now()) {
+  const weights = Object.fromEntries(scenario.flows.map((flow, index) => [index, flow.weight ?? 1]));
+
+  // Like the camera, never publish paths with fewer than three samples
+  let flow;
+  let track;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    flow = scenario.flows[pickWeighted(weights)];
+    track = walk(flow.type === 'loiter' ? loiterLegs(flow) : laneLegs(flow));
+    if (track.samples.length >= MIN_PATH_POINTS) break;
+  }
+
+  const birth = endAt / 1000 - track.age;
+  const path = track.samples.map((s) => ({ x: round(s.x), y: round(s.y), d: round(s.d, 2), t: round(birth + s.t, 3) }));
+  const [first, last] = [path[0], path[path.length - 1]];
+  const objectClass = pickWeighted(flow.classes);
+
+  return {
+    class: objectClass,
+    confidence: Math.round(random(55, 98)),
+    age: round(track.age, 2),
+    distance: round(track.travelled / 10, 1),
+    directions: countDirectionChanges(track.samples),
+    ...classAttributes(objectClass),
+    dx: last.x - first.x,
+    dy: last.y - first.y,
+    bx: first.x,
+    by: first.y,
+    timestamp: Math.round(birth * 1000),
+    dwell: Math.max(...path.map((p) => p.d)),
+    maxSpeed: round(track.maxSpeed / 10, 1),
+    maxIdle: round(track.maxIdle, 2),
+    id: crypto.randomBytes(6).toString('hex'),
+    path,
+    name: camera.name,
+    location: camera.location,
+    serial: camera.serial,
+  };
+}
+
+export default {
+  FLOW_TYPES,
+  DEFAULT_SCENARIO,
+  validateScenario,
+  createVirtualCameras,
+  connectMessage,
+  statusMessage,
+  imageMessage,
+  generatePath,
+};
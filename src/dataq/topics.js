@@ -0,0 +1,176 @@
+/**
+ * DataQ MQTT topic layout
+ *
+ * Each message kind has a topic template with a {serial} placeholder filling one
+ * whole topic level, and optionally a {prefix} placeholder for MqttConfig.topicPrefix
+ * (so "siteA/dataq/#" turns "{prefix}/path/{serial}" into "siteA/dataq/path/{serial}").
+ * Templates drive both subscriptions and routing of incoming messages. Every broker
+ * connection resolves its own (see mqtt/client.js); the active templates set with
+ * setTopicTemplates are the default broker's and apply when no templates are passed.
+ */
+
+export const TOPIC_KINDS = ['path', 'connect', 'status', 'image'];
+
+export const DEFAULT_TOPIC_PREFIX = 'dataq/#';
+
+export const DEFAULT_TOPIC_TEMPLATES = {
+  path: '{prefix}/path/{serial}',
+  connect: '{prefix}/connect/{serial}',
+  status: '{prefix}/status/{serial}',
+  image: '{prefix}/image/{serial}',
+};
+
+// Older firmware published snapshots on image/{SERIAL}; still routed, never subscribed
+const LEGACY_TEMPLATES = [{ kind: 'image', template: 'image/{serial}' }];
+
+// Path last: a camera's custom mqttTopic may not match any template and is routed as path
+const MATCH_ORDER = ['connect', 'status', 'image', 'path'];
+
+/**
+ * Reduce a topic prefix to its literal levels ("dataq/#" → "dataq")
+ * @param {string} prefix
+ * @returns {string}
+ */
+export function normalizeTopicPrefix(prefix) {
+  return String(prefix ?? '')
+    .trim()
+    .replace(/(^|\/)#$/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Substitute the prefix into a set of templates, falling back to the defaults
+ * @param {Object} [config] - { topicPrefix, topicTemplates }
+ * @returns {Object} - kind → template containing only {serial}
+ */
+export function resolveTopicTemplates({ topicPrefix, topicTemplates } = {}) {
+  const prefix = normalizeTopicPrefix(topicPrefix ?? DEFAULT_TOPIC_PREFIX);
+  const resolved = {};
+  for (const kind of TOPIC_KINDS) {
+    const template = topicTemplates?.[kind] || DEFAULT_TOPIC_TEMPLATES[kind];
+    resolved[kind] = prefix
+      ? template.replaceAll('{prefix}', prefix)
+      : template.replace(/^\{prefix\}\//, '').replaceAll('{prefix}', '');
+  }
+  return resolved;
+}
+
+/**
+ * Check a topic prefix and templates before they are stored
+ * @param {Object} config - { topicPrefix, topicTemplates }
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+export function validateTopicTemplates(config) {
+  const errors = [];
+  const prefix = normalizeTopicPrefix(config.topicPrefix ?? DEFAULT_TOPIC_PREFIX);
+  if (/[+#{}]/.test(prefix)) {
+    errors.push('topicPrefix may only end in /# and cannot contain other wildcards or placeholders');
+  }
+
+  const resolved = resolveTopicTemplates(config);
+  for (const kind of TOPIC_KINDS) {
+    const levels = resolved[kind].split('/');
+    const occurrences = resolved[kind].split('{serial}').length - 1;
+    if (occurrences !== 1 || !levels.includes('{serial}')) {
+      errors.push(`${kind} topic template must contain {serial} exactly once, as a whole topic level`);
+    }
+    if (levels.some((level) => level === '' || /[+#]/.test(level))) {
+      errors.push(`${kind} topic template cannot contain wildcards or empty levels`);
+    }
+  }
+
+  if (new Set(Object.values(resolved)).size !== TOPIC_KINDS.length) {
+    errors.push('Each message type needs its own topic template');
+  }
+  return errors;
+}
+
+let activeTemplates = resolveTopicTemplates();
+
+/**
+ * Set the default broker's templates, used when a caller passes none
+ * @param {Object} config - { topicPrefix, topicTemplates } as stored in MqttConfig
+ */
+export function setTopicTemplates(config) {
+  activeTemplates = resolveTopicTemplates(config);
+}
+
+/**
+ * Get the default broker's templates
+ * @returns {Object} - kind → template containing only {serial}
+ */
+export function getTopicTemplates() {
+  return { ...activeTemplates };
+}
+
+/**
+ * Build the topic a device publishes a message kind on
+ * @param {string} kind - path | connect | status | image
+ * @param {string} serialNumber - Camera serial number
+ * @param {Object} [templates] - Resolved templates (defaults to the active ones)
+ * @returns {string}
+ */
+export function topicFor(kind, serialNumber, templates = activeTemplates) {
+  return templates[kind].replace('{serial}', String(serialNumber).toUpperCase());
+}
+
+/**
+ * Build the wildcard subscription covering all devices for a message kind
+ * @param {string} kind - path | connect | status | image
+ * @param {Object} [templates] - Resolved templates (defaults to the active ones)
+ * @returns {string} - e.g. siteA/dataq/status/+
+ */
+export function subscriptionFor(kind, templates = activeTemplates) {
+  return templates[kind].replace('{serial}', '+');
+}
+
+function matchTemplate(topic, template) {
+  const levels = topic.split('/');
+  const templateLevels = template.split('/');
+  if (levels.length !== templateLevels.length) return null;
+
+  let serial = null;
+  for (let i = 0; i < levels.length; i++) {
+    if (templateLevels[i] === '{serial}') {
+      if (!levels[i]) return null;
+      serial = levels[i];
+    } else if (templateLevels[i] !== levels[i]) {
+      return null;
+    }
+  }
+  return serial;
+}
+
+/**
+ * Work out the message kind and serial number of an incoming topic
+ * @param {string} topic - MQTT topic
+ * @param {Object} [templates] - Resolved templates (defaults to the active ones)
+ * @returns {{ kind: string, serial: string }|null} - null if no template matches
+ */
+export function matchTopic(topic, templates = activeTemplates) {
+  if (!topic) return null;
+
+  const candidates = [
+    ...MATCH_ORDER.map((kind) => ({ kind, template: templates[kind] })),
+    ...LEGACY_TEMPLATES,
+  ];
+  for (const { kind, template } of candidates) {
+    const serial = matchTemplate(topic, template);
+    if (serial) return { kind, serial: serial.toUpperCase() };
+  }
+  return null;
+}
+
+export default {
+  TOPIC_KINDS,
+  DEFAULT_TOPIC_PREFIX,
+  DEFAULT_TOPIC_TEMPLATES,
+  normalizeTopicPrefix,
+  resolveTopicTemplates,
+  validateTopicTemplates,
+  setTopicTemplates,
+  getTopicTemplates,
+  topicFor,
+  subscriptionFor,
+  matchTopic,
+};
@@ -7,12 +7,13 @@ let isConnected = false;
 /**
  * Connect to MongoDB
  * @param {string} customUri - Optional custom MongoDB URI
+ * @param {Object} [options] - Extra mongoose connect options (e.g. dbName)
  * @returns {Promise<typeof mongoose>}
  */
-export async function connectDB(customUri = null) {
+export async function connectDB(customUri = null, options = {}) {
   try {
     const uri = customUri || dbConfig.uri;
-    const conn = await mongoose.connect(uri, dbConfig.options);
+    const conn = await mongoose.connect(uri, { ...dbConfig.options, ...options });
     logger.info('MongoDB connected', { host: conn.connection.host });
     isConnected = true;
     return conn;
@@ -0,0 +1,197 @@
+import { spawn } from 'child_process';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+
+/**
+ * JPEG images in GridFS buckets
+ *
+ * Used for camera snapshots (latest and archived). Thumbnails are generated on first
+ * request with ffmpeg and cached in the same bucket as files with
+ * metadata { sourceId, width }; they are deleted together with their image.
+ */
+
+export const THUMBNAIL_WIDTHS = [160, 320, 640];
+const THUMBNAIL_TIMEOUT_MS = 10000;
+
+// `${bucketName}:${fileId}:${width}` → Promise of the thumbnail file being generated
+const thumbnailsInFlight = new Map();
+
+function getBucket(bucketName) {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+}
+
+/**
+ * The files collection of a bucket
+ * @param {string} bucketName
+ * @returns {Collection}
+ */
+export function filesCollection(bucketName) {
+  return mongoose.connection.db.collection(`${bucketName}.files`);
+}
+
+/**
+ * Create the thumbnail lookup index of a bucket; safe to call repeatedly
+ * @param {string} bucketName
+ * @returns {Promise<void>}
+ */
+export async function createImageIndexes(bucketName) {
+  await filesCollection(bucketName).createIndex({ 'metadata.sourceId': 1, 'metadata.width': 1 }, { sparse: true });
+}
+
+/**
+ * Decode a base64 image, with or without a data: URL prefix
+ * @param {string} base64Image
+ * @returns {Buffer}
+ */
+export function decodeBase64Image(base64Image) {
+  return Buffer.from(base64Image.replace(/^data:image\/[\w+.-]+;base64,/, ''), 'base64');
+}
+
+/**
+ * Store a JPEG image
+ * @param {string} bucketName
+ * @param {string} filename
+ * @param {Buffer} image
+ * @param {Object} metadata
+ * @returns {Promise<ObjectId>} - The file id
+ */
+export async function uploadImage(bucketName, filename, image, metadata) {
+  const upload = getBucket(bucketName).openUploadStream(filename, { contentType: 'image/jpeg', metadata });
+  await new Promise((resolve, reject) => {
+    upload.once('finish', resolve);
+    upload.once('error', reject);
+    upload.end(image);
+  });
+  return upload.id;
+}
+
+/**
+ * Delete an image and its thumbnails
+ * @param {string} bucketName
+ * @param {ObjectId} fileId
+ * @returns {Promise<void>}
+ */
+export async function deleteImage(bucketName, fileId) {
+  const bucket = getBucket(bucketName);
+  const files = await filesCollection(bucketName)
+    .find({ $or: [{ _id: fileId }, { 'metadata.sourceId': fileId }] })
+    .project({ _id: 1 })
+    .toArray();
+  for (const file of files) {
+    try {
+      await bucket.delete(file._id);
+    } catch (error) {
+      // Deleted concurrently (another instance, or a retention run)
+      if (!/not found/i.test(error.message)) throw error;
+    }
+  }
+}
+
+async function readImage(bucketName, fileId) {
+  const chunks = [];
+  for await (const chunk of getBucket(bucketName).openDownloadStream(fileId)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Read a stored image as base64
+ * @param {string} bucketName
+ * @param {ObjectId} fileId
+ * @returns {Promise<string>}
+ */
+export async function readImageBase64(bucketName, fileId) {
+  return (await readImage(bucketName, fileId)).toString('base64');
+}
+
+// Scale a JPEG to a width (keeping the aspect ratio) with ffmpeg
+function resizeJpeg(image, width) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', [
+      '-v', 'error',
+      '-f', 'image2pipe', '-i', 'pipe:0',
+      '-vf', `scale=${width}:-2`,
+      '-frames:v', '1',
+      '-q:v', '5',
+      '-f', 'mjpeg', 'pipe:1',
+    ]);
+    const output = [];
+    let stderr = '';
+    const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), THUMBNAIL_TIMEOUT_MS);
+
+    ffmpeg.stdout.on('data', (chunk) => output.push(chunk));
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+    // ffmpeg may exit before reading all input (invalid image); the exit code reports it
+    ffmpeg.stdin.on('error', () => {});
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    ffmpeg.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0 && output.length > 0) {
+        resolve(Buffer.concat(output));
+      } else {
+        reject(new Error(`ffmpeg exited with ${signal || `code ${code}`}: ${stderr.trim().slice(0, 200)}`));
+      }
+    });
+    ffmpeg.stdin.end(image);
+  });
+}
+
+async function getThumbnailFile(bucketName, file, width) {
+  const existing = await filesCollection(bucketName).findOne({ 'metadata.sourceId': file._id, 'metadata.width': width });
+  if (existing) return existing;
+
+  const key = `${bucketName}:${file._id}:${width}`;
+  if (!thumbnailsInFlight.has(key)) {
+    const generate = async () => {
+      const thumbnail = await resizeJpeg(await readImage(bucketName, file._id), width);
+      const id = await uploadImage(bucketName, `${file.filename}@${width}`, thumbnail, { sourceId: file._id, width });
+      logger.debug('Snapshot thumbnail created', { bucketName, fileId: file._id, width });
+      return filesCollection(bucketName).findOne({ _id: id });
+    };
+    thumbnailsInFlight.set(key, generate().finally(() => thumbnailsInFlight.delete(key)));
+  }
+  return thumbnailsInFlight.get(key);
+}
+
+/**
+ * Open a stored image, or a thumbnail of it, for sending
+ * @param {string} bucketName
+ * @param {ObjectId} fileId
+ * @param {Object} [options]
+ * @param {string|number} [options.width] - Thumbnail width, one of THUMBNAIL_WIDTHS
+ * @returns {Promise<Object|null>} - { etag, length, lastModified, stream() }, null if the image doesn't exist
+ * @throws {Error} 400 if the width is not a thumbnail width
+ */
+export async function openImage(bucketName, fileId, { width } = {}) {
+  const thumbnailWidth = width === undefined || width === '' ? null : Number(width);
+  if (thumbnailWidth !== null && !THUMBNAIL_WIDTHS.includes(thumbnailWidth)) {
+    throw Object.assign(new Error(`width must be one of ${THUMBNAIL_WIDTHS.join(', ')}`), { status: 400 });
+  }
+
+  const file = await filesCollection(bucketName).findOne({ _id: fileId });
+  if (!file) return null;
+  const target = thumbnailWidth ? await getThumbnailFile(bucketName, file, thumbnailWidth) : file;
+
+  return {
+    // Stored images never change (a new snapshot is a new file), so the id is a strong validator
+    etag: `"${file._id}${thumbnailWidth ? `-${thumbnailWidth}` : ''}"`,
+    length: target.length,
+    lastModified: file.metadata?.timestamp ?? file.uploadDate,
+    stream: () => getBucket(bucketName).openDownloadStream(target._id),
+  };
+}
+
+export default {
+  THUMBNAIL_WIDTHS,
+  filesCollection,
+  createImageIndexes,
+  decodeBase64Image,
+  uploadImage,
+  deleteImage,
+  readImageBase64,
+  openImage,
+};
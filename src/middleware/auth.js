@@ -172,6 +172,41 @@ export async function checkCameraAccess(req, res, next) {
   }
 }
 
+/**
+ * Middleware to resolve the cameras a user may read data from
+ * Sets req.cameraScope to null (no restriction) for admins and the env-based
+ * viewer, otherwise to the serial numbers of the user's authorizedCameras.
+ */
+export async function resolveCameraScope(req, res, next) {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+
+    // The env-based viewer has no user document to hold a camera list,
+    // so it keeps site-wide read access like the env-based admin
+    if (req.user.role === 'admin' || req.user.isEnvViewer) {
+      req.cameraScope = null;
+      return next();
+    }
+
+    const cameras = await Camera.find({ _id: { $in: req.user.authorizedCameras || [] } })
+      .select('serialNumber')
+      .lean();
+    req.cameraScope = cameras.map((c) => c.serialNumber);
+    next();
+  } catch (error) {
+    logger.error('Camera scope resolution failed', { error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to check camera access',
+    });
+  }
+}
+
 /**
  * Optional authentication middleware
  */
@@ -218,5 +253,6 @@ export default {
   requireAdmin,
   requireEditor,
   checkCameraAccess,
+  resolveCameraScope,
   optionalAuth,
 };
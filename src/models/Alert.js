@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * Alert model - a camera that went silent, raised and resolved by the watchdog
+ * One document per incident: "camera silent" is sent when it is created and
+ * "camera recovered" when resolvedAt is set.
+ */
+export const ALERT_CAUSES = [
+  'heartbeat', // no message at all within the expected interval
+  'paths', // no path events within the expected gap
+];
+
+const alertSchema = new mongoose.Schema(
+  {
+    serial: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    // Camera name when the alert was raised
+    name: {
+      type: String,
+      default: '',
+    },
+    cause: {
+      type: String,
+      enum: ALERT_CAUSES,
+      required: true,
+    },
+    // Last message (heartbeat) or path event (paths) before the camera went silent
+    lastActivityAt: {
+      type: Date,
+      default: null,
+    },
+    // Expected interval + grace that was exceeded
+    thresholdMinutes: {
+      type: Number,
+      required: true,
+    },
+    raisedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    // True until resolved; one active alert per camera and cause, even with several instances
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+alertSchema.index({ serial: 1, cause: 1 }, { unique: true, partialFilterExpression: { active: true } });
+alertSchema.index({ raisedAt: -1 });
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+export default Alert;
@@ -1,4 +1,40 @@
 import mongoose from 'mongoose';
+import { isTimeZone } from '../dataq/filters.js';
+
+// Point in the DataQ coordinate system [0,0]-[1000,1000]
+const filterPointSchema = new mongoose.Schema(
+  {
+    x: { type: Number, required: true, min: 0, max: 1000 },
+    y: { type: Number, required: true, min: 0, max: 1000 },
+  },
+  { _id: false }
+);
+
+const filterRegionSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: '', trim: true },
+    // include: paths must touch one of the include regions; exclude: paths touching it are dropped
+    mode: { type: String, enum: ['include', 'exclude'], default: 'exclude' },
+    // Which part of the path is tested: birth point, end point or any path point
+    evaluate: { type: String, enum: ['birth', 'end', 'any'], default: 'any' },
+    points: {
+      type: [filterPointSchema],
+      validate: {
+        validator: (points) => points.length >= 3,
+        message: 'A filter region needs at least 3 points',
+      },
+    },
+  },
+  { _id: false }
+);
+
+const classMinDistanceSchema = new mongoose.Schema(
+  {
+    class: { type: String, required: true },
+    minDistance: { type: Number, required: true, min: 0, max: 50 },
+  },
+  { _id: false }
+);
 
 const cameraSchema = new mongoose.Schema(
   {
@@ -71,21 +107,41 @@ const cameraSchema = new mongoose.Schema(
       type: String,
       default: '16:9',
     },
-    // MQTT topic for this camera's DataQ path messages (default: dataq/path/{SERIAL})
+    // MQTT topic for this camera's DataQ path messages (default: the path topic template, dataq/path/{SERIAL})
     mqttTopic: {
       type: String,
       required: true,
     },
-    // Latest snapshot data (base64 encoded JPEG)
-    latestSnapshot: {
+    // MqttConfig _id of the broker this camera publishes to (null = default broker)
+    brokerId: {
       type: String,
-      default: '',
+      default: null,
+    },
+    // Latest snapshot: JPEG in the cameraSnapshots GridFS bucket (see snapshotService)
+    latestSnapshotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
     },
     // Timestamp of latest snapshot
     latestSnapshotTimestamp: {
       type: Date,
       default: null,
     },
+    // Connectivity state of the last stored ConnectivityEvent and when it changed; updated
+    // atomically so each transition is stored once across replicas (see connectivityService)
+    connectivityState: {
+      type: Boolean,
+      default: null,
+    },
+    connectivityChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Time of the latest archived snapshot, claimed by the instance that archives it (see snapshotArchiveService)
+    snapshotArchivedAt: {
+      type: Date,
+      default: null,
+    },
     // Enabled/disabled status
     enabled: {
       type: Boolean,
@@ -123,6 +179,40 @@ const cameraSchema = new mongoose.Schema(
         type: Date,
         default: null,
       },
+      // Time of the latest path message (written in bulk by the ingest queue)
+      lastPathAt: {
+        type: Date,
+        default: null,
+      },
+      // Set by the watchdog while the camera is silent (see watchdogService)
+      silentSince: {
+        type: Date,
+        default: null,
+      },
+      // Time of the latest stored status sample, claimed by the instance that stores it
+      statusSampledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Watchdog overrides; null values use the system watchdog settings
+    watchdog: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Expected interval between messages (status heartbeats, paths) in minutes
+      heartbeatMinutes: {
+        type: Number,
+        min: 1,
+        default: null,
+      },
+      // Longest expected gap between path events in minutes (0 = don't check)
+      pathGapMinutes: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
     },
     // Detection filters - paths that don't meet these criteria will be ignored
     filters: {
@@ -146,6 +236,54 @@ const cameraSchema = new mongoose.Schema(
         max: 10,
         default: 2,
       },
+      // Maximum age in seconds (null = no limit), e.g. to drop parked cars
+      maxAge: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
+      // Minimum detection confidence (0-100)
+      minConfidence: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0,
+      },
+      // minDistance overrides per object class
+      classMinDistance: {
+        type: [classMinDistanceSchema],
+        default: [],
+      },
+      // Include/exclude polygons (see dataq/filters.js)
+      regions: {
+        type: [filterRegionSchema],
+        default: [],
+      },
+      // Only keep paths born within this time of day in `timezone` (may span midnight)
+      schedule: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        start: {
+          type: String,
+          default: '06:00',
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        },
+        end: {
+          type: String,
+          default: '22:00',
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        },
+        timezone: {
+          type: String,
+          default: 'UTC',
+          validate: {
+            validator: isTimeZone,
+            message: (props) => `Unknown time zone: ${props.value}`,
+          },
+        },
+      },
     },
     // Optional per-camera data retention override (days). If not set, system default is used.
     retentionDays: {
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * CameraStatus model - one sample per dataq/status heartbeat (time-series collection)
+ * Samples expire after SystemConfig.statusRetentionDays (applied as the collection's
+ * expireAfterSeconds by statusHistoryService.applyStatusRetention). MongoDB indexes
+ * the metaField + timeField pair of a time-series collection itself.
+ */
+const cameraStatusSchema = new mongoose.Schema(
+  {
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    // Upper-case serial number (the time-series metaField)
+    serial: {
+      type: String,
+      required: true,
+    },
+    networkKbps: Number,
+    cpuAverage: Number,
+    uptimeHours: Number,
+  },
+  {
+    timeseries: {
+      timeField: 'timestamp',
+      metaField: 'serial',
+      granularity: 'minutes',
+    },
+    versionKey: false,
+  }
+);
+
+const CameraStatus = mongoose.model('CameraStatus', cameraStatusSchema);
+
+export default CameraStatus;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+/**
+ * ConnectivityEvent model - a camera going online or offline
+ * Only transitions are stored; availability reports are computed from them
+ * (see connectivityService). Removed by the daily retention cleanup.
+ */
+export const CONNECTIVITY_REASONS = [
+  'announcement', // dataq/connect with connected: true
+  'disconnect', // dataq/connect with connected: false (graceful disconnect or the camera's Last Will)
+  'baseline', // state at startup for cameras without history
+  'silent', // watchdog: no message within the expected interval (timestamped at the last message)
+  'recovered', // watchdog: messages again after being silent
+  'unwatched', // watchdog: stopped checking a silent camera whose last announcement said connected
+];
+
+const connectivityEventSchema = new mongoose.Schema(
+  {
+    serial: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    connected: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: CONNECTIVITY_REASONS,
+      required: true,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    // MqttConfig _id of the broker the announcement arrived on (null for baseline events)
+    brokerId: {
+      type: String,
+      default: null,
+    },
+    // Camera IP address from the announcement
+    address: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+connectivityEventSchema.index({ serial: 1, timestamp: -1 });
+connectivityEventSchema.index({ timestamp: -1 });
+
+const ConnectivityEvent = mongoose.model('ConnectivityEvent', connectivityEventSchema);
+
+export default ConnectivityEvent;
@@ -54,6 +54,10 @@ const counterSetSchema = new mongoose.Schema(
     counters: { type: [counterValueSchema], default: [] },
     mqttTopic: { type: String, default: "" },
     mqttInterval: { type: Number, default: 60 },
+    // MqttConfig _id of the broker to publish to (null = default broker)
+    mqttBrokerId: { type: String, default: null },
+    // Last MQTT publish by any instance; claimed atomically so replicas publish once per interval
+    mqttPublishedAt: { type: Date, default: null },
     days: { type: Number, default: 0 },
     lastDayProcessed: { type: String, default: null },
     resetAt: { type: Date, default: null },
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * DeadLetter model - MQTT messages that failed parsing or schema validation
+ * The raw payload is kept so the message can be replayed once the cause is fixed.
+ */
+const deadLetterSchema = new mongoose.Schema(
+  {
+    topic: {
+      type: String,
+      required: true,
+    },
+    // MqttConfig _id of the broker the message arrived on (its topic templates apply on replay)
+    brokerId: {
+      type: String,
+      default: null,
+    },
+    // path | connect | status | image (derived from the topic)
+    kind: {
+      type: String,
+      required: true,
+    },
+    // Raw payload as received (UTF-8)
+    payload: {
+      type: String,
+      default: '',
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    // Individual schema violations, e.g. "path[3].x must be <= 1000"
+    details: {
+      type: [String],
+      default: [],
+    },
+    // MESSAGE_SCHEMAS[kind].version that rejected the message
+    schemaVersion: {
+      type: Number,
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplayAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+deadLetterSchema.index({ receivedAt: -1 });
+deadLetterSchema.index({ kind: 1, receivedAt: -1 });
+
+const DeadLetter = mongoose.model('DeadLetter', deadLetterSchema);
+
+export default DeadLetter;
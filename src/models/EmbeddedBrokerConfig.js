@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Cameras log in with these; passwords are stored as bcrypt hashes
+const brokerUserSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, trim: true },
+    passwordHash: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * EmbeddedBrokerConfig model - settings for the built-in MQTT broker (mqtt/broker.js)
+ */
+const embeddedBrokerConfigSchema = new mongoose.Schema(
+  {
+    // Singleton pattern - only one config document should exist
+    _id: {
+      type: String,
+      default: 'embedded-broker',
+    },
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    port: {
+      type: Number,
+      default: 1883,
+      min: 1,
+      max: 65535,
+    },
+    // TLS: cameras connect with mqtts:// when a certificate and key are set
+    useTls: {
+      type: Boolean,
+      default: false,
+    },
+    tlsCert: {
+      type: String,
+      default: '',     // PEM-encoded server certificate (chain)
+    },
+    tlsKey: {
+      type: String,
+      default: '',     // PEM-encoded server private key
+    },
+    users: {
+      type: [brokerUserSchema],
+      default: [],
+    },
+    // Accept connections without credentials (trusted networks only)
+    allowAnonymous: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const EmbeddedBrokerConfig = mongoose.model('EmbeddedBrokerConfig', embeddedBrokerConfigSchema);
+
+export default EmbeddedBrokerConfig;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * IngestStat model - per-camera path message counters for one hour
+ * Counted in memory by ingestStatsService and added here with $inc, so several
+ * instances can write the same hour. Removed by the daily retention cleanup.
+ */
+export const INGEST_COUNTERS = [
+  'received', // path messages attributed to the camera (topic or payload serial)
+  'parsed', // passed JSON parsing and the path schema
+  'rejected', // failed parsing or the schema (stored as dead letters)
+  'ignored', // camera unknown or disabled
+  'filtered', // dropped by the camera filters (by reason in filteredBy)
+  'dropped', // ingest queue full
+  'duplicates', // already stored (redelivery)
+  'saved',
+];
+
+const ingestStatSchema = new mongoose.Schema(
+  {
+    serial: {
+      type: String,
+      required: true,
+      uppercase: true,
+    },
+    // Start of the hour (UTC)
+    hour: {
+      type: Date,
+      required: true,
+    },
+    ...Object.fromEntries(INGEST_COUNTERS.map((counter) => [counter, { type: Number, default: 0 }])),
+    // Filter reason (see dataq/filters.js FILTER_REASONS) → count
+    filteredBy: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+ingestStatSchema.index({ serial: 1, hour: -1 }, { unique: true });
+ingestStatSchema.index({ hour: -1 });
+
+const IngestStat = mongoose.model('IngestStat', ingestStatSchema);
+
+export default IngestStat;
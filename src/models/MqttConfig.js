@@ -1,11 +1,28 @@
 import mongoose from 'mongoose';
 
+// The original singleton config document is the default broker: cameras and
+// counter sets without a brokerId use it, and it cannot be deleted.
+export const DEFAULT_BROKER_ID = 'mqtt-config';
+
+/**
+ * MqttConfig model - one document per named broker connection
+ */
 const mqttConfigSchema = new mongoose.Schema(
   {
-    // Singleton pattern - only one config document should exist
+    // Broker ID, referenced by Camera.brokerId and CounterSet.mqttBrokerId
     _id: {
       type: String,
-      default: 'mqtt-config',
+      default: DEFAULT_BROKER_ID,
+    },
+    name: {
+      type: String,
+      default: 'Default',
+      trim: true,
+    },
+    // Disabled brokers keep their settings but are not connected
+    enabled: {
+      type: Boolean,
+      default: true,
     },
     host: {
       type: String,
@@ -52,11 +69,19 @@ const mqttConfigSchema = new mongoose.Schema(
       type: String,
       default: '',     // PEM-encoded client private key
     },
-    // Topic subscription
+    // Topic layout (see dataq/topics.js). The prefix replaces {prefix} in the
+    // templates; a trailing /# is ignored.
     topicPrefix: {
       type: String,
       default: 'dataq/#',
     },
+    // Per message type, with a {serial} placeholder for one whole topic level
+    topicTemplates: {
+      path: { type: String, default: '{prefix}/path/{serial}' },
+      connect: { type: String, default: '{prefix}/connect/{serial}' },
+      status: { type: String, default: '{prefix}/status/{serial}' },
+      image: { type: String, default: '{prefix}/image/{serial}' },
+    },
   },
   {
     timestamps: true,
@@ -12,6 +12,7 @@ const pathEventSchema = new mongoose.Schema(
   {
     strict: false, // Allow any fields
     timestamps: true, // Add createdAt and updatedAt
+    id: false, // `id` is the DataQ tracking id, not Mongoose's alias of _id
   }
 );
 
@@ -24,6 +25,26 @@ pathEventSchema.index({ class: 1 });
 pathEventSchema.index({ id: 1 }); // tracking id
 // Add compound index to support efficient per-camera deletion/aggregation by creation date
 pathEventSchema.index({ serial: 1, createdAt: 1 });
+// Derived metrics added at ingest (dataq/pathMetrics.js)
+pathEventSchema.index({ serial: 1, 'derived.entryEdge': 1, 'derived.exitEdge': 1 });
+pathEventSchema.index({ serial: 1, 'derived.zones.counterSet': 1, 'derived.zones.label': 1 });
+pathEventSchema.index({ serial: 1, 'derived.speed': 1 });
+pathEventSchema.index({ 'derived.version': 1 }); // backfill of events without current metrics
+// GeoJSON of Geospace-calibrated paths (dataq/pathGeometry.js); events without lat/lon are not indexed
+pathEventSchema.index({ 'geo.line': '2dsphere' });
+pathEventSchema.index({ 'geo.start': '2dsphere' });
+pathEventSchema.index({ 'geo.end': '2dsphere' });
+// One document per track: MQTT QoS 1 redeliveries and reconnect replays are rejected.
+// Legacy documents without id/timestamp are left out of the constraint.
+// Existing duplicates are removed at startup before this index is built (see server.js).
+pathEventSchema.index(
+  { serial: 1, id: 1, timestamp: 1 },
+  {
+    unique: true,
+    name: 'serial_id_timestamp_unique',
+    partialFilterExpression: { id: { $exists: true }, timestamp: { $exists: true } },
+  }
+);
 
 const PathEvent = mongoose.model('PathEvent', pathEventSchema);
 
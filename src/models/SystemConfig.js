@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { isTimeZone } from '../dataq/filters.js';
 
 const systemConfigSchema = new mongoose.Schema(
   {
@@ -31,6 +32,85 @@ const systemConfigSchema = new mongoose.Schema(
       default: 90, // Keep path data for 90 days by default
       min: 1,
     },
+    // Device status history (CameraStatus samples) has its own, usually shorter, retention
+    statusRetentionDays: {
+      type: Number,
+      default: 30,
+      min: 1,
+    },
+    // Snapshot archive (GridFS): scene backgrounds as they were when historical paths were recorded
+    snapshotArchive: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // At most one archived snapshot per camera per interval
+      intervalMinutes: {
+        type: Number,
+        default: 60,
+        min: 1,
+      },
+      retentionDays: {
+        type: Number,
+        default: 365,
+        min: 1,
+      },
+    },
+    // Stale-camera watchdog (see watchdogService); cameras can override the intervals
+    watchdog: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      // Expected interval between messages from a camera (DataQ sends status every minute)
+      heartbeatMinutes: {
+        type: Number,
+        default: 5,
+        min: 1,
+      },
+      // Longest expected gap between path events (0 = don't check; traffic often stops at night)
+      pathGapMinutes: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Extra time past the expected interval before a camera counts as silent
+      graceMinutes: {
+        type: Number,
+        default: 5,
+        min: 0,
+      },
+      // No "camera silent" alerts are raised during quiet hours (HH:MM in timezone)
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        start: {
+          type: String,
+          default: '22:00',
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        },
+        end: {
+          type: String,
+          default: '06:00',
+          match: /^([01]\d|2[0-3]):[0-5]\d$/,
+        },
+        timezone: {
+          type: String,
+          default: 'UTC',
+          validate: {
+            validator: isTimeZone,
+            message: (props) => `Unknown time zone: ${props.value}`,
+          },
+        },
+      },
+      // Alerts are published to this topic on the default broker ({serial} is replaced; empty = off)
+      mqttTopic: {
+        type: String,
+        default: 'dataq-analyzer/alerts/{serial}',
+      },
+    },
     // Path visualization settings
     pathVisualization: {
       showStartPoints: {
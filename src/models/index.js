@@ -1,7 +1,13 @@
 export { default as Camera } from './Camera.js';
 export { default as MongoConfig } from './MongoConfig.js';
-export { default as MqttConfig } from './MqttConfig.js';
+export { default as MqttConfig, DEFAULT_BROKER_ID } from './MqttConfig.js';
 export { default as PathEvent } from './PathEvent.js';
 export { default as SystemConfig } from './SystemConfig.js';
 export { default as User } from './User.js';
 export { default as CounterSet } from './CounterSet.js';
+export { default as DeadLetter } from './DeadLetter.js';
+export { default as EmbeddedBrokerConfig } from './EmbeddedBrokerConfig.js';
+export { default as CameraStatus } from './CameraStatus.js';
+export { default as ConnectivityEvent, CONNECTIVITY_REASONS } from './ConnectivityEvent.js';
+export { default as Alert, ALERT_CAUSES } from './Alert.js';
+export { default as IngestStat, INGEST_COUNTERS } from './IngestStat.js';
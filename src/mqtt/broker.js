@@ -0,0 +1,193 @@
+import net from 'net';
+import tls from 'tls';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { Aedes } from 'aedes';
+import { EmbeddedBrokerConfig } from '../models/index.js';
+import { mqttConfig } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Embedded MQTT broker (Aedes)
+ *
+ * Lets small sites run without a separate Mosquitto: cameras publish straight to this
+ * process on EmbeddedBrokerConfig.port (plain TCP, or TLS when a certificate is set)
+ * and log in with the users stored in EmbeddedBrokerConfig.users. While it runs, the
+ * default broker connection in mqtt/client.js is pointed at it (see getEmbeddedConnection),
+ * logging in with credentials generated at startup.
+ *
+ * The broker keeps sessions and retained messages in memory only.
+ */
+
+// Reserved for the backend's own client; cameras cannot use it
+export const INTERNAL_USERNAME = 'dataq-internal';
+const internalPassword = crypto.randomBytes(24).toString('hex');
+
+let broker = null;
+let server = null;
+let running = null;      // { port, useTls } while listening
+let lastError = null;
+let startedAt = null;
+
+// Credentials from the active config; username → bcrypt hash
+let users = new Map();
+let allowAnonymous = false;
+
+function authError() {
+  // CONNACK return code 4: bad user name or password
+  return Object.assign(new Error('Bad username or password'), { returnCode: 4 });
+}
+
+function authenticate(client, username, password, callback) {
+  const secret = password ? password.toString() : '';
+
+  if (username === INTERNAL_USERNAME) {
+    const ok = secret.length === internalPassword.length
+      && crypto.timingSafeEqual(Buffer.from(secret), Buffer.from(internalPassword));
+    if (ok) client.internal = true;
+    return callback(ok ? null : authError(), ok);
+  }
+
+  if (!username) {
+    return callback(allowAnonymous ? null : authError(), allowAnonymous);
+  }
+
+  const hash = users.get(username);
+  if (!hash) return callback(authError(), false);
+  bcrypt.compare(secret, hash).then(
+    (ok) => callback(ok ? null : authError(), ok),
+    (error) => callback(error, false)
+  );
+}
+
+/**
+ * Hash a camera user's password for EmbeddedBrokerConfig.users
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export function hashBrokerPassword(password) {
+  return bcrypt.hash(password, 10);
+}
+
+/**
+ * Start the embedded broker with the stored settings (stopping a running one first)
+ * Does nothing when it is disabled. Listen and TLS errors are logged and kept for
+ * getEmbeddedBrokerStatus rather than thrown, so the server starts without it.
+ * @param {Object} [config] - EmbeddedBrokerConfig document (lean); loaded when omitted
+ * @returns {Promise<boolean>} - Whether the broker is running
+ */
+export async function startEmbeddedBroker(config = null) {
+  await stopEmbeddedBroker();
+  lastError = null;
+
+  const settings = config
+    || (await EmbeddedBrokerConfig.findById('embedded-broker').lean())
+    || { enabled: mqttConfig.embeddedBroker, port: mqttConfig.embeddedBrokerPort };
+  if (!settings.enabled) return false;
+
+  const port = settings.port || 1883;
+  const useTls = settings.useTls === true;
+  if (useTls && !(settings.tlsCert && settings.tlsKey)) {
+    lastError = 'TLS is enabled but the certificate or private key is missing';
+    logger.error('Embedded MQTT broker not started', { error: lastError });
+    return false;
+  }
+
+  users = new Map((settings.users || []).map((user) => [user.username, user.passwordHash]));
+  allowAnonymous = settings.allowAnonymous === true;
+
+  const instance = await Aedes.createBroker({ authenticate, maxClientsIdLength: 128 });
+  instance.on('clientError', (client, error) => {
+    logger.debug('Embedded MQTT broker client error', { clientId: client?.id, error: error.message });
+  });
+
+  let listener;
+  try {
+    listener = useTls
+      ? tls.createServer({ cert: settings.tlsCert, key: settings.tlsKey }, instance.handle)
+      : net.createServer(instance.handle);
+    await new Promise((resolve, reject) => {
+      listener.once('error', reject);
+      listener.listen(port, () => {
+        listener.off('error', reject);
+        resolve();
+      });
+    });
+  } catch (error) {
+    lastError = error.message;
+    logger.error('Embedded MQTT broker failed to start', { port, error: error.message });
+    listener?.close();
+    await new Promise((resolve) => instance.close(resolve));
+    return false;
+  }
+
+  broker = instance;
+  server = listener;
+  running = { port, useTls };
+  startedAt = new Date().toISOString();
+  logger.info('Embedded MQTT broker listening', { port, tls: useTls, users: users.size, allowAnonymous });
+  return true;
+}
+
+/**
+ * Stop the embedded broker, disconnecting every client
+ * @returns {Promise<void>}
+ */
+export async function stopEmbeddedBroker() {
+  if (!broker) return;
+
+  const [instance, listener] = [broker, server];
+  broker = null;
+  server = null;
+  running = null;
+  startedAt = null;
+  users = new Map();
+
+  await new Promise((resolve) => instance.close(resolve));
+  await new Promise((resolve) => listener.close(() => resolve()));
+  logger.info('Embedded MQTT broker stopped');
+}
+
+/**
+ * Connection settings for the backend's own client while the embedded broker runs
+ * @returns {Object|null} - { brokerUrl, username, password, useTls, rejectUnauthorized, embedded },
+ *   null when it is not running
+ */
+export function getEmbeddedConnection() {
+  if (!running) return null;
+  return {
+    brokerUrl: `${running.useTls ? 'mqtts' : 'mqtt'}://127.0.0.1:${running.port}`,
+    username: INTERNAL_USERNAME,
+    password: internalPassword,
+    useTls: running.useTls,
+    // Loopback to our own listener; the certificate is issued for the cameras' host name
+    rejectUnauthorized: false,
+    embedded: true,
+  };
+}
+
+/**
+ * Embedded broker state
+ * @returns {Object} - { running, port, tls, clients, users, startedAt, error }
+ */
+export function getEmbeddedBrokerStatus() {
+  return {
+    running: running !== null,
+    port: running?.port ?? null,
+    tls: running?.useTls ?? false,
+    // Cameras and other external clients (the backend's own client is not counted)
+    clients: broker ? Object.values(broker.clients).filter((client) => !client.internal).length : 0,
+    users: users.size,
+    startedAt,
+    error: lastError,
+  };
+}
+
+export default {
+  INTERNAL_USERNAME,
+  hashBrokerPassword,
+  startEmbeddedBroker,
+  stopEmbeddedBroker,
+  getEmbeddedConnection,
+  getEmbeddedBrokerStatus,
+};
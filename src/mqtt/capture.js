@@ -0,0 +1,294 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { isUtf8 } from 'buffer';
+import { appConfig } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Raw MQTT capture
+ *
+ * While a capture runs, every message received from any broker is appended, with its
+ * receive time, to NDJSON files in captureDir/<name>/, rolling to a new file every
+ * captureFileBytes. Past captureMaxBytes the capture's oldest file is deleted.
+ *
+ * Each file starts with a header line { meta: { capture, file, startedAt, brokers } }
+ * holding every broker's resolved topic templates, followed by one line per message:
+ *   { receivedAt, broker, topic, payload, encoding? }
+ * payload is the UTF-8 text, or base64 with encoding: "base64" for binary payloads.
+ * Files are self-contained, so they can be concatenated or copied to another machine
+ * and replayed (see mqtt/replay.js and scripts/replay-capture.js).
+ */
+
+export const CAPTURE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const FILE_PATTERN = /^capture-(\d+)\.ndjson$/;
+const SUMMARY_FILE = 'capture.json';
+
+let active = null;
+
+function captureDir(name) {
+  return path.join(appConfig.captureDir, name);
+}
+
+function defaultCaptureName() {
+  return `capture-${new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}`;
+}
+
+function openFile(capture) {
+  capture.seq++;
+  const file = path.join(captureDir(capture.name), `capture-${String(capture.seq).padStart(10, '0')}.ndjson`);
+  const header = `${JSON.stringify({
+    meta: { capture: capture.name, file: capture.seq, startedAt: new Date().toISOString(), brokers: capture.brokers },
+  })}\n`;
+
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  stream.on('error', (error) => {
+    logger.error('MQTT capture write failed, stopping capture', { error: error.message, file });
+    stopCapture();
+  });
+  stream.write(header);
+
+  capture.stream = stream;
+  capture.fileBytes = Buffer.byteLength(header);
+  capture.files.push({ file, bytes: capture.fileBytes });
+}
+
+// Delete the capture's oldest closed files until it fits in captureMaxBytes
+function enforceLimit(capture) {
+  let total = capture.files.reduce((sum, f) => sum + f.bytes, 0);
+  while (total > appConfig.captureMaxBytes && capture.files.length > 1) {
+    const [oldest] = capture.files.splice(0, 1);
+    total -= oldest.bytes;
+    capture.rotatedOut++;
+    fsp.rm(oldest.file, { force: true }).catch(() => {});
+    logger.warn('MQTT capture over its size limit, deleted oldest file', {
+      capture: capture.name,
+      file: path.basename(oldest.file),
+      maxBytes: appConfig.captureMaxBytes,
+    });
+  }
+}
+
+/**
+ * Start capturing raw MQTT traffic
+ * @param {Object} options
+ * @param {string} [options.name] - Capture name (letters, digits, - and _); defaults to capture-<timestamp>
+ * @param {number} [options.durationSeconds] - Stop automatically after this long
+ * @param {Object} options.brokers - brokerId → resolved topic templates, stored in each file header
+ * @returns {Promise<Object>} - Capture status
+ */
+export async function startCapture({ name, durationSeconds, brokers = {} } = {}) {
+  if (active) {
+    throw Object.assign(new Error(`Capture "${active.name}" is already running`), { status: 409 });
+  }
+  const captureName = name || defaultCaptureName();
+  if (!CAPTURE_NAME_PATTERN.test(captureName)) {
+    throw Object.assign(new Error('name may only contain letters, digits, - and _ (max 64)'), { status: 400 });
+  }
+  const duration = durationSeconds === undefined ? null : Number(durationSeconds);
+  if (duration !== null && !(duration > 0)) {
+    throw Object.assign(new Error('durationSeconds must be a positive number'), { status: 400 });
+  }
+
+  const dir = captureDir(captureName);
+  try {
+    await fsp.mkdir(dir, { recursive: false });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw Object.assign(new Error(`Capture "${captureName}" already exists`), { status: 409 });
+    }
+    if (error.code !== 'ENOENT') throw error;
+    await fsp.mkdir(dir, { recursive: true });
+  }
+
+  active = {
+    name: captureName,
+    brokers,
+    startedAt: new Date().toISOString(),
+    seq: 0,
+    stream: null,
+    fileBytes: 0,
+    files: [],
+    messages: 0,
+    bytes: 0,
+    rotatedOut: 0,
+    stopTimer: null,
+  };
+  openFile(active);
+
+  if (duration) {
+    active.stopTimer = setTimeout(() => stopCapture(), duration * 1000);
+    active.stopTimer.unref();
+  }
+
+  logger.info('MQTT capture started', { capture: captureName, durationSeconds: duration });
+  return getCaptureStatus();
+}
+
+/**
+ * Stop the running capture and write its summary
+ * @returns {Promise<Object|null>} - Summary of the stopped capture, null if none was running
+ */
+export async function stopCapture() {
+  if (!active) return null;
+  const capture = active;
+  active = null;
+  clearTimeout(capture.stopTimer);
+
+  await new Promise((resolve) => capture.stream.end(resolve));
+  const summary = {
+    name: capture.name,
+    startedAt: capture.startedAt,
+    stoppedAt: new Date().toISOString(),
+    messages: capture.messages,
+    bytes: capture.bytes,
+    rotatedOut: capture.rotatedOut,
+  };
+  await fsp.writeFile(path.join(captureDir(capture.name), SUMMARY_FILE), JSON.stringify(summary, null, 2))
+    .catch((error) => logger.error('Failed to write MQTT capture summary', { error: error.message }));
+
+  logger.info('MQTT capture stopped', summary);
+  return summary;
+}
+
+/**
+ * Record one received message if a capture is running
+ * @param {string} brokerId - Broker the message arrived on
+ * @param {string} topic - MQTT topic
+ * @param {Buffer} payload - Raw payload
+ */
+export function captureMessage(brokerId, topic, payload) {
+  if (!active) return;
+
+  const record = { receivedAt: Date.now(), broker: brokerId, topic };
+  if (isUtf8(payload)) {
+    record.payload = payload.toString('utf8');
+  } else {
+    record.payload = payload.toString('base64');
+    record.encoding = 'base64';
+  }
+  const line = `${JSON.stringify(record)}\n`;
+  const size = Buffer.byteLength(line);
+
+  active.stream.write(line);
+  active.fileBytes += size;
+  active.files[active.files.length - 1].bytes += size;
+  active.messages++;
+  active.bytes += size;
+
+  if (active.fileBytes >= appConfig.captureFileBytes) {
+    active.stream.end();
+    openFile(active);
+    enforceLimit(active);
+  }
+}
+
+/**
+ * Whether a capture is running
+ * @returns {boolean}
+ */
+export function isCapturing() {
+  return active !== null;
+}
+
+/**
+ * State of the running capture
+ * @returns {Object} - { active, name, startedAt, messages, bytes, files }
+ */
+export function getCaptureStatus() {
+  if (!active) return { active: false };
+  return {
+    active: true,
+    name: active.name,
+    startedAt: active.startedAt,
+    messages: active.messages,
+    bytes: active.bytes,
+    files: active.files.length,
+  };
+}
+
+/**
+ * Capture files of a capture, oldest first
+ * @param {string} name - Capture name
+ * @returns {Promise<Array<string>|null>} - Absolute paths, null if the capture doesn't exist
+ */
+export async function getCaptureFiles(name) {
+  if (!CAPTURE_NAME_PATTERN.test(name)) return null;
+  try {
+    const names = await fsp.readdir(captureDir(name));
+    return names.filter((f) => FILE_PATTERN.test(f)).sort().map((f) => path.join(captureDir(name), f));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * List stored captures, newest first
+ * @returns {Promise<Array<Object>>} - { name, active, startedAt, stoppedAt, messages, bytes, files }
+ */
+export async function listCaptures() {
+  let names;
+  try {
+    names = await fsp.readdir(appConfig.captureDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const captures = [];
+  for (const name of names.filter((n) => CAPTURE_NAME_PATTERN.test(n))) {
+    const files = await getCaptureFiles(name);
+    if (!files) continue;
+
+    if (active?.name === name) {
+      captures.push({ ...getCaptureStatus(), stoppedAt: null });
+      continue;
+    }
+
+    let summary = {};
+    try {
+      summary = JSON.parse(await fsp.readFile(path.join(captureDir(name), SUMMARY_FILE), 'utf8'));
+    } catch {
+      // Interrupted capture (no summary): report what is on disk
+    }
+    const stats = await Promise.all(files.map((f) => fsp.stat(f)));
+    captures.push({
+      name,
+      active: false,
+      startedAt: summary.startedAt ?? stats[0]?.birthtime.toISOString() ?? null,
+      stoppedAt: summary.stoppedAt ?? null,
+      messages: summary.messages ?? null,
+      bytes: stats.reduce((sum, s) => sum + s.size, 0),
+      files: files.length,
+    });
+  }
+  return captures.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+/**
+ * Delete a stored capture
+ * @param {string} name - Capture name
+ * @returns {Promise<boolean>} - False if it doesn't exist
+ */
+export async function deleteCapture(name) {
+  if (active?.name === name) {
+    throw Object.assign(new Error('Stop the capture before deleting it'), { status: 409 });
+  }
+  if (!(await getCaptureFiles(name))) return false;
+  await fsp.rm(captureDir(name), { recursive: true, force: true });
+  logger.info('MQTT capture deleted', { capture: name });
+  return true;
+}
+
+export default {
+  CAPTURE_NAME_PATTERN,
+  startCapture,
+  stopCapture,
+  captureMessage,
+  isCapturing,
+  getCaptureStatus,
+  getCaptureFiles,
+  listCaptures,
+  deleteCapture,
+};
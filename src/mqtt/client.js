@@ -1,121 +1,279 @@
 import mqtt from 'mqtt';
 import { mqttConfig } from '../config/index.js';
-import { parseDataQMessage, isPathDataMessage } from '../dataq/parser.js';
-import { savePathEvent } from '../services/pathEventService.js';
+import { parseDataQMessage } from '../dataq/parser.js';
+import { filterPath } from '../dataq/filters.js';
+import { validateMessage } from '../dataq/schema.js';
+import {
+  setTopicTemplates,
+  getTopicTemplates,
+  resolveTopicTemplates,
+  topicFor,
+  subscriptionFor,
+  matchTopic,
+  DEFAULT_TOPIC_PREFIX,
+} from '../dataq/topics.js';
 import { updateCameraSnapshotFromMQTT, upsertCameraFromAnnouncement } from '../services/cameraService.js';
-import { Camera, MqttConfig } from '../models/index.js';
+import { Camera, MqttConfig, DEFAULT_BROKER_ID } from '../models/index.js';
 import logger from '../utils/logger.js';
-import { broadcastPathEvent } from '../websocket/index.js';
 import { broadcastSnapshot } from '../websocket/broadcaster.js';
-import { processPathEvent as processCounterSets } from '../services/counterSetsService.js';
+import { snapshotUrl } from '../services/snapshotService.js';
+import { getCachedCamera } from '../services/cameraCache.js';
+import {
+  enqueuePathEvent,
+  waitForCapacity,
+  touchLastSeen,
+  getIngestQueueStats,
+} from './ingestQueue.js';
+import { spoolEvents, isSpoolPending, setSpoolHandler } from './spool.js';
+import { getEmbeddedConnection } from './broker.js';
+import { captureMessage } from './capture.js';
+import { recordStatusSample } from '../services/statusHistoryService.js';
+import { recordIngest } from '../services/ingestStatsService.js';
+import { recordConnectivityChange } from '../services/connectivityService.js';
+import { isDBConnected } from '../db/connection.js';
+import {
+  recordDeadLetter,
+  findDeadLettersForReplay,
+  markReplayFailed,
+  deleteDeadLetter,
+} from '../services/deadLetterService.js';
+
+// brokerId → { id, name, brokerUrl, embedded, sharedGroup, client, connected, templates,
+//   subscriptions, received, lastError, lastConnectedAt }. One MQTT client per enabled
+//   MqttConfig document.
+const connections = new Map();
+
+// Live ingestion counters since process start (exposed via /api/config/status).
+// Saved/duplicate counts come from the ingest queue, which does the writes.
+const ingestStats = {
+  received: 0,
+  rejected: 0,
+  queued: 0,
+  spooled: 0,
+  filtered: 0,
+  ignored: 0,
+  errors: 0,
+};
+const ingestStatsSince = new Date();
+
+// Handler outcome → ingestStats counter
+const OUTCOME_STATS = {
+  queued: 'queued',
+  spooled: 'spooled',
+  filtered: 'filtered',
+  ignored: 'ignored',
+};
 
-let client = null;
-let isConnected = false;
-let messageCount = 0;
+/**
+ * Subscription for a camera path topic
+ * With MQTT_SHARED_GROUP set, path topics are subscribed as $share/<group>/<topic> so the
+ * broker hands each path event to one member of the group (one backend replica). Connect,
+ * status and image topics stay plain subscriptions: every replica keeps its own camera
+ * cache, snapshot broadcasts and auto-discovery up to date.
+ * @param {string} topic - Path topic
+ * @param {Object} connection - Broker connection
+ * @returns {string}
+ */
+function pathSubscription(topic, connection) {
+  return connection.sharedGroup ? `$share/${connection.sharedGroup}/${topic}` : topic;
+}
 
 /**
- * Subscribe to MQTT topics for all active cameras
+ * Subscribe a broker connection to the discovery topics and its cameras' path topics
+ * Topics that are no longer needed (camera moved, disabled or retopiced) are unsubscribed.
+ * @param {Object} connection - Broker connection
  */
-async function subscribeToActiveCameras() {
-  if (!client || !isConnected) {
-    logger.warn('Cannot subscribe to cameras: MQTT client not connected');
+async function subscribeToActiveCameras(connection) {
+  const { client } = connection;
+  if (!client || !connection.connected) {
+    logger.warn('Cannot subscribe to cameras: MQTT client not connected', { broker: connection.id });
     return;
   }
 
   try {
-    // Load all enabled cameras from database
-    const cameras = await Camera.find({ enabled: true }).lean();
-    console.log(`\nFound ${cameras.length} enabled cameras in database`);
+    // Load enabled cameras assigned to this broker (no brokerId = default broker)
+    const brokerFilter = connection.id === DEFAULT_BROKER_ID
+      ? { $in: [DEFAULT_BROKER_ID, null] }
+      : connection.id;
+    const cameras = await Camera.find({ enabled: true, brokerId: brokerFilter }).lean();
+    console.log(`\nFound ${cameras.length} enabled cameras for broker ${connection.name}`);
 
     // Always subscribe to wildcard topics so new devices are auto-discovered
     // even when no cameras have been registered yet.
-    const subscriptions = ['dataq/connect/+', 'dataq/status/+', 'dataq/image/+'];
+    const subscriptions = new Set(
+      ['connect', 'status', 'image'].map((kind) => subscriptionFor(kind, connection.templates))
+    );
 
     if (cameras.length === 0) {
-      logger.info('No cameras in database - subscribing to discovery topics only');
+      logger.info('No cameras for broker - subscribing to discovery topics only', { broker: connection.id });
     }
 
     // Subscribe to each known camera's path topic
     for (const camera of cameras) {
-      // Use custom mqttTopic if defined, otherwise use default format
-      const pathTopic = camera.mqttTopic || `dataq/path/${camera.serialNumber}`;
-      subscriptions.push(pathTopic);
+      // Use custom mqttTopic if defined, otherwise the path topic template
+      subscriptions.add(pathSubscription(camera.mqttTopic || topicFor('path', camera.serialNumber, connection.templates), connection));
+    }
+
+    const stale = [...connection.subscriptions].filter((topic) => !subscriptions.has(topic));
+    if (stale.length > 0) {
+      client.unsubscribe(stale);
+      stale.forEach((topic) => connection.subscriptions.delete(topic));
+      logger.info('Unsubscribed from MQTT topics', { broker: connection.id, topics: stale });
     }
 
     // Subscribe to all topics
-    console.log(`\nSubscribing to ${subscriptions.length} MQTT topics:`);
-    for (const topic of subscriptions) {
+    const added = [...subscriptions].filter((topic) => !connection.subscriptions.has(topic));
+    console.log(`\nSubscribing to ${added.length} MQTT topics on ${connection.name}:`);
+    for (const topic of added) {
       console.log(`  Attempting to subscribe to: ${topic}`);
+      connection.subscriptions.add(topic);
       client.subscribe(topic, (err) => {
         if (err) {
+          connection.subscriptions.delete(topic);
           logger.error('Failed to subscribe to MQTT topic', {
             error: err.message,
+            broker: connection.id,
             topic,
           });
           console.log(`  ✗ FAILED to subscribe to ${topic}: ${err.message}`);
         } else {
-          logger.info('Subscribed to MQTT topic', { topic });
+          logger.info('Subscribed to MQTT topic', { broker: connection.id, topic });
           console.log(`  ✓ SUBSCRIBED to ${topic}`);
         }
       });
     }
 
     logger.info('MQTT subscriptions initialized', {
+      broker: connection.id,
       cameraCount: cameras.length,
-      topicCount: subscriptions.length,
+      topicCount: subscriptions.size,
     });
   } catch (error) {
     logger.error('Error subscribing to camera topics', {
       error: error.message,
+      broker: connection.id,
     });
     console.error('Error subscribing to camera topics:', error.message);
   }
 }
 
 /**
- * Initialize and connect MQTT client
- * @param {Object} config - Optional MQTT configuration override
- * @returns {Promise<mqtt.MqttClient>}
+ * Point the default broker at the embedded broker while it runs
+ * Only the address and credentials change; the topic layout stays the stored one.
+ * @param {Object} config - Connection config for connectBroker
+ * @returns {Object}
+ */
+function withEmbeddedBroker(config) {
+  const embedded = config.id === DEFAULT_BROKER_ID ? getEmbeddedConnection() : null;
+  if (!embedded) return config;
+  return { ...config, ...embedded, caCert: null, clientCert: null, clientKey: null };
+}
+
+/**
+ * Build client settings from a stored MqttConfig document
+ * @param {Object} doc - MqttConfig document (lean)
+ * @returns {Object} - Connection config for connectBroker
+ */
+function toClientConfig(doc) {
+  const proto = doc.useTls ? 'mqtts' : (doc.protocol || 'mqtt');
+  return withEmbeddedBroker({
+    id: doc._id,
+    name: doc.name || doc._id,
+    brokerUrl: `${proto}://${doc.host}:${doc.port}`,
+    username: doc.username || null,
+    password: doc.password || null,
+    useTls: doc.useTls || false,
+    rejectUnauthorized: doc.rejectUnauthorized !== false,
+    caCert: doc.caCert || null,
+    clientCert: doc.clientCert || null,
+    clientKey: doc.clientKey || null,
+    topicPrefix: doc.topicPrefix ?? DEFAULT_TOPIC_PREFIX,
+    topicTemplates: doc.topicTemplates,
+    clientId: `dataq-analyzer-${Math.random().toString(16).substr(2, 8)}`,
+  });
+}
+
+/**
+ * Connect every enabled broker stored in MqttConfig
+ * Brokers that fail to connect keep retrying in the background.
+ * @param {Object} config - Optional single broker configuration (see connectBroker)
+ * @returns {Promise<mqtt.MqttClient|Array<Object>>} - The client when config is given,
+ *   otherwise the broker statuses
  */
 export async function connectMQTT(config = null) {
-  if (client && isConnected) {
-    logger.info('MQTT client already connected');
-    return client;
+  if (config) return connectBroker(config);
+
+  let configs;
+  try {
+    const docs = await MqttConfig.find({ enabled: { $ne: false } }).lean();
+    configs = docs.map(toClientConfig);
+    if (!(await MqttConfig.exists({ _id: DEFAULT_BROKER_ID }))) {
+      // Fallback: default broker from env
+      configs.unshift(toClientConfig({
+        _id: DEFAULT_BROKER_ID,
+        name: 'Default',
+        host: 'localhost',
+        port: 1883,
+        protocol: 'mqtt',
+        useTls: false,
+        rejectUnauthorized: true,
+        topicPrefix: mqttConfig.topicPrefix,
+      }));
+    }
+  } catch (dbErr) {
+    logger.warn('Could not load MQTT config from DB, using env defaults', { error: dbErr.message });
+    configs = [withEmbeddedBroker({ ...mqttConfig, id: DEFAULT_BROKER_ID, name: 'Default' })];
   }
 
-  // Load config from DB if not explicitly provided
-  if (!config) {
-    try {
-      let dbConfig = await MqttConfig.findById('mqtt-config').lean();
-      if (!dbConfig) {
-        // Fallback: create from env
-        dbConfig = {
-          host: 'localhost',
-          port: 1883,
-          protocol: 'mqtt',
-          useTls: false,
-          rejectUnauthorized: true,
-          topicPrefix: mqttConfig.topicPrefix,
-        };
-      }
-      const proto = dbConfig.useTls ? 'mqtts' : (dbConfig.protocol || 'mqtt');
-      config = {
-        brokerUrl: `${proto}://${dbConfig.host}:${dbConfig.port}`,
-        username: dbConfig.username || null,
-        password: dbConfig.password || null,
-        useTls: dbConfig.useTls || false,
-        rejectUnauthorized: dbConfig.rejectUnauthorized !== false,
-        caCert: dbConfig.caCert || null,
-        clientCert: dbConfig.clientCert || null,
-        clientKey: dbConfig.clientKey || null,
-        topicPrefix: dbConfig.topicPrefix || 'dataq/#',
-        clientId: `dataq-analyzer-${Math.random().toString(16).substr(2, 8)}`,
-      };
-    } catch (dbErr) {
-      logger.warn('Could not load MQTT config from DB, using env defaults', { error: dbErr.message });
-      config = { ...mqttConfig };
+  const results = await Promise.allSettled(configs.map((brokerConfig) => connectBroker(brokerConfig)));
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      logger.warn('Failed to connect to MQTT broker (will keep retrying)', {
+        broker: configs[i].id,
+        error: result.reason?.message,
+      });
     }
+  });
+  return getBrokerStatus();
+}
+
+/**
+ * Connect one broker, replacing any existing client for the same broker ID
+ * @param {Object} config - { id, name, brokerUrl, username, password, useTls, rejectUnauthorized,
+ *   caCert, clientCert, clientKey, topicPrefix, topicTemplates, clientId, embedded }
+ * @returns {Promise<mqtt.MqttClient>} - Resolves on the first successful connect
+ */
+export async function connectBroker(config) {
+  if (/[/+#]/.test(mqttConfig.sharedGroup)) {
+    throw new Error('MQTT_SHARED_GROUP cannot contain /, + or #');
+  }
+
+  const id = config.id || DEFAULT_BROKER_ID;
+  const existing = connections.get(id);
+  if (existing?.connected) {
+    logger.info('MQTT client already connected', { broker: id });
+    return existing.client;
   }
+  if (existing) await disconnectMQTT(id);
+
+  const connection = {
+    id,
+    name: config.name || id,
+    brokerUrl: config.brokerUrl,
+    embedded: config.embedded === true,
+    // The embedded broker is single-instance and speaks MQTT 3.1.1 only
+    sharedGroup: config.embedded ? '' : mqttConfig.sharedGroup,
+    client: null,
+    connected: false,
+    // Topic templates drive both subscriptions and routing
+    templates: resolveTopicTemplates(config),
+    subscriptions: new Set(),
+    received: 0,
+    lastError: null,
+    lastConnectedAt: null,
+  };
+  connections.set(id, connection);
+  if (id === DEFAULT_BROKER_ID) setTopicTemplates(config);
 
   return new Promise((resolve, reject) => {
     const options = {
@@ -124,6 +282,8 @@ export async function connectMQTT(config = null) {
       reconnectPeriod: 5000,
       connectTimeout: 30 * 1000,
     };
+    // Shared subscriptions are an MQTT v5 feature
+    if (connection.sharedGroup) options.protocolVersion = 5;
 
     // Authentication
     if (config.username) options.username = config.username;
@@ -138,422 +298,607 @@ export async function connectMQTT(config = null) {
     }
 
     logger.info('Connecting to MQTT broker', {
-      broker: config.brokerUrl,
+      broker: id,
+      url: config.brokerUrl,
       clientId: options.clientId,
       tls: config.useTls || false,
+      embedded: connection.embedded || undefined,
+      sharedGroup: connection.sharedGroup || undefined,
     });
 
-    client = mqtt.connect(config.brokerUrl, options);
+    const client = mqtt.connect(config.brokerUrl, options);
+    connection.client = client;
+
+    // Backpressure: while the ingest queue is near capacity, hold back the PUBACK and
+    // stop reading further packets until it has drained (mqtt.js waits for the callback)
+    client.handleMessage = (packet, callback) => {
+      const wait = waitForCapacity();
+      if (!wait) return callback();
+      wait.then(() => callback());
+    };
 
     client.on('connect', async () => {
-      isConnected = true;
-      logger.info('MQTT client connected', { broker: config.brokerUrl });
-      console.log('\n✓ MQTT CLIENT CONNECTED to', config.brokerUrl);
+      connection.connected = true;
+      connection.lastError = null;
+      connection.lastConnectedAt = new Date().toISOString();
+      // Clean session: the broker forgot our subscriptions
+      connection.subscriptions.clear();
+      logger.info('MQTT client connected', { broker: id, url: config.brokerUrl });
+      console.log(`\n✓ MQTT CLIENT CONNECTED to ${connection.name} (${config.brokerUrl})`);
 
       // Subscribe to camera-specific topics from database
-      await subscribeToActiveCameras();
+      await subscribeToActiveCameras(connection);
 
       resolve(client);
     });
 
     client.on('error', (error) => {
-      logger.error('MQTT client error', { error: error.message });
-      if (!isConnected) {
+      connection.lastError = error.message;
+      logger.error('MQTT client error', { broker: id, error: error.message });
+      if (!connection.connected) {
         reject(error);
       }
     });
 
     client.on('offline', () => {
-      isConnected = false;
-      logger.warn('MQTT client offline');
+      connection.connected = false;
+      logger.warn('MQTT client offline', { broker: id });
     });
 
     client.on('reconnect', () => {
-      logger.info('MQTT client reconnecting');
+      logger.info('MQTT client reconnecting', { broker: id });
     });
 
     client.on('close', () => {
-      isConnected = false;
-      logger.warn('MQTT client connection closed');
+      connection.connected = false;
+      logger.warn('MQTT client connection closed', { broker: id });
     });
 
     // Handle incoming messages
-    client.on('message', handleMQTTMessage);
+    client.on('message', (topic, payload) => {
+      connection.received++;
+      captureMessage(id, topic, payload);
+      handleMQTTMessage(topic, payload, connection);
+    });
   });
 }
 
 /**
- * Check if a path should be saved based on camera filters
- * @param {Object} pathData - Parsed path event data
- * @param {Object} filters - Camera filter configuration
- * @returns {boolean} - True if path should be saved
+ * Reconnect one broker with its stored configuration
+ * @param {string} brokerId - MqttConfig _id
+ * @returns {Promise<mqtt.MqttClient|null>} - null when the broker is disabled (it is only disconnected)
  */
-function shouldSavePath(pathData, filters) {
-  // Use default values if filters not configured
-  const defaultObjectTypes = ['Human', 'Car', 'Truck', 'Bus', 'Bike', 'LicensePlate', 'Head', 'Bag', 'Vehicle', 'Animal', 'Undefined', 'Other'];
-  const objectTypes = filters?.objectTypes || defaultObjectTypes;
-  const minAge = filters?.minAge !== undefined ? filters.minAge : 2;
-  const minDistance = filters?.minDistance !== undefined ? filters.minDistance : 20;
-
-  // Filter by object type
-  if (objectTypes.length > 0) {
-    if (!objectTypes.includes(pathData.class)) {
-      logger.debug('Path filtered: object type not in list', {
-        class: pathData.class,
-        allowedTypes: objectTypes,
-      });
-      return false;
-    }
-  }
+export async function reconnectBroker(brokerId) {
+  const doc = await MqttConfig.findById(brokerId).lean();
+  if (!doc) throw new Error('MQTT configuration not found');
 
-  // Filter by minimum age (using original 'age' property)
-  if (pathData.age < minAge) {
-    logger.debug('Path filtered: age too low', {
-      age: pathData.age,
-      minAge,
-      trackingId: pathData.id,
-    });
-    return false;
-  }
-
-  // Filter by minimum distance (as percentage of diagonal)
-  // Calculate total displacement as percentage
-  // Diagonal of 1000x1000 coordinate system = sqrt(1000^2 + 1000^2) = 1414.21
-  const displacement = Math.sqrt(pathData.dx * pathData.dx + pathData.dy * pathData.dy);
-  const displacementPercent = (displacement / 1414.21) * 100;
-
-  if (displacementPercent < minDistance) {
-    logger.debug('Path filtered: distance too short', {
-      displacement: displacement.toFixed(2),
-      displacementPercent: displacementPercent.toFixed(2),
-      minDistance,
-      dx: pathData.dx,
-      dy: pathData.dy,
-      trackingId: pathData.id,
-    });
-    return false;
-  }
-
-  return true;
+  await disconnectMQTT(brokerId);
+  if (doc.enabled === false) return null;
+  return connectBroker(toClientConfig(doc));
 }
 
 /**
- * Handle device connection announcements (dataq/connect/{SERIAL})
+ * Handle device connection announcements (connect topic template, default dataq/connect/{SERIAL})
  * @param {string} topic - MQTT topic
- * @param {Buffer} payload - Message payload
+ * @param {Object} message - Validated message
+ * @param {string|null} serialNumber - Serial number from the topic
+ * @param {Object} connection - Broker connection the message arrived on
+ * @returns {Promise<string>} - Outcome: processed | ignored
  */
-async function handleConnectMessage(topic, payload) {
-  try {
-    const message = JSON.parse(payload.toString());
-    const serialNumber = topic.split('/')[2]?.toUpperCase();
-
-    if (!serialNumber) {
-      logger.warn('Invalid connect topic format', { topic });
-      return;
-    }
+async function handleConnectMessage(topic, message, serialNumber, connection) {
+  if (!serialNumber) {
+    logger.warn('Invalid connect topic format', { topic });
+    return 'ignored';
+  }
 
-    logger.info('Device connection announcement received', {
-      serialNumber,
-      connected: message.connected,
-      address: message.address,
-    });
+  logger.info('Device connection announcement received', {
+    serialNumber,
+    connected: message.connected,
+    address: message.address,
+  });
 
-    if (!message.connected) {
-      // Last-Will-Testament or graceful disconnect – just mark as disconnected
-      await Camera.findOneAndUpdate(
-        { serialNumber },
-        {
-          $set: {
-            'deviceStatus.connected': false,
-            'deviceStatus.lastSeen': new Date(),
-          },
+  if (!message.connected) {
+    // Last-Will-Testament or graceful disconnect – just mark as disconnected
+    const known = await Camera.findOneAndUpdate(
+      { serialNumber },
+      {
+        $set: {
+          'deviceStatus.connected': false,
+          'deviceStatus.lastSeen': new Date(),
         },
-        { upsert: false }
-      );
-      logger.info('Camera marked as disconnected', { serialNumber });
-      return;
+      },
+      { upsert: false, projection: { _id: 1 } }
+    );
+    if (known) {
+      await recordConnectivityChange(serialNumber, false, { reason: 'disconnect', brokerId: connection.id });
     }
+    logger.info('Camera marked as disconnected', { serialNumber });
+    return 'processed';
+  }
 
-    // connected === true: auto-create or update the camera
-    const { camera, isNew } = await upsertCameraFromAnnouncement({
-      serial: serialNumber,
-      name: message.name,
-      location: message.location,
-      model: message.model,
-      address: message.address,
-      labels: message.labels,
-    });
+  // connected === true: auto-create or update the camera (new cameras join this broker)
+  const { camera, isNew } = await upsertCameraFromAnnouncement({
+    serial: serialNumber,
+    name: message.name,
+    location: message.location,
+    model: message.model,
+    address: message.address,
+    labels: message.labels,
+    brokerId: connection.id,
+    mqttTopic: topicFor('path', serialNumber, connection.templates),
+  });
+  await recordConnectivityChange(serialNumber, true, {
+    reason: 'announcement',
+    brokerId: connection.id,
+    address: message.address,
+  });
 
-    // If this is a brand-new camera, subscribe to its path topic immediately
-    if (isNew && client && isConnected) {
-      const pathTopic = camera.mqttTopic || `dataq/path/${serialNumber}`;
-      client.subscribe(pathTopic, (err) => {
-        if (err) {
-          logger.error('Failed to subscribe to new camera path topic', {
-            error: err.message,
-            topic: pathTopic,
-          });
-        } else {
-          logger.info('Subscribed to auto-discovered camera path topic', { topic: pathTopic });
-          console.log(`  ✓ Auto-discovered camera: subscribed to ${pathTopic}`);
-        }
-      });
-    }
-  } catch (error) {
-    logger.error('Error handling connect message', {
-      error: error.message,
-      topic,
+  // If this is a brand-new camera, subscribe to its path topic immediately
+  if (isNew && connection.client && connection.connected) {
+    const pathTopic = pathSubscription(camera.mqttTopic || topicFor('path', serialNumber, connection.templates), connection);
+    connection.subscriptions.add(pathTopic);
+    connection.client.subscribe(pathTopic, (err) => {
+      if (err) {
+        connection.subscriptions.delete(pathTopic);
+        logger.error('Failed to subscribe to new camera path topic', {
+          error: err.message,
+          broker: connection.id,
+          topic: pathTopic,
+        });
+      } else {
+        logger.info('Subscribed to auto-discovered camera path topic', { topic: pathTopic });
+        console.log(`  ✓ Auto-discovered camera: subscribed to ${pathTopic}`);
+      }
     });
   }
+  return 'processed';
 }
 
 /**
- * Handle device status messages (dataq/status/{SERIAL})
+ * Handle device status messages (status topic template, default dataq/status/{SERIAL})
  * @param {string} topic - MQTT topic
- * @param {Buffer} payload - Message payload
+ * @param {Object} message - Validated message
+ * @param {string|null} serialNumber - Serial number from the topic
+ * @returns {Promise<string>} - Outcome: processed | ignored
  */
-async function handleStatusMessage(topic, payload) {
-  try {
-    const message = JSON.parse(payload.toString());
-    const serialNumber = topic.split('/')[2]?.toUpperCase();
-
-    if (!serialNumber) {
-      logger.warn('Invalid status topic format', { topic });
-      return;
-    }
+async function handleStatusMessage(topic, message, serialNumber) {
+  if (!serialNumber) {
+    logger.warn('Invalid status topic format', { topic });
+    return 'ignored';
+  }
 
-    logger.debug('Device status message received', {
-      serialNumber,
-      network: message.Network_Kbps,
-      cpu: message.CPU_average,
-      uptime: message.Uptime_Hours,
-    });
+  logger.debug('Device status message received', {
+    serialNumber,
+    network: message.Network_Kbps,
+    cpu: message.CPU_average,
+    uptime: message.Uptime_Hours,
+  });
 
-    // Update camera device status
-    await Camera.findOneAndUpdate(
-      { serialNumber },
-      {
-        $set: {
-          'deviceStatus.networkKbps': message.Network_Kbps || 0,
-          'deviceStatus.cpuAverage': message.CPU_average || 0,
-          'deviceStatus.uptimeHours': message.Uptime_Hours || 0,
-          'deviceStatus.lastSeen': new Date(),
-        },
+  // Update camera device status
+  const receivedAt = new Date();
+  const camera = await Camera.findOneAndUpdate(
+    { serialNumber },
+    {
+      $set: {
+        'deviceStatus.networkKbps': message.Network_Kbps || 0,
+        'deviceStatus.cpuAverage': message.CPU_average || 0,
+        'deviceStatus.uptimeHours': message.Uptime_Hours || 0,
+        'deviceStatus.lastSeen': receivedAt,
       },
-      { upsert: false }
-    );
+    },
+    { upsert: false, projection: { _id: 1 } }
+  );
 
-    logger.debug('Camera status updated', { serialNumber });
-  } catch (error) {
-    logger.error('Error handling status message', {
-      error: error.message,
-      topic,
-    });
-  }
+  // Keep the sample for the status history of known cameras
+  if (camera) await recordStatusSample(serialNumber, message, receivedAt);
+
+  logger.debug('Camera status updated', { serialNumber });
+  return 'processed';
 }
 
 /**
- * Handle incoming MQTT messages
+ * Handle DataQ path messages (path topic template or a camera's custom mqttTopic)
+ * Accepted events are queued and saved in batches by ingestQueue.js. While MongoDB
+ * is down, or earlier events are still spooled, the message goes to the disk spool.
+ * The arrival topic and broker go with the event, so a write that fails later is
+ * dead-lettered under them and can be replayed.
  * @param {string} topic - MQTT topic
- * @param {Buffer} payload - Message payload
+ * @param {Object} parsedData - Validated path message
+ * @param {string|null} serialNumber - Serial number from the topic (unused; the message carries it)
+ * @param {Object} connection - Broker connection the message arrived on
+ * @returns {Promise<string>} - Outcome: queued | spooled | dropped | filtered | ignored
  */
-async function handleMQTTMessage(topic, payload) {
-  try {
-    logger.debug('Received MQTT message', { topic, size: payload.length });
+async function handlePathMessage(topic, parsedData, serialNumber, connection) {
+  const origin = { topic, brokerId: connection.id };
+  if (!isDBConnected() || isSpoolPending()) {
+    spoolEvents([parsedData], () => origin);
+    return 'spooled';
+  }
+  return ingestPathEvent(parsedData, { origin });
+}
 
-    // Check if this is a device connection announcement (dataq/connect/{SERIAL})
-    if (topic.startsWith('dataq/connect/')) {
-      await handleConnectMessage(topic, payload);
-      return;
-    }
+/**
+ * Check a path event against its camera and queue it for saving
+ * @param {Object} parsedData - Validated path message
+ * @param {Object} [options]
+ * @param {boolean} [options.touch=true] - Update the camera's lastSeen (off for spool replay)
+ * @param {Object} [options.origin] - { topic, brokerId } the message arrived on
+ * @returns {Promise<string>} - Outcome: queued | dropped | filtered | ignored
+ */
+async function ingestPathEvent(parsedData, { touch = true, origin } = {}) {
+  // Extract serial number from the message (using original property name 'serial')
+  const serialNumber = (parsedData.serial || parsedData.device || '').toUpperCase();
+
+  // Load camera filters (cached) to check if path should be saved
+  const camera = await getCachedCamera(serialNumber);
+  if (!camera) {
+    logger.warn('Camera not found for path event', {
+      serial: parsedData.serial,
+    });
+    recordIngest(serialNumber, 'ignored');
+    return 'ignored';
+  }
 
-    // Check if this is a device status message (dataq/status/{SERIAL})
-    if (topic.startsWith('dataq/status/')) {
-      await handleStatusMessage(topic, payload);
-      return;
-    }
+  // Ignore messages from disabled cameras
+  if (!camera.enabled) {
+    logger.debug('Ignoring path event from disabled camera', { serial: serialNumber });
+    recordIngest(serialNumber, 'ignored');
+    return 'ignored';
+  }
 
-    // Check if this is a DataQ image topic (dataq/image/{SERIAL})
-    if (topic.startsWith('dataq/image/')) {
-      await handleImageMessage(topic, payload);
-      return;
-    }
+  // Update lastSeen timestamp for this camera (regardless of filters, written in bulk)
+  if (touch) touchLastSeen(serialNumber);
 
-    // Legacy image topic (image/{SERIAL})
-    if (topic.startsWith('image/')) {
-      await handleImageMessage(topic, payload);
-      return;
-    }
+  // Apply camera filters
+  const rejection = filterPath(parsedData, camera.filters);
+  if (rejection) {
+    logger.debug('Path filtered out by camera filters', {
+      trackingId: parsedData.id,
+      serial: parsedData.serial,
+      class: parsedData.class,
+      reason: rejection.reason,
+      ...rejection.details,
+    });
+    recordIngest(serialNumber, 'filtered', { reason: rejection.reason });
+    return 'filtered';
+  }
 
-    // Handle DataQ path messages
-    const parsedData = parseDataQMessage(payload, topic);
-    if (!parsedData) {
-      logger.warn('Failed to parse DataQ message or invalid format', { topic });
-      return;
-    }
+  // Queue for saving (stored as-is with original property names). Broadcasting and
+  // counter set updates happen per batch; redelivered events are skipped there.
+  if (enqueuePathEvent(parsedData, origin)) return 'queued';
+  recordIngest(serialNumber, 'dropped');
+  return 'dropped';
+}
 
-    // Check if this is path data (we're primarily interested in path data for this app)
-    if (!isPathDataMessage(JSON.parse(payload.toString()))) {
-      logger.debug('Message is not path data, skipping', { topic });
-      return;
-    }
+// Spooled events re-enter here once MongoDB is back, at the pace the queue allows
+setSpoolHandler(async (event, origin) => {
+  const wait = waitForCapacity();
+  if (wait) await wait;
+  await ingestPathEvent(event, { touch: false, origin });
+});
 
-    // Extract serial number from the message (using original property name 'serial')
-    const serialNumber = (parsedData.serial || parsedData.device || '').toUpperCase();
+/**
+ * Handle image messages from MQTT (remote cameras)
+ * @param {string} topic - MQTT topic (image topic template, default dataq/image/{SERIAL}, or legacy image/{SERIAL})
+ * @param {Object} message - Validated message
+ * @param {string|null} serialNumber - Serial number from the topic
+ * @returns {Promise<string>} - Outcome: processed | ignored
+ */
+async function handleImageMessage(topic, message, serialNumber) {
+  if (!serialNumber) {
+    logger.warn('Invalid image message format', { topic });
+    return 'ignored';
+  }
 
-    // Load camera filters to check if path should be saved
-    const camera = await Camera.findOne({ serialNumber }).lean();
-    if (!camera) {
-      logger.warn('Camera not found for path event', {
-        serial: parsedData.serial,
-      });
-      return;
-    }
+  // Update camera snapshot in database
+  const camera = await updateCameraSnapshotFromMQTT({
+    serialNumber: serialNumber.toUpperCase(),
+    base64Image: message.image,
+    timestamp: message.timestamp || Date.now(),
+    rotation: message.rotation,
+    aspectRatio: message.aspect,
+  });
+  if (!camera) return 'ignored';
+
+  // Tell subscribed WebSocket clients where to fetch the new image
+  broadcastSnapshot({
+    serial: camera.serialNumber,
+    url: snapshotUrl(camera.serialNumber, camera.latestSnapshotId),
+    timestamp: message.timestamp || Date.now(),
+    rotation: message.rotation ?? 0,
+    aspect: message.aspect ?? '16:9',
+  });
 
-    // Ignore messages from disabled cameras
-    if (!camera.enabled) {
-      logger.debug('Ignoring path event from disabled camera', { serial: serialNumber });
-      return;
-    }
+  logger.debug('Camera snapshot updated from MQTT', {
+    serialNumber,
+    timestamp: message.timestamp,
+  });
+  return 'processed';
+}
 
-    // Update lastSeen timestamp for this camera (regardless of filters)
-    await Camera.findOneAndUpdate(
-      { serialNumber },
-      { $set: { 'deviceStatus.lastSeen': new Date() } },
-      { upsert: false }
-    );
+// kind → handler(topic, message, serial from the topic or null, broker connection)
+const MESSAGE_HANDLERS = {
+  connect: handleConnectMessage,
+  status: handleStatusMessage,
+  image: handleImageMessage,
+  path: handlePathMessage,
+};
 
-    // Apply camera filters
-    if (!shouldSavePath(parsedData, camera.filters)) {
-      logger.debug('Path filtered out by camera filters', {
-        trackingId: parsedData.id,
-        serial: parsedData.serial,
-        class: parsedData.class,
-      });
-      return;
-    }
+/**
+ * Parse a raw payload and validate it against the schema for its topic
+ * @param {string} topic - MQTT topic
+ * @param {Buffer|string} payload - Raw payload
+ * @param {Object} templates - Topic templates of the broker it arrived on
+ * @returns {{ kind: string, serial: string|null, message: Object|null, rejection: Object|null }}
+ *   rejection is { reason, details, schemaVersion } when the message is invalid
+ */
+function checkMessage(topic, payload, templates) {
+  // Topics matching no template are a camera's custom path topic
+  const { kind, serial } = matchTopic(topic, templates) || { kind: 'path', serial: null };
+
+  const message = parseDataQMessage(payload, topic);
+  if (!message) {
+    return {
+      kind,
+      serial,
+      message: null,
+      rejection: { reason: 'Payload is not a JSON object', details: [], schemaVersion: null },
+    };
+  }
 
-    // Save to database (stores as-is with original property names)
-    const savedEvent = await savePathEvent(parsedData);
+  const { valid, errors, version } = validateMessage(kind, message);
+  if (!valid) {
+    return {
+      kind,
+      serial,
+      message,
+      rejection: { reason: `Invalid ${kind} message`, details: errors, schemaVersion: version },
+    };
+  }
 
-    // Broadcast to WebSocket clients
-    broadcastPathEvent(savedEvent.toObject ? savedEvent.toObject() : savedEvent);
+  return { kind, serial, message, rejection: null };
+}
 
-    // Update zone-based counter sets in real-time
-    processCounterSets(savedEvent.toObject ? savedEvent.toObject() : savedEvent).catch(() => {});
+/**
+ * Get a broker's connection, or a disconnected stand-in with the default topic
+ * templates when that broker is not connected in this process
+ * @param {string|null} brokerId - MqttConfig _id (null = default broker)
+ * @returns {Object}
+ */
+function connectionFor(brokerId) {
+  const id = brokerId || DEFAULT_BROKER_ID;
+  return connections.get(id) || {
+    id,
+    name: id,
+    client: null,
+    connected: false,
+    templates: getTopicTemplates(),
+    subscriptions: new Set(),
+  };
+}
 
-    logger.debug('Path event processed and saved', {
-      trackingId: parsedData.id,
-      serial: parsedData.serial,
-      class: parsedData.class,
+/**
+ * Handle incoming MQTT messages
+ * Messages that fail parsing or schema validation are stored as dead letters.
+ * @param {string} topic - MQTT topic
+ * @param {Buffer} payload - Message payload
+ * @param {Object} connection - Broker connection the message arrived on
+ */
+async function handleMQTTMessage(topic, payload, connection) {
+  logger.debug('Received MQTT message', { broker: connection.id, topic, size: payload.length });
+  ingestStats.received++;
+
+  const { kind, serial, message, rejection } = checkMessage(topic, payload, connection.templates);
+  if (kind === 'path') {
+    // Per-camera statistics; custom path topics carry the serial only in the payload
+    const pathSerial = (serial || message?.serial || message?.device || '').toUpperCase();
+    recordIngest(pathSerial, 'received');
+    recordIngest(pathSerial, rejection ? 'rejected' : 'parsed');
+  }
+  if (rejection) {
+    ingestStats.rejected++;
+    logger.warn('DataQ message rejected', {
+      broker: connection.id,
+      topic,
+      reason: rejection.reason,
+      details: rejection.details.slice(0, 3),
     });
+    await recordDeadLetter({ topic, brokerId: connection.id, kind, payload, ...rejection });
+    return;
+  }
+
+  try {
+    const outcome = await MESSAGE_HANDLERS[kind](topic, message, serial, connection);
+    if (OUTCOME_STATS[outcome]) ingestStats[OUTCOME_STATS[outcome]]++;
   } catch (error) {
-    logger.error('Error handling MQTT message', {
+    ingestStats.errors++;
+    logger.error(`Error handling ${kind} message`, {
       error: error.message,
+      broker: connection.id,
       topic,
     });
   }
 }
 
 /**
- * Handle image messages from MQTT (remote cameras)
- * @param {string} topic - MQTT topic (format: image/{SERIAL})
- * @param {Buffer} payload - Message payload
+ * Feed a message through the normal pipeline as if it had arrived from a broker
+ * Used to replay captured traffic (see mqtt/replay.js). The message is handled with a
+ * detached copy of the broker's connection, so it never changes live subscriptions.
+ * @param {string} topic - MQTT topic
+ * @param {Buffer} payload - Raw payload
+ * @param {Object} [options]
+ * @param {string|null} [options.brokerId] - Broker the message arrived on (null = default broker)
+ * @param {Object} [options.templates] - Resolved topic templates to route with (defaults to the broker's)
+ * @returns {Promise<void>}
  */
-async function handleImageMessage(topic, payload) {
-  try {
-    const message = JSON.parse(payload.toString());
-
-    // Extract serial number from topic.
-    // Supports both dataq/image/{SERIAL} (index 2) and legacy image/{SERIAL} (index 1)
-    const parts = topic.split('/');
-    const serialNumber = parts[0] === 'dataq' ? parts[2] : parts[1];
+export function injectMQTTMessage(topic, payload, { brokerId = null, templates = null } = {}) {
+  const connection = connectionFor(brokerId);
+  return handleMQTTMessage(topic, payload, {
+    id: connection.id,
+    name: connection.name,
+    client: null,
+    connected: false,
+    templates: templates || connection.templates,
+    subscriptions: new Set(),
+  });
+}
 
-    if (!serialNumber || !message.image) {
-      logger.warn('Invalid image message format', { topic });
-      return;
+/**
+ * Replay dead letters through the normal message pipeline
+ * Messages that pass validation are processed and removed from the queue; those
+ * rejected again stay queued with the new reason and an incremented replayCount.
+ * @param {Object} [selection] - { ids, kind, topic, limit } (see deadLetterService.findDeadLettersForReplay)
+ * @returns {Promise<Array<Object>>} - Per message: { id, replayed, outcome | reason, details }
+ */
+export async function replayDeadLetters(selection = {}) {
+  const deadLetters = await findDeadLettersForReplay(selection);
+  const results = [];
+
+  for (const deadLetter of deadLetters) {
+    const id = String(deadLetter._id);
+    const connection = connectionFor(deadLetter.brokerId);
+    const { kind, serial, message, rejection } = checkMessage(deadLetter.topic, deadLetter.payload, connection.templates);
+
+    if (rejection) {
+      await markReplayFailed(id, rejection);
+      results.push({ id, replayed: false, reason: rejection.reason, details: rejection.details });
+      continue;
     }
 
-    // Update camera snapshot in database
-    await updateCameraSnapshotFromMQTT({
-      serialNumber: serialNumber.toUpperCase(),
-      base64Image: message.image,
-      timestamp: message.timestamp || Date.now(),
-      rotation: message.rotation,
-      aspectRatio: message.aspect,
-    });
-
-    // Broadcast image to subscribed WebSocket clients
-    broadcastSnapshot({
-      serial: serialNumber.toUpperCase(),
-      image: message.image,
-      timestamp: message.timestamp || Date.now(),
-      rotation: message.rotation ?? 0,
-      aspect: message.aspect ?? '16:9',
-    });
-
-    logger.debug('Camera snapshot updated from MQTT', {
-      serialNumber,
-      timestamp: message.timestamp,
-    });
-  } catch (error) {
-    logger.error('Error handling image message', {
-      error: error.message,
-      topic,
-    });
+    try {
+      const outcome = await MESSAGE_HANDLERS[kind](deadLetter.topic, message, serial, connection);
+      await deleteDeadLetter(id);
+      results.push({ id, replayed: true, outcome });
+    } catch (error) {
+      // Processing failed (e.g. database error): keep the dead letter for another attempt
+      logger.error('Dead letter replay failed', { error: error.message, id, topic: deadLetter.topic });
+      await markReplayFailed(id, {
+        reason: `Replay failed: ${error.message}`,
+        details: deadLetter.details,
+        schemaVersion: deadLetter.schemaVersion,
+      });
+      results.push({ id, replayed: false, reason: error.message, details: [] });
+    }
   }
+
+  logger.info('Dead letters replayed', {
+    requested: deadLetters.length,
+    replayed: results.filter((r) => r.replayed).length,
+  });
+  return results;
 }
 
 /**
- * Disconnect MQTT client
+ * Disconnect broker clients
+ * @param {string} [brokerId] - Broker to disconnect; omit to disconnect all
  */
-export async function disconnectMQTT() {
-  if (client) {
-    return new Promise((resolve) => {
-      client.end(false, {}, () => {
-        isConnected = false;
-        client = null;
-        logger.info('MQTT client disconnected');
-        resolve();
-      });
+export async function disconnectMQTT(brokerId) {
+  const targets = brokerId === undefined
+    ? [...connections.values()]
+    : [connections.get(brokerId)].filter(Boolean);
+
+  await Promise.all(targets.map((connection) => new Promise((resolve) => {
+    connections.delete(connection.id);
+    connection.client.end(false, {}, () => {
+      connection.connected = false;
+      logger.info('MQTT client disconnected', { broker: connection.id });
+      resolve();
     });
-  }
+  })));
 }
 
 /**
  * Get MQTT client connection status
+ * @param {string} [brokerId] - Broker to check; omit to check whether any broker is connected
  * @returns {boolean}
  */
-export function isConnectedToMQTT() {
-  return isConnected;
+export function isConnectedToMQTT(brokerId) {
+  if (brokerId !== undefined) return connections.get(brokerId)?.connected || false;
+  return [...connections.values()].some((connection) => connection.connected);
 }
 
 /**
- * Get MQTT client instance
+ * Get a broker's MQTT client instance
+ * @param {string|null} [brokerId] - MqttConfig _id (null/omitted = default broker)
  * @returns {mqtt.MqttClient|null}
  */
-export function getMQTTClient() {
-  return client;
+export function getMQTTClient(brokerId = null) {
+  return connections.get(brokerId || DEFAULT_BROKER_ID)?.client || null;
+}
+
+/**
+ * Get a broker's resolved topic templates (the default broker's if it is not connected)
+ * @param {string|null} [brokerId] - MqttConfig _id (null/omitted = default broker)
+ * @returns {Object} - kind → template containing only {serial}
+ */
+export function getBrokerTopicTemplates(brokerId = null) {
+  return { ...connectionFor(brokerId).templates };
+}
+
+/**
+ * Connection status of every broker client in this process
+ * @returns {Array<Object>} - { id, name, brokerUrl, embedded, connected, reconnecting, subscriptions,
+ *   received, lastError, lastConnectedAt }
+ */
+export function getBrokerStatus() {
+  return [...connections.values()].map((connection) => ({
+    id: connection.id,
+    name: connection.name,
+    brokerUrl: connection.brokerUrl,
+    embedded: connection.embedded,
+    connected: connection.connected,
+    reconnecting: connection.client?.reconnecting || false,
+    subscriptions: connection.subscriptions.size,
+    received: connection.received,
+    lastError: connection.lastError,
+    lastConnectedAt: connection.lastConnectedAt,
+  }));
+}
+
+/**
+ * Get live ingestion counters since process start
+ * @returns {Object} - { received, rejected, queued, spooled, filtered, ignored, errors,
+ *   dropped, saved, duplicates, failedWrites, queue, since }
+ */
+export function getIngestStats() {
+  const queue = getIngestQueueStats();
+  return {
+    ...ingestStats,
+    dropped: queue.dropped,
+    saved: queue.inserted,
+    duplicates: queue.duplicates,
+    failedWrites: queue.failedWrites,
+    queue,
+    since: ingestStatsSince.toISOString(),
+  };
 }
 
 /**
- * Resubscribe to camera topics (call when cameras are added/updated)
+ * Resubscribe every connected broker to its camera topics (call when cameras are added/updated)
  */
 export async function resubscribeToCameras() {
-  if (!client || !isConnected) {
+  const connected = [...connections.values()].filter((connection) => connection.connected);
+  if (connected.length === 0) {
     logger.warn('Cannot resubscribe: MQTT client not connected');
     return;
   }
 
   logger.info('Resubscribing to camera topics');
   console.log('\nResubscribing to camera topics...');
-  await subscribeToActiveCameras();
+  await Promise.all(connected.map(subscribeToActiveCameras));
 }
 
 export default {
   connectMQTT,
+  connectBroker,
+  reconnectBroker,
   disconnectMQTT,
   isConnectedToMQTT,
   getMQTTClient,
+  getBrokerTopicTemplates,
+  getBrokerStatus,
   resubscribeToCameras,
+  injectMQTTMessage,
+  replayDeadLetters,
+  getIngestStats,
 };
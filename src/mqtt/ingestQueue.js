@@ -0,0 +1,323 @@
+import { Camera } from '../models/index.js';
+import { insertPathEvents } from '../services/pathEventService.js';
+import { processPathEvents as processCounterSets } from '../services/counterSetsService.js';
+import { broadcastPathEvent } from '../websocket/index.js';
+import { isDBConnected } from '../db/connection.js';
+import { spoolEvents } from './spool.js';
+import { recordDroppedEvents, recordWrittenBatch } from '../services/ingestStatsService.js';
+import { recordDeadLetter } from '../services/deadLetterService.js';
+import { topicFor } from '../dataq/topics.js';
+import { appConfig } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Batched path event ingestion
+ *
+ * Accepted path messages are queued in memory and written with one insertMany per
+ * batch (ingestBatchSize events, or whatever is queued every ingestFlushIntervalMs).
+ * WebSocket broadcasts and counter set updates run off each inserted batch.
+ *
+ * Backpressure: when the queue passes HIGH_WATER of its capacity, waitForCapacity()
+ * holds back the MQTT client (see connectMQTT) until it drains below LOW_WATER.
+ * Messages arriving while the queue is completely full are dropped and counted.
+ *
+ * Camera lastSeen is written at most once per lastSeenFlushIntervalMs per camera.
+ *
+ * Batches that cannot be written because MongoDB is down go to the disk spool
+ * (spool.js) instead of staying in memory; they are replayed on reconnect.
+ * Single events MongoDB refuses (e.g. too large) go to the dead letters instead of
+ * holding up the rest of their batch. A batch that fails as a whole while MongoDB is
+ * connected is retried up to MAX_WRITE_ATTEMPTS times, then dead-lettered too.
+ */
+
+const HIGH_WATER = 0.8;
+const LOW_WATER = 0.5;
+const MAX_WRITE_ATTEMPTS = 5;
+
+const queue = [];
+let flushing = null;
+let flushTimer = null;
+let lastSeenTimer = null;
+let capacityWaiters = [];
+
+// serial → Date of the latest path message not yet written to Camera.deviceStatus.lastSeen
+const pendingLastSeen = new Map();
+
+// Queued event → { topic, brokerId } it arrived on, for dead-lettering and spooling
+const origins = new WeakMap();
+// Queued event → failed batch-level write attempts
+const writeAttempts = new WeakMap();
+
+const stats = {
+  enqueued: 0,
+  dropped: 0,
+  inserted: 0,
+  duplicates: 0,
+  failedWrites: 0,
+  spooled: 0,
+  batches: 0,
+  flushErrors: 0,
+  backpressureEvents: 0,
+  maxDepth: 0,
+  lastFlushAt: null,
+  lastFlushMs: null,
+  lastBatchSize: 0,
+};
+
+function isAboveHighWater() {
+  return queue.length >= appConfig.ingestQueueCapacity * HIGH_WATER;
+}
+
+function releaseCapacityWaiters() {
+  if (capacityWaiters.length === 0 || queue.length > appConfig.ingestQueueCapacity * LOW_WATER) return;
+  const waiters = capacityWaiters;
+  capacityWaiters = [];
+  waiters.forEach((resolve) => resolve());
+}
+
+/**
+ * Queue a validated, filtered path event for saving
+ * @param {Object} event - Path event data
+ * @param {Object} [origin] - { topic, brokerId } the message arrived on
+ * @returns {boolean} - False if the queue was full and the event was dropped
+ */
+export function enqueuePathEvent(event, origin) {
+  if (queue.length >= appConfig.ingestQueueCapacity) {
+    stats.dropped++;
+    if (stats.dropped % 1000 === 1) {
+      logger.warn('Ingest queue full, dropping path events', {
+        capacity: appConfig.ingestQueueCapacity,
+        dropped: stats.dropped,
+      });
+    }
+    return false;
+  }
+
+  queue.push(event);
+  if (origin) origins.set(event, origin);
+  stats.enqueued++;
+  if (queue.length > stats.maxDepth) stats.maxDepth = queue.length;
+
+  ensureTimers();
+  if (queue.length >= appConfig.ingestBatchSize) flushIngestQueue();
+  return true;
+}
+
+/**
+ * Resolve once the queue has room again
+ * Resolves immediately unless the queue is above the high-water mark.
+ * @returns {Promise<void>|null} - null when there is capacity (avoids a promise per message)
+ */
+export function waitForCapacity() {
+  if (!isAboveHighWater()) return null;
+  stats.backpressureEvents++;
+  return new Promise((resolve) => capacityWaiters.push(resolve));
+}
+
+/**
+ * Record that a camera sent a path message; written to the database in bulk later
+ * @param {string} serialNumber - Upper-case serial number
+ */
+export function touchLastSeen(serialNumber) {
+  pendingLastSeen.set(serialNumber, new Date());
+  ensureTimers();
+}
+
+async function flushLastSeen() {
+  if (pendingLastSeen.size === 0) return;
+  const updates = [...pendingLastSeen].map(([serialNumber, lastSeen]) => ({
+    updateOne: {
+      filter: { serialNumber },
+      update: { $max: { 'deviceStatus.lastSeen': lastSeen, 'deviceStatus.lastPathAt': lastSeen } },
+    },
+  }));
+  pendingLastSeen.clear();
+
+  try {
+    await Camera.bulkWrite(updates, { ordered: false });
+  } catch (error) {
+    logger.error('Failed to update camera lastSeen', { error: error.message, cameras: updates.length });
+  }
+}
+
+/**
+ * Keep path events MongoDB refused as dead letters, so they can be inspected and replayed
+ * @param {Array<{ event: Object, reason: string }>} failed - From insertPathEvents
+ */
+async function deadLetterFailedWrites(failed) {
+  stats.failedWrites += failed.length;
+  recordDroppedEvents(failed.map(({ event }) => event));
+  for (const { event, reason } of failed) {
+    // Derived fields are recomputed when the message is replayed
+    const message = { ...event };
+    delete message.derived;
+    delete message.geo;
+    const serial = (message.serial || message.device || '').toUpperCase();
+    logger.warn('Path event could not be stored', { serial, trackingId: message.id, reason });
+    // Events spooled before their origin was kept have none: use the default broker's path topic
+    const { topic = topicFor('path', serial), brokerId = null } = origins.get(event) ?? {};
+    await recordDeadLetter({
+      topic,
+      brokerId,
+      kind: 'path',
+      payload: JSON.stringify(message),
+      reason: `Write failed: ${reason}`,
+    });
+  }
+}
+
+/**
+ * Insert one batch and fan it out to WebSocket clients and counter sets
+ * @param {Array<Object>} batch - Path events
+ */
+async function writeBatch(batch) {
+  const started = Date.now();
+  const { inserted, duplicates, failed } = await insertPathEvents(batch);
+
+  stats.inserted += inserted.length;
+  stats.duplicates += duplicates;
+  const failedEvents = new Set(failed.map(({ event }) => event));
+  recordWrittenBatch(batch.filter((event) => !failedEvents.has(event)), inserted);
+  if (failed.length > 0) await deadLetterFailedWrites(failed);
+  stats.batches++;
+  stats.lastFlushAt = new Date().toISOString();
+  stats.lastFlushMs = Date.now() - started;
+  stats.lastBatchSize = batch.length;
+
+  for (const event of inserted) {
+    broadcastPathEvent(event);
+  }
+  // Update zone-based counter sets (errors are logged inside)
+  processCounterSets(inserted).catch(() => {});
+
+  logger.debug('Ingest batch written', {
+    size: batch.length,
+    inserted: inserted.length,
+    duplicates,
+    failed: failed.length,
+    ms: stats.lastFlushMs,
+  });
+}
+
+async function spoolBatch(batch) {
+  stats.spooled += batch.length;
+  await spoolEvents(batch, (event) => origins.get(event));
+}
+
+/**
+ * Write queued events to the database
+ * Only one flush runs at a time; concurrent callers share it. Full batches are
+ * written back to back, a partial batch is written when the timer fires.
+ * @param {Object} [options]
+ * @param {boolean} [options.drain=false] - Also write a trailing partial batch
+ * @returns {Promise<void>}
+ */
+export function flushIngestQueue({ drain = false } = {}) {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    while (queue.length > 0) {
+      const batch = queue.splice(0, appConfig.ingestBatchSize);
+      releaseCapacityWaiters();
+      if (!isDBConnected()) {
+        // Don't wait for the driver's buffering timeout
+        await spoolBatch(batch);
+        continue;
+      }
+      try {
+        await writeBatch(batch);
+      } catch (error) {
+        stats.flushErrors++;
+        if (!isDBConnected()) {
+          logger.warn('Database went away while writing ingest batch, spooling it', {
+            error: error.message,
+            size: batch.length,
+          });
+          await spoolBatch(batch);
+          continue;
+        }
+        // Batch-level write error (not tied to single events): put the batch back and retry on the next
+        // tick, unless it keeps failing (e.g. missing permissions) and would hold up ingestion for good
+        const attempts = (writeAttempts.get(batch[0]) ?? 0) + 1;
+        if (attempts >= MAX_WRITE_ATTEMPTS) {
+          logger.error('Failed to write ingest batch, dead-lettering it', {
+            error: error.message,
+            size: batch.length,
+            attempts,
+          });
+          await deadLetterFailedWrites(batch.map((event) => ({ event, reason: error.message })));
+          continue;
+        }
+        batch.forEach((event) => writeAttempts.set(event, attempts));
+        const room = appConfig.ingestQueueCapacity - queue.length;
+        const requeued = batch.slice(0, Math.max(room, 0));
+        queue.unshift(...requeued);
+        stats.dropped += batch.length - requeued.length;
+        recordDroppedEvents(batch.slice(requeued.length));
+        logger.error('Failed to write ingest batch', {
+          error: error.message,
+          size: batch.length,
+          requeued: requeued.length,
+          attempts,
+        });
+        break;
+      }
+      if (!drain && queue.length < appConfig.ingestBatchSize) break;
+    }
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+}
+
+function ensureTimers() {
+  if (!flushTimer) {
+    flushTimer = setInterval(() => {
+      if (queue.length > 0) flushIngestQueue({ drain: true });
+    }, appConfig.ingestFlushIntervalMs);
+    flushTimer.unref();
+  }
+  if (!lastSeenTimer) {
+    lastSeenTimer = setInterval(flushLastSeen, appConfig.lastSeenFlushIntervalMs);
+    lastSeenTimer.unref();
+  }
+}
+
+/**
+ * Stop the flush timers and write everything still queued (used on shutdown)
+ * @returns {Promise<void>}
+ */
+export async function drainIngestQueue() {
+  clearInterval(flushTimer);
+  clearInterval(lastSeenTimer);
+  flushTimer = null;
+  lastSeenTimer = null;
+
+  await flushIngestQueue({ drain: true });
+  await flushLastSeen();
+}
+
+/**
+ * Queue depth, throughput and drop counters
+ * @returns {Object}
+ */
+export function getIngestQueueStats() {
+  return {
+    depth: queue.length,
+    capacity: appConfig.ingestQueueCapacity,
+    batchSize: appConfig.ingestBatchSize,
+    flushIntervalMs: appConfig.ingestFlushIntervalMs,
+    backpressure: isAboveHighWater(),
+    ...stats,
+  };
+}
+
+export default {
+  enqueuePathEvent,
+  waitForCapacity,
+  touchLastSeen,
+  flushIngestQueue,
+  drainIngestQueue,
+  getIngestQueueStats,
+};
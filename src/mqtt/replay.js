@@ -0,0 +1,165 @@
+import fs from 'fs';
+import readline from 'readline';
+import { injectMQTTMessage } from './client.js';
+import { waitForCapacity } from './ingestQueue.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Replay of raw MQTT captures (see mqtt/capture.js)
+ *
+ * Captured messages are fed through the normal message pipeline in file order, spaced
+ * by their original receive times divided by the speed factor (speed 0 = as fast as
+ * the ingest queue accepts them). Messages are routed with the topic templates stored
+ * in the capture, so a capture replays the same way on a server with other settings.
+ * Only one replay runs at a time.
+ */
+
+let active = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function* readRecords(files, replay) {
+  for (const file of files) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        replay.corrupt++;
+      }
+    }
+  }
+}
+
+async function replayRecords(files, replay) {
+  let templates = {};
+  let firstAt = null;
+
+  for await (const record of readRecords(files, replay)) {
+    if (replay.stopRequested) break;
+
+    if (record.meta) {
+      templates = record.meta.brokers || {};
+      continue;
+    }
+    if (replay.limit && replay.replayed >= replay.limit) break;
+
+    if (replay.speed > 0) {
+      firstAt ??= record.receivedAt;
+      const due = replay.startedAtMs + (record.receivedAt - firstAt) / replay.speed;
+      const delay = due - Date.now();
+      if (delay > 0) await sleep(delay);
+    }
+
+    // Path events must not overflow the ingest queue; live traffic would have been spooled
+    const wait = waitForCapacity();
+    if (wait) await wait;
+
+    const payload = Buffer.from(record.payload ?? '', record.encoding === 'base64' ? 'base64' : 'utf8');
+    await injectMQTTMessage(record.topic, payload, {
+      brokerId: record.broker,
+      templates: templates[record.broker] || null,
+    });
+    replay.replayed++;
+    replay.lastReceivedAt = record.receivedAt;
+  }
+}
+
+/**
+ * Replay captured messages
+ * @param {Array<string>} files - Capture files, replayed in the given order
+ * @param {Object} [options]
+ * @param {string} [options.name] - Capture name, for status and logs
+ * @param {number} [options.speed=1] - Time factor (2 = twice as fast, 0 = no delays)
+ * @param {number} [options.limit] - Stop after this many messages
+ * @returns {Promise<Object>} - Replay summary, resolved when the replay ends (never rejects;
+ *   invalid options and a replay already running throw before it starts)
+ */
+export function replayCapture(files, { name = null, speed = 1, limit = null } = {}) {
+  if (active) {
+    throw Object.assign(new Error(`A replay of "${active.name}" is already running`), { status: 409 });
+  }
+  const factor = Number(speed);
+  if (!Number.isFinite(factor) || factor < 0) {
+    throw Object.assign(new Error('speed must be a number >= 0'), { status: 400 });
+  }
+  const max = limit === null || limit === undefined ? null : Number(limit);
+  if (max !== null && !(Number.isInteger(max) && max > 0)) {
+    throw Object.assign(new Error('limit must be a positive integer'), { status: 400 });
+  }
+
+  const replay = {
+    name,
+    speed: factor,
+    limit: max,
+    startedAt: new Date().toISOString(),
+    startedAtMs: Date.now(),
+    replayed: 0,
+    corrupt: 0,
+    lastReceivedAt: null,
+    stopRequested: false,
+  };
+  active = replay;
+  logger.info('Replaying MQTT capture', { capture: name, files: files.length, speed: factor, limit: max });
+  return run(files, replay);
+}
+
+async function run(files, replay) {
+  let error = null;
+  try {
+    await replayRecords(files, replay);
+  } catch (err) {
+    error = err.message;
+    logger.error('MQTT capture replay failed', { capture: replay.name, error: err.message });
+  } finally {
+    active = null;
+  }
+
+  const summary = {
+    name: replay.name,
+    speed: replay.speed,
+    replayed: replay.replayed,
+    corrupt: replay.corrupt,
+    stopped: replay.stopRequested,
+    startedAt: replay.startedAt,
+    finishedAt: new Date().toISOString(),
+    error,
+  };
+  logger.info('MQTT capture replay finished', summary);
+  return summary;
+}
+
+/**
+ * Ask the running replay to stop after the current message
+ * @returns {boolean} - False if no replay was running
+ */
+export function stopReplay() {
+  if (!active) return false;
+  active.stopRequested = true;
+  return true;
+}
+
+/**
+ * State of the running replay
+ * @returns {Object} - { active, name, speed, limit, startedAt, replayed, corrupt, lastReceivedAt }
+ */
+export function getReplayStatus() {
+  if (!active) return { active: false };
+  return {
+    active: true,
+    name: active.name,
+    speed: active.speed,
+    limit: active.limit,
+    startedAt: active.startedAt,
+    replayed: active.replayed,
+    corrupt: active.corrupt,
+    lastReceivedAt: active.lastReceivedAt ? new Date(active.lastReceivedAt).toISOString() : null,
+  };
+}
+
+export default {
+  replayCapture,
+  stopReplay,
+  getReplayStatus,
+};
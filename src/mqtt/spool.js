@@ -0,0 +1,292 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { isDBConnected } from '../db/connection.js';
+import { appConfig } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Disk spool for path events while MongoDB is unavailable
+ *
+ * Events are appended as NDJSON ({ receivedAt, event, origin }) to segment files
+ * spool-<seq>.ndjson in spoolDir, rolling to a new segment every spoolSegmentBytes.
+ * When the total passes spoolMaxBytes the oldest segment is deleted and its events
+ * are counted as dropped. Once the database is back the segments are replayed
+ * oldest first through the handler registered with setSpoolHandler; a segment is
+ * only deleted after every event in it has been handed over.
+ *
+ * While anything is spooled, new events are spooled too (see isSpoolPending), so
+ * replayed and live events reach the database in arrival order.
+ */
+
+const SEGMENT_PATTERN = /^spool-(\d+)\.ndjson$/;
+const REPLAY_CHECK_INTERVAL_MS = 10000;
+
+// Oldest first; the last segment receives appends unless it is being replayed
+let segments = [];
+let nextSeq = 1;
+let ready = null;
+let writeChain = Promise.resolve();
+let replaying = null;
+let replayHandler = null;
+let replayTimer = null;
+
+const stats = {
+  spooled: 0,
+  replayed: 0,
+  dropped: 0,
+  corrupt: 0,
+  writeErrors: 0,
+  lastSpoolAt: null,
+  lastReplayAt: null,
+};
+
+function segmentFile(seq) {
+  return path.join(appConfig.spoolDir, `spool-${String(seq).padStart(10, '0')}.ndjson`);
+}
+
+function countLines(content) {
+  let lines = 0;
+  for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) lines++;
+  return lines;
+}
+
+async function loadSegments() {
+  await fs.mkdir(appConfig.spoolDir, { recursive: true });
+  const names = (await fs.readdir(appConfig.spoolDir)).filter((name) => SEGMENT_PATTERN.test(name)).sort();
+
+  for (const name of names) {
+    const file = path.join(appConfig.spoolDir, name);
+    const content = await fs.readFile(file, 'utf8');
+    const seq = parseInt(name.match(SEGMENT_PATTERN)[1], 10);
+    segments.push({ seq, file, bytes: Buffer.byteLength(content), events: countLines(content), locked: false });
+    nextSeq = Math.max(nextSeq, seq + 1);
+  }
+
+  if (segments.length > 0) {
+    logger.info('Found spooled path events from a previous run', {
+      events: segments.reduce((sum, s) => sum + s.events, 0),
+      segments: segments.length,
+    });
+  }
+}
+
+/**
+ * Load spooled segments left by a previous run and start replaying when the database connects
+ * Safe to call more than once.
+ * @returns {Promise<void>}
+ */
+export function initSpool() {
+  if (ready) return ready;
+
+  ready = loadSegments().catch((error) => {
+    logger.error('Failed to load path event spool', { error: error.message, dir: appConfig.spoolDir });
+  });
+
+  mongoose.connection.on('connected', () => replaySpool());
+  mongoose.connection.on('reconnected', () => replaySpool());
+  replayTimer = setInterval(() => {
+    if (segments.length > 0) replaySpool();
+  }, REPLAY_CHECK_INTERVAL_MS);
+  replayTimer.unref();
+
+  return ready;
+}
+
+function totalBytes() {
+  return segments.reduce((sum, s) => sum + s.bytes, 0);
+}
+
+// Delete the oldest segments (skipping one under replay) until the spool fits
+async function enforceLimit() {
+  while (totalBytes() > appConfig.spoolMaxBytes) {
+    const index = segments.findIndex((s) => !s.locked);
+    // Never delete the segment currently being appended to
+    if (index === -1 || index === segments.length - 1) return;
+
+    const [segment] = segments.splice(index, 1);
+    stats.dropped += segment.events;
+    await fs.rm(segment.file, { force: true });
+    logger.warn('Path event spool full, dropped oldest segment', {
+      events: segment.events,
+      maxBytes: appConfig.spoolMaxBytes,
+      dropped: stats.dropped,
+    });
+  }
+}
+
+async function append(chunk, count) {
+  await initSpool();
+
+  let active = segments[segments.length - 1];
+  if (!active || active.locked || active.bytes >= appConfig.spoolSegmentBytes) {
+    active = { seq: nextSeq, file: segmentFile(nextSeq), bytes: 0, events: 0, locked: false };
+    nextSeq++;
+    segments.push(active);
+  }
+
+  await fs.appendFile(active.file, chunk);
+  active.bytes += Buffer.byteLength(chunk);
+  active.events += count;
+  stats.spooled += count;
+  stats.lastSpoolAt = new Date().toISOString();
+
+  await enforceLimit();
+}
+
+/**
+ * Append path events to the spool
+ * Writes are serialized; the returned promise resolves once these events are on disk.
+ * Never rejects: write failures are logged and the events counted as dropped.
+ * @param {Array<Object>} events - Validated path messages
+ * @param {function(Object): Object|undefined} [originOf] - { topic, brokerId } an event arrived on
+ * @returns {Promise<void>}
+ */
+export function spoolEvents(events, originOf = () => undefined) {
+  if (events.length === 0) return writeChain;
+
+  const receivedAt = Date.now();
+  const chunk = events.map((event) => `${JSON.stringify({ receivedAt, event, origin: originOf(event) })}\n`).join('');
+
+  writeChain = writeChain
+    .then(() => append(chunk, events.length))
+    .catch((error) => {
+      stats.writeErrors++;
+      stats.dropped += events.length;
+      logger.error('Failed to spool path events', { error: error.message, events: events.length });
+    });
+  return writeChain;
+}
+
+/**
+ * Wait for pending spool writes (used on shutdown)
+ * @returns {Promise<void>}
+ */
+export function flushSpool() {
+  return writeChain;
+}
+
+/**
+ * Whether events are waiting on disk (new events should be spooled behind them)
+ * @returns {boolean}
+ */
+export function isSpoolPending() {
+  return segments.length > 0;
+}
+
+/**
+ * Register the function that re-ingests a spooled event
+ * It should resolve once the event has been accepted (queued), and throw to stop the replay.
+ * It also gets the { topic, brokerId } the event arrived on, when that was spooled with it.
+ * @param {function(Object, Object=): Promise<void>} handler
+ */
+export function setSpoolHandler(handler) {
+  replayHandler = handler;
+}
+
+// Replay one segment; returns false if the replay stopped before the end
+async function replaySegment(segment) {
+  segment.locked = true;
+  try {
+    // Pending appends may still target this segment
+    await writeChain;
+    const lines = (await fs.readFile(segment.file, 'utf8')).split('\n').filter(Boolean);
+
+    let done = 0;
+    for (; done < lines.length; done++) {
+      if (!isDBConnected()) break;
+
+      let record;
+      try {
+        record = JSON.parse(lines[done]);
+      } catch {
+        stats.corrupt++;
+        continue;
+      }
+
+      try {
+        await replayHandler(record.event, record.origin);
+      } catch (error) {
+        logger.error('Failed to replay spooled path event', { error: error.message });
+        break;
+      }
+      stats.replayed++;
+    }
+
+    if (done < lines.length) {
+      // Keep what is left for the next attempt
+      const rest = `${lines.slice(done).join('\n')}\n`;
+      await fs.writeFile(segment.file, rest);
+      segment.bytes = Buffer.byteLength(rest);
+      segment.events = lines.length - done;
+      return false;
+    }
+
+    await fs.rm(segment.file, { force: true });
+    segments.splice(segments.indexOf(segment), 1);
+    return true;
+  } finally {
+    segment.locked = false;
+  }
+}
+
+/**
+ * Replay spooled events, oldest segment first, while the database stays connected
+ * Only one replay runs at a time; concurrent callers share it.
+ * @returns {Promise<void>}
+ */
+export function replaySpool() {
+  if (replaying) return replaying;
+
+  replaying = (async () => {
+    await initSpool();
+    if (!replayHandler || segments.length === 0 || !isDBConnected()) return;
+
+    const pending = segments.reduce((sum, s) => sum + s.events, 0);
+    logger.info('Replaying spooled path events', { events: pending, segments: segments.length });
+    const before = stats.replayed;
+
+    while (segments.length > 0 && isDBConnected()) {
+      if (!(await replaySegment(segments[0]))) break;
+    }
+
+    stats.lastReplayAt = new Date().toISOString();
+    logger.info('Spool replay finished', {
+      replayed: stats.replayed - before,
+      remaining: segments.reduce((sum, s) => sum + s.events, 0),
+    });
+  })()
+    .catch((error) => {
+      logger.error('Spool replay failed', { error: error.message });
+    })
+    .finally(() => {
+      replaying = null;
+    });
+
+  return replaying;
+}
+
+/**
+ * Spool depth and counters
+ * @returns {Object}
+ */
+export function getSpoolStatus() {
+  return {
+    events: segments.reduce((sum, s) => sum + s.events, 0),
+    bytes: totalBytes(),
+    segments: segments.length,
+    maxBytes: appConfig.spoolMaxBytes,
+    replaying: replaying !== null,
+    ...stats,
+  };
+}
+
+export default {
+  initSpool,
+  spoolEvents,
+  flushSpool,
+  isSpoolPending,
+  setSpoolHandler,
+  replaySpool,
+  getSpoolStatus,
+};
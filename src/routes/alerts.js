@@ -0,0 +1,34 @@
+import express from 'express';
+import { listAlerts } from '../services/watchdogService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// All routes are mounted behind authenticate + requireAdmin (see routes/index.js)
+
+/**
+ * GET /api/alerts
+ * Watchdog alerts (silent cameras), newest first
+ *
+ * Query parameters:
+ * - active: true (still silent) | false (recovered)
+ * - serial: Only this camera
+ * - limit: Number of results (default: 100, max: 1000)
+ * - skip: Number of results to skip
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { serial } = req.query;
+    const active = req.query.active === undefined ? undefined : req.query.active === 'true';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const { items, total } = await listAlerts({ active, serial, limit, skip });
+    res.json({ success: true, data: items, total });
+  } catch (error) {
+    logger.error('Error listing alerts', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to retrieve alerts' });
+  }
+});
+
+export default router;
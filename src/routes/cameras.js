@@ -1,13 +1,69 @@
 import express from 'express';
 import * as cameraService from '../services/cameraService.js';
 import * as vapixService from '../services/vapixService.js';
-import { Camera } from '../models/index.js';
-import { resubscribeToCameras } from '../mqtt/client.js';
+import { getStatusHistory } from '../services/statusHistoryService.js';
+import { previewFilters } from '../services/filterPreviewService.js';
+import { getCameraIngestStats } from '../services/ingestStatsService.js';
+import { getSnapshotAt, listArchivedSnapshots, openArchivedSnapshot } from '../services/snapshotArchiveService.js';
+import { openLatestSnapshot, readLatestSnapshotBase64 } from '../services/snapshotService.js';
+import { Camera, MqttConfig } from '../models/index.js';
+import { resubscribeToCameras, getBrokerTopicTemplates } from '../mqtt/client.js';
+import { topicFor } from '../dataq/topics.js';
 import logger from '../utils/logger.js';
-import { authenticate, requireEditor } from '../middleware/auth.js';
+import { authenticate, requireEditor, resolveCameraScope } from '../middleware/auth.js';
 
 const router = express.Router();
 const editorGuard = [authenticate, requireEditor];
+const scopeGuard = [authenticate, resolveCameraScope];
+
+/**
+ * Whether a camera is readable by the caller (req.cameraScope set by resolveCameraScope)
+ * @param {string} serialNumber - Uppercase serial number
+ * @returns {boolean}
+ */
+function inCameraScope(req, serialNumber) {
+  return !req.cameraScope || req.cameraScope.includes(serialNumber);
+}
+
+/**
+ * Normalise a requested brokerId ('' / null = default broker)
+ * @param {*} brokerId - Value from the request body
+ * @returns {Promise<string|null>}
+ * @throws {Error} 400 if the broker doesn't exist
+ */
+async function resolveBrokerId(brokerId) {
+  if (!brokerId) return null;
+  if (!(await MqttConfig.exists({ _id: String(brokerId) }))) {
+    throw Object.assign(new Error(`Unknown MQTT broker: ${brokerId}`), { status: 400 });
+  }
+  return String(brokerId);
+}
+
+/**
+ * Send a stored JPEG with validators; answers conditional GETs with 304
+ * @param {Object} image - From openLatestSnapshot / openArchivedSnapshot
+ * @param {boolean} immutable - The URL always returns this image (versioned or archived)
+ * @param {boolean} [shared=true] - Shared caches may store it; false for per-user (scoped) images
+ */
+function sendImage(req, res, image, immutable, shared = true) {
+  res.set({
+    'Content-Type': 'image/jpeg',
+    ETag: image.etag,
+    'Last-Modified': new Date(image.lastModified).toUTCString(),
+    'Cache-Control': immutable ? `${shared ? 'public' : 'private'}, max-age=31536000, immutable` : 'no-cache',
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.set('Content-Length', String(image.length));
+  image
+    .stream()
+    .on('error', (error) => {
+      logger.error('Error streaming snapshot', { error: error.message, path: req.path });
+      res.destroy(error);
+    })
+    .pipe(res);
+}
 
 /**
  * GET /api/cameras
@@ -61,8 +117,10 @@ router.post('/', ...editorGuard, async (req, res) => {
       resolution,
       aspectRatio,
       mqttTopic,
+      brokerId,
       enabled,
       retentionDays,
+      watchdog,
     } = req.body;
 
     // Validation
@@ -73,8 +131,9 @@ router.post('/', ...editorGuard, async (req, res) => {
       });
     }
 
-    // Set default MQTT topic if not provided: dataq/path/{SERIAL}
-    const finalMqttTopic = mqttTopic || `dataq/path/${serialNumber.toUpperCase()}`;
+    // Set default MQTT topic if not provided (the broker's path topic template, default dataq/path/{SERIAL})
+    const finalBrokerId = await resolveBrokerId(brokerId);
+    const finalMqttTopic = mqttTopic || topicFor('path', serialNumber, getBrokerTopicTemplates(finalBrokerId));
 
     const cameraData = {
       name,
@@ -89,8 +148,10 @@ router.post('/', ...editorGuard, async (req, res) => {
       resolution: resolution || '1280x720',
       aspectRatio: aspectRatio || '16:9',
       mqttTopic: finalMqttTopic,
+      brokerId: finalBrokerId,
       enabled: enabled !== false,
       retentionDays: retentionDays !== undefined ? retentionDays : undefined,
+      watchdog,
     };
 
     // Validate local camera has required fields
@@ -130,6 +191,7 @@ router.post('/', ...editorGuard, async (req, res) => {
 
     res.status(201).json({ success: true, data: camera });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
     logger.error('Error creating camera', { error: error.message });
     if (error.message.includes('already exists')) {
       return res.status(409).json({ success: false, error: error.message });
@@ -156,9 +218,11 @@ router.put('/:id', ...editorGuard, async (req, res) => {
       'resolution',
       'aspectRatio',
       'mqttTopic',
+      'brokerId',
       'enabled',
       'filters',
       'retentionDays',
+      'watchdog',
     ];
 
     const updateData = {};
@@ -176,6 +240,10 @@ router.put('/:id', ...editorGuard, async (req, res) => {
       return res.status(400).json({ success: false, error: 'No valid fields to update' });
     }
 
+    if (updateData.brokerId !== undefined) {
+      updateData.brokerId = await resolveBrokerId(updateData.brokerId);
+    }
+
     // Validate local camera has required fields if changing to local
     if (updateData.cameraType === 'local') {
       const camera = await Camera.findById(req.params.id);
@@ -196,6 +264,11 @@ router.put('/:id', ...editorGuard, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Camera not found' });
     }
 
+    // Move the path topic subscription if the broker, topic or enabled state changed
+    if (updateData.brokerId !== undefined || updateData.mqttTopic !== undefined || updateData.enabled !== undefined) {
+      await resubscribeToCameras();
+    }
+
     // For local cameras, refresh snapshot if connection details were updated
     if (camera.cameraType === 'local' && (updateData.ipAddress || updateData.username || updateData.password)) {
       try {
@@ -220,6 +293,7 @@ router.put('/:id', ...editorGuard, async (req, res) => {
 
     res.json({ success: true, data: camera });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
     logger.error('Error updating camera', { error: error.message, id: req.params.id });
     if (error.message.includes('already exists')) {
       return res.status(409).json({ success: false, error: error.message });
@@ -247,7 +321,12 @@ router.delete('/:id', ...editorGuard, async (req, res) => {
 
 /**
  * GET /api/cameras/:serialNumber/snapshot
- * Get camera snapshot (latest image)
+ * Get camera snapshot (latest image) as image/jpeg, with ETag / Last-Modified
+ *
+ * Query parameters:
+ *   width - thumbnail width (160, 320 or 640)
+ *   v     - snapshot version (from a snapshot URL); the response is cached for ever when current
+ * Clients that prefer application/json (Accept) get the metadata and the base64 image instead.
  */
 router.get('/:serialNumber/snapshot', async (req, res) => {
   try {
@@ -255,8 +334,23 @@ router.get('/:serialNumber/snapshot', async (req, res) => {
     if (!snapshot) {
       return res.status(404).json({ success: false, error: 'No snapshot available' });
     }
-    res.json({ success: true, data: snapshot });
+
+    if (req.accepts(['image/jpeg', 'application/json']) === 'application/json') {
+      const { fileId, ...metadata } = snapshot;
+      const image = await readLatestSnapshotBase64(fileId);
+      return res.json({ success: true, data: { ...metadata, image } });
+    }
+
+    const image = await openLatestSnapshot(snapshot.fileId, { width: req.query.width });
+    if (!image) {
+      // Replaced between the two lookups
+      return res.status(404).json({ success: false, error: 'No snapshot available' });
+    }
+    sendImage(req, res, image, req.query.v === String(snapshot.fileId));
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     logger.error('Error getting camera snapshot', {
       error: error.message,
       serialNumber: req.params.serialNumber,
@@ -265,6 +359,146 @@ router.get('/:serialNumber/snapshot', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/cameras/:serial/snapshots
+ * Snapshot archive timeline (requires JWT; non-admin users only see their authorized cameras)
+ *
+ * Query parameters:
+ *   at             - ISO date or epoch ms: return the snapshot (with image URL) taken closest to it
+ * Without at, archived snapshot metadata, newest first:
+ *   from, to       - ISO dates or epoch ms
+ *   limit          - Number of results (default: 100, max: 1000)
+ *   skip           - Number of results to skip
+ */
+router.get('/:serial/snapshots', ...scopeGuard, async (req, res) => {
+  try {
+    const serialNumber = req.params.serial.toUpperCase();
+    if (!inCameraScope(req, serialNumber) || !(await Camera.exists({ serialNumber }))) {
+      return res.status(404).json({ success: false, error: 'Camera not found' });
+    }
+
+    if (req.query.at !== undefined) {
+      const snapshot = await getSnapshotAt(serialNumber, req.query.at);
+      if (!snapshot) {
+        return res.status(404).json({ success: false, error: 'No snapshot available' });
+      }
+      return res.json({ success: true, data: snapshot });
+    }
+
+    const { from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const { items, total } = await listArchivedSnapshots(serialNumber, { from, to, limit, skip });
+    res.json({ success: true, data: items, total });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Error getting camera snapshots', { error: error.message, serial: req.params.serial });
+    res.status(500).json({ success: false, error: 'Failed to retrieve snapshots' });
+  }
+});
+
+/**
+ * GET /api/cameras/:serial/snapshots/:id
+ * Archived snapshot as image/jpeg (immutable; requires JWT, scoped like /snapshots)
+ *
+ * Query parameters:
+ *   width - thumbnail width (160, 320 or 640)
+ */
+router.get('/:serial/snapshots/:id', ...scopeGuard, async (req, res) => {
+  try {
+    const serialNumber = req.params.serial.toUpperCase();
+    if (!inCameraScope(req, serialNumber)) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+    const image = await openArchivedSnapshot(serialNumber, req.params.id, { width: req.query.width });
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Snapshot not found' });
+    }
+    sendImage(req, res, image, true, false);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Error getting archived snapshot', { error: error.message, serial: req.params.serial });
+    res.status(500).json({ success: false, error: 'Failed to retrieve snapshot' });
+  }
+});
+
+/**
+ * GET /api/cameras/:serial/status-history
+ * CPU, network and uptime history from status heartbeats, downsampled into time buckets
+ * (requires JWT; non-admin users only see their authorized cameras)
+ *
+ * Query parameters (all optional):
+ *   from, to       - ISO dates or epoch ms (default: the last 24 hours)
+ *   points         - target number of buckets, 10-2000 (default 200)
+ *   bucketSeconds  - fixed bucket size instead of points
+ */
+router.get('/:serial/status-history', ...scopeGuard, async (req, res) => {
+  try {
+    const serialNumber = req.params.serial.toUpperCase();
+    if (!inCameraScope(req, serialNumber) || !(await Camera.exists({ serialNumber }))) {
+      return res.status(404).json({ success: false, error: 'Camera not found' });
+    }
+    const { from, to, points, bucketSeconds } = req.query;
+    const history = await getStatusHistory(serialNumber, { from, to, points, bucketSeconds });
+    res.json({ success: true, data: history });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Error getting camera status history', { error: error.message, serial: req.params.serial });
+    res.status(500).json({ success: false, error: 'Failed to retrieve status history' });
+  }
+});
+
+/**
+ * GET /api/cameras/:serial/ingest-stats
+ * Hourly path message counters (received, parsed, rejected, ignored, filtered by reason,
+ * dropped, duplicates, saved); requires JWT, non-admin users only see their authorized cameras
+ * Query parameters (optional): from, to - ISO dates or epoch ms (default: the last 24 hours)
+ */
+router.get('/:serial/ingest-stats', ...scopeGuard, async (req, res) => {
+  try {
+    const serialNumber = req.params.serial.toUpperCase();
+    if (!inCameraScope(req, serialNumber) || !(await Camera.exists({ serialNumber }))) {
+      return res.status(404).json({ success: false, error: 'Camera not found' });
+    }
+    const stats = await getCameraIngestStats(serialNumber, { from: req.query.from, to: req.query.to });
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Error getting camera ingest stats', { error: error.message, serial: req.params.serial });
+    res.status(500).json({ success: false, error: 'Failed to retrieve ingest stats' });
+  }
+});
+
+/**
+ * POST /api/cameras/:serial/filters/preview
+ * Dry-run proposed filters against the camera's stored paths (editor only)
+ * Body: { filters, from?, to?, samples? } - from/to default to the last 7 days
+ */
+router.post('/:serial/filters/preview', ...editorGuard, async (req, res) => {
+  try {
+    const { filters, from, to, samples } = req.body;
+    const preview = await previewFilters(req.params.serial, filters, { from, to, samples });
+    if (!preview) {
+      return res.status(404).json({ success: false, error: 'Camera not found' });
+    }
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Error previewing camera filters', { error: error.message, serial: req.params.serial });
+    res.status(500).json({ success: false, error: 'Failed to preview filters' });
+  }
+});
+
 /**
  * POST /api/cameras/:id/refresh-snapshot
  * Refresh snapshot for local camera (admin only)
@@ -0,0 +1,153 @@
+import fs from 'fs';
+import express from 'express';
+import * as captureService from '../mqtt/capture.js';
+import { replayCapture, stopReplay, getReplayStatus } from '../mqtt/replay.js';
+import { getBrokerStatus, getBrokerTopicTemplates } from '../mqtt/client.js';
+import { DEFAULT_BROKER_ID } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// All routes are mounted behind authenticate + requireAdmin (see routes/index.js)
+
+// brokerId → resolved topic templates, stored in the capture so it replays the same way elsewhere
+function brokerTemplates() {
+  const ids = new Set([DEFAULT_BROKER_ID, ...getBrokerStatus().map((broker) => broker.id)]);
+  return Object.fromEntries([...ids].map((id) => [id, getBrokerTopicTemplates(id)]));
+}
+
+// Literal routes MUST come before dynamic /:name routes in Express
+
+/** GET /api/captures — stored captures, newest first */
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, data: await captureService.listCaptures() });
+  } catch (error) {
+    logger.error('Error listing captures', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to list captures' });
+  }
+});
+
+/** GET /api/captures/status — running capture and replay */
+router.get('/status', (req, res) => {
+  res.json({
+    success: true,
+    data: { capture: captureService.getCaptureStatus(), replay: getReplayStatus() },
+  });
+});
+
+/**
+ * POST /api/captures/start
+ * Start recording every received MQTT message
+ *
+ * Request body (all optional):
+ * {
+ *   "name": "site-a-issue-42",   // letters, digits, - and _; default capture-<timestamp>
+ *   "durationSeconds": 3600       // stop automatically
+ * }
+ */
+router.post('/start', async (req, res) => {
+  try {
+    const { name, durationSeconds } = req.body;
+    const status = await captureService.startCapture({ name, durationSeconds, brokers: brokerTemplates() });
+    res.status(201).json({ success: true, data: status });
+  } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error starting capture', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to start capture' });
+  }
+});
+
+/** POST /api/captures/stop — stop the running capture */
+router.post('/stop', async (req, res) => {
+  try {
+    const summary = await captureService.stopCapture();
+    if (!summary) return res.status(404).json({ success: false, error: 'No capture is running' });
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Error stopping capture', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to stop capture' });
+  }
+});
+
+/** POST /api/captures/replay/stop — stop the running replay after the current message */
+router.post('/replay/stop', (req, res) => {
+  if (!stopReplay()) return res.status(404).json({ success: false, error: 'No replay is running' });
+  res.json({ success: true, data: { stopping: true } });
+});
+
+// Dynamic /:name routes (after all literals)
+
+/** GET /api/captures/:name/download — the capture as one NDJSON stream */
+router.get('/:name/download', async (req, res) => {
+  try {
+    const files = await captureService.getCaptureFiles(req.params.name);
+    if (!files) return res.status(404).json({ success: false, error: 'Capture not found' });
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}.ndjson"`);
+    for (const file of files) {
+      await new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(file);
+        stream.on('end', resolve).on('error', reject);
+        stream.pipe(res, { end: false });
+      });
+    }
+    res.end();
+  } catch (error) {
+    logger.error('Error downloading capture', { error: error.message, capture: req.params.name });
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, error: 'Failed to download capture' });
+    }
+    res.destroy(error);
+  }
+});
+
+/**
+ * POST /api/captures/:name/replay
+ * Replay a capture into this server's database in the background (poll /status)
+ * To replay into a separate database, use scripts/replay-capture.js.
+ *
+ * Request body (all optional):
+ * {
+ *   "speed": 10,    // time factor: 1 = real time (default), 0 = no delays
+ *   "limit": 1000   // stop after this many messages
+ * }
+ */
+router.post('/:name/replay', async (req, res) => {
+  try {
+    const files = await captureService.getCaptureFiles(req.params.name);
+    if (!files) return res.status(404).json({ success: false, error: 'Capture not found' });
+    if (captureService.getCaptureStatus().name === req.params.name) {
+      return res.status(409).json({ success: false, error: 'Stop the capture before replaying it' });
+    }
+
+    const { speed = 1, limit = null } = req.body;
+    // Throws on invalid options; otherwise runs on after the response
+    replayCapture(files, { name: req.params.name, speed, limit });
+    res.status(202).json({ success: true, data: getReplayStatus() });
+  } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error replaying capture', { error: error.message, capture: req.params.name });
+    res.status(500).json({ success: false, error: 'Failed to replay capture' });
+  }
+});
+
+/** DELETE /api/captures/:name */
+router.delete('/:name', async (req, res) => {
+  try {
+    const deleted = await captureService.deleteCapture(req.params.name);
+    if (!deleted) return res.status(404).json({ success: false, error: 'Capture not found' });
+    res.json({ success: true, data: { deleted: true } });
+  } catch (error) {
+    if (error.status === 409) return res.status(409).json({ success: false, error: error.message });
+    logger.error('Error deleting capture', { error: error.message, capture: req.params.name });
+    res.status(500).json({ success: false, error: 'Failed to delete capture' });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import * as configService from '../services/configService.js';
-import { authenticate, requireEditor } from '../middleware/auth.js';
+import { authenticate, requireEditor, requireAdmin } from '../middleware/auth.js';
+import { getSpoolStatus } from '../mqtt/spool.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -34,6 +35,7 @@ router.get('/', async (req, res) => {
         defaultPageSize: systemConfig.defaultPageSize,
         maxPageSize: systemConfig.maxPageSize,
         dataRetentionDays: systemConfig.dataRetentionDays,
+        statusRetentionDays: systemConfig.statusRetentionDays,
         defaultTimeRangeHours: systemConfig.defaultTimeRangeHours,
       },
     });
@@ -95,14 +97,16 @@ router.put('/', ...editorGuard, async (req, res) => {
 });
 
 /**
- * GET /api/config/status
- * Get connection status for MongoDB and MQTT
+ * GET /api/config/status/details
+ * Connection status with broker details, ingest counters and the disk spool (admins only;
+ * the public GET /api/config/status only says whether MongoDB and MQTT are connected)
  */
-router.get('/status', (req, res) => {
+router.get('/status/details', authenticate, requireAdmin, (req, res) => {
   try {
     const status = {
       mongodb: configService.getMongoStatus(),
-      mqtt: configService.getMqttStatus(),
+      mqtt: configService.getMqttStatusDetails(),
+      spool: getSpoolStatus(),
     };
     res.json({ success: true, data: status });
   } catch (error) {
@@ -134,6 +138,7 @@ router.put('/mqtt', ...editorGuard, async (req, res) => {
     const config = await configService.updateMqttConfig(req.body);
     res.json({ success: true, data: config });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
     logger.error('Error updating MQTT config', { error: error.message });
     res.status(500).json({ success: false, error: 'Failed to update MQTT configuration' });
   }
@@ -190,7 +195,7 @@ router.post('/mqtt/test', ...editorGuard, async (req, res) => {
 
 /**
  * POST /api/config/mqtt/reconnect
- * Reconnect MQTT with current database configuration
+ * Reconnect all MQTT brokers with their current database configuration
  */
 router.post('/mqtt/reconnect', ...editorGuard, async (req, res) => {
   try {
@@ -202,6 +207,127 @@ router.post('/mqtt/reconnect', ...editorGuard, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/config/mqtt/brokers
+ * List broker configurations (default broker first) with connection status
+ */
+router.get('/mqtt/brokers', async (req, res) => {
+  try {
+    const brokers = await configService.listBrokerConfigs();
+    res.json({ success: true, data: brokers });
+  } catch (error) {
+    logger.error('Error listing MQTT brokers', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to retrieve MQTT brokers' });
+  }
+});
+
+/**
+ * POST /api/config/mqtt/brokers
+ * Add a broker configuration ({ id, name, host, port, ... } as for PUT /api/config/mqtt)
+ */
+router.post('/mqtt/brokers', ...editorGuard, async (req, res) => {
+  try {
+    const broker = await configService.createBrokerConfig(req.body);
+    res.status(201).json({ success: true, data: broker });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.message });
+    logger.error('Error creating MQTT broker', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to create MQTT broker' });
+  }
+});
+
+/** GET /api/config/mqtt/brokers/:id */
+router.get('/mqtt/brokers/:id', async (req, res) => {
+  try {
+    const broker = await configService.getBrokerConfig(req.params.id);
+    if (!broker) return res.status(404).json({ success: false, error: 'MQTT broker not found' });
+    res.json({ success: true, data: broker });
+  } catch (error) {
+    logger.error('Error getting MQTT broker', { error: error.message, broker: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to retrieve MQTT broker' });
+  }
+});
+
+/** PUT /api/config/mqtt/brokers/:id — update a broker (reconnect it to apply) */
+router.put('/mqtt/brokers/:id', ...editorGuard, async (req, res) => {
+  try {
+    const broker = await configService.updateBrokerConfig(req.params.id, req.body);
+    if (!broker) return res.status(404).json({ success: false, error: 'MQTT broker not found' });
+    res.json({ success: true, data: broker });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error updating MQTT broker', { error: error.message, broker: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to update MQTT broker' });
+  }
+});
+
+/** DELETE /api/config/mqtt/brokers/:id */
+router.delete('/mqtt/brokers/:id', ...editorGuard, async (req, res) => {
+  try {
+    const deleted = await configService.deleteBrokerConfig(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, error: 'MQTT broker not found' });
+    res.json({ success: true, data: { deleted: true } });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error deleting MQTT broker', { error: error.message, broker: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to delete MQTT broker' });
+  }
+});
+
+/** POST /api/config/mqtt/brokers/:id/reconnect — apply a broker's stored configuration */
+router.post('/mqtt/brokers/:id/reconnect', ...editorGuard, async (req, res) => {
+  try {
+    const result = await configService.reconnectBrokerConfig(req.params.id);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error reconnecting MQTT broker', { error: error.message, broker: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to reconnect MQTT broker' });
+  }
+});
+
+/**
+ * GET /api/config/mqtt/embedded
+ * Get the embedded MQTT broker configuration (users without passwords) and status
+ */
+router.get('/mqtt/embedded', async (req, res) => {
+  try {
+    const config = await configService.getEmbeddedBrokerConfig();
+    res.json({ success: true, data: config });
+  } catch (error) {
+    logger.error('Error getting embedded broker config', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to retrieve embedded broker configuration' });
+  }
+});
+
+/**
+ * PUT /api/config/mqtt/embedded
+ * Update the embedded MQTT broker (apply with POST /api/config/mqtt/embedded/restart)
+ */
+router.put('/mqtt/embedded', ...editorGuard, async (req, res) => {
+  try {
+    const config = await configService.updateEmbeddedBrokerConfig(req.body);
+    res.json({ success: true, data: config });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error updating embedded broker config', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to update embedded broker configuration' });
+  }
+});
+
+/**
+ * POST /api/config/mqtt/embedded/restart
+ * Restart the embedded broker with its stored configuration and reconnect the default broker
+ */
+router.post('/mqtt/embedded/restart', ...editorGuard, async (req, res) => {
+  try {
+    const result = await configService.restartEmbeddedBroker();
+    res.json(result);
+  } catch (error) {
+    logger.error('Error restarting embedded broker', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to restart embedded broker' });
+  }
+});
+
 /**
  * GET /api/config/system
  * Get system configuration
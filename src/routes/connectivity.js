@@ -0,0 +1,65 @@
+import express from 'express';
+import * as connectivityService from '../services/connectivityService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// All routes are mounted behind authenticate + requireAdmin (see routes/index.js)
+
+/**
+ * GET /api/connectivity/events
+ * Camera online/offline transitions, newest first
+ *
+ * Query parameters:
+ * - serial: Only this camera
+ * - from, to: ISO date or epoch milliseconds
+ * - limit: Number of results (default: 100, max: 1000)
+ * - skip: Number of results to skip
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const { serial, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const { items, total } = await connectivityService.listConnectivityEvents({ serial, from, to, limit, skip });
+    res.json({ success: true, data: items, total });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error listing connectivity events', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to retrieve connectivity events' });
+  }
+});
+
+/**
+ * GET /api/connectivity/availability
+ * Uptime %, outage count and longest outage per camera over a period
+ *
+ * Query parameters:
+ * - from, to: ISO date or epoch milliseconds (default: the last 30 days; to is capped at now)
+ * - serial: Only this camera
+ * - format: json (default) | csv (download, one row per camera)
+ */
+router.get('/availability', async (req, res) => {
+  try {
+    const { from, to, serial, format = 'json' } = req.query;
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be json or csv' });
+    }
+
+    const report = await connectivityService.getAvailabilityReport({ from, to, serial });
+    if (format === 'csv') {
+      const day = (iso) => iso.slice(0, 10).replace(/-/g, '');
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="availability_${day(report.from)}-${day(report.to)}.csv"`);
+      return res.send(connectivityService.availabilityReportToCsv(report));
+    }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error computing availability report', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to compute availability report' });
+  }
+});
+
+export default router;
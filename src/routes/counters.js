@@ -2,7 +2,6 @@ import express from 'express';
 import * as counterSetsService from '../services/counterSetsService.js';
 import * as countersService from '../services/countersService.js';
 import retentionService from '../services/retentionService.js';
-import { getMQTTClient } from '../mqtt/client.js';
 import { authenticate, requireEditor } from '../middleware/auth.js';
 import logger from '../utils/logger.js';
 
@@ -27,8 +26,7 @@ router.get('/', async (req, res) => {
 /** POST /api/counters — create counter set + async backfill */
 router.post('/', ...editorGuard, async (req, res) => {
   try {
-    const mqttClient = getMQTTClient();
-    const doc = await counterSetsService.create(req.body, mqttClient);
+    const doc = await counterSetsService.create(req.body);
     res.status(201).json({ success: true, data: doc });
   } catch (err) {
     if (err.status === 400) return res.status(400).json({ success: false, error: err.message });
@@ -92,11 +90,11 @@ router.get('/:id', async (req, res) => {
 /** PUT /api/counters/:id */
 router.put('/:id', ...editorGuard, async (req, res) => {
   try {
-    const mqttClient = getMQTTClient();
-    const doc = await counterSetsService.update(req.params.id, req.body, mqttClient);
+    const doc = await counterSetsService.update(req.params.id, req.body);
     if (!doc) return res.status(404).json({ success: false, error: 'Counter set not found' });
     res.json({ success: true, data: doc });
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ success: false, error: err.message });
     logger.error('PUT /counters/:id error', { error: err.message });
     res.status(500).json({ success: false, error: 'Failed to update counter set' });
   }
@@ -105,8 +103,7 @@ router.put('/:id', ...editorGuard, async (req, res) => {
 /** DELETE /api/counters/:id */
 router.delete('/:id', ...editorGuard, async (req, res) => {
   try {
-    const mqttClient = getMQTTClient();
-    const deleted = await counterSetsService.deleteById(req.params.id, mqttClient);
+    const deleted = await counterSetsService.deleteById(req.params.id);
     if (!deleted) return res.status(404).json({ success: false, error: 'Counter set not found' });
     res.json({ success: true, data: { deleted: true } });
   } catch (err) {
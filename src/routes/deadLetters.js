@@ -0,0 +1,142 @@
+import express from 'express';
+import * as deadLetterService from '../services/deadLetterService.js';
+import { replayDeadLetters } from '../mqtt/client.js';
+import { MESSAGE_KINDS } from '../dataq/schema.js';
+import { appConfig } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// All routes are mounted behind authenticate + requireAdmin (see routes/index.js)
+
+function parseSelection(source) {
+  const { kind, topic } = source;
+  if (kind !== undefined && !MESSAGE_KINDS.includes(kind)) {
+    throw Object.assign(new Error(`kind must be one of: ${MESSAGE_KINDS.join(', ')}`), { status: 400 });
+  }
+  // Query strings can carry objects (topic[$ne]=x); only a plain topic is a selection
+  if (topic !== undefined && typeof topic !== 'string') {
+    throw Object.assign(new Error('topic must be a string'), { status: 400 });
+  }
+  return { kind, topic };
+}
+
+// Literal routes MUST come before dynamic /:id routes in Express
+
+/**
+ * GET /api/dead-letters
+ * List rejected MQTT messages, newest first (payloads are truncated to payloadPreview)
+ *
+ * Query parameters:
+ * - kind: path | connect | status | image
+ * - topic: exact MQTT topic
+ * - limit: Number of results (default: 50, max: 1000)
+ * - skip: Number of results to skip
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { kind, topic } = parseSelection(req.query);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 1000);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const { items, total } = await deadLetterService.listDeadLetters({ kind, topic, limit, skip });
+    res.json({ success: true, data: items, total });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error listing dead letters', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to retrieve dead letters' });
+  }
+});
+
+/**
+ * DELETE /api/dead-letters
+ * Delete all dead letters, or only those matching ?kind= / ?topic=
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const deleted = await deadLetterService.deleteDeadLetters(parseSelection(req.query));
+    res.json({ success: true, data: { deleted } });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error deleting dead letters', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to delete dead letters' });
+  }
+});
+
+/**
+ * POST /api/dead-letters/replay
+ * Replay dead letters, oldest first
+ *
+ * Request body (all optional):
+ * {
+ *   "ids": ["..."],   // specific dead letters
+ *   "kind": "path",
+ *   "topic": "dataq/path/B8A44FF11A35",
+ *   "limit": 1000
+ * }
+ */
+router.post('/replay', async (req, res) => {
+  try {
+    const { ids, limit } = req.body;
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ success: false, error: 'ids must be an array' });
+    }
+    const results = await replayDeadLetters({
+      ...parseSelection(req.body),
+      ids,
+      limit: Math.min(parseInt(limit, 10) || 1000, appConfig.maxQueryResults),
+    });
+
+    const replayed = results.filter((r) => r.replayed).length;
+    res.json({
+      success: true,
+      data: { replayed, failed: results.length - replayed, results },
+    });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error replaying dead letters', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to replay dead letters' });
+  }
+});
+
+// Dynamic /:id routes (after all literals)
+
+/** GET /api/dead-letters/:id — full dead letter including the raw payload */
+router.get('/:id', async (req, res) => {
+  try {
+    const deadLetter = await deadLetterService.getDeadLetter(req.params.id);
+    if (!deadLetter) return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    res.json({ success: true, data: deadLetter });
+  } catch (error) {
+    logger.error('Error getting dead letter', { error: error.message, id: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to retrieve dead letter' });
+  }
+});
+
+/** DELETE /api/dead-letters/:id */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deadLetterService.deleteDeadLetter(req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    res.json({ success: true, data: { deleted: true } });
+  } catch (error) {
+    logger.error('Error deleting dead letter', { error: error.message, id: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to delete dead letter' });
+  }
+});
+
+/** POST /api/dead-letters/:id/replay — replay a single dead letter */
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const deadLetter = await deadLetterService.getDeadLetter(req.params.id);
+    if (!deadLetter) return res.status(404).json({ success: false, error: 'Dead letter not found' });
+
+    const [result] = await replayDeadLetters({ ids: [req.params.id], limit: 1 });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error replaying dead letter', { error: error.message, id: req.params.id });
+    res.status(500).json({ success: false, error: 'Failed to replay dead letter' });
+  }
+});
+
+export default router;
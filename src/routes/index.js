@@ -5,7 +5,12 @@ import configRouter from './config.js';
 import authRouter from './auth.js';
 import usersRouter from './users.js';
 import countersRouter from './counters.js';
-import { authenticate } from '../middleware/auth.js';
+import deadLettersRouter from './deadLetters.js';
+import capturesRouter from './captures.js';
+import simulatorRouter from './simulator.js';
+import connectivityRouter from './connectivity.js';
+import alertsRouter from './alerts.js';
+import { authenticate, requireAdmin, resolveCameraScope } from '../middleware/auth.js';
 import * as configService from '../services/configService.js';
 import logger from '../utils/logger.js';
 
@@ -53,10 +58,27 @@ router.post('/config/mongodb/connect', async (req, res) => {
 
 // API routes (admin UI is password-protected)
 router.use('/cameras', camerasRouter);
-router.use('/paths', pathsRouter);
 router.use('/config', configRouter);
 router.use('/counters', countersRouter);
 
+// Path data routes (requires JWT; non-admin users only see their authorized cameras)
+router.use('/paths', authenticate, resolveCameraScope, pathsRouter);
+
+// Rejected MQTT messages (admin only)
+router.use('/dead-letters', authenticate, requireAdmin, deadLettersRouter);
+
+// Raw MQTT captures and replay (admin only)
+router.use('/captures', authenticate, requireAdmin, capturesRouter);
+
+// DataQ traffic simulator (admin only)
+router.use('/simulator', authenticate, requireAdmin, simulatorRouter);
+
+// Camera connectivity log and availability reports (admin only)
+router.use('/connectivity', authenticate, requireAdmin, connectivityRouter);
+
+// Stale-camera watchdog alerts (admin only)
+router.use('/alerts', authenticate, requireAdmin, alertsRouter);
+
 // User routes (requires JWT authentication for client apps)
 router.use('/users', authenticate, usersRouter);
 
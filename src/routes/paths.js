@@ -1,9 +1,63 @@
 import express from 'express';
+import { once } from 'events';
 import * as pathEventService from '../services/pathEventService.js';
+import * as exportService from '../services/exportService.js';
+import * as importService from '../services/importService.js';
+import * as pathMetricsService from '../services/pathMetricsService.js';
+import * as pathGeoService from '../services/pathGeoService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validateQuery, validateQueryOptions, validatePipeline } from '../utils/queryValidator.js';
+import { appConfig } from '../config/index.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+/**
+ * Write a path event cursor to the response through an exporter
+ * Honours backpressure and closes the MongoDB cursor if the client disconnects.
+ * @param {express.Response} res - Response with headers not yet sent
+ * @param {mongoose.QueryCursor} cursor - Cursor from pathEventService.streamPathEvents
+ * @param {Object} exporter - Exporter from exportService.createExporter
+ */
+async function sendCursor(res, cursor, exporter) {
+  const aborted = new AbortController();
+  res.on('close', () => {
+    aborted.abort();
+    cursor.close().catch(() => {});
+  });
+
+  const send = async (chunk) => {
+    if (chunk && !res.write(chunk)) {
+      await once(res, 'drain', { signal: aborted.signal });
+    }
+  };
+
+  res.status(200).type(exporter.contentType);
+
+  let sent = 0;
+  try {
+    await send(exporter.begin());
+    for await (const event of cursor) {
+      if (res.destroyed) break;
+      await send(exporter.write(event));
+      sent++;
+    }
+    await send(exporter.end());
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    logger.error('Path event stream failed', { error: error.message, sent });
+    // Formats without an error trailer are cut off so the client sees a failed download
+    if (!exporter.error) return res.destroy(error);
+    if (!res.destroyed) res.write(exporter.error(error.message));
+  }
+
+  if (!res.destroyed) res.end();
+  logger.debug('Path event stream finished', { sent });
+}
+
+// All routes are mounted behind authenticate + resolveCameraScope (see routes/index.js).
+// req.cameraScope is null for unrestricted users, otherwise the serials the user may read.
+
 /**
  * POST /api/paths/query
  * Query path events using MongoDB query format
@@ -15,24 +69,139 @@ const router = express.Router();
  *     "sort": { "timestamp": -1 },
  *     "limit": 100,
  *     "skip": 0,
- *     "projection": {}
+ *     "projection": {},
+ *     "cursor": "<nextCursor from the previous page>"
  *   }
  * }
  *
+ * When sorted by timestamp the response includes `nextCursor` (null on the last page).
+ * Pass it back as options.cursor instead of skip to fetch the next page.
+ *
  * Note: Timestamps should be sent as EPOCH milliseconds (numbers) for efficient comparison
+ * Queries and options are checked against the operator allow-list in utils/queryValidator.js
  */
 router.post('/query', async (req, res) => {
   try {
     const { query = {}, options = {} } = req.body;
+    validateQuery(query);
+    validateQueryOptions(options);
 
-    const events = await pathEventService.queryPathEvents(query, options);
-    res.json({ success: true, data: events });
+    const { events, nextCursor } = await pathEventService.queryPathEventsPage(query, options, req.cameraScope);
+    res.json({ success: true, data: events, nextCursor });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
     logger.error('Error querying path events', { error: error.message });
     res.status(500).json({ success: false, error: 'Failed to query path events' });
   }
 });
 
+/**
+ * POST /api/paths/stream
+ * Stream all matching path events as NDJSON (one JSON document per line)
+ *
+ * Request body: same as /query. There is no result cap; `options.sort` must be
+ * by timestamp (default ascending) and `options.cursor` resumes after a known event.
+ * If the stream fails part-way, a final line `{ "error": "..." }` is written.
+ */
+router.post('/stream', async (req, res) => {
+  let cursor;
+  try {
+    const { query = {}, options = {} } = req.body;
+    validateQuery(query);
+    validateQueryOptions(options);
+
+    cursor = pathEventService.streamPathEvents(query, options, req.cameraScope);
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error opening path event stream', { error: error.message });
+    return res.status(500).json({ success: false, error: 'Failed to stream path events' });
+  }
+
+  await sendCursor(res, cursor, exportService.createExporter('ndjson'));
+});
+
+/**
+ * POST /api/paths/export
+ * Download matching path events as a file
+ *
+ * Request body:
+ * {
+ *   "format": "csv" | "ndjson" | "geojson" | "kml",
+ *   "query": { ... MongoDB query object ... },
+ *   "options": { "sort": { "timestamp": 1 }, "limit": 0, "projection": {} },
+ *   "from": 1767225600000,   // optional, epoch ms or ISO date (inclusive)
+ *   "to": 1769904000000      // optional, epoch ms or ISO date (exclusive)
+ * }
+ *
+ * from/to are added to the query and, when present, to the filename.
+ */
+router.post('/export', async (req, res) => {
+  let cursor;
+  let exporter;
+  try {
+    const { format = 'csv', query = {}, options = {} } = req.body;
+    exporter = exportService.createExporter(format);
+    validateQuery(query);
+    validateQueryOptions(options);
+
+    const from = exportService.parseRangeBound(req.body.from, 'from');
+    const to = exportService.parseRangeBound(req.body.to, 'to');
+    const filename = exportService.buildExportFilename({
+      extension: exporter.extension,
+      serial: query.serial,
+      from,
+      to,
+    });
+
+    cursor = pathEventService.streamPathEvents(
+      exportService.withTimeRange(query, from, to),
+      options,
+      req.cameraScope
+    );
+    res.attachment(filename);
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error starting path event export', { error: error.message });
+    return res.status(500).json({ success: false, error: 'Failed to export path events' });
+  }
+
+  await sendCursor(res, cursor, exporter);
+});
+
+/**
+ * POST /api/paths/import
+ * Bulk import historical DataQ path messages (admin only)
+ *
+ * Body: NDJSON (Content-Type: application/x-ndjson), one path message per line.
+ * Small imports may instead send JSON: an array of messages or { "events": [...] }.
+ *
+ * Query parameters:
+ * - applyFilters: "false" to keep paths the camera filters would drop (default: true)
+ * - recount: "true" to restart counter set backfills for the imported cameras
+ */
+router.post('/import', requireAdmin, async (req, res) => {
+  try {
+    let messages;
+    if (req.is('application/json')) {
+      messages = Array.isArray(req.body) ? req.body : req.body?.events;
+      if (!Array.isArray(messages)) {
+        return res.status(400).json({ success: false, error: 'JSON body must be an array of path messages or { events: [...] }' });
+      }
+    } else {
+      messages = importService.readLines(req);
+    }
+
+    const result = await importService.importPathEvents(messages, {
+      applyFilters: req.query.applyFilters !== 'false',
+      recount: req.query.recount === 'true',
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error importing path events', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to import path events' });
+  }
+});
+
 /**
  * POST /api/paths/count
  * Count path events matching a MongoDB query
@@ -45,10 +214,12 @@ router.post('/query', async (req, res) => {
 router.post('/count', async (req, res) => {
   try {
     const { query = {} } = req.body;
+    validateQuery(query);
 
-    const count = await pathEventService.countPathEvents(query);
+    const count = await pathEventService.countPathEvents(query, req.cameraScope);
     res.json({ success: true, data: { count } });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
     logger.error('Error counting path events', { error: error.message });
     res.status(500).json({ success: false, error: 'Failed to count path events' });
   }
@@ -62,33 +233,140 @@ router.post('/count', async (req, res) => {
  * {
  *   "pipeline": [ ... MongoDB aggregation pipeline ... ]
  * }
+ *
+ * Stages such as $lookup, $unionWith, $out and $merge are rejected with 400
  */
 router.post('/aggregate', async (req, res) => {
   try {
     const { pipeline = [] } = req.body;
+    validatePipeline(pipeline);
 
-    if (!Array.isArray(pipeline)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Pipeline must be an array',
-      });
-    }
-
-    const results = await pathEventService.aggregatePathEvents(pipeline);
+    const results = await pathEventService.aggregatePathEvents(pipeline, req.cameraScope);
     res.json({ success: true, data: results });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
     logger.error('Error aggregating path events', { error: error.message });
     res.status(500).json({ success: false, error: 'Failed to aggregate path events' });
   }
 });
 
+/**
+ * POST /api/paths/geo/intersects
+ * Geospace-calibrated paths crossing an area
+ *
+ * Request body:
+ * {
+ *   "geometry": { "type": "Polygon", "coordinates": [[[lon, lat], ...]] },
+ *   "query": { ... optional MongoDB query object ... },
+ *   "options": { ... as for /query ... }
+ * }
+ */
+router.post('/geo/intersects', async (req, res) => {
+  try {
+    const { geometry, query = {}, options = {} } = req.body;
+    validateQuery(query);
+    validateQueryOptions(options);
+
+    const { events, nextCursor } = await pathGeoService.findPathsIntersecting(geometry, query, options, req.cameraScope);
+    res.json({ success: true, data: events, nextCursor });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error querying paths by area', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to query path events' });
+  }
+});
+
+/**
+ * POST /api/paths/geo/within
+ * Geospace-calibrated paths that started (or ended) in an area
+ *
+ * Request body:
+ * {
+ *   "geometry": { "type": "Polygon", "coordinates": [[[lon, lat], ...]] },
+ *   "at": "start",   // or "end"
+ *   "query": { ... optional MongoDB query object ... },
+ *   "options": { ... as for /query ... }
+ * }
+ */
+router.post('/geo/within', async (req, res) => {
+  try {
+    const { geometry, at = 'start', query = {}, options = {} } = req.body;
+    validateQuery(query);
+    validateQueryOptions(options);
+
+    const { events, nextCursor } = await pathGeoService.findPathsWithin(geometry, at, query, options, req.cameraScope);
+    res.json({ success: true, data: events, nextCursor });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error querying paths by start/end area', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to query path events' });
+  }
+});
+
+/**
+ * POST /api/paths/geo/near
+ * Geospace-calibrated paths passing within maxDistance meters of a point, nearest first
+ *
+ * Request body:
+ * {
+ *   "point": { "lon": 13.1, "lat": 55.7 },
+ *   "maxDistance": 50,
+ *   "query": { ... optional MongoDB query object ... },
+ *   "options": { "limit": 100, "skip": 0, "projection": {} }
+ * }
+ */
+router.post('/geo/near', async (req, res) => {
+  try {
+    const { point, maxDistance, query = {}, options = {} } = req.body;
+    validateQuery(query);
+    validateQueryOptions(options);
+
+    const events = await pathGeoService.findPathsNear(point, maxDistance, query, options, req.cameraScope);
+    res.json({ success: true, data: events });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
+    logger.error('Error querying paths near a point', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to query path events' });
+  }
+});
+
+/**
+ * GET /api/paths/derived/backfill
+ * Status of the derived metrics backfill on this instance
+ */
+router.get('/derived/backfill', requireAdmin, (req, res) => {
+  res.json({ success: true, data: pathMetricsService.getPathMetricsBackfillStatus() });
+});
+
+/**
+ * POST /api/paths/derived/backfill
+ * Compute derived metrics for stored path events in the background (poll the GET)
+ *
+ * Request body (all optional):
+ * {
+ *   "serial": "B8A44F000001",  // only this camera
+ *   "force": true              // also recompute events with current metrics, e.g. after zones changed
+ * }
+ */
+router.post('/derived/backfill', requireAdmin, (req, res) => {
+  try {
+    const { serial, force = false } = req.body ?? {};
+    const status = pathMetricsService.startPathMetricsBackfill({ serial, force: force === true });
+    res.status(202).json({ success: true, data: status });
+  } catch (error) {
+    if (error.status === 409) return res.status(409).json({ success: false, error: error.message });
+    logger.error('Error starting path metrics backfill', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to start path metrics backfill' });
+  }
+});
+
 /**
  * GET /api/paths/:id
  * Get a single path event by ID
  */
 router.get('/:id', async (req, res) => {
   try {
-    const pathEvent = await pathEventService.getPathEventById(req.params.id);
+    const pathEvent = await pathEventService.getPathEventById(req.params.id, req.cameraScope);
     if (!pathEvent) {
       return res.status(404).json({ success: false, error: 'Path event not found' });
     }
@@ -107,12 +385,13 @@ router.get('/:id', async (req, res) => {
  * Query parameters:
  * - serial: Filter by camera serial number
  * - class: Filter by object class
- * - limit: Number of results (default: 100, max: 10000)
+ * - limit: Number of results (default: 100, max: 50000)
  * - skip: Number of results to skip
+ * - cursor: nextCursor from a previous page (timestamp sort only, replaces skip)
  */
 router.get('/', async (req, res) => {
   try {
-    const { serial, class: objectClass, limit, skip, sort, order } = req.query;
+    const { serial, class: objectClass, limit, skip, sort, order, cursor } = req.query;
 
     // Build MongoDB query from simple parameters
     const query = {};
@@ -121,9 +400,10 @@ router.get('/', async (req, res) => {
 
     // Build options
     const options = {
-      limit: limit ? Math.min(parseInt(limit, 10), 50000) : 100,
+      limit: limit ? Math.min(parseInt(limit, 10), appConfig.maxQueryResults) : 100,
       skip: skip ? parseInt(skip, 10) : 0,
       sort: {},
+      cursor: cursor || null,
     };
 
     // Handle sort
@@ -131,9 +411,10 @@ router.get('/', async (req, res) => {
     const sortOrder = order === 'asc' ? 1 : -1;
     options.sort[sortField] = sortOrder;
 
-    const events = await pathEventService.queryPathEvents(query, options);
-    res.json({ success: true, data: events });
+    const { events, nextCursor } = await pathEventService.queryPathEventsPage(query, options, req.cameraScope);
+    res.json({ success: true, data: events, nextCursor });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ success: false, error: error.message });
     logger.error('Error querying path events', { error: error.message });
     res.status(500).json({ success: false, error: 'Failed to query path events' });
   }
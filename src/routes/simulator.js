@@ -0,0 +1,61 @@
+import express from 'express';
+import * as simulatorService from '../services/simulatorService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// All routes are mounted behind authenticate + requireAdmin (see routes/index.js)
+
+/** GET /api/simulator — simulator state and throughput */
+router.get('/', (req, res) => {
+  res.json({ success: true, data: simulatorService.getSimulatorStatus() });
+});
+
+/** GET /api/simulator/scenario — the default scenario, as a starting point for custom ones */
+router.get('/scenario', (req, res) => {
+  res.json({ success: true, data: simulatorService.DEFAULT_SCENARIO });
+});
+
+/**
+ * POST /api/simulator/start
+ * Start virtual DataQ cameras
+ *
+ * Request body (all optional):
+ * {
+ *   "cameras": 4,
+ *   "pathsPerMinute": 30,          // per camera
+ *   "mode": "mqtt",                // mqtt | inject
+ *   "brokerId": null,
+ *   "serialPrefix": "SIM",
+ *   "statusIntervalSeconds": 60,
+ *   "imageIntervalSeconds": 300,
+ *   "durationSeconds": 600,
+ *   "scenario": { "flows": [...] }
+ * }
+ */
+router.post('/start', async (req, res) => {
+  try {
+    const status = await simulatorService.startSimulator(req.body);
+    res.status(201).json({ success: true, data: status });
+  } catch (error) {
+    if (error.status === 400 || error.status === 409) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Error starting simulator', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to start simulator' });
+  }
+});
+
+/** POST /api/simulator/stop — stop the simulator; its cameras announce a disconnect */
+router.post('/stop', async (req, res) => {
+  try {
+    const summary = await simulatorService.stopSimulator();
+    if (!summary) return res.status(404).json({ success: false, error: 'The simulator is not running' });
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Error stopping simulator', { error: error.message });
+    res.status(500).json({ success: false, error: 'Failed to stop simulator' });
+  }
+});
+
+export default router;
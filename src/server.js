@@ -1,13 +1,26 @@
 import http from 'http';
 import { createApp } from './app.js';
 import { connectDB, setupDBEventHandlers } from './db/connection.js';
-import { connectMQTT, getMQTTClient } from './mqtt/client.js';
+import { connectMQTT, disconnectMQTT, getMQTTClient } from './mqtt/client.js';
+import { drainIngestQueue } from './mqtt/ingestQueue.js';
+import { initSpool, flushSpool } from './mqtt/spool.js';
+import { startEmbeddedBroker, stopEmbeddedBroker } from './mqtt/broker.js';
+import { stopCapture } from './mqtt/capture.js';
+import { stopSimulator } from './services/simulatorService.js';
 import { serverConfig } from './config/index.js';
 import logger from './utils/logger.js';
-import { Camera } from './models/index.js';
+import { Camera, PathEvent } from './models/index.js';
 import { setupWebSocketServer } from './websocket/index.js';
 import retentionService from './services/retentionService.js';
-import { initCounterSets } from './services/counterSetsService.js';
+import { applyStatusRetention } from './services/statusHistoryService.js';
+import { seedConnectivityBaseline } from './services/connectivityService.js';
+import { initSnapshotArchive } from './services/snapshotArchiveService.js';
+import { migrateInlineSnapshots } from './services/snapshotService.js';
+import { startWatchdog, stopWatchdog } from './services/watchdogService.js';
+import { startIngestStats, stopIngestStats } from './services/ingestStatsService.js';
+import { initCounterSets, startBackfillForSerials } from './services/counterSetsService.js';
+import { removeDuplicatePathEvents } from './services/pathEventService.js';
+import { startPathMetricsBackfill, stopPathMetricsBackfill } from './services/pathMetricsService.js';
 
 /**
  * Migrate existing cameras to add default filters if missing
@@ -48,6 +61,42 @@ async function migrateExistingCameras() {
   }
 }
 
+/**
+ * Move base64 snapshots stored on Camera documents to GridFS
+ */
+async function migrateCameraSnapshots() {
+  try {
+    const migrated = await migrateInlineSnapshots();
+    if (migrated > 0) {
+      logger.info(`Moved ${migrated} camera snapshots to GridFS`);
+    }
+  } catch (error) {
+    logger.error('Failed to migrate camera snapshots', { error: error.message });
+  }
+}
+
+/**
+ * Remove duplicate path events and build the (serial, id, timestamp) unique index
+ * Counter sets on affected cameras are recounted, since duplicates were double-counted.
+ */
+async function migrateDuplicatePathEvents() {
+  try {
+    const { removed, serials } = await removeDuplicatePathEvents();
+    if (removed > 0) {
+      logger.info(`Removed ${removed} duplicate path events`, { cameras: serials.length });
+      const recounted = await startBackfillForSerials(serials);
+      if (recounted.length > 0) {
+        logger.info(`Recounting ${recounted.length} counter sets after duplicate removal`);
+      }
+    }
+
+    // autoIndex may have failed while duplicates existed; build it now
+    await PathEvent.createIndexes();
+  } catch (error) {
+    logger.error('Failed to migrate duplicate path events', { error: error.message });
+  }
+}
+
 /**
  * Start the application server
  */
@@ -67,8 +116,23 @@ async function startServer() {
     } else {
       // Run database migrations
       await migrateExistingCameras();
+      await migrateCameraSnapshots();
+      await migrateDuplicatePathEvents();
+      // Path events stored before derived metrics existed get them in the background
+      startPathMetricsBackfill();
+      // Status samples expire natively (time-series TTL); sync it with the configured retention
+      await applyStatusRetention();
+      // Lookup index for the GridFS snapshot archive (serial + time)
+      await initSnapshotArchive();
+      // Cameras without connectivity history start their availability record now
+      await seedConnectivityBaseline().catch((error) =>
+        logger.warn('Failed to store connectivity baseline', { error: error.message })
+      );
     }
 
+    // Load path events spooled while MongoDB was unavailable; they replay once it connects
+    await initSpool();
+
     // Create Express app
     const app = createApp();
 
@@ -86,24 +150,36 @@ async function startServer() {
       });
     });
 
-    // Connect to MQTT broker
-    logger.info('Connecting to MQTT broker');
+    // Start the embedded MQTT broker if enabled; the default broker connection then uses it
     try {
-      await connectMQTT(); // loads MQTT config from database
+      await startEmbeddedBroker();
     } catch (error) {
-      logger.warn('Failed to connect to MQTT broker (will continue without MQTT)', {
+      logger.warn('Failed to start embedded MQTT broker', { error: error.message });
+    }
+
+    // Connect to MQTT brokers
+    logger.info('Connecting to MQTT brokers');
+    try {
+      await connectMQTT(); // loads every enabled broker config from database
+    } catch (error) {
+      logger.warn('Failed to connect to MQTT brokers (will continue without MQTT)', {
         error: error.message,
       });
     }
 
-    // Initialize counter sets (restart MQTT publish timers)
+    // Initialize counter sets (restart MQTT publish timers; clients are looked up per broker)
     try {
-      const mqttClient = getMQTTClient();
-      await initCounterSets(mqttClient);
+      await initCounterSets(getMQTTClient);
     } catch (err) {
       logger.warn('Failed to initialize counter sets', { error: err.message });
     }
 
+    // Check cameras for silence (stale lastSeen) and raise/resolve alerts
+    startWatchdog();
+
+    // Roll per-camera ingest counters up to MongoDB
+    startIngestStats();
+
     // Schedule daily retention cleanup at midnight
     try {
       retentionService.scheduleDailyCleanup();
@@ -119,6 +195,21 @@ async function startServer() {
         logger.info('HTTP server closed');
       });
 
+      // Stop taking messages, then write whatever is still queued (or spool it)
+      stopWatchdog();
+      stopPathMetricsBackfill();
+      try {
+        await stopSimulator();
+        await disconnectMQTT();
+        await stopEmbeddedBroker();
+        await stopCapture();
+        await drainIngestQueue();
+        await flushSpool();
+        await stopIngestStats();
+      } catch (error) {
+        logger.error('Failed to drain ingest queue on shutdown', { error: error.message });
+      }
+
       // Additional cleanup will be handled by DB event handlers
       process.exit(0);
     };
@@ -0,0 +1,73 @@
+import { Camera } from '../models/index.js';
+import { appConfig } from '../config/index.js';
+
+/**
+ * In-memory camera lookup for MQTT ingestion
+ * Path messages only need a camera's enabled flag and filters, so each serial is
+ * read from MongoDB at most once per cameraCacheTtlMs. cameraService invalidates
+ * entries whenever a camera is created, updated, deleted or auto-discovered;
+ * the TTL covers writes made outside this process.
+ */
+
+// serial → { camera: Object|null, expiresAt: number }
+const cache = new Map();
+// serial → Promise, so a burst of messages for an uncached camera causes one query
+const pending = new Map();
+
+/**
+ * Get a camera by serial number, from cache when possible
+ * Unknown serials are cached as null so unregistered devices don't hit the database.
+ * @param {string} serialNumber - Upper-case serial number
+ * @returns {Promise<Object|null>} - Lean camera document
+ */
+export async function getCachedCamera(serialNumber) {
+  const entry = cache.get(serialNumber);
+  if (entry && entry.expiresAt > Date.now()) return entry.camera;
+
+  if (!pending.has(serialNumber)) {
+    const lookup = Camera.findOne({ serialNumber })
+      .select({ serialNumber: 1, enabled: 1, filters: 1, name: 1 })
+      .lean()
+      .then((camera) => {
+        // Skip the write if the entry was invalidated while the query ran
+        if (pending.get(serialNumber) === lookup) {
+          cache.set(serialNumber, { camera, expiresAt: Date.now() + appConfig.cameraCacheTtlMs });
+        }
+        return camera;
+      })
+      .finally(() => {
+        if (pending.get(serialNumber) === lookup) pending.delete(serialNumber);
+      });
+    pending.set(serialNumber, lookup);
+  }
+  return pending.get(serialNumber);
+}
+
+/**
+ * Drop a camera from the cache
+ * @param {string} [serialNumber] - Serial to invalidate; omit to clear the whole cache
+ */
+export function invalidateCamera(serialNumber) {
+  if (serialNumber === undefined) {
+    cache.clear();
+    pending.clear();
+    return;
+  }
+  const key = String(serialNumber).toUpperCase();
+  cache.delete(key);
+  pending.delete(key);
+}
+
+/**
+ * Cache statistics
+ * @returns {{ size: number, ttlMs: number }}
+ */
+export function getCameraCacheStats() {
+  return { size: cache.size, ttlMs: appConfig.cameraCacheTtlMs };
+}
+
+export default {
+  getCachedCamera,
+  invalidateCamera,
+  getCameraCacheStats,
+};
@@ -1,5 +1,9 @@
-import { Camera, PathEvent } from '../models/index.js';
+import { Camera, PathEvent, DEFAULT_BROKER_ID } from '../models/index.js';
 import * as configService from './configService.js';
+import { invalidateCamera } from './cameraCache.js';
+import { storeLatestSnapshot, getLatestSnapshot, deleteLatestSnapshot } from './snapshotService.js';
+import { decodeBase64Image } from '../db/imageStore.js';
+import { topicFor } from '../dataq/topics.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -79,12 +83,16 @@ export async function createCamera(cameraData) {
   try {
     const camera = new Camera(cameraData);
     await camera.save();
+    invalidateCamera(camera.serialNumber);
     logger.info('Camera created', { serialNumber: camera.serialNumber, name: camera.name });
     return camera.toObject();
   } catch (error) {
     if (error.code === 11000) {
       throw new Error('Camera with this serial number already exists');
     }
+    if (error.name === 'ValidationError') {
+      throw Object.assign(new Error(error.message), { status: 400 });
+    }
     logger.error('Failed to create camera', { error: error.message });
     throw error;
   }
@@ -103,6 +111,8 @@ export async function updateCamera(id, updateData) {
       runValidators: true,
     });
     if (camera) {
+      // The serial number itself may have changed, so drop every cached entry
+      invalidateCamera();
       logger.info('Camera updated', { id, serialNumber: camera.serialNumber });
     }
     return camera ? camera.toObject() : null;
@@ -110,6 +120,9 @@ export async function updateCamera(id, updateData) {
     if (error.code === 11000) {
       throw new Error('Camera with this serial number already exists');
     }
+    if (error.name === 'ValidationError') {
+      throw Object.assign(new Error(error.message), { status: 400 });
+    }
     logger.error('Failed to update camera', { error: error.message, id });
     throw error;
   }
@@ -124,6 +137,10 @@ export async function deleteCamera(id) {
   try {
     const result = await Camera.findByIdAndDelete(id);
     if (result) {
+      invalidateCamera(result.serialNumber);
+      await deleteLatestSnapshot(result.latestSnapshotId).catch((error) =>
+        logger.warn('Failed to delete camera snapshot', { serialNumber: result.serialNumber, error: error.message })
+      );
       logger.info('Camera deleted', { id, serialNumber: result.serialNumber });
       return true;
     }
@@ -148,24 +165,13 @@ export async function updateCameraSnapshotFromMQTT(data) {
   try {
     const { serialNumber, base64Image, timestamp, rotation, aspectRatio } = data;
 
-    const updateData = {
-      latestSnapshot: base64Image,
-      latestSnapshotTimestamp: new Date(timestamp),
-    };
-
-    // Update rotation and aspect ratio if provided
-    if (rotation !== undefined) {
-      updateData.rotation = rotation;
-    }
-    if (aspectRatio) {
-      updateData.aspectRatio = aspectRatio;
-    }
-
-    const camera = await Camera.findOneAndUpdate(
-      { serialNumber: serialNumber.toUpperCase() },
-      updateData,
-      { new: true }
-    );
+    // Stored as binary in GridFS; rotation and aspect ratio are updated if provided
+    const camera = await storeLatestSnapshot(serialNumber.toUpperCase(), decodeBase64Image(base64Image), {
+      timestamp,
+      rotation,
+      aspectRatio,
+      source: 'mqtt',
+    });
 
     if (camera) {
       logger.debug('Camera snapshot updated from MQTT', {
@@ -176,7 +182,7 @@ export async function updateCameraSnapshotFromMQTT(data) {
       logger.warn('Camera not found for snapshot update', { serialNumber });
     }
 
-    return camera ? camera.toObject() : null;
+    return camera;
   } catch (error) {
     logger.error('Failed to update camera snapshot from MQTT', {
       error: error.message,
@@ -187,27 +193,13 @@ export async function updateCameraSnapshotFromMQTT(data) {
 }
 
 /**
- * Get camera snapshot (latest image)
+ * Get camera snapshot metadata (latest image)
  * @param {string} serialNumber - Camera serial number
- * @returns {Promise<Object|null>} Object with base64 image and metadata
+ * @returns {Promise<Object|null>} { fileId, timestamp, rotation, aspectRatio, url }
  */
 export async function getCameraSnapshot(serialNumber) {
   try {
-    const camera = await Camera.findOne(
-      { serialNumber: serialNumber.toUpperCase() },
-      { latestSnapshot: 1, latestSnapshotTimestamp: 1, rotation: 1, aspectRatio: 1 }
-    ).lean();
-
-    if (!camera || !camera.latestSnapshot) {
-      return null;
-    }
-
-    return {
-      image: camera.latestSnapshot,
-      timestamp: camera.latestSnapshotTimestamp,
-      rotation: camera.rotation,
-      aspectRatio: camera.aspectRatio,
-    };
+    return await getLatestSnapshot(serialNumber);
   } catch (error) {
     logger.error('Failed to get camera snapshot', {
       error: error.message,
@@ -227,6 +219,8 @@ export async function getCameraSnapshot(serialNumber) {
  * @param {string} announcement.model - Device model
  * @param {string} announcement.address - Device IP address
  * @param {Array}  announcement.labels - Detection label/class definitions
+ * @param {string} [announcement.brokerId] - Broker the announcement arrived on (new cameras only)
+ * @param {string} [announcement.mqttTopic] - Path topic for new cameras (default: path topic template)
  * @returns {Promise<{camera: Object, isNew: boolean}>}
  */
 export async function upsertCameraFromAnnouncement(announcement) {
@@ -239,7 +233,8 @@ export async function upsertCameraFromAnnouncement(announcement) {
     const setOnInsert = {
       // Defaults only applied when the document is first created
       cameraType: 'remote',
-      mqttTopic: `dataq/path/${serialNumber}`,
+      mqttTopic: announcement.mqttTopic || topicFor('path', serialNumber),
+      brokerId: announcement.brokerId || null,
       autoDiscovered: true,
       enabled: true,
     };
@@ -265,6 +260,7 @@ export async function upsertCameraFromAnnouncement(announcement) {
 
     const isNew = result.lastErrorObject?.upserted != null;
     const camera = result.value.toObject ? result.value.toObject() : result.value;
+    if (isNew) invalidateCamera(serialNumber);
 
     logger.info(isNew ? 'Camera auto-discovered and created' : 'Camera updated from announcement', {
       serialNumber,
@@ -287,6 +283,40 @@ export async function upsertCameraFromAnnouncement(announcement) {
   }
 }
 
+/**
+ * Move a broker's cameras on the default path topic to a new topic layout
+ * Cameras with a custom mqttTopic are left alone.
+ * @param {string} brokerId - MqttConfig _id whose templates changed
+ * @param {Object} previousTemplates - Resolved topic templates before the change
+ * @param {Object} templates - Resolved topic templates after the change
+ * @returns {Promise<number>} - Number of cameras updated
+ */
+export async function retargetDefaultPathTopics(brokerId, previousTemplates, templates) {
+  if (previousTemplates.path === templates.path) return 0;
+
+  // Cameras without a brokerId belong to the default broker
+  const brokerFilter = brokerId === DEFAULT_BROKER_ID ? { $in: [DEFAULT_BROKER_ID, null] } : brokerId;
+  const cameras = await Camera.find({ brokerId: brokerFilter }).select({ serialNumber: 1, mqttTopic: 1 }).lean();
+  const updates = cameras
+    .filter((camera) => !camera.mqttTopic || camera.mqttTopic === topicFor('path', camera.serialNumber, previousTemplates))
+    .map((camera) => ({
+      updateOne: {
+        filter: { _id: camera._id },
+        update: { $set: { mqttTopic: topicFor('path', camera.serialNumber, templates) } },
+      },
+    }));
+
+  if (updates.length > 0) {
+    await Camera.bulkWrite(updates, { ordered: false });
+    logger.info('Moved cameras to the new path topic template', {
+      broker: brokerId,
+      cameras: updates.length,
+      template: templates.path,
+    });
+  }
+  return updates.length;
+}
+
 export default {
   getAllCameras,
   getCameraById,
@@ -297,4 +327,5 @@ export default {
   updateCameraSnapshotFromMQTT,
   getCameraSnapshot,
   upsertCameraFromAnnouncement,
+  retargetDefaultPathTopics,
 };
@@ -1,111 +1,286 @@
-import { MongoConfig, MqttConfig, SystemConfig } from '../models/index.js';
+import {
+  MongoConfig,
+  MqttConfig,
+  SystemConfig,
+  Camera,
+  CounterSet,
+  EmbeddedBrokerConfig,
+  DEFAULT_BROKER_ID,
+} from '../models/index.js';
 // NOTE: VIDEOX_API_KEY env var can be used as a fallback for the VideoX API key
 // when the system config has not yet been persisted (dev environment bootstrap).
-import { connectMQTT, disconnectMQTT, getMQTTClient } from '../mqtt/client.js';
+import {
+  connectMQTT,
+  disconnectMQTT,
+  reconnectBroker,
+  getBrokerStatus,
+  getIngestStats,
+} from '../mqtt/client.js';
+import { applyStatusRetention } from './statusHistoryService.js';
+import {
+  INTERNAL_USERNAME,
+  hashBrokerPassword,
+  startEmbeddedBroker,
+  getEmbeddedBrokerStatus,
+} from '../mqtt/broker.js';
+import { retargetDefaultPathTopics } from './cameraService.js';
+import {
+  TOPIC_KINDS,
+  DEFAULT_TOPIC_PREFIX,
+  DEFAULT_TOPIC_TEMPLATES,
+  resolveTopicTemplates,
+  validateTopicTemplates,
+} from '../dataq/topics.js';
+import { mqttConfig } from '../config/index.js';
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
 
+const BROKER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const BROKER_FIELDS = [
+  'name',
+  'enabled',
+  'host',
+  'port',
+  'protocol',
+  'username',
+  'password',
+  'useTls',
+  'rejectUnauthorized',
+  'caCert',
+  'clientCert',
+  'clientKey',
+  'topicPrefix',
+  'topicTemplates',
+];
+
+/**
+ * Strip credentials from a broker config; send presence flags instead
+ * @param {Object} config - MqttConfig document (plain object)
+ * @returns {Object}
+ */
+function toSafeConfig(config) {
+  const { password, caCert, clientCert, clientKey, ...safeConfig } = config;
+  const proto = config.useTls ? 'mqtts' : (config.protocol || 'mqtt');
+  return {
+    ...safeConfig,
+    id: config._id,
+    name: config.name || config._id,
+    enabled: config.enabled !== false,
+    brokerUrl: `${proto}://${config.host}:${config.port}`,
+    // Documents saved before topic templates existed have none stored
+    topicTemplates: { ...DEFAULT_TOPIC_TEMPLATES, ...config.topicTemplates },
+    resolvedTopicTemplates: resolveTopicTemplates(config),
+    hasPassword: !!password,
+    hasCaCert: !!caCert,
+    hasClientCert: !!clientCert,
+    hasClientKey: !!clientKey,
+  };
+}
+
+/**
+ * Create the default broker config from environment or sensible defaults
+ * @returns {Promise<Object>}
+ */
+async function createDefaultBrokerConfig() {
+  const envUrl = process.env.MQTT_BROKER_URL || '';
+  let host = 'localhost', port = 1883, protocol = 'mqtt';
+  try {
+    const u = new URL(envUrl);
+    protocol = u.protocol.replace(':', '') || 'mqtt';
+    host = u.hostname || 'localhost';
+    port = parseInt(u.port) || 1883;
+  } catch (_) {}
+  const config = await MqttConfig.create({
+    _id: DEFAULT_BROKER_ID,
+    host,
+    port,
+    protocol,
+    topicPrefix: process.env.MQTT_TOPIC_PREFIX || DEFAULT_TOPIC_PREFIX,
+    username: process.env.MQTT_USERNAME || '',
+    useTls: process.env.MQTT_USE_TLS === 'true',
+    rejectUnauthorized: true,
+  });
+  return config.toObject();
+}
+
+/**
+ * Pick the writable broker fields from a request and validate the topic layout
+ * @param {Object} updateData - Broker config updates
+ * @param {Object|null} previous - Stored config the updates apply to
+ * @returns {Object} - Updates for MqttConfig
+ */
+function pickBrokerUpdates(updateData, previous) {
+  const updates = {};
+  BROKER_FIELDS.forEach((field) => {
+    if (updateData[field] !== undefined) {
+      updates[field] = updateData[field];
+    }
+  });
+
+  // Topic layout: validate the combined result before storing it
+  if (updates.topicPrefix !== undefined || updates.topicTemplates !== undefined) {
+    if (updates.topicTemplates !== undefined && (typeof updates.topicTemplates !== 'object' || updates.topicTemplates === null)) {
+      throw Object.assign(new Error('topicTemplates must be an object'), { status: 400 });
+    }
+
+    // Blank templates fall back to the default
+    const topicTemplates = { ...DEFAULT_TOPIC_TEMPLATES, ...previous?.topicTemplates };
+    for (const kind of TOPIC_KINDS) {
+      const template = updates.topicTemplates?.[kind];
+      if (typeof template === 'string') topicTemplates[kind] = template.trim() || DEFAULT_TOPIC_TEMPLATES[kind];
+    }
+    const topicPrefix = updates.topicPrefix ?? previous?.topicPrefix ?? DEFAULT_TOPIC_PREFIX;
+
+    const errors = validateTopicTemplates({ topicPrefix, topicTemplates });
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { status: 400 });
+    }
+    updates.topicTemplates = Object.fromEntries(TOPIC_KINDS.map((kind) => [kind, topicTemplates[kind]]));
+  }
+  return updates;
+}
+
 /**
- * Get MQTT configuration
+ * Get the default broker's MQTT configuration
  * @returns {Promise<Object>}
  */
 export async function getMqttConfig() {
+  return getBrokerConfig(DEFAULT_BROKER_ID);
+}
+
+/**
+ * Get a broker's MQTT configuration (the default broker is created on first access)
+ * @param {string} id - Broker ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getBrokerConfig(id) {
   try {
-    let config = await MqttConfig.findById('mqtt-config').lean();
-    if (!config) {
-      // Create default config from environment or sensible defaults
-      const envUrl = process.env.MQTT_BROKER_URL || '';
-      let host = 'localhost', port = 1883, protocol = 'mqtt';
-      try {
-        const u = new URL(envUrl);
-        protocol = u.protocol.replace(':', '') || 'mqtt';
-        host = u.hostname || 'localhost';
-        port = parseInt(u.port) || 1883;
-      } catch (_) {}
-      config = await MqttConfig.create({
-        _id: 'mqtt-config',
-        host,
-        port,
-        protocol,
-        topicPrefix: process.env.MQTT_TOPIC_PREFIX || 'dataq/#',
-        username: process.env.MQTT_USERNAME || '',
-        useTls: process.env.MQTT_USE_TLS === 'true',
-        rejectUnauthorized: true,
-      });
-      config = config.toObject();
+    let config = await MqttConfig.findById(id).lean();
+    if (!config && id === DEFAULT_BROKER_ID) {
+      config = await createDefaultBrokerConfig();
     }
-    // Don't expose sensitive credential content; send presence flags instead
-    const { password, caCert, clientCert, clientKey, ...safeConfig } = config;
-    const proto = config.useTls ? 'mqtts' : (config.protocol || 'mqtt');
-    return {
-      ...safeConfig,
-      brokerUrl: `${proto}://${config.host}:${config.port}`,
-      hasPassword: !!password,
-      hasCaCert: !!caCert,
-      hasClientCert: !!clientCert,
-      hasClientKey: !!clientKey,
-    };
+    return config ? toSafeConfig(config) : null;
   } catch (error) {
-    logger.error('Failed to get MQTT config', { error: error.message });
+    logger.error('Failed to get MQTT config', { error: error.message, broker: id });
     throw error;
   }
 }
 
 /**
- * Update MQTT configuration
+ * List all broker configurations, default broker first, with live connection status
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listBrokerConfigs() {
+  await getBrokerConfig(DEFAULT_BROKER_ID);
+  const configs = await MqttConfig.find({}).sort({ name: 1 }).lean();
+  const statuses = new Map(getBrokerStatus().map((status) => [status.id, status]));
+
+  return configs
+    .sort((a, b) => (a._id === DEFAULT_BROKER_ID ? -1 : b._id === DEFAULT_BROKER_ID ? 1 : 0))
+    .map((config) => ({
+      ...toSafeConfig(config),
+      isDefault: config._id === DEFAULT_BROKER_ID,
+      status: statuses.get(config._id) || null,
+    }));
+}
+
+/**
+ * Add a named broker configuration
+ * @param {Object} data - Broker fields plus `id` (1-32 lowercase letters, digits, - or _)
+ * @returns {Promise<Object>}
+ */
+export async function createBrokerConfig(data) {
+  const id = String(data.id ?? '').trim();
+  if (!BROKER_ID_PATTERN.test(id)) {
+    throw Object.assign(new Error('id must be 1-32 lowercase letters, digits, - or _'), { status: 400 });
+  }
+  if (!data.host) {
+    throw Object.assign(new Error('host is required'), { status: 400 });
+  }
+  if (await MqttConfig.exists({ _id: id })) {
+    throw Object.assign(new Error(`Broker "${id}" already exists`), { status: 409 });
+  }
+
+  const config = await MqttConfig.create({ name: id, ...pickBrokerUpdates(data, null), _id: id });
+  logger.info('MQTT broker added', { broker: id, host: config.host, port: config.port });
+  return toSafeConfig(config.toObject());
+}
+
+/**
+ * Update the default broker's MQTT configuration
  * @param {Object} updateData - MQTT config updates
  * @returns {Promise<Object>}
  */
 export async function updateMqttConfig(updateData) {
+  return updateBrokerConfig(DEFAULT_BROKER_ID, updateData);
+}
+
+/**
+ * Update a broker's MQTT configuration
+ * Changes apply to the live connection after reconnectMqtt / reconnectBroker.
+ * @param {string} id - Broker ID
+ * @param {Object} updateData - MQTT config updates
+ * @returns {Promise<Object|null>} - null if the broker doesn't exist
+ */
+export async function updateBrokerConfig(id, updateData) {
   try {
-    const allowedFields = [
-      'host',
-      'port',
-      'protocol',
-      'username',
-      'password',
-      'useTls',
-      'rejectUnauthorized',
-      'caCert',
-      'clientCert',
-      'clientKey',
-      'topicPrefix',
-    ];
+    const previous = await MqttConfig.findById(id).lean();
+    // Only the default broker is created on update
+    if (!previous && id !== DEFAULT_BROKER_ID) return null;
 
-    const updates = {};
-    allowedFields.forEach((field) => {
-      if (updateData[field] !== undefined) {
-        updates[field] = updateData[field];
-      }
-    });
+    const updates = pickBrokerUpdates(updateData, previous);
 
     // Update or create config
-    const config = await MqttConfig.findByIdAndUpdate('mqtt-config', updates, {
+    const config = await MqttConfig.findByIdAndUpdate(id, updates, {
       new: true,
       upsert: true,
       runValidators: true,
     });
 
-    logger.info('MQTT configuration updated', { host: config.host, port: config.port });
+    logger.info('MQTT configuration updated', { broker: id, host: config.host, port: config.port });
 
-    // Don't expose sensitive credential content
-    const obj = config.toObject();
-    const { password, caCert, clientCert, clientKey, ...safeConfig } = obj;
-    const proto = obj.useTls ? 'mqtts' : (obj.protocol || 'mqtt');
-    return {
-      ...safeConfig,
-      brokerUrl: `${proto}://${obj.host}:${obj.port}`,
-      hasPassword: !!password,
-      hasCaCert: !!caCert,
-      hasClientCert: !!clientCert,
-      hasClientKey: !!clientKey,
-    };
+    // Cameras on the default path topic follow the new layout (takes effect on reconnect)
+    if (updates.topicTemplates !== undefined) {
+      await retargetDefaultPathTopics(id, resolveTopicTemplates(previous || {}), resolveTopicTemplates(config));
+    }
+
+    return toSafeConfig(config.toObject());
   } catch (error) {
-    logger.error('Failed to update MQTT config', { error: error.message });
+    logger.error('Failed to update MQTT config', { error: error.message, broker: id });
     throw error;
   }
 }
 
+/**
+ * Delete a broker configuration and disconnect its client
+ * The default broker, and brokers still used by cameras or counter sets, can't be deleted.
+ * @param {string} id - Broker ID
+ * @returns {Promise<boolean>} - False if it didn't exist
+ */
+export async function deleteBrokerConfig(id) {
+  if (id === DEFAULT_BROKER_ID) {
+    throw Object.assign(new Error('The default broker cannot be deleted'), { status: 400 });
+  }
+  if (!(await MqttConfig.exists({ _id: id }))) return false;
+
+  const [cameras, counterSets] = await Promise.all([
+    Camera.countDocuments({ brokerId: id }),
+    CounterSet.countDocuments({ mqttBrokerId: id }),
+  ]);
+  if (cameras > 0 || counterSets > 0) {
+    throw Object.assign(
+      new Error(`Broker is used by ${cameras} camera(s) and ${counterSets} counter set(s); reassign them first`),
+      { status: 400 }
+    );
+  }
+
+  await disconnectMQTT(id);
+  await MqttConfig.deleteOne({ _id: id });
+  logger.info('MQTT broker deleted', { broker: id });
+  return true;
+}
+
 /**
  * Test MQTT connection with provided settings
  * @param {Object} settings - MQTT connection settings to test
@@ -164,42 +339,177 @@ export async function testMqttConnection(settings) {
 }
 
 /**
- * Reconnect MQTT with new configuration
+ * Reconnect all brokers with their stored configuration
  * @returns {Promise<Object>}
  */
 export async function reconnectMqtt() {
   try {
-    // Disconnect current client
+    // Disconnect current clients, then connect every enabled broker
     await disconnectMQTT();
+    const brokers = await connectMQTT();
 
-    // Get new config from database
-    const config = await MqttConfig.findById('mqtt-config').lean();
-    if (!config) {
-      throw new Error('MQTT configuration not found');
+    const failed = brokers.filter((broker) => !broker.connected);
+    if (failed.length > 0) {
+      return {
+        success: false,
+        message: `Could not connect to ${failed.map((broker) => broker.name).join(', ')}`,
+        brokers,
+      };
     }
+    return { success: true, message: 'MQTT reconnected successfully', brokers };
+  } catch (error) {
+    logger.error('Failed to reconnect MQTT', { error: error.message });
+    return { success: false, message: error.message };
+  }
+}
 
-    // Build connection config from stored fields
-    const proto = config.useTls ? 'mqtts' : (config.protocol || 'mqtt');
-    const mqttConfig = {
-      brokerUrl: `${proto}://${config.host}:${config.port}`,
-      username: config.username || null,
-      password: config.password || null,
-      useTls: config.useTls || false,
-      rejectUnauthorized: config.rejectUnauthorized !== false,
-      caCert: config.caCert || null,
-      clientCert: config.clientCert || null,
-      clientKey: config.clientKey || null,
-      topicPrefix: config.topicPrefix || 'dataq/#',
-      clientId: `dataq-analyzer-${Math.random().toString(16).substr(2, 8)}`,
+/**
+ * Reconnect one broker with its stored configuration
+ * @param {string} id - Broker ID
+ * @returns {Promise<Object>}
+ */
+export async function reconnectBrokerConfig(id) {
+  try {
+    const client = await reconnectBroker(id);
+    return {
+      success: true,
+      message: client ? 'MQTT broker reconnected successfully' : 'MQTT broker is disabled and was disconnected',
     };
+  } catch (error) {
+    logger.error('Failed to reconnect MQTT broker', { error: error.message, broker: id });
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * Strip secrets from the embedded broker config; send presence flags instead
+ * @param {Object} config - EmbeddedBrokerConfig document (plain object)
+ * @returns {Object}
+ */
+function toSafeEmbeddedConfig(config) {
+  return {
+    enabled: config.enabled,
+    port: config.port,
+    useTls: config.useTls,
+    allowAnonymous: config.allowAnonymous,
+    users: (config.users || []).map((user) => ({ username: user.username })),
+    hasTlsCert: !!config.tlsCert,
+    hasTlsKey: !!config.tlsKey,
+    status: getEmbeddedBrokerStatus(),
+  };
+}
 
-    // Connect with new config
-    await connectMQTT(mqttConfig);
+async function loadEmbeddedBrokerConfig() {
+  const config = await EmbeddedBrokerConfig.findById('embedded-broker').lean();
+  if (config) return config;
+  return (await EmbeddedBrokerConfig.create({
+    enabled: mqttConfig.embeddedBroker,
+    port: mqttConfig.embeddedBrokerPort,
+  })).toObject();
+}
+
+/**
+ * Get the embedded MQTT broker configuration (created from env on first access)
+ * @returns {Promise<Object>}
+ */
+export async function getEmbeddedBrokerConfig() {
+  return toSafeEmbeddedConfig(await loadEmbeddedBrokerConfig());
+}
+
+/**
+ * Update the embedded MQTT broker configuration
+ * Changes apply after restartEmbeddedBroker. Users are replaced by the given list; a user
+ * sent without a password keeps their current one.
+ * @param {Object} updateData - { enabled, port, useTls, tlsCert, tlsKey, allowAnonymous,
+ *   users: [{ username, password }] }
+ * @returns {Promise<Object>}
+ */
+export async function updateEmbeddedBrokerConfig(updateData) {
+  const previous = await loadEmbeddedBrokerConfig();
+  const updates = {};
 
-    return { success: true, message: 'MQTT reconnected successfully' };
+  for (const field of ['enabled', 'useTls', 'allowAnonymous']) {
+    if (updateData[field] !== undefined) updates[field] = updateData[field] === true;
+  }
+  if (updateData.port !== undefined) {
+    const port = parseInt(updateData.port, 10);
+    if (!(port >= 1 && port <= 65535)) {
+      throw Object.assign(new Error('port must be between 1 and 65535'), { status: 400 });
+    }
+    updates.port = port;
+  }
+  // Empty certificate fields keep the stored ones
+  if (updateData.tlsCert) updates.tlsCert = updateData.tlsCert;
+  if (updateData.tlsKey) updates.tlsKey = updateData.tlsKey;
+
+  const useTls = updates.useTls ?? previous.useTls;
+  if (useTls && !((updates.tlsCert || previous.tlsCert) && (updates.tlsKey || previous.tlsKey))) {
+    throw Object.assign(new Error('TLS requires a certificate and private key'), { status: 400 });
+  }
+
+  if (updateData.users !== undefined) {
+    if (!Array.isArray(updateData.users)) {
+      throw Object.assign(new Error('users must be an array'), { status: 400 });
+    }
+    const existing = new Map((previous.users || []).map((user) => [user.username, user.passwordHash]));
+    const seen = new Set();
+    updates.users = [];
+    for (const user of updateData.users) {
+      const username = String(user?.username ?? '').trim();
+      if (!username) {
+        throw Object.assign(new Error('Every user needs a username'), { status: 400 });
+      }
+      if (username === INTERNAL_USERNAME || seen.has(username)) {
+        throw Object.assign(new Error(`Username "${username}" is reserved or listed twice`), { status: 400 });
+      }
+      seen.add(username);
+
+      const passwordHash = user.password ? await hashBrokerPassword(String(user.password)) : existing.get(username);
+      if (!passwordHash) {
+        throw Object.assign(new Error(`A password is required for new user "${username}"`), { status: 400 });
+      }
+      updates.users.push({ username, passwordHash });
+    }
+  }
+
+  const config = await EmbeddedBrokerConfig.findByIdAndUpdate('embedded-broker', updates, {
+    new: true,
+    runValidators: true,
+  }).lean();
+  logger.info('Embedded MQTT broker configuration updated', {
+    enabled: config.enabled,
+    port: config.port,
+    users: config.users.length,
+  });
+  return toSafeEmbeddedConfig(config);
+}
+
+/**
+ * Restart the embedded broker with its stored configuration and reconnect the default broker
+ * The default broker connection follows the embedded broker: it connects to it while it
+ * runs and to the stored default broker settings otherwise.
+ * @returns {Promise<Object>}
+ */
+export async function restartEmbeddedBroker() {
+  try {
+    const config = await loadEmbeddedBrokerConfig();
+    const running = await startEmbeddedBroker(config);
+    const status = getEmbeddedBrokerStatus();
+    if (config.enabled && !running) {
+      return { success: false, message: `Embedded broker failed to start: ${status.error}`, status };
+    }
+
+    // Make sure the default broker config exists before reconnecting it
+    await getBrokerConfig(DEFAULT_BROKER_ID);
+    await reconnectBroker(DEFAULT_BROKER_ID);
+    return {
+      success: true,
+      message: running ? 'Embedded broker started and MQTT reconnected' : 'Embedded broker stopped and MQTT reconnected',
+      status,
+    };
   } catch (error) {
-    logger.error('Failed to reconnect MQTT', { error: error.message });
-    return { success: false, message: error.message };
+    logger.error('Failed to restart embedded MQTT broker', { error: error.message });
+    return { success: false, message: error.message, status: getEmbeddedBrokerStatus() };
   }
 }
 
@@ -255,6 +565,10 @@ export async function updateSystemConfig(updateData) {
       runValidators: true,
     });
 
+    if (updateData.statusRetentionDays !== undefined) {
+      await applyStatusRetention(config.statusRetentionDays);
+    }
+
     logger.info('System configuration updated');
     return config.toObject();
   } catch (error) {
@@ -425,14 +739,31 @@ export async function testMongoConnection(connectionString) {
 }
 
 /**
- * Get MQTT connection status
- * @returns {Object}
+ * Get MQTT connection status (public: no broker details)
+ * @returns {Object} - { connected, reconnecting }
  */
 export function getMqttStatus() {
-  const client = getMQTTClient();
+  const brokers = getBrokerStatus();
+  return {
+    connected: brokers.some((broker) => broker.connected),
+    reconnecting: brokers.some((broker) => broker.reconnecting),
+  };
+}
+
+/**
+ * Get MQTT status with broker URLs, errors and ingest counters (admins only)
+ * @returns {Object} - { connected, reconnecting, sharedGroup, embedded, brokers, ingest }
+ */
+export function getMqttStatusDetails() {
+  const brokers = getBrokerStatus();
   return {
-    connected: client?.connected || false,
-    reconnecting: client?.reconnecting || false,
+    connected: brokers.some((broker) => broker.connected),
+    reconnecting: brokers.some((broker) => broker.reconnecting),
+    // Path topics are shared between replicas in this group (MQTT_SHARED_GROUP)
+    sharedGroup: mqttConfig.sharedGroup || null,
+    embedded: getEmbeddedBrokerStatus(),
+    brokers,
+    ingest: getIngestStats(),
   };
 }
 
@@ -598,12 +929,22 @@ export async function connectToMongoDB(config) {
 export default {
   getMqttConfig,
   updateMqttConfig,
+  getBrokerConfig,
+  listBrokerConfigs,
+  createBrokerConfig,
+  updateBrokerConfig,
+  deleteBrokerConfig,
   testMqttConnection,
   reconnectMqtt,
+  reconnectBrokerConfig,
+  getEmbeddedBrokerConfig,
+  updateEmbeddedBrokerConfig,
+  restartEmbeddedBroker,
   getSystemConfig,
   updateSystemConfig,
   testMongoConnection,
   getMqttStatus,
+  getMqttStatusDetails,
   getMongoStatus,
   getMongoConfig,
   updateMongoConfig,
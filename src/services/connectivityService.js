@@ -0,0 +1,290 @@
+import { Camera, ConnectivityEvent } from '../models/index.js';
+import { appConfig } from '../config/index.js';
+import { parseRangeBound, csvCell } from './exportService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Camera connectivity log and availability reporting
+ *
+ * Every online/offline transition (dataq/connect announcements, including a camera's
+ * Last Will, and the watchdog finding a camera silent) is stored as a ConnectivityEvent.
+ * Availability over a period is computed from the transitions in the period plus the
+ * last one before it (the state the period starts in). Time before a camera's first
+ * known state counts as unknown, not as down.
+ * Connect topics reach every replica, so a transition is claimed on the camera
+ * (connectivityState / connectivityChangedAt) and stored by the instance that wins.
+ */
+
+const DEFAULT_REPORT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record a connectivity change if it is a transition
+ * Repeated announcements of the same state, and the copies other replicas receive,
+ * are ignored. Never throws.
+ * @param {string} serial - Camera serial number
+ * @param {boolean} connected - New state
+ * @param {Object} [details]
+ * @param {string} details.reason - See CONNECTIVITY_REASONS
+ * @param {string|null} [details.brokerId] - Broker the announcement arrived on
+ * @param {string} [details.address] - Camera IP address
+ * @param {Date} [details.timestamp]
+ * @returns {Promise<Object|null>} - The stored event, null when the state did not change
+ */
+export async function recordConnectivityChange(
+  serial,
+  connected,
+  { reason, brokerId = null, address = '', timestamp = new Date() } = {}
+) {
+  try {
+    // Back-dated changes (watchdog) never go before the previous transition
+    const camera = await Camera.findOneAndUpdate(
+      { serialNumber: serial, connectivityState: { $ne: connected } },
+      [
+        {
+          $set: {
+            connectivityState: connected,
+            connectivityChangedAt: { $max: [{ $ifNull: ['$connectivityChangedAt', timestamp] }, timestamp] },
+          },
+        },
+      ],
+      { new: true, projection: { connectivityChangedAt: 1 } }
+    ).lean();
+    if (!camera) return null;
+
+    const event = await ConnectivityEvent.create({
+      serial,
+      connected,
+      reason,
+      brokerId,
+      address,
+      timestamp: camera.connectivityChangedAt,
+    });
+    logger.info('Camera connectivity changed', { serial, connected, reason });
+    return event.toObject();
+  } catch (error) {
+    logger.error('Failed to record connectivity change', { serial, connected, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Set the connectivity state of cameras that have none yet
+ * Run at startup. Cameras with history take the state of their last event; for the
+ * others a baseline event is stored, so availability of cameras known before the log
+ * existed starts now. Each camera is claimed, so only one replica stores its baseline.
+ * @returns {Promise<number>} - Number of baseline events stored
+ */
+export async function seedConnectivityBaseline() {
+  const cameras = await Camera.find({ connectivityState: null }).select('serialNumber deviceStatus.connected').lean();
+  if (cameras.length === 0) return 0;
+
+  const lastEvents = await ConnectivityEvent.aggregate([
+    { $match: { serial: { $in: cameras.map((camera) => camera.serialNumber) } } },
+    { $sort: { serial: 1, timestamp: -1 } },
+    { $group: { _id: '$serial', connected: { $first: '$connected' }, timestamp: { $first: '$timestamp' } } },
+  ]);
+  const last = new Map(lastEvents.map((event) => [event._id, event]));
+
+  const timestamp = new Date();
+  let stored = 0;
+  for (const camera of cameras) {
+    const event = last.get(camera.serialNumber);
+    const state = event ?? { connected: camera.deviceStatus?.connected === true, timestamp };
+    const claimed = await Camera.updateOne(
+      { _id: camera._id, connectivityState: null },
+      { $set: { connectivityState: state.connected, connectivityChangedAt: state.timestamp } }
+    );
+    if (claimed.modifiedCount === 0 || event) continue;
+    await ConnectivityEvent.create({
+      serial: camera.serialNumber,
+      connected: state.connected,
+      reason: 'baseline',
+      timestamp,
+    });
+    stored++;
+  }
+  if (stored > 0) logger.info('Connectivity baseline stored', { cameras: stored });
+  return stored;
+}
+
+function resolvePeriod(from, to) {
+  const now = Date.now();
+  const end = Math.min(parseRangeBound(to, 'to') ?? now, now);
+  const start = parseRangeBound(from, 'from') ?? end - DEFAULT_REPORT_DAYS * DAY_MS;
+  if (start >= end) {
+    throw Object.assign(new Error('from must be before to (and in the past)'), { status: 400 });
+  }
+  return { start, end };
+}
+
+/**
+ * List connectivity events, newest first
+ * @param {Object} [options]
+ * @param {string} [options.serial] - Only this camera
+ * @param {string|number} [options.from] - ISO date or epoch ms
+ * @param {string|number} [options.to] - ISO date or epoch ms
+ * @param {number} [options.limit=100]
+ * @param {number} [options.skip=0]
+ * @returns {Promise<{ items: Array<Object>, total: number }>}
+ */
+export async function listConnectivityEvents({ serial, from, to, limit = 100, skip = 0 } = {}) {
+  const filter = {};
+  if (serial) filter.serial = String(serial).toUpperCase();
+  const start = parseRangeBound(from, 'from');
+  const end = parseRangeBound(to, 'to');
+  if (start !== null || end !== null) {
+    filter.timestamp = {};
+    if (start !== null) filter.timestamp.$gte = new Date(start);
+    if (end !== null) filter.timestamp.$lt = new Date(end);
+  }
+
+  const [items, total] = await Promise.all([
+    ConnectivityEvent.find(filter).sort({ timestamp: -1 }).skip(skip).limit(limit).lean(),
+    ConnectivityEvent.countDocuments(filter),
+  ]);
+  return { items, total };
+}
+
+/**
+ * Availability of one camera from its state at the start and its transitions
+ * @param {boolean|null} initial - State at start (null = unknown)
+ * @param {Array<Object>} events - Transitions in the period, oldest first
+ * @param {number} start - Period start (epoch ms)
+ * @param {number} end - Period end (epoch ms)
+ * @returns {Object}
+ */
+export function computeAvailability(initial, events, start, end) {
+  let state = initial;
+  let since = start;
+  let connectedMs = 0;
+  let downMs = 0;
+  let outages = initial === false ? 1 : 0;
+  let longestOutageMs = 0;
+
+  const close = (until) => {
+    if (state === null) return;
+    const ms = until - since;
+    if (state) {
+      connectedMs += ms;
+    } else {
+      downMs += ms;
+      longestOutageMs = Math.max(longestOutageMs, ms);
+    }
+  };
+
+  for (const event of events) {
+    if (event.connected === state) continue;
+    const at = new Date(event.timestamp).getTime();
+    close(at);
+    if (!event.connected) outages++;
+    state = event.connected;
+    since = at;
+  }
+  close(end);
+
+  const monitoredMs = connectedMs + downMs;
+  return {
+    uptimePercent: monitoredMs > 0 ? Math.round((connectedMs / monitoredMs) * 10000) / 100 : null,
+    connectedSeconds: Math.round(connectedMs / 1000),
+    downtimeSeconds: Math.round(downMs / 1000),
+    unknownSeconds: Math.round((end - start - monitoredMs) / 1000),
+    outages,
+    longestOutageSeconds: Math.round(longestOutageMs / 1000),
+    connectedAtEnd: state,
+  };
+}
+
+/**
+ * Availability report: uptime %, outage count and longest outage per camera
+ * Outages still ongoing at the start or end of the period count, clipped to the period.
+ * @param {Object} [options]
+ * @param {string|number} [options.from] - Period start, ISO date or epoch ms (default: 30 days before to)
+ * @param {string|number} [options.to] - Period end (default and maximum: now)
+ * @param {string} [options.serial] - Only this camera
+ * @returns {Promise<Object>} - { from, to, cameras: [{ serial, name, uptimePercent, ... }] }
+ */
+export async function getAvailabilityReport({ from, to, serial } = {}) {
+  const { start, end } = resolvePeriod(from, to);
+
+  const cameraFilter = serial ? { serialNumber: String(serial).toUpperCase() } : {};
+  const cameras = await Camera.find(cameraFilter).select('serialNumber name location').sort({ name: 1 }).lean();
+  const serials = cameras.map((camera) => camera.serialNumber);
+
+  const [initialStates, events] = await Promise.all([
+    ConnectivityEvent.aggregate([
+      { $match: { serial: { $in: serials }, timestamp: { $lt: new Date(start) } } },
+      { $sort: { serial: 1, timestamp: -1 } },
+      { $group: { _id: '$serial', connected: { $first: '$connected' } } },
+    ]).option({ maxTimeMS: appConfig.queryMaxTimeMS }),
+    ConnectivityEvent.find({ serial: { $in: serials }, timestamp: { $gte: new Date(start), $lt: new Date(end) } })
+      .sort({ timestamp: 1 })
+      .select('serial connected timestamp')
+      .maxTimeMS(appConfig.queryMaxTimeMS)
+      .lean(),
+  ]);
+
+  const initialBySerial = new Map(initialStates.map((state) => [state._id, state.connected]));
+  const eventsBySerial = new Map(serials.map((s) => [s, []]));
+  for (const event of events) eventsBySerial.get(event.serial)?.push(event);
+
+  return {
+    from: new Date(start).toISOString(),
+    to: new Date(end).toISOString(),
+    cameras: cameras.map((camera) => ({
+      serial: camera.serialNumber,
+      name: camera.name,
+      location: camera.location || '',
+      ...computeAvailability(
+        initialBySerial.get(camera.serialNumber) ?? null,
+        eventsBySerial.get(camera.serialNumber),
+        start,
+        end
+      ),
+    })),
+  };
+}
+
+const REPORT_CSV_COLUMNS = [
+  'serial', 'name', 'location', 'uptimePercent', 'connectedSeconds', 'downtimeSeconds',
+  'unknownSeconds', 'outages', 'longestOutageSeconds', 'connectedAtEnd',
+];
+
+/**
+ * Availability report as CSV, one row per camera
+ * @param {Object} report - From getAvailabilityReport
+ * @returns {string}
+ */
+export function availabilityReportToCsv(report) {
+  const rows = report.cameras.map((camera) => REPORT_CSV_COLUMNS.map((c) => csvCell(camera[c])).join(','));
+  return `${[REPORT_CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+}
+
+/**
+ * Delete connectivity events older than the cutoff
+ * The last event before the cutoff is kept per camera: it is the state later periods start in.
+ * @param {Date} cutoffDate
+ * @returns {Promise<number>} - Number of deleted events
+ */
+export async function purgeConnectivityEvents(cutoffDate) {
+  const latest = await ConnectivityEvent.aggregate([
+    { $match: { timestamp: { $lt: cutoffDate } } },
+    { $sort: { serial: 1, timestamp: -1 } },
+    { $group: { _id: '$serial', eventId: { $first: '$_id' } } },
+  ]);
+  const result = await ConnectivityEvent.deleteMany({
+    timestamp: { $lt: cutoffDate },
+    _id: { $nin: latest.map((entry) => entry.eventId) },
+  });
+  return result.deletedCount || 0;
+}
+
+export default {
+  recordConnectivityChange,
+  seedConnectivityBaseline,
+  listConnectivityEvents,
+  computeAvailability,
+  getAvailabilityReport,
+  availabilityReportToCsv,
+  purgeConnectivityEvents,
+};
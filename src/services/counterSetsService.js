@@ -1,10 +1,14 @@
 import CounterSet from '../models/CounterSet.js';
-import { PathEvent } from '../models/index.js';
+import { PathEvent, MqttConfig } from '../models/index.js';
 import logger from '../utils/logger.js';
 
 // ─── MQTT publish intervals: counterSetId → NodeJS timer ─────────────────────
 const mqttTimers = new Map();
 
+// brokerId (null = default broker) → MQTT client; set by initCounterSets. Clients are
+// looked up on every publish so reconnected or reconfigured brokers are picked up.
+let resolveMqttClient = () => null;
+
 // ─── Zone helpers ─────────────────────────────────────────────────────────────
 
 function pointInRect(x, y, rect) {
@@ -67,12 +71,11 @@ function generateCounters(zones) {
 
 // ─── MQTT helpers ─────────────────────────────────────────────────────────────
 
-function startMqttTimer(counterSet, mqttClient) {
+function startMqttTimer(counterSet) {
   const id = counterSet._id.toString();
   stopMqttTimer(id);
 
   if (!counterSet.mqttTopic || !counterSet.mqttInterval) return;
-  if (!mqttClient) return;
 
   const ms = counterSet.mqttInterval * 1000;
   const timer = setInterval(async () => {
@@ -80,6 +83,26 @@ function startMqttTimer(counterSet, mqttClient) {
       const fresh = await CounterSet.findById(id).lean();
       if (!fresh) { stopMqttTimer(id); return; }
 
+      const mqttClient = resolveMqttClient(fresh.mqttBrokerId || null);
+      if (!mqttClient?.connected) {
+        logger.debug('CounterSet MQTT publish skipped, broker not connected', { id, broker: fresh.mqttBrokerId });
+        return;
+      }
+
+      // Claim this interval; when several instances run, whichever timer fires first publishes
+      const now = Date.now();
+      const claimed = await CounterSet.updateOne(
+        {
+          _id: id,
+          $or: [
+            { mqttPublishedAt: null },
+            { mqttPublishedAt: { $lte: new Date(now - ms + Math.min(1000, ms * 0.1)) } },
+          ],
+        },
+        { $set: { mqttPublishedAt: new Date(now) } }
+      );
+      if (claimed.modifiedCount === 0) return;
+
       const payload = {
         name: fresh.name,
         serial: fresh.serial,
@@ -118,6 +141,15 @@ function stopMqttTimer(id) {
   if (t) { clearInterval(t); mqttTimers.delete(id); }
 }
 
+// '' / null = default broker; anything else must be a stored MqttConfig
+async function resolveMqttBrokerId(brokerId) {
+  if (!brokerId) return null;
+  if (!(await MqttConfig.exists({ _id: String(brokerId) }))) {
+    throw Object.assign(new Error(`Unknown MQTT broker: ${brokerId}`), { status: 400 });
+  }
+  return String(brokerId);
+}
+
 // ─── Backfill ─────────────────────────────────────────────────────────────────
 
 async function runBackfill(counterSetId) {
@@ -271,12 +303,17 @@ async function runBackfill(counterSetId) {
 
 // ─── Initialise MQTT timers for all existing counter sets on startup ──────────
 
-export async function initCounterSets(mqttClient) {
+/**
+ * Start MQTT publish timers for all counter sets
+ * @param {function(string|null): (Object|null)} getMqttClient - Broker ID → MQTT client
+ */
+export async function initCounterSets(getMqttClient) {
+  resolveMqttClient = getMqttClient;
   try {
     const sets = await CounterSet.find({}).lean();
     for (const cs of sets) {
       if (cs.mqttTopic && cs.mqttInterval) {
-        startMqttTimer(cs, mqttClient);
+        startMqttTimer(cs);
       }
     }
     logger.info('CounterSet MQTT timers initialised', { count: sets.length });
@@ -295,8 +332,8 @@ export async function getById(id) {
   return CounterSet.findById(id).lean();
 }
 
-export async function create(body, mqttClient) {
-  const { name, serial, objectClasses, zones, mqttTopic, mqttInterval, counters: customCounters } = body;
+export async function create(body) {
+  const { name, serial, objectClasses, zones, mqttTopic, mqttInterval, mqttBrokerId, counters: customCounters } = body;
 
   // Validate
   if (!name || !serial || !objectClasses?.length || !zones?.length) {
@@ -305,6 +342,7 @@ export async function create(body, mqttClient) {
   if (zones.length < 2 || zones.length > 6) {
     throw Object.assign(new Error('zones must have 2–6 entries'), { status: 400 });
   }
+  const brokerId = await resolveMqttBrokerId(mqttBrokerId);
 
   // Auto-generate counters if not provided
   const generatedCounters = generateCounters(zones);
@@ -328,18 +366,19 @@ export async function create(body, mqttClient) {
     counters: generatedCounters,
     mqttTopic: mqttTopic || '',
     mqttInterval: mqttInterval || 60,
+    mqttBrokerId: brokerId,
   });
 
   await doc.save();
 
   // Start MQTT publishing if configured
-  if (mqttTopic && mqttClient) {
-    startMqttTimer(doc, mqttClient);
+  if (mqttTopic) {
+    startMqttTimer(doc);
   }
   return doc.toObject();
 }
 
-export async function update(id, body, mqttClient) {
+export async function update(id, body) {
   const cs = await CounterSet.findById(id);
   if (!cs) return null;
 
@@ -347,6 +386,7 @@ export async function update(id, body, mqttClient) {
   if (body.name != null) cs.name = body.name;
   if (body.mqttTopic != null) cs.mqttTopic = body.mqttTopic;
   if (body.mqttInterval != null) cs.mqttInterval = body.mqttInterval;
+  if (body.mqttBrokerId !== undefined) cs.mqttBrokerId = await resolveMqttBrokerId(body.mqttBrokerId);
   if (body.objectClasses != null) cs.objectClasses = body.objectClasses;
 
   // Flow view config updates (arrow color, opacity, selectedClass, displayMode)
@@ -417,8 +457,8 @@ export async function update(id, body, mqttClient) {
 
     // Restart MQTT timer with new settings
     stopMqttTimer(id);
-    if (cs.mqttTopic && cs.mqttInterval && mqttClient) {
-      startMqttTimer(cs.toObject(), mqttClient);
+    if (cs.mqttTopic && cs.mqttInterval) {
+      startMqttTimer(cs.toObject());
     }
 
     logger.info('CounterSet zones updated — counters reset', { id });
@@ -441,14 +481,14 @@ export async function update(id, body, mqttClient) {
 
   // Restart MQTT timer with new settings
   stopMqttTimer(id);
-  if (cs.mqttTopic && cs.mqttInterval && mqttClient) {
-    startMqttTimer(cs.toObject(), mqttClient);
+  if (cs.mqttTopic && cs.mqttInterval) {
+    startMqttTimer(cs.toObject());
   }
 
   return cs.toObject();
 }
 
-export async function deleteById(id, mqttClient) {
+export async function deleteById(id) {
   stopMqttTimer(id);
   const result = await CounterSet.findByIdAndDelete(id);
   return result != null;
@@ -498,53 +538,103 @@ export async function startBackfill(id) {
   return { status: 'running', message: 'Backfill started' };
 }
 
+/**
+ * Restart the backfill of every counter set on the given cameras
+ * Used after path events were added or removed outside real-time ingestion.
+ * @param {Iterable<string>} serials - Camera serials
+ * @returns {Promise<Array<string>>} - IDs of the counter sets being recounted
+ */
+export async function startBackfillForSerials(serials) {
+  const wanted = new Set([...serials].map((s) => String(s).toUpperCase()));
+  const sets = await CounterSet.find({}).select({ serial: 1 }).lean();
+  const ids = [];
+  for (const cs of sets) {
+    if (!wanted.has(cs.serial?.toUpperCase())) continue;
+    await startBackfill(cs._id);
+    ids.push(String(cs._id));
+  }
+  return ids;
+}
+
 // ─── Real-time path event processing ─────────────────────────────────────────
 
 /**
  * Called for every saved path event. Updates any matching counter sets.
  */
 export async function processPathEvent(event) {
+  return processPathEvents([event]);
+}
+
+/**
+ * Update counter sets for a batch of saved path events
+ * Loads the counter sets of all cameras in the batch once and applies one
+ * update per counter set, instead of a query and update per event.
+ * @param {Array<Object>} events - Saved path events (plain objects)
+ */
+export async function processPathEvents(events) {
   try {
-    // Find all counter sets for this camera
+    const serials = [...new Set(events.map((e) => e.serial?.toUpperCase()).filter(Boolean))];
+    if (!serials.length) return;
+
+    // Find all counter sets for these cameras
     const sets = await CounterSet.find({
-      serial: event.serial?.toUpperCase(),
+      serial: { $in: serials },
       'backfill.status': { $in: ['complete', 'idle'] }, // skip while backfilling
     }).lean();
 
     if (!sets.length) return;
 
+    // Process in time order so day rollover is detected correctly
+    const ordered = [...events].sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0));
+
     for (const cs of sets) {
       // Skip if backfill is running (avoid race)
       if (cs.backfill?.status === 'running') continue;
 
-      const counterId = classifyEvent(event, cs);
-      if (!counterId) continue;
+      const totals = {};   // counterId → increment
+      const byClass = {};  // counterId → { className → increment }
+      let lastDay = cs.lastDayProcessed;
+      let dayInc = 0;
 
-      const cls = event.class;
-      const byClassKey = `counters.$[el].byClass.${cls}`;
+      for (const event of ordered) {
+        if (event.serial?.toUpperCase() !== cs.serial.toUpperCase()) continue;
 
-      // Check if this event is on a new calendar day
-      const eventDate = event.timestamp
-        ? new Date(event.timestamp).toISOString().slice(0, 10)
-        : new Date().toISOString().slice(0, 10);
-      const dayInc = (cs.lastDayProcessed !== eventDate) ? 1 : 0;
+        const counterId = classifyEvent(event, cs);
+        if (!counterId) continue;
 
-      const updateOps = {
-        $inc: {
-          'counters.$[el].total': 1,
-          [byClassKey]: 1,
-        },
-      };
+        totals[counterId] = (totals[counterId] || 0) + 1;
+        if (!byClass[counterId]) byClass[counterId] = {};
+        byClass[counterId][event.class] = (byClass[counterId][event.class] || 0) + 1;
+
+        // Check if this event is on a new calendar day
+        const eventDate = event.timestamp
+          ? new Date(event.timestamp).toISOString().slice(0, 10)
+          : new Date().toISOString().slice(0, 10);
+        if (lastDay !== eventDate) {
+          dayInc++;
+          lastDay = eventDate;
+        }
+      }
+
+      const counterIds = Object.keys(totals);
+      if (!counterIds.length) continue;
+
+      // One array filter identifier per counter (c0, c1, ...)
+      const updateOps = { $inc: {} };
+      const arrayFilters = [];
+      counterIds.forEach((counterId, i) => {
+        updateOps.$inc[`counters.$[c${i}].total`] = totals[counterId];
+        for (const [cls, n] of Object.entries(byClass[counterId])) {
+          updateOps.$inc[`counters.$[c${i}].byClass.${cls}`] = n;
+        }
+        arrayFilters.push({ [`c${i}.id`]: counterId, [`c${i}.enabled`]: true });
+      });
       if (dayInc) {
-        updateOps.$inc.days = 1;
-        updateOps.$set = { lastDayProcessed: eventDate };
+        updateOps.$inc.days = dayInc;
+        updateOps.$set = { lastDayProcessed: lastDay };
       }
 
-      await CounterSet.updateOne(
-        { _id: cs._id, 'counters.id': counterId },
-        updateOps,
-        { arrayFilters: [{ 'el.id': counterId, 'el.enabled': true }] }
-      );
+      await CounterSet.updateOne({ _id: cs._id }, updateOps, { arrayFilters });
     }
   } catch (err) {
     logger.error('CounterSet real-time update error', { error: err.message });
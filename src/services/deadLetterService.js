@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import { DeadLetter } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Dead-letter queue for MQTT messages that failed parsing or schema validation
+ * Replaying is done by mqtt/client.js, which owns message processing.
+ */
+
+function buildFilter({ kind, topic, ids } = {}) {
+  const filter = {};
+  if (kind) filter.kind = kind;
+  if (topic) filter.topic = topic;
+  if (Array.isArray(ids)) {
+    filter._id = { $in: ids.filter((id) => mongoose.isValidObjectId(id)) };
+  }
+  return filter;
+}
+
+/**
+ * Store a rejected message
+ * Never throws: a failing dead-letter write must not break message handling.
+ * @param {Object} params
+ * @param {string} params.topic - MQTT topic
+ * @param {string|null} [params.brokerId] - MqttConfig _id of the broker it arrived on (null = default broker)
+ * @param {string} params.kind - path | connect | status | image
+ * @param {string|Buffer} params.payload - Raw payload
+ * @param {string} params.reason - Why the message was rejected
+ * @param {Array<string>} [params.details] - Individual schema violations
+ * @param {number|null} [params.schemaVersion] - Schema version that rejected it
+ */
+export async function recordDeadLetter({
+  topic,
+  brokerId = null,
+  kind,
+  payload,
+  reason,
+  details = [],
+  schemaVersion = null,
+}) {
+  try {
+    await DeadLetter.create({
+      topic,
+      brokerId,
+      kind,
+      payload: Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload ?? ''),
+      reason,
+      details,
+      schemaVersion,
+    });
+  } catch (error) {
+    logger.error('Failed to store dead letter', { error: error.message, topic, reason });
+  }
+}
+
+/**
+ * List dead letters, newest first, without their payloads
+ * @param {Object} options - { kind, topic, limit, skip }
+ * @returns {Promise<{ items: Array<Object>, total: number }>}
+ */
+export async function listDeadLetters({ kind, topic, limit = 50, skip = 0 } = {}) {
+  const filter = buildFilter({ kind, topic });
+  const [items, total] = await Promise.all([
+    DeadLetter.aggregate([
+      { $match: filter },
+      { $sort: { receivedAt: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      {
+        $addFields: {
+          payloadSize: { $strLenBytes: '$payload' },
+          payloadPreview: { $substrCP: ['$payload', 0, 200] },
+        },
+      },
+      { $project: { payload: 0 } },
+    ]),
+    DeadLetter.countDocuments(filter),
+  ]);
+  return { items, total };
+}
+
+/**
+ * Get a dead letter including its raw payload
+ * @param {string} id - Dead letter ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getDeadLetter(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return DeadLetter.findById(id).lean();
+}
+
+/**
+ * Find dead letters to replay, oldest first so messages are re-applied in order
+ * @param {Object} options - { ids, kind, topic, limit }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function findDeadLettersForReplay({ ids, kind, topic, limit = 1000 } = {}) {
+  return DeadLetter.find(buildFilter({ ids, kind, topic }))
+    .sort({ receivedAt: 1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Record a replay that was rejected again
+ * @param {string} id - Dead letter ID
+ * @param {Object} rejection - { reason, details, schemaVersion }
+ */
+export async function markReplayFailed(id, { reason, details = [], schemaVersion = null }) {
+  await DeadLetter.updateOne(
+    { _id: id },
+    {
+      $set: { reason, details, schemaVersion, lastReplayAt: new Date() },
+      $inc: { replayCount: 1 },
+    }
+  );
+}
+
+/**
+ * Delete a single dead letter
+ * @param {string} id - Dead letter ID
+ * @returns {Promise<boolean>} - True if it existed
+ */
+export async function deleteDeadLetter(id) {
+  if (!mongoose.isValidObjectId(id)) return false;
+  const result = await DeadLetter.deleteOne({ _id: id });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Delete all dead letters matching a filter
+ * @param {Object} options - { kind, topic }
+ * @returns {Promise<number>} - Number deleted
+ */
+export async function deleteDeadLetters({ kind, topic } = {}) {
+  const result = await DeadLetter.deleteMany(buildFilter({ kind, topic }));
+  return result.deletedCount || 0;
+}
+
+/**
+ * Delete dead letters received before a cutoff (used by retention cleanup)
+ * @param {Date} cutoffDate
+ * @returns {Promise<number>} - Number deleted
+ */
+export async function purgeDeadLetters(cutoffDate) {
+  const result = await DeadLetter.deleteMany({ receivedAt: { $lt: cutoffDate } });
+  return result.deletedCount || 0;
+}
+
+export default {
+  recordDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  findDeadLettersForReplay,
+  markReplayFailed,
+  deleteDeadLetter,
+  deleteDeadLetters,
+  purgeDeadLetters,
+};
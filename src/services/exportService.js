@@ -0,0 +1,231 @@
+/**
+ * Path event export formats
+ * Each exporter turns a stream of lean PathEvent documents into text chunks
+ * (begin → write per event → end) so large exports never sit in memory.
+ */
+
+// Summary columns written to CSV and used as GeoJSON/KML properties
+const SUMMARY_FIELDS = [
+  'id', 'serial', 'name', 'location', 'class', 'confidence', 'timestamp', 'age',
+  'dx', 'dy', 'bx', 'by', 'distance', 'directions', 'dwell', 'maxSpeed', 'maxIdle',
+  'color', 'color2', 'anomaly',
+];
+
+// Largest distance from the epoch a Date can hold, in milliseconds
+const MAX_DATE_MS = 8.64e15;
+
+/**
+ * Convert a DataQ timestamp (epoch milliseconds, see path-data-structure.md) to a Date
+ * @param {number} timestamp
+ * @returns {Date|null}
+ */
+function timestampToDate(timestamp) {
+  if (typeof timestamp !== 'number' || Math.abs(timestamp) > MAX_DATE_MS) return null;
+  return new Date(timestamp);
+}
+
+function summarize(event) {
+  const summary = {};
+  for (const field of SUMMARY_FIELDS) {
+    if (event[field] !== undefined) summary[field] = event[field];
+  }
+  summary.time = timestampToDate(event.timestamp)?.toISOString() ?? null;
+  summary.points = Array.isArray(event.path) ? event.path.length : 0;
+  return summary;
+}
+
+function hasGeoCoordinates(path) {
+  return path.length > 0 && path.every((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+}
+
+/**
+ * Format one CSV cell (quoted when needed; objects as JSON)
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const CSV_COLUMNS = ['_id', ...SUMMARY_FIELDS, 'time', 'points'];
+
+function createCsvExporter() {
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    begin: () => `${CSV_COLUMNS.join(',')}\n`,
+    write: (event) => {
+      const row = { _id: String(event._id), ...summarize(event) };
+      return `${CSV_COLUMNS.map((c) => csvCell(row[c])).join(',')}\n`;
+    },
+    end: () => '',
+  };
+}
+
+function createNdjsonExporter() {
+  return {
+    contentType: 'application/x-ndjson',
+    extension: 'ndjson',
+    begin: () => '',
+    write: (event) => `${JSON.stringify(event)}\n`,
+    end: () => '',
+    // NDJSON consumers read line by line, so a trailing error line is safe
+    error: (message) => `${JSON.stringify({ error: message })}\n`,
+  };
+}
+
+function createGeoJsonExporter() {
+  let count = 0;
+  return {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    begin: () => '{"type":"FeatureCollection","features":[\n',
+    write: (event) => {
+      const path = Array.isArray(event.path) ? event.path : [];
+      if (path.length === 0) return null;
+
+      // Prefer Geospace lat/lon; otherwise fall back to DataQ view coordinates (0-1000)
+      const geo = hasGeoCoordinates(path);
+      const coordinates = path.map((p) => (geo ? [p.lon, p.lat] : [p.x, p.y]));
+      const geometry = coordinates.length > 1
+        ? { type: 'LineString', coordinates }
+        : { type: 'Point', coordinates: coordinates[0] };
+
+      const feature = {
+        type: 'Feature',
+        id: String(event._id),
+        geometry,
+        properties: { ...summarize(event), coordinateSystem: geo ? 'wgs84' : 'view' },
+      };
+      return `${count++ > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+    },
+    end: () => '\n]}\n',
+  };
+}
+
+function createKmlExporter() {
+  return {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    begin: () => '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>DataQ path events</name>\n',
+    write: (event) => {
+      // KML coordinates are always lon/lat, so only Geospace-calibrated paths can be placed
+      const path = Array.isArray(event.path) ? event.path : [];
+      if (!hasGeoCoordinates(path)) return null;
+
+      const summary = summarize(event);
+      const data = Object.entries(summary)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `<Data name="${xmlEscape(key)}"><value>${xmlEscape(value)}</value></Data>`)
+        .join('');
+      const coordinates = path.map((p) => `${p.lon},${p.lat},0`).join(' ');
+      const geometry = path.length > 1
+        ? `<LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`
+        : `<Point><coordinates>${coordinates}</coordinates></Point>`;
+      const timeStamp = summary.time ? `<TimeStamp><when>${summary.time}</when></TimeStamp>` : '';
+
+      return `<Placemark><name>${xmlEscape(`${event.class || 'Object'} ${event.id ?? ''}`.trim())}</name>`
+        + `${timeStamp}<ExtendedData>${data}</ExtendedData>${geometry}</Placemark>\n`;
+    },
+    end: () => '</Document>\n</kml>\n',
+  };
+}
+
+const EXPORTERS = {
+  csv: createCsvExporter,
+  ndjson: createNdjsonExporter,
+  geojson: createGeoJsonExporter,
+  kml: createKmlExporter,
+};
+
+export const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+/**
+ * Create an exporter for a format
+ * @param {string} format - csv | ndjson | geojson | kml
+ * @returns {Object} - { contentType, extension, begin, write, end, error? }
+ * @throws {Error} status 400 for unknown formats
+ */
+export function createExporter(format) {
+  const factory = EXPORTERS[String(format).toLowerCase()];
+  if (!factory) {
+    throw Object.assign(
+      new Error(`Unsupported export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`),
+      { status: 400 }
+    );
+  }
+  return factory();
+}
+
+/**
+ * Parse an export range bound (epoch milliseconds or ISO date string)
+ * @param {number|string|undefined} value
+ * @param {string} name - Parameter name for error messages
+ * @returns {number|null} - Epoch milliseconds
+ * @throws {Error} 400 if the value is not a date, or outside the range a Date can hold
+ */
+export function parseRangeBound(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+  if (!Number.isFinite(ms)) {
+    throw Object.assign(new Error(`${name} must be epoch milliseconds or an ISO date`), { status: 400 });
+  }
+  if (Math.abs(ms) > MAX_DATE_MS) {
+    throw Object.assign(new Error(`${name} is outside the supported date range`), { status: 400 });
+  }
+  return ms;
+}
+
+/**
+ * Add a timestamp range to a query
+ * @param {Object} query - MongoDB query object
+ * @param {number|null} from - Inclusive start (epoch ms)
+ * @param {number|null} to - Exclusive end (epoch ms)
+ * @returns {Object}
+ */
+export function withTimeRange(query, from, to) {
+  if (from === null && to === null) return query;
+  const range = {};
+  if (from !== null) range.$gte = from;
+  if (to !== null) range.$lt = to;
+  return { $and: [query, { timestamp: range }] };
+}
+
+/**
+ * Build the download filename, e.g. paths_B8A44FF11A35_20260101T000000Z-20260201T000000Z.csv
+ * @param {Object} params
+ * @param {string} params.extension - File extension
+ * @param {string} [params.serial] - Camera serial, when the export is for one camera
+ * @param {number|null} [params.from] - Range start (epoch ms)
+ * @param {number|null} [params.to] - Range end (epoch ms)
+ * @returns {string}
+ */
+export function buildExportFilename({ extension, serial, from = null, to = null }) {
+  const stamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const parts = ['paths'];
+  if (typeof serial === 'string' && serial) parts.push(serial.toUpperCase().replace(/[^A-Z0-9_-]/g, ''));
+  if (from !== null || to !== null) {
+    parts.push(`${from !== null ? stamp(from) : 'start'}-${to !== null ? stamp(to) : 'now'}`);
+  }
+  return `${parts.join('_')}.${extension}`;
+}
+
+export default {
+  EXPORT_FORMATS,
+  createExporter,
+  csvCell,
+  parseRangeBound,
+  withTimeRange,
+  buildExportFilename,
+};
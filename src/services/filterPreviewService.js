@@ -0,0 +1,121 @@
+import { Camera, PathEvent } from '../models/index.js';
+import { filterPath } from '../dataq/filters.js';
+import { parseRangeBound, withTimeRange } from './exportService.js';
+
+/**
+ * Camera filter dry-run
+ *
+ * Evaluates a proposed filter configuration against the paths stored for a camera,
+ * with the same logic as ingestion (dataq/filters.js). Stored paths already passed
+ * the filters in force when they arrived, so a preview shows what a change would
+ * drop, not what loosening the filters would have kept.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PREVIEW_DAYS = 7;
+// Newest paths evaluated per preview; older paths in the window are left out (truncated)
+const MAX_PREVIEW_PATHS = 50000;
+const MAX_SAMPLES = 100;
+
+const PREVIEW_FIELDS = 'id class timestamp age confidence dx dy bx by';
+
+/**
+ * Validate and normalise proposed filters the way saving them on the camera would
+ * @param {Object} camera - Lean camera
+ * @param {Object} filters - Proposed Camera.filters
+ * @returns {Object}
+ * @throws {Error} 400 if the filters are invalid
+ */
+function normaliseFilters(camera, filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw Object.assign(new Error('filters must be an object'), { status: 400 });
+  }
+  const candidate = new Camera({ name: camera.name, serialNumber: camera.serialNumber, filters });
+  const errors = Object.entries(candidate.validateSync()?.errors || {})
+    .filter(([path]) => path.startsWith('filters'))
+    .map(([, error]) => error.message);
+  if (errors.length > 0) {
+    throw Object.assign(new Error(errors.join(', ')), { status: 400 });
+  }
+  return candidate.toObject().filters;
+}
+
+/**
+ * Evaluate proposed filters against a camera's stored paths
+ * @param {string} serial - Camera serial number
+ * @param {Object} filters - Proposed Camera.filters
+ * @param {Object} [options]
+ * @param {string|number} [options.from] - ISO date or epoch ms (default: 7 days before to)
+ * @param {string|number} [options.to] - ISO date or epoch ms (default: now)
+ * @param {number} [options.samples=20] - Number of rejected paths to return
+ * @returns {Promise<Object|null>} - { from, to, evaluated, truncated, kept, dropped, byClass, byReason, samples }, null if the camera doesn't exist
+ * @throws {Error} 400 if the filters or the range are invalid
+ */
+export async function previewFilters(serial, filters, { from, to, samples = 20 } = {}) {
+  const camera = await Camera.findOne({ serialNumber: serial.toUpperCase() }).select('name serialNumber').lean();
+  if (!camera) return null;
+
+  const proposed = normaliseFilters(camera, filters);
+  const end = parseRangeBound(to, 'to') ?? Date.now();
+  const start = parseRangeBound(from, 'from') ?? end - DEFAULT_PREVIEW_DAYS * DAY_MS;
+  if (start >= end) {
+    throw Object.assign(new Error('from must be before to'), { status: 400 });
+  }
+  const sampleLimit = Math.min(Math.max(Number(samples) || 0, 0), MAX_SAMPLES);
+
+  // Point lists are only needed for region filters
+  const fields = proposed.regions.length > 0 ? `${PREVIEW_FIELDS} path` : PREVIEW_FIELDS;
+  const cursor = PathEvent.find(withTimeRange({ serial: camera.serialNumber }, start, end))
+    .sort({ timestamp: -1 })
+    .limit(MAX_PREVIEW_PATHS + 1)
+    .select(fields)
+    .lean()
+    .cursor();
+
+  const result = {
+    from: new Date(start),
+    to: new Date(end),
+    evaluated: 0,
+    truncated: false,
+    kept: 0,
+    dropped: 0,
+    byClass: {},
+    byReason: {},
+    samples: [],
+  };
+  for await (const path of cursor) {
+    if (result.evaluated === MAX_PREVIEW_PATHS) {
+      result.truncated = true;
+      break;
+    }
+    result.evaluated++;
+
+    const byClass = (result.byClass[path.class] ??= { kept: 0, dropped: 0 });
+    const rejection = filterPath(path, proposed);
+    if (!rejection) {
+      result.kept++;
+      byClass.kept++;
+      continue;
+    }
+    result.dropped++;
+    byClass.dropped++;
+    result.byReason[rejection.reason] = (result.byReason[rejection.reason] ?? 0) + 1;
+    if (result.samples.length < sampleLimit) {
+      result.samples.push({
+        _id: path._id,
+        id: path.id,
+        class: path.class,
+        timestamp: path.timestamp,
+        age: path.age,
+        confidence: path.confidence,
+        reason: rejection.reason,
+        details: rejection.details,
+      });
+    }
+  }
+  return result;
+}
+
+export default {
+  previewFilters,
+};
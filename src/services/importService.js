@@ -0,0 +1,176 @@
+import readline from 'readline';
+import { PathEvent, Camera } from '../models/index.js';
+import { insertPathEvents } from './pathEventService.js';
+import { parseDataQMessage } from '../dataq/parser.js';
+import { validateMessage } from '../dataq/schema.js';
+import { shouldSavePath } from '../dataq/filters.js';
+import { startBackfillForSerials } from './counterSetsService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Bulk import of historical DataQ path messages
+ * Messages go through the same checks as live MQTT ingestion (parse, path schema,
+ * known camera, camera filters) but are written in batches and are not broadcast
+ * to WebSocket clients or counted in real time.
+ */
+
+const BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Read a stream line by line
+ * @param {import('stream').Readable} input - NDJSON stream (file or request body)
+ * @returns {AsyncIterable<string>}
+ */
+export function readLines(input) {
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+// DataQ reuses tracking ids, so a track is identified by serial + id + timestamp (the unique index)
+function trackKey(event) {
+  return `${event.serial}:${event.id}:${event.timestamp}`;
+}
+
+/**
+ * Insert a batch, skipping events whose serial + tracking id + timestamp are already stored
+ * @param {Array<Object>} batch - Validated path messages
+ * @returns {Promise<{ inserted: Array<Object>, failed: Array<{ event: Object, reason: string }> }>}
+ *   Events that were inserted, and events MongoDB refused
+ */
+async function flushBatch(batch) {
+  if (batch.length === 0) return { inserted: [], failed: [] };
+
+  const idsBySerial = new Map();
+  for (const event of batch) {
+    if (!idsBySerial.has(event.serial)) idsBySerial.set(event.serial, []);
+    idsBySerial.get(event.serial).push(event.id);
+  }
+
+  const existing = await PathEvent.find(
+    { $or: [...idsBySerial].map(([serial, ids]) => ({ serial, id: { $in: ids } })) },
+    { serial: 1, id: 1, timestamp: 1 }
+  ).lean();
+  const stored = new Set(existing.map(trackKey));
+
+  const docs = batch.filter((event) => !stored.has(trackKey(event)));
+
+  // Events that arrived live meanwhile are skipped by the unique index
+  const { inserted, failed } = await insertPathEvents(docs);
+  return { inserted, failed };
+}
+
+/**
+ * Import DataQ path messages
+ * Each message is parsed and validated like a live MQTT path message, checked
+ * against its camera's filters, and deduplicated on serial + tracking id + timestamp
+ * both within the import and against stored events.
+ *
+ * @param {AsyncIterable<string|Object>|Iterable<string|Object>} messages - NDJSON lines or parsed messages
+ * @param {Object} [options]
+ * @param {boolean} [options.applyFilters=true] - Apply each camera's filters (minAge, minDistance, objectTypes)
+ * @param {boolean} [options.recount=false] - Restart counter set backfills for cameras that received events
+ * @returns {Promise<Object>} - { total, inserted, skipped, duplicates, filtered, rejected, errors, recounted }
+ */
+export async function importPathEvents(messages, { applyFilters = true, recount = false } = {}) {
+  const result = {
+    total: 0,
+    inserted: 0,
+    skipped: 0,
+    duplicates: 0,
+    filtered: 0,
+    rejected: 0,
+    errors: [],
+    recounted: [],
+  };
+
+  const cameras = new Map();
+  const seen = new Set();
+  const touchedSerials = new Set();
+  let batch = [];
+  let line = 0;
+
+  const reject = (reason) => {
+    result.rejected++;
+    if (result.errors.length < MAX_REPORTED_ERRORS) result.errors.push({ line, error: reason });
+  };
+
+  const flush = async () => {
+    const { inserted, failed } = await flushBatch(batch);
+    result.inserted += inserted.length;
+    result.duplicates += batch.length - inserted.length - failed.length;
+    for (const { event, reason } of failed) {
+      result.rejected++;
+      if (result.errors.length < MAX_REPORTED_ERRORS) {
+        result.errors.push({ line: null, error: `Path ${event.serial}/${event.id} could not be stored: ${reason}` });
+      }
+    }
+    inserted.forEach((event) => touchedSerials.add(event.serial));
+    batch = [];
+  };
+
+  for await (const message of messages) {
+    line++;
+    if (typeof message === 'string' && message.trim() === '') continue;
+    result.total++;
+
+    const data = typeof message === 'string' ? parseDataQMessage(message, 'import') : message;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      reject('Invalid JSON object');
+      continue;
+    }
+    const { valid, errors } = validateMessage('path', data);
+    if (!valid) {
+      reject(errors.join('; '));
+      continue;
+    }
+
+    const serial = (data.serial || data.device).toUpperCase();
+
+    if (!cameras.has(serial)) {
+      cameras.set(serial, await Camera.findOne({ serialNumber: serial }).lean());
+    }
+    const camera = cameras.get(serial);
+    if (!camera) {
+      reject(`Unknown camera ${serial}`);
+      continue;
+    }
+
+    if (applyFilters && !shouldSavePath(data, camera.filters)) {
+      result.filtered++;
+      continue;
+    }
+
+    const key = trackKey({ ...data, serial });
+    if (seen.has(key)) {
+      result.duplicates++;
+      continue;
+    }
+    seen.add(key);
+
+    // Store the serial upper-cased, as every per-camera query expects
+    batch.push({ ...data, serial });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  result.skipped = result.duplicates + result.filtered;
+
+  if (recount && result.inserted > 0) {
+    result.recounted = await startBackfillForSerials(touchedSerials);
+  }
+
+  logger.info('Path event import finished', {
+    total: result.total,
+    inserted: result.inserted,
+    skipped: result.skipped,
+    rejected: result.rejected,
+    recounted: result.recounted.length,
+  });
+
+  return result;
+}
+
+export default {
+  readLines,
+  importPathEvents,
+};
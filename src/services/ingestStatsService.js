@@ -0,0 +1,216 @@
+import { IngestStat, INGEST_COUNTERS } from '../models/index.js';
+import { parseRangeBound } from './exportService.js';
+import { appConfig } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Per-camera ingest statistics
+ *
+ * Path messages are counted per camera and hour in memory as they go through the
+ * pipeline (received → parsed/rejected → ignored/filtered/dropped → saved/duplicates)
+ * and added to the `ingeststats` collection every ingestStatsFlushIntervalMs. Counts
+ * not flushed yet are included in queries made on this instance.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_RANGE_HOURS = 24;
+const MAX_RANGE_HOURS = 90 * 24;
+
+// `${serial}|${hour ms}` → { serial, hour, counts: { counter: n }, filteredBy: { reason: n } }
+let pending = new Map();
+let timer = null;
+
+function pendingEntry(serial, hour) {
+  const key = `${serial}|${hour}`;
+  let entry = pending.get(key);
+  if (!entry) {
+    entry = { serial, hour, counts: {}, filteredBy: {} };
+    pending.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * Count a path message outcome for a camera
+ * @param {string} serial - Upper-case serial number
+ * @param {string} counter - One of INGEST_COUNTERS
+ * @param {Object} [options]
+ * @param {number} [options.count=1]
+ * @param {string} [options.reason] - Filter reason, for the filtered counter
+ */
+export function recordIngest(serial, counter, { count = 1, reason } = {}) {
+  if (!serial || count <= 0) return;
+  const entry = pendingEntry(serial, Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+  entry.counts[counter] = (entry.counts[counter] ?? 0) + count;
+  if (reason) entry.filteredBy[reason] = (entry.filteredBy[reason] ?? 0) + count;
+}
+
+// Serial number of a path event, as ingestion resolves it
+function eventSerial(event) {
+  return (event.serial || event.device || '').toUpperCase();
+}
+
+function countBySerial(events) {
+  const counts = new Map();
+  for (const event of events) {
+    const serial = eventSerial(event);
+    counts.set(serial, (counts.get(serial) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Count the outcome of an ingest batch write
+ * @param {Array<Object>} batch - Events written
+ * @param {Array<Object>} inserted - Events actually inserted; the others were duplicates
+ */
+export function recordWrittenBatch(batch, inserted) {
+  const saved = countBySerial(inserted);
+  for (const [serial, total] of countBySerial(batch)) {
+    recordIngest(serial, 'saved', { count: saved.get(serial) ?? 0 });
+    recordIngest(serial, 'duplicates', { count: total - (saved.get(serial) ?? 0) });
+  }
+}
+
+/**
+ * Count path events dropped without being written
+ * @param {Array<Object>} events
+ */
+export function recordDroppedEvents(events) {
+  for (const [serial, count] of countBySerial(events)) {
+    recordIngest(serial, 'dropped', { count });
+  }
+}
+
+/**
+ * Add the counts collected since the last flush to MongoDB
+ * Counts that cannot be written are kept for the next flush.
+ * @returns {Promise<void>}
+ */
+export async function flushIngestStats() {
+  if (pending.size === 0) return;
+  const entries = [...pending.values()];
+  pending = new Map();
+
+  const updates = entries.map(({ serial, hour, counts, filteredBy }) => {
+    const inc = { ...counts };
+    for (const [reason, count] of Object.entries(filteredBy)) inc[`filteredBy.${reason}`] = count;
+    return { updateOne: { filter: { serial, hour: new Date(hour) }, update: { $inc: inc }, upsert: true } };
+  });
+
+  try {
+    // Plain $inc upserts through the driver: every instance adds its own counts
+    await IngestStat.collection.bulkWrite(updates, { ordered: false });
+  } catch (error) {
+    // With write errors the other updates were applied; only the failed ones are kept for the next flush
+    const failed = error.writeErrors?.length ? error.writeErrors.map(({ index }) => entries[index]) : entries;
+    logger.error('Failed to write ingest statistics', { error: error.message, entries: failed.length });
+    for (const { serial, hour, counts, filteredBy } of failed) {
+      const entry = pendingEntry(serial, hour);
+      for (const [counter, count] of Object.entries(counts)) entry.counts[counter] = (entry.counts[counter] ?? 0) + count;
+      for (const [reason, count] of Object.entries(filteredBy)) {
+        entry.filteredBy[reason] = (entry.filteredBy[reason] ?? 0) + count;
+      }
+    }
+  }
+}
+
+/**
+ * Start flushing counts periodically
+ */
+export function startIngestStats() {
+  if (timer) return;
+  timer = setInterval(flushIngestStats, appConfig.ingestStatsFlushIntervalMs);
+  timer.unref();
+}
+
+/**
+ * Stop the flush timer and write the remaining counts (used on shutdown)
+ * @returns {Promise<void>}
+ */
+export async function stopIngestStats() {
+  clearInterval(timer);
+  timer = null;
+  await flushIngestStats();
+}
+
+function emptyBucket(hour) {
+  return { hour, ...Object.fromEntries(INGEST_COUNTERS.map((counter) => [counter, 0])), filteredBy: {} };
+}
+
+function addCounts(bucket, counts, filteredBy) {
+  for (const counter of INGEST_COUNTERS) bucket[counter] += counts[counter] ?? 0;
+  for (const [reason, count] of Object.entries(filteredBy ?? {})) {
+    bucket.filteredBy[reason] = (bucket.filteredBy[reason] ?? 0) + count;
+  }
+}
+
+/**
+ * Hourly ingest statistics of a camera
+ * @param {string} serial - Camera serial number
+ * @param {Object} [options]
+ * @param {string|number} [options.from] - ISO date or epoch ms (default: 24 hours before to)
+ * @param {string|number} [options.to] - ISO date or epoch ms (default: now)
+ * @returns {Promise<Object>} - { serial, from, to, totals, buckets: [{ hour, ...counters, filteredBy }] }, one bucket per hour
+ * @throws {Error} 400 if the range is invalid or longer than 90 days
+ */
+export async function getCameraIngestStats(serial, { from, to } = {}) {
+  const serialNumber = String(serial).toUpperCase();
+  const rangeEnd = parseRangeBound(to, 'to') ?? Date.now();
+  const rangeStart = parseRangeBound(from, 'from') ?? rangeEnd - DEFAULT_RANGE_HOURS * HOUR_MS;
+  if (rangeStart >= rangeEnd) {
+    throw Object.assign(new Error('from must be before to'), { status: 400 });
+  }
+  // Whole hours covering the range
+  const start = Math.floor(rangeStart / HOUR_MS) * HOUR_MS;
+  const end = Math.ceil(rangeEnd / HOUR_MS) * HOUR_MS;
+  if (end - start > MAX_RANGE_HOURS * HOUR_MS) {
+    throw Object.assign(new Error(`The range can be at most ${MAX_RANGE_HOURS / 24} days`), { status: 400 });
+  }
+
+  const buckets = new Map();
+  for (let hour = start; hour < end; hour += HOUR_MS) buckets.set(hour, emptyBucket(new Date(hour)));
+
+  const stored = await IngestStat.find({ serial: serialNumber, hour: { $gte: new Date(start), $lt: new Date(end) } }).lean();
+  for (const doc of stored) {
+    addCounts(buckets.get(doc.hour.getTime()), doc, doc.filteredBy);
+  }
+  for (const entry of pending.values()) {
+    if (entry.serial === serialNumber && buckets.has(entry.hour)) {
+      addCounts(buckets.get(entry.hour), entry.counts, entry.filteredBy);
+    }
+  }
+
+  const totals = emptyBucket(null);
+  delete totals.hour;
+  for (const bucket of buckets.values()) addCounts(totals, bucket, bucket.filteredBy);
+
+  return {
+    serial: serialNumber,
+    from: new Date(start),
+    to: new Date(end),
+    totals,
+    buckets: [...buckets.values()],
+  };
+}
+
+/**
+ * Delete ingest statistics older than a cutoff
+ * @param {Date} cutoff
+ * @returns {Promise<number>} - Number of deleted hourly documents
+ */
+export async function purgeIngestStats(cutoff) {
+  const result = await IngestStat.deleteMany({ hour: { $lt: cutoff } });
+  return result.deletedCount;
+}
+
+export default {
+  recordIngest,
+  recordWrittenBatch,
+  recordDroppedEvents,
+  flushIngestStats,
+  startIngestStats,
+  stopIngestStats,
+  getCameraIngestStats,
+  purgeIngestStats,
+};
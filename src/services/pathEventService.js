@@ -1,14 +1,67 @@
+import mongoose from 'mongoose';
 import { PathEvent } from '../models/index.js';
+import { enrichPathEvents } from './pathMetricsService.js';
+import { appConfig } from '../config/index.js';
 import logger from '../utils/logger.js';
 
+// MongoDB's document size limit (maxBsonObjectSize)
+const MAX_DOCUMENT_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Translate a MongoDB time-limit error into a client error
+ * @param {Error} error - Error thrown by the driver
+ * @returns {Error}
+ */
+function toQueryError(error) {
+  // 50 = MaxTimeMSExpired
+  if (error.code === 50) {
+    return Object.assign(
+      new Error(`Query exceeded the server time limit of ${appConfig.queryMaxTimeMS} ms`),
+      { status: 400 }
+    );
+  }
+  return error;
+}
+
+/**
+ * Restrict a MongoDB query to a set of camera serials
+ * @param {Object} mongoQuery - MongoDB query object
+ * @param {Array<string>|null} cameraScope - Allowed serials, or null for no restriction
+ * @returns {Object} - Scoped query
+ */
+export function scopeQuery(mongoQuery = {}, cameraScope = null) {
+  if (!cameraScope) return mongoQuery;
+  return { $and: [mongoQuery, { serial: { $in: cameraScope } }] };
+}
+
+/**
+ * Restrict an aggregation pipeline to a set of camera serials
+ * The scope is prepended as the first $match stage so later stages only see
+ * documents from allowed cameras. A leading $geoNear must stay first, so the
+ * scope is merged into its query instead.
+ * @param {Array} pipeline - MongoDB aggregation pipeline
+ * @param {Array<string>|null} cameraScope - Allowed serials, or null for no restriction
+ * @returns {Array} - Scoped pipeline
+ */
+export function scopePipeline(pipeline = [], cameraScope = null) {
+  if (!cameraScope) return pipeline;
+  const [first, ...rest] = pipeline;
+  if (first?.$geoNear) {
+    return [{ $geoNear: { ...first.$geoNear, query: scopeQuery(first.$geoNear.query, cameraScope) } }, ...rest];
+  }
+  return [{ $match: { serial: { $in: cameraScope } } }, ...pipeline];
+}
+
 /**
  * Save a path event to the database
- * Stores the data as-is without transformation
+ * Stores the data as-is, plus its derived metrics. Ingestion is idempotent on
+ * (serial, id, timestamp): a redelivered event is not stored again.
  * @param {Object} pathEventData - Path event data from MQTT
- * @returns {Promise<Object>} - Saved path event document
+ * @returns {Promise<Object|null>} - Saved path event document, or null if it was a duplicate
  */
 export async function savePathEvent(pathEventData) {
   try {
+    await enrichPathEvents([pathEventData]);
     const pathEvent = new PathEvent(pathEventData);
     await pathEvent.save();
     logger.debug('Path event saved', {
@@ -17,6 +70,14 @@ export async function savePathEvent(pathEventData) {
     });
     return pathEvent;
   } catch (error) {
+    if (error.code === 11000) {
+      logger.debug('Duplicate path event ignored', {
+        trackingId: pathEventData.id,
+        serial: pathEventData.serial,
+        timestamp: pathEventData.timestamp,
+      });
+      return null;
+    }
     logger.error('Failed to save path event', {
       error: error.message,
       trackingId: pathEventData.id,
@@ -25,14 +86,115 @@ export async function savePathEvent(pathEventData) {
   }
 }
 
+/**
+ * Insert many path events in one round trip
+ * Events that already exist (same serial, id and timestamp) are skipped, not failed.
+ * Events MongoDB rejects individually (over the BSON size limit, unindexable geometry)
+ * are returned as failed while the rest of the batch is stored; only an error that
+ * is not tied to single documents (e.g. the connection dropped) is thrown.
+ * Each event gets its derived metrics (pathMetricsService) before it is stored.
+ * @param {Array<Object>} events - Path event data
+ * @returns {Promise<{ inserted: Array<Object>, duplicates: number, failed: Array<{ event: Object, reason: string }> }>}
+ *   Inserted events as plain objects
+ */
+export async function insertPathEvents(events) {
+  if (events.length === 0) return { inserted: [], duplicates: 0, failed: [] };
+  await enrichPathEvents(events);
+
+  // Build documents up front so _id/createdAt are known even when some inserts fail
+  const docs = events.map((event) => new PathEvent(event));
+  const failed = new Map(); // index → reason
+  const duplicates = new Set();
+
+  // The driver refuses a whole batch containing an oversized document, so leave those out
+  const writable = [];
+  docs.forEach((doc, index) => {
+    const size = mongoose.mongo.BSON.calculateObjectSize(doc.toBSON());
+    if (size > MAX_DOCUMENT_BYTES) failed.set(index, `Document is ${size} bytes, over the ${MAX_DOCUMENT_BYTES} byte limit`);
+    else writable.push(index);
+  });
+
+  try {
+    if (writable.length > 0) {
+      await PathEvent.insertMany(writable.map((index) => docs[index]), { ordered: false });
+    }
+  } catch (error) {
+    const writeErrors = [].concat(error.writeErrors ?? []);
+    if (writeErrors.length === 0) throw error;
+    for (const writeError of writeErrors) {
+      const index = writable[writeError.index];
+      if (writeError.code === 11000) duplicates.add(index);
+      else failed.set(index, writeError.errmsg ?? writeError.message ?? `Write error ${writeError.code}`);
+    }
+  }
+
+  const inserted = docs
+    .filter((_, index) => !failed.has(index) && !duplicates.has(index))
+    .map((doc) => doc.toObject());
+  return {
+    inserted,
+    duplicates: duplicates.size,
+    failed: [...failed].map(([index, reason]) => ({ event: events[index], reason })),
+  };
+}
+
+/**
+ * Remove duplicate path events, keeping the first stored copy of each track
+ * Duplicates are events with the same serial, id and timestamp. Runs once before
+ * the unique index exists; afterwards the index prevents new duplicates.
+ * @returns {Promise<{ removed: number, serials: Array<string> }>}
+ */
+export async function removeDuplicatePathEvents() {
+  const indexes = await PathEvent.collection.indexes().catch(() => []);
+  if (indexes.some((index) => index.name === 'serial_id_timestamp_unique')) {
+    return { removed: 0, serials: [] };
+  }
+
+  const groups = PathEvent.aggregate([
+    { $match: { id: { $exists: true }, timestamp: { $exists: true } } },
+    { $sort: { _id: 1 } },
+    {
+      $group: {
+        _id: { serial: '$serial', id: '$id', timestamp: '$timestamp' },
+        ids: { $push: '$_id' },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ])
+    .allowDiskUse(true)
+    .cursor({ batchSize: 500 });
+
+  const serials = new Set();
+  let pending = [];
+  let removed = 0;
+
+  const flush = async () => {
+    if (pending.length === 0) return;
+    const result = await PathEvent.deleteMany({ _id: { $in: pending } });
+    removed += result.deletedCount || 0;
+    pending = [];
+  };
+
+  for await (const group of groups) {
+    serials.add(group._id.serial);
+    pending.push(...group.ids.slice(1));
+    if (pending.length >= 1000) await flush();
+  }
+  await flush();
+
+  return { removed, serials: [...serials] };
+}
+
 /**
  * Query path events using MongoDB query format
  * Acts as a direct proxy to MongoDB
  * @param {Object} mongoQuery - MongoDB query object
  * @param {Object} options - Query options (sort, limit, skip, projection)
+ * @param {Array<string>|null} cameraScope - Allowed serials, or null for no restriction
  * @returns {Promise<Array>} - Query results
  */
-export async function queryPathEvents(mongoQuery = {}, options = {}) {
+export async function queryPathEvents(mongoQuery = {}, options = {}, cameraScope = null) {
   try {
     const {
       sort = { timestamp: -1 },
@@ -42,10 +204,11 @@ export async function queryPathEvents(mongoQuery = {}, options = {}) {
     } = options;
 
     // Execute MongoDB query as-is
-    const events = await PathEvent.find(mongoQuery, projection)
+    const events = await PathEvent.find(scopeQuery(mongoQuery, cameraScope), projection)
       .sort(sort)
       .skip(skip)
-      .limit(Math.min(limit, 50000)) // Max 50000 results — AOI/dwell-time filters can be highly selective
+      .limit(Math.min(limit, appConfig.maxQueryResults)) // AOI/dwell-time filters can be highly selective
+      .maxTimeMS(appConfig.queryMaxTimeMS)
       .lean();
 
     return events;
@@ -54,35 +217,218 @@ export async function queryPathEvents(mongoQuery = {}, options = {}) {
       error: error.message,
       query: mongoQuery,
     });
-    throw error;
+    throw toQueryError(error);
+  }
+}
+
+/**
+ * Get the timestamp sort direction of a sort spec
+ * Cursor pagination is keyed on (timestamp, _id), so it is only possible when
+ * results are ordered by timestamp (optionally with _id in the same direction).
+ * @param {Object} sort - Sort specification
+ * @returns {number|null} - 1 or -1, or null if the sort is not timestamp-based
+ */
+export function getTimestampSortDirection(sort = { timestamp: -1 }) {
+  const toDirection = (value) => (value === 1 || value === 'asc' ? 1 : -1);
+  const fields = Object.keys(sort);
+
+  if (!fields.includes('timestamp') || fields.some((f) => f !== 'timestamp' && f !== '_id')) {
+    return null;
+  }
+  const direction = toDirection(sort.timestamp);
+  if (sort._id !== undefined && toDirection(sort._id) !== direction) return null;
+  return direction;
+}
+
+/**
+ * Encode an opaque pagination cursor pointing just past an event
+ * @param {Object} event - Last event of the current page
+ * @param {number} direction - Sort direction (1 or -1)
+ * @returns {string} - base64url cursor token
+ */
+export function encodeCursor(event, direction) {
+  const payload = { t: event.timestamp ?? null, id: String(event._id), d: direction };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor token
+ * @param {string} token - Cursor returned as nextCursor
+ * @param {number} direction - Sort direction of the current request
+ * @returns {{t: number|null, id: string, d: number}}
+ * @throws {Error} status 400 if the token is malformed or for another sort order
+ */
+export function decodeCursor(token, direction) {
+  let cursor = null;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (_) {
+    // fall through to the validation below
+  }
+
+  if (!cursor || !mongoose.isValidObjectId(cursor.id) || ![1, -1].includes(cursor.d)) {
+    throw Object.assign(new Error('Invalid cursor'), { status: 400 });
+  }
+  if (cursor.d !== direction) {
+    throw Object.assign(new Error('Cursor does not match the requested sort order'), { status: 400 });
+  }
+  return cursor;
+}
+
+/**
+ * Build the query that selects events after a cursor position
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} - MongoDB query
+ */
+function afterCursor(cursor) {
+  const op = cursor.d === 1 ? '$gt' : '$lt';
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return {
+    $or: [{ timestamp: { [op]: cursor.t } }, { timestamp: cursor.t, _id: { [op]: id } }],
+  };
+}
+
+// $slice and $meta keep all other fields; $elemMatch and expressions select fields
+function isInclusive(value) {
+  if (value && typeof value === 'object') {
+    return Object.keys(value).some((key) => key !== '$slice' && key !== '$meta');
   }
+  return value === 1 || value === true;
+}
+
+/**
+ * Make sure a projection returns the fields a cursor is built from
+ * @param {Object} projection - Client projection
+ * @returns {Object} - Projection including timestamp (and _id)
+ */
+function withCursorFields(projection = {}) {
+  const result = { ...projection };
+  if (!result.timestamp) delete result.timestamp;
+  if (!result._id) delete result._id;
+  if (Object.values(result).some(isInclusive)) result.timestamp = 1;
+  return result;
+}
+
+/**
+ * Build a timestamp-ordered find() for cursor pagination and streaming
+ * @param {Object} mongoQuery - MongoDB query object
+ * @param {Object} options - { projection, cursor }
+ * @param {number} direction - Sort direction (1 or -1)
+ * @param {Array<string>|null} cameraScope - Allowed serials, or null for no restriction
+ * @returns {mongoose.Query}
+ */
+function findFromCursor(mongoQuery, options, direction, cameraScope) {
+  const { projection = {}, cursor = null } = options;
+
+  let query = scopeQuery(mongoQuery, cameraScope);
+  if (cursor) {
+    query = { $and: [query, afterCursor(decodeCursor(cursor, direction))] };
+  }
+
+  return PathEvent.find(query, withCursorFields(projection))
+    .sort({ timestamp: direction, _id: direction })
+    .lean();
+}
+
+/**
+ * Query one page of path events
+ * When results are sorted by timestamp the page carries a nextCursor token
+ * (keyed on timestamp + _id) that fetches the following page. Other sort
+ * orders fall back to skip/limit and never return a cursor.
+ * @param {Object} mongoQuery - MongoDB query object
+ * @param {Object} options - Query options (sort, limit, skip, projection, cursor)
+ * @param {Array<string>|null} cameraScope - Allowed serials, or null for no restriction
+ * @returns {Promise<{events: Array, nextCursor: string|null}>}
+ */
+export async function queryPathEventsPage(mongoQuery = {}, options = {}, cameraScope = null) {
+  const { sort = { timestamp: -1 }, limit = 100, skip = 0, cursor = null } = options;
+  const direction = getTimestampSortDirection(sort);
+
+  if (direction === null) {
+    if (cursor) {
+      throw Object.assign(new Error('Cursor pagination requires sorting by timestamp'), { status: 400 });
+    }
+    const events = await queryPathEvents(mongoQuery, options, cameraScope);
+    return { events, nextCursor: null };
+  }
+
+  try {
+    const pageSize = Math.min(limit, appConfig.maxQueryResults);
+
+    // Fetch one extra document to know whether another page exists
+    const events = await findFromCursor(mongoQuery, options, direction, cameraScope)
+      .skip(cursor ? 0 : skip)
+      .limit(pageSize + 1)
+      .maxTimeMS(appConfig.queryMaxTimeMS);
+
+    const hasMore = events.length > pageSize;
+    if (hasMore) events.pop();
+
+    return {
+      events,
+      nextCursor: hasMore && events.length > 0 ? encodeCursor(events[events.length - 1], direction) : null,
+    };
+  } catch (error) {
+    logger.error('Failed to query path events page', {
+      error: error.message,
+      query: mongoQuery,
+    });
+    throw toQueryError(error);
+  }
+}
+
+/**
+ * Open a MongoDB cursor over all matching path events
+ * Used for NDJSON streaming: there is no result cap, results are ordered by
+ * timestamp (ascending unless sort says otherwise) and can resume from a cursor.
+ * @param {Object} mongoQuery - MongoDB query object
+ * @param {Object} options - Query options (sort, limit, projection, cursor)
+ * @param {Array<string>|null} cameraScope - Allowed serials, or null for no restriction
+ * @returns {mongoose.QueryCursor}
+ */
+export function streamPathEvents(mongoQuery = {}, options = {}, cameraScope = null) {
+  const { sort = { timestamp: 1 }, limit = 0 } = options;
+  const direction = getTimestampSortDirection(sort);
+
+  if (direction === null) {
+    throw Object.assign(new Error('Streaming requires sorting by timestamp'), { status: 400 });
+  }
+
+  const query = findFromCursor(mongoQuery, options, direction, cameraScope)
+    .maxTimeMS(appConfig.streamMaxTimeMS);
+  if (limit) query.limit(limit);
+
+  return query.cursor({ batchSize: 500 });
 }
 
 /**
  * Count path events matching a MongoDB query
  * @param {Object} mongoQuery - MongoDB query object
+ * @param {Array<string>|null} cameraScope - Allowed serials, or null for no restriction
  * @returns {Promise<number>} - Count of matching documents
  */
-export async function countPathEvents(mongoQuery = {}) {
+export async function countPathEvents(mongoQuery = {}, cameraScope = null) {
   try {
-    return await PathEvent.countDocuments(mongoQuery);
+    return await PathEvent.countDocuments(scopeQuery(mongoQuery, cameraScope))
+      .maxTimeMS(appConfig.queryMaxTimeMS);
   } catch (error) {
     logger.error('Failed to count path events', {
       error: error.message,
       query: mongoQuery,
     });
-    throw error;
+    throw toQueryError(error);
   }
 }
 
 /**
  * Get a single path event by ID
  * @param {string} id - Path event ID
+ * @param {Array<string>|null} cameraScope - Allowed serials, or null for no restriction
  * @returns {Promise<Object|null>}
  */
-export async function getPathEventById(id) {
+export async function getPathEventById(id, cameraScope = null) {
   try {
-    return await PathEvent.findById(id).lean();
+    return await PathEvent.findOne(scopeQuery({ _id: id }, cameraScope)).lean();
   } catch (error) {
     logger.error('Failed to get path event', { error: error.message, id });
     throw error;
@@ -91,25 +437,39 @@ export async function getPathEventById(id) {
 
 /**
  * Aggregate path events using MongoDB aggregation pipeline
- * Acts as a direct proxy to MongoDB aggregation
+ * Acts as a direct proxy to MongoDB aggregation; output is capped at
+ * appConfig.maxQueryResults documents
  * @param {Array} pipeline - MongoDB aggregation pipeline
+ * @param {Array<string>|null} cameraScope - Allowed serials, or null for no restriction
  * @returns {Promise<Array>} - Aggregation results
  */
-export async function aggregatePathEvents(pipeline) {
+export async function aggregatePathEvents(pipeline, cameraScope = null) {
   try {
-    return await PathEvent.aggregate(pipeline);
+    return await PathEvent.aggregate([
+      ...scopePipeline(pipeline, cameraScope),
+      { $limit: appConfig.maxQueryResults },
+    ]).option({ maxTimeMS: appConfig.queryMaxTimeMS });
   } catch (error) {
     logger.error('Failed to aggregate path events', {
       error: error.message,
       pipeline,
     });
-    throw error;
+    throw toQueryError(error);
   }
 }
 
 export default {
+  scopeQuery,
+  scopePipeline,
   savePathEvent,
+  insertPathEvents,
+  removeDuplicatePathEvents,
   queryPathEvents,
+  queryPathEventsPage,
+  streamPathEvents,
+  getTimestampSortDirection,
+  encodeCursor,
+  decodeCursor,
   countPathEvents,
   getPathEventById,
   aggregatePathEvents,
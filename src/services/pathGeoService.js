@@ -0,0 +1,159 @@
+import { queryPathEventsPage, aggregatePathEvents } from './pathEventService.js';
+
+/**
+ * Geospatial path queries
+ *
+ * Work on the `geo` block of Geospace-calibrated path events (dataq/pathGeometry.js),
+ * across all cameras the user may read, so paths of several cameras can be shown on
+ * one site map. Areas are GeoJSON Polygons or MultiPolygons, coordinates [lon, lat].
+ * Every query can be narrowed with a regular path query (serial, class, timestamp...).
+ */
+
+const AREA_TYPES = ['Polygon', 'MultiPolygon'];
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function isPosition(position) {
+  return (
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) &&
+    Number.isFinite(position[1]) &&
+    position[0] >= -180 &&
+    position[0] <= 180 &&
+    position[1] >= -90 &&
+    position[1] <= 90
+  );
+}
+
+function isRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) return false;
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+/**
+ * Check a client-supplied area
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} - { type, coordinates } without other members
+ * @throws {Error} 400 if it is not a valid area
+ */
+function parseArea(geometry) {
+  if (!geometry || !AREA_TYPES.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    throw badRequest('geometry must be a GeoJSON Polygon or MultiPolygon');
+  }
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const valid = polygons.length > 0 && polygons.every((rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isRing));
+  if (!valid) {
+    throw badRequest('geometry rings must be closed and have at least 4 [lon, lat] positions in range');
+  }
+  return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+/**
+ * Check a client-supplied point
+ * @param {Object|Array} point - { lon, lat } or [lon, lat]
+ * @returns {Object} - GeoJSON Point
+ * @throws {Error} 400 if it is not a valid position
+ */
+function parsePoint(point) {
+  const position = Array.isArray(point) ? point : [point?.lon, point?.lat];
+  if (!isPosition(position)) {
+    throw badRequest('point must be { lon, lat } or [lon, lat] in range');
+  }
+  return { type: 'Point', coordinates: [position[0], position[1]] };
+}
+
+function narrow(query, condition) {
+  return Object.keys(query).length > 0 ? { $and: [query, condition] } : condition;
+}
+
+/**
+ * Paths crossing an area (any part of the path inside it)
+ * Paths that never moved have no line and are matched on their position.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {Object} [query={}] - Additional MongoDB query
+ * @param {Object} [options={}] - Query options (sort, limit, skip, projection, cursor), as for queryPathEventsPage
+ * @param {Array<string>|null} [cameraScope=null] - Allowed serials, or null for no restriction
+ * @returns {Promise<{events: Array, nextCursor: string|null}>}
+ * @throws {Error} 400 if the geometry is invalid
+ */
+export async function findPathsIntersecting(geometry, query = {}, options = {}, cameraScope = null) {
+  const $geometry = parseArea(geometry);
+  const condition = {
+    $or: [
+      { 'geo.line': { $geoIntersects: { $geometry } } },
+      { 'geo.line': { $exists: false }, 'geo.start': { $geoWithin: { $geometry } } },
+    ],
+  };
+  return queryPathEventsPage(narrow(query, condition), options, cameraScope);
+}
+
+/**
+ * Paths that started (or ended) inside an area
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {string} [at='start'] - start | end
+ * @param {Object} [query={}] - Additional MongoDB query
+ * @param {Object} [options={}] - Query options, as for queryPathEventsPage
+ * @param {Array<string>|null} [cameraScope=null] - Allowed serials, or null for no restriction
+ * @returns {Promise<{events: Array, nextCursor: string|null}>}
+ * @throws {Error} 400 if the geometry or `at` is invalid
+ */
+export async function findPathsWithin(geometry, at = 'start', query = {}, options = {}, cameraScope = null) {
+  if (!['start', 'end'].includes(at)) {
+    throw badRequest('at must be start or end');
+  }
+  const $geometry = parseArea(geometry);
+  return queryPathEventsPage(narrow(query, { [`geo.${at}`]: { $geoWithin: { $geometry } } }), options, cameraScope);
+}
+
+/**
+ * Paths passing within a distance of a point, nearest first
+ * Each result carries `geoDistance`, the distance in meters from the point to the
+ * nearest part of the path. Paths that never moved are not included.
+ * @param {Object|Array} point - { lon, lat } or [lon, lat]
+ * @param {number} maxDistance - Meters
+ * @param {Object} [query={}] - Additional MongoDB query
+ * @param {Object} [options={}] - { limit, skip, projection }
+ * @param {Array<string>|null} [cameraScope=null] - Allowed serials, or null for no restriction
+ * @returns {Promise<Array>}
+ * @throws {Error} 400 if the point, distance or options are invalid
+ */
+export async function findPathsNear(point, maxDistance, query = {}, options = {}, cameraScope = null) {
+  const near = parsePoint(point);
+  if (!Number.isFinite(maxDistance) || maxDistance <= 0) {
+    throw badRequest('maxDistance must be a positive number of meters');
+  }
+  const { limit = 100, skip = 0, projection = {}, sort, cursor } = options;
+  if (sort !== undefined || cursor) {
+    throw badRequest('Near results are sorted by distance; sort and cursor are not supported');
+  }
+
+  const pipeline = [
+    {
+      $geoNear: {
+        near,
+        key: 'geo.line',
+        distanceField: 'geoDistance',
+        maxDistance,
+        spherical: true,
+        query,
+      },
+    },
+  ];
+  if (skip) pipeline.push({ $skip: skip });
+  pipeline.push({ $limit: limit });
+  if (Object.keys(projection).length > 0) {
+    const inclusion = Object.values(projection).some((value) => value === 1 || value === true);
+    pipeline.push({ $project: inclusion ? { ...projection, geoDistance: 1 } : projection });
+  }
+  return aggregatePathEvents(pipeline, cameraScope);
+}
+
+export default {
+  findPathsIntersecting,
+  findPathsWithin,
+  findPathsNear,
+};
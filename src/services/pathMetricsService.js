@@ -0,0 +1,173 @@
+import { PathEvent, CounterSet } from '../models/index.js';
+import { derivePathMetrics, PATH_METRICS_VERSION } from '../dataq/pathMetrics.js';
+import { derivePathGeometry } from '../dataq/pathGeometry.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Derived path metrics on stored path events
+ *
+ * Every inserted path event gets a `derived` block (dataq/pathMetrics.js) and, when
+ * its points have lat/lon, a `geo` block (dataq/pathGeometry.js). Named zones are
+ * the counter set zones of the event's camera at the time it is stored.
+ * The backfill computes the block for events stored before it existed, or for all
+ * events of a camera after its zones changed (force). One backfill runs per instance;
+ * the updates are idempotent, so runs on several instances only repeat work.
+ */
+
+const BACKFILL_BATCH = 500;
+
+const backfill = {
+  status: 'idle', // idle | running | complete | failed | stopped
+  serial: null,
+  force: false,
+  total: 0,
+  processed: 0,
+  startedAt: null,
+  completedAt: null,
+  error: null,
+};
+let stopRequested = false;
+
+/**
+ * Named zones of the given cameras, from their counter sets
+ * @param {Iterable<string>} serials - Upper-case serial numbers
+ * @returns {Promise<Map<string, Array<Object>>>} - serial → [{ counterSet, label, name, rect }]
+ */
+async function loadZones(serials) {
+  const zones = new Map([...serials].map((serial) => [serial, []]));
+  if (zones.size === 0) return zones;
+  const sets = await CounterSet.find({ serial: { $in: [...zones.keys()] } }).select('serial zones').lean();
+  for (const set of sets) {
+    for (const zone of set.zones) {
+      zones.get(set.serial).push({ counterSet: set._id, label: zone.label, name: zone.name, rect: zone.rect });
+    }
+  }
+  return zones;
+}
+
+function eventSerial(event) {
+  return (event.serial || event.device || '').toUpperCase();
+}
+
+/**
+ * Add the derived and geo blocks to path events about to be stored
+ * @param {Array<Object>} events - Path event data; modified in place
+ * @returns {Promise<Array<Object>>} - The same events
+ */
+export async function enrichPathEvents(events) {
+  const zones = await loadZones(new Set(events.map(eventSerial)));
+  for (const event of events) {
+    event.derived = derivePathMetrics(event, zones.get(eventSerial(event)));
+    const geo = derivePathGeometry(event);
+    if (geo) event.geo = geo;
+    else delete event.geo;
+  }
+  return events;
+}
+
+// $set/$unset of the derived fields of a stored event
+function derivedUpdate(event, zones) {
+  const geo = derivePathGeometry(event);
+  const update = { $set: { derived: derivePathMetrics(event, zones) } };
+  if (geo) update.$set.geo = geo;
+  else update.$unset = { geo: '' };
+  return update;
+}
+
+async function runBackfill(query) {
+  const zonesBySerial = new Map();
+  let lastId = null;
+  try {
+    backfill.total = await PathEvent.countDocuments(query);
+
+    while (!stopRequested) {
+      const events = await PathEvent.find(lastId ? { $and: [query, { _id: { $gt: lastId } }] } : query)
+        .select('serial device bx by path')
+        .sort({ _id: 1 })
+        .limit(BACKFILL_BATCH)
+        .lean();
+      if (events.length === 0) break;
+
+      // Zones are loaded once per camera for the whole run
+      const missing = new Set(events.map(eventSerial).filter((serial) => !zonesBySerial.has(serial)));
+      for (const [serial, zones] of await loadZones(missing)) zonesBySerial.set(serial, zones);
+
+      await PathEvent.bulkWrite(
+        events.map((event) => ({
+          updateOne: {
+            filter: { _id: event._id },
+            update: derivedUpdate(event, zonesBySerial.get(eventSerial(event))),
+          },
+        })),
+        { ordered: false }
+      );
+
+      backfill.processed += events.length;
+      lastId = events[events.length - 1]._id;
+      if (events.length < BACKFILL_BATCH) break;
+    }
+
+    backfill.status = stopRequested ? 'stopped' : 'complete';
+    logger.info('Path metrics backfill finished', { status: backfill.status, processed: backfill.processed });
+  } catch (error) {
+    backfill.status = 'failed';
+    backfill.error = error.message;
+    logger.error('Path metrics backfill failed', { error: error.message, processed: backfill.processed });
+  }
+  backfill.completedAt = new Date();
+}
+
+/**
+ * Start computing derived metrics for stored path events in the background
+ * @param {Object} [options]
+ * @param {string} [options.serial] - Only this camera
+ * @param {boolean} [options.force=false] - Recompute events that already have current metrics
+ * @returns {Object} - Backfill status
+ * @throws {Error} 409 if a backfill is already running
+ */
+export function startPathMetricsBackfill({ serial, force = false } = {}) {
+  if (backfill.status === 'running') {
+    throw Object.assign(new Error('A path metrics backfill is already running'), { status: 409 });
+  }
+
+  const query = {};
+  if (serial) query.serial = String(serial).toUpperCase();
+  if (!force) query['derived.version'] = { $ne: PATH_METRICS_VERSION };
+
+  Object.assign(backfill, {
+    status: 'running',
+    serial: query.serial ?? null,
+    force: Boolean(force),
+    total: 0,
+    processed: 0,
+    startedAt: new Date(),
+    completedAt: null,
+    error: null,
+  });
+  stopRequested = false;
+  setImmediate(() => runBackfill(query));
+  return getPathMetricsBackfillStatus();
+}
+
+/**
+ * Status of the current or last backfill on this instance
+ * @returns {Object} - { status, serial, force, total, processed, startedAt, completedAt, error }
+ */
+export function getPathMetricsBackfillStatus() {
+  return { ...backfill };
+}
+
+/**
+ * Stop a running backfill after its current batch (used on shutdown)
+ * A later run continues with the events still missing metrics.
+ */
+export function stopPathMetricsBackfill() {
+  if (backfill.status === 'running') stopRequested = true;
+}
+
+export default {
+  enrichPathEvents,
+  startPathMetricsBackfill,
+  getPathMetricsBackfillStatus,
+  stopPathMetricsBackfill,
+};
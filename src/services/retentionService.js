@@ -1,6 +1,11 @@
 import logger from '../utils/logger.js';
 import { Camera, PathEvent } from '../models/index.js';
 import * as configService from './configService.js';
+import { purgeDeadLetters } from './deadLetterService.js';
+import { purgeConnectivityEvents } from './connectivityService.js';
+import { purgeAlerts } from './watchdogService.js';
+import { purgeArchivedSnapshots } from './snapshotArchiveService.js';
+import { purgeIngestStats } from './ingestStatsService.js';
 
 /**
  * Run cleanup for a single camera using its retentionDays or system default
@@ -51,8 +56,43 @@ export async function runRetentionCleanup() {
       totalDeleted += deleted;
     }
 
-    logger.info('Retention cleanup completed', { totalDeleted, cameras: cameras.length });
-    return { totalDeleted, camerasProcessed: cameras.length };
+    // Dead letters follow the system default retention
+    const deadLettersDeleted = await purgeDeadLetters(
+      new Date(Date.now() - defaultRetentionDays * 24 * 60 * 60 * 1000)
+    );
+
+    // Connectivity events too (the last state before the cutoff is kept for availability reports)
+    const connectivityEventsDeleted = await purgeConnectivityEvents(
+      new Date(Date.now() - defaultRetentionDays * 24 * 60 * 60 * 1000)
+    );
+
+    // Resolved watchdog alerts
+    const alertsDeleted = await purgeAlerts(new Date(Date.now() - defaultRetentionDays * 24 * 60 * 60 * 1000));
+    const ingestStatsDeleted = await purgeIngestStats(
+      new Date(Date.now() - defaultRetentionDays * 24 * 60 * 60 * 1000)
+    );
+
+    // Archived snapshots have their own retention (snapshotArchive.retentionDays)
+    const snapshotsDeleted = await purgeArchivedSnapshots(systemConfig?.snapshotArchive?.retentionDays);
+
+    logger.info('Retention cleanup completed', {
+      totalDeleted,
+      deadLettersDeleted,
+      connectivityEventsDeleted,
+      alertsDeleted,
+      ingestStatsDeleted,
+      snapshotsDeleted,
+      cameras: cameras.length,
+    });
+    return {
+      totalDeleted,
+      deadLettersDeleted,
+      connectivityEventsDeleted,
+      alertsDeleted,
+      ingestStatsDeleted,
+      snapshotsDeleted,
+      camerasProcessed: cameras.length,
+    };
   } catch (error) {
     logger.error('Failed to run retention cleanup', { error: error.message });
     throw error;
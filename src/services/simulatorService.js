@@ -0,0 +1,295 @@
+import {
+  DEFAULT_SCENARIO,
+  validateScenario,
+  createVirtualCameras,
+  connectMessage,
+  statusMessage,
+  imageMessage,
+  generatePath,
+} from '../dataq/simulator.js';
+import { topicFor } from '../dataq/topics.js';
+import {
+  getMQTTClient,
+  getBrokerTopicTemplates,
+  injectMQTTMessage,
+  isConnectedToMQTT,
+} from '../mqtt/client.js';
+import { waitForCapacity } from '../mqtt/ingestQueue.js';
+import { DEFAULT_BROKER_ID } from '../models/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * DataQ traffic simulator
+ *
+ * Runs N virtual cameras (see dataq/simulator.js): each announces itself, then sends
+ * status and snapshots periodically and paths at random (Poisson) intervals averaging
+ * pathsPerMinute. Messages are either published to a broker, so they arrive like real
+ * camera traffic, or injected straight into the message pipeline. With many cameras or
+ * a high rate it doubles as a load generator; lagMs shows how far it falls behind.
+ */
+
+export const SIMULATOR_MODES = ['mqtt', 'inject'];
+
+const TICK_MS = 100;
+// Gives the backend time to register newly announced cameras and subscribe to their paths
+const STARTUP_DELAY_MS = 2000;
+const MAX_CAMERAS = 1000;
+const MAX_PATHS_PER_MINUTE = 60000;
+
+let active = null;
+
+/**
+ * Send messages by publishing them to an MQTT broker
+ * @param {mqtt.MqttClient} client
+ * @param {Object} templates - Resolved topic templates of that broker
+ * @returns {function(string, string, Object): Promise<void>} - send(kind, serial, message)
+ */
+export function mqttSender(client, templates) {
+  return (kind, serial, message) => client.publishAsync(topicFor(kind, serial, templates), JSON.stringify(message));
+}
+
+/**
+ * Send messages by injecting them into the message pipeline, as if received from a broker
+ * Waits while the ingest queue is above its high-water mark.
+ * @param {string|null} [brokerId] - Broker the messages appear to arrive on (null = default broker)
+ * @returns {function(string, string, Object): Promise<void>} - send(kind, serial, message)
+ */
+export function injectSender(brokerId = null) {
+  const templates = getBrokerTopicTemplates(brokerId);
+  return async (kind, serial, message) => {
+    const wait = waitForCapacity();
+    if (wait) await wait;
+    await injectMQTTMessage(topicFor(kind, serial, templates), Buffer.from(JSON.stringify(message)), {
+      brokerId,
+      templates,
+    });
+  };
+}
+
+function positiveInteger(value, name, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw Object.assign(new Error(`${name} must be an integer between 1 and ${max}`), { status: 400 });
+  }
+  return number;
+}
+
+function seconds(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw Object.assign(new Error(`${name} must be a number of seconds >= 0`), { status: 400 });
+  }
+  return number;
+}
+
+/**
+ * Fill in defaults and validate simulator options
+ * @param {Object} options - See startSimulator
+ * @returns {Object} - Normalized settings
+ */
+export function normalizeSimulatorOptions(options = {}) {
+  const settings = {
+    cameras: positiveInteger(options.cameras ?? 4, 'cameras', MAX_CAMERAS),
+    pathsPerMinute: Number(options.pathsPerMinute ?? 30),
+    mode: options.mode ?? 'mqtt',
+    brokerId: options.brokerId || null,
+    serialPrefix: options.serialPrefix ?? 'SIM',
+    statusIntervalSeconds: seconds(options.statusIntervalSeconds ?? 60, 'statusIntervalSeconds'),
+    imageIntervalSeconds: seconds(options.imageIntervalSeconds ?? 300, 'imageIntervalSeconds'),
+    durationSeconds: options.durationSeconds ? seconds(options.durationSeconds, 'durationSeconds') : null,
+    scenario: options.scenario ?? DEFAULT_SCENARIO,
+  };
+
+  if (!(settings.pathsPerMinute > 0 && settings.pathsPerMinute <= MAX_PATHS_PER_MINUTE)) {
+    throw Object.assign(new Error(`pathsPerMinute must be a number above 0 and at most ${MAX_PATHS_PER_MINUTE}`), {
+      status: 400,
+    });
+  }
+  if (!SIMULATOR_MODES.includes(settings.mode)) {
+    throw Object.assign(new Error(`mode must be one of: ${SIMULATOR_MODES.join(', ')}`), { status: 400 });
+  }
+  if (!/^[A-Z0-9]{1,8}$/.test(settings.serialPrefix)) {
+    throw Object.assign(new Error('serialPrefix must be 1-8 upper-case letters or digits'), { status: 400 });
+  }
+  const errors = validateScenario(settings.scenario);
+  if (errors.length > 0) {
+    throw Object.assign(new Error(`Invalid scenario: ${errors.join('; ')}`), { status: 400 });
+  }
+  return settings;
+}
+
+// Exponential inter-arrival time, so paths arrive as a Poisson process
+function nextPathDelay(sim) {
+  return (-Math.log(1 - Math.random()) * 60000) / sim.settings.pathsPerMinute;
+}
+
+async function send(sim, kind, camera, message) {
+  try {
+    await sim.send(kind, camera.serial, message);
+    sim.sent[kind]++;
+  } catch (error) {
+    sim.errors++;
+    sim.lastError = error.message;
+    if (sim.errors % 1000 === 1) {
+      logger.warn('Simulator failed to send message', { kind, serial: camera.serial, error: error.message });
+    }
+  }
+}
+
+async function tick(sim) {
+  const now = Date.now();
+  const { settings } = sim;
+  sim.lagMs = Math.max(0, now - Math.min(...sim.cameras.map((camera) => camera.nextPathAt)));
+
+  for (const camera of sim.cameras) {
+    if (!sim.running) return;
+
+    if (settings.statusIntervalSeconds > 0 && now >= camera.nextStatusAt) {
+      camera.nextStatusAt = now + settings.statusIntervalSeconds * 1000;
+      await send(sim, 'status', camera, statusMessage(sim.startedAt));
+    }
+    if (settings.imageIntervalSeconds > 0 && now >= camera.nextImageAt) {
+      camera.nextImageAt = now + settings.imageIntervalSeconds * 1000;
+      await send(sim, 'image', camera, imageMessage());
+    }
+    while (sim.running && camera.nextPathAt <= now) {
+      camera.nextPathAt += nextPathDelay(sim);
+      await send(sim, 'path', camera, generatePath(camera, settings.scenario));
+    }
+  }
+
+  if (sim.running) {
+    sim.timer = setTimeout(() => tick(sim), Math.max(0, TICK_MS - (Date.now() - now)));
+  }
+}
+
+/**
+ * Start the simulator
+ * @param {Object} [options]
+ * @param {number} [options.cameras=4] - Number of virtual cameras
+ * @param {number} [options.pathsPerMinute=30] - Average paths per camera per minute
+ * @param {string} [options.mode='mqtt'] - mqtt (publish to the broker) | inject (straight into the pipeline)
+ * @param {string|null} [options.brokerId] - Broker to publish to / appear on (null = default broker)
+ * @param {string} [options.serialPrefix='SIM'] - Virtual camera serial prefix
+ * @param {number} [options.statusIntervalSeconds=60] - Status heartbeat interval (0 = off)
+ * @param {number} [options.imageIntervalSeconds=300] - Snapshot interval (0 = off)
+ * @param {number} [options.durationSeconds] - Stop automatically after this long
+ * @param {Object} [options.scenario] - Flows to generate paths from (see dataq/simulator.js)
+ * @param {Object} [overrides]
+ * @param {function(string, string, Object): Promise<void>} [overrides.send] - Custom sender
+ *   (used by scripts/simulate-dataq.js); built from mode and brokerId when omitted
+ * @returns {Promise<Object>} - Simulator status
+ */
+export async function startSimulator(options = {}, { send: customSend = null } = {}) {
+  if (active) {
+    throw Object.assign(new Error('The simulator is already running'), { status: 409 });
+  }
+  const settings = normalizeSimulatorOptions(options);
+
+  let sender = customSend;
+  if (!sender && settings.mode === 'mqtt') {
+    const brokerId = settings.brokerId || DEFAULT_BROKER_ID;
+    if (!isConnectedToMQTT(brokerId)) {
+      throw Object.assign(new Error(`MQTT broker ${brokerId} is not connected`), { status: 400 });
+    }
+    sender = mqttSender(getMQTTClient(brokerId), getBrokerTopicTemplates(brokerId));
+  }
+  sender ??= injectSender(settings.brokerId);
+
+  const now = Date.now();
+  const sim = {
+    settings,
+    send: sender,
+    running: true,
+    startedAt: new Date(now),
+    cameras: [],
+    sent: { connect: 0, status: 0, image: 0, path: 0 },
+    errors: 0,
+    lastError: null,
+    lagMs: 0,
+    timer: null,
+    stopTimer: null,
+  };
+  active = sim;
+
+  // Stagger the first paths so cameras don't fire in lockstep
+  sim.cameras = createVirtualCameras(settings.cameras, settings.serialPrefix).map((camera) => ({
+    ...camera,
+    nextStatusAt: now,
+    nextImageAt: now,
+    nextPathAt: now + STARTUP_DELAY_MS + nextPathDelay(sim),
+  }));
+
+  // Announce every camera first, so they exist before their first path arrives
+  for (const camera of sim.cameras) {
+    await send(sim, 'connect', camera, connectMessage(camera, settings.scenario));
+  }
+
+  if (settings.durationSeconds) {
+    sim.stopTimer = setTimeout(() => stopSimulator(), settings.durationSeconds * 1000);
+    sim.stopTimer.unref();
+  }
+  tick(sim);
+
+  logger.info('DataQ simulator started', {
+    cameras: settings.cameras,
+    pathsPerMinute: settings.pathsPerMinute,
+    mode: customSend ? 'custom' : settings.mode,
+    brokerId: settings.brokerId,
+  });
+  return getSimulatorStatus();
+}
+
+/**
+ * Stop the simulator; its cameras announce that they disconnected
+ * @returns {Promise<Object|null>} - Final status, null if it wasn't running
+ */
+export async function stopSimulator() {
+  if (!active) return null;
+  const sim = active;
+  const status = getSimulatorStatus();
+  active = null;
+
+  sim.running = false;
+  clearTimeout(sim.timer);
+  clearTimeout(sim.stopTimer);
+  for (const camera of sim.cameras) {
+    await send(sim, 'connect', camera, connectMessage(camera, sim.settings.scenario, false));
+  }
+
+  const summary = { ...status, running: false, sent: { ...sim.sent }, stoppedAt: new Date().toISOString() };
+  logger.info('DataQ simulator stopped', { sent: summary.sent, errors: sim.errors });
+  return summary;
+}
+
+/**
+ * Simulator state and throughput
+ * @returns {Object} - { running, startedAt, settings (flows by name), sent, pathsPerSecond, lagMs, errors, lastError }
+ */
+export function getSimulatorStatus() {
+  if (!active) return { running: false };
+  const { scenario, ...settings } = active.settings;
+  const { sent } = active;
+  const elapsed = (Date.now() - active.startedAt.getTime()) / 1000;
+  return {
+    running: true,
+    startedAt: active.startedAt.toISOString(),
+    settings: { ...settings, flows: scenario.flows.map((flow) => flow.name || flow.type) },
+    sent: { ...sent },
+    pathsPerSecond: elapsed > 0 ? Number((sent.path / elapsed).toFixed(1)) : 0,
+    lagMs: Math.round(active.lagMs),
+    errors: active.errors,
+    lastError: active.lastError,
+  };
+}
+
+export default {
+  SIMULATOR_MODES,
+  DEFAULT_SCENARIO,
+  mqttSender,
+  injectSender,
+  normalizeSimulatorOptions,
+  startSimulator,
+  stopSimulator,
+  getSimulatorStatus,
+};
@@ -0,0 +1,267 @@
+import mongoose from 'mongoose';
+import { Camera, SystemConfig } from '../models/index.js';
+import { createImageIndexes, deleteImage, filesCollection as bucketFiles, openImage, uploadImage } from '../db/imageStore.js';
+import { parseRangeBound } from './exportService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Snapshot archive
+ *
+ * A camera's latest snapshot (snapshotService) only holds the current scene. Snapshots
+ * are also archived as JPEG files in the `snapshots` GridFS bucket, at most one per
+ * camera per snapshotArchive.intervalMinutes, so historical paths can be drawn on the
+ * background they were recorded against (day/night, construction). File metadata:
+ * { serial, timestamp, rotation, aspectRatio, source }. Images are served as binary
+ * (see archivedSnapshotUrl); thumbnails are cached in the same bucket.
+ * Image topics reach every replica, so the instance that claims the camera's
+ * snapshotArchivedAt stores the snapshot.
+ */
+
+const BUCKET_NAME = 'snapshots';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function filesCollection() {
+  return bucketFiles(BUCKET_NAME);
+}
+
+/**
+ * URL of an archived snapshot image (cacheable for ever: archived images never change)
+ * @param {string} serial - Camera serial number
+ * @param {ObjectId|string} fileId
+ * @returns {string}
+ */
+export function archivedSnapshotUrl(serial, fileId) {
+  return `/api/cameras/${serial}/snapshots/${fileId}`;
+}
+
+async function getArchiveSettings() {
+  const defaults = new SystemConfig().toObject().snapshotArchive;
+  const stored = (await SystemConfig.findById('system-config').lean())?.snapshotArchive;
+  return { ...defaults, ...stored };
+}
+
+/**
+ * Create the archive lookup indexes (serial + timestamp, thumbnails); safe to call repeatedly
+ * @returns {Promise<void>}
+ */
+export async function initSnapshotArchive() {
+  try {
+    await filesCollection().createIndex({ 'metadata.serial': 1, 'metadata.timestamp': -1 });
+    await createImageIndexes(BUCKET_NAME);
+  } catch (error) {
+    logger.error('Failed to create snapshot archive index', { error: error.message });
+  }
+}
+
+/**
+ * Claim the archive slot of a camera for a snapshot
+ * @param {string} serial - Camera serial number
+ * @param {Date} at - Snapshot time
+ * @param {number} intervalMs - Archive interval
+ * @returns {Promise<Object|null>} - The camera's previous claim ({ snapshotArchivedAt }), null if not claimed
+ */
+function claimArchiveSlot(serial, at, intervalMs) {
+  return Camera.findOneAndUpdate(
+    {
+      serialNumber: serial,
+      $or: [
+        { snapshotArchivedAt: null },
+        { snapshotArchivedAt: { $lte: new Date(at.getTime() - intervalMs) } },
+        { snapshotArchivedAt: { $gte: new Date(at.getTime() + intervalMs) } },
+      ],
+    },
+    { $set: { snapshotArchivedAt: at } },
+    { new: false, projection: { snapshotArchivedAt: 1 } }
+  ).lean();
+}
+
+/**
+ * Archive a snapshot unless one was archived for the camera within the interval
+ * Never throws: the live snapshot update must not fail because of the archive.
+ * @param {Object} snapshot
+ * @param {string} snapshot.serial - Camera serial number
+ * @param {Buffer} snapshot.image - JPEG
+ * @param {Date} snapshot.timestamp - When the image was taken
+ * @param {number} [snapshot.rotation]
+ * @param {string} [snapshot.aspectRatio]
+ * @param {string} snapshot.source - mqtt | vapix
+ * @returns {Promise<boolean>} - Whether the snapshot was archived
+ */
+export async function archiveSnapshot({ serial, image, timestamp, rotation = null, aspectRatio = null, source }) {
+  try {
+    if (!image?.length) return false;
+    const settings = await getArchiveSettings();
+    if (!settings.enabled) return false;
+
+    const at = new Date(timestamp);
+    const claim = await claimArchiveSlot(serial, at, settings.intervalMinutes * 60 * 1000);
+    if (!claim) return false;
+
+    try {
+      await uploadImage(BUCKET_NAME, `${serial}-${at.toISOString()}.jpg`, image, {
+        serial,
+        timestamp: at,
+        rotation,
+        aspectRatio,
+        source,
+      });
+    } catch (error) {
+      // Give the slot back so the next image can be archived
+      await Camera.updateOne(
+        { serialNumber: serial, snapshotArchivedAt: at },
+        { $set: { snapshotArchivedAt: claim.snapshotArchivedAt ?? null } }
+      );
+      throw error;
+    }
+    logger.debug('Snapshot archived', { serial, timestamp: at });
+    return true;
+  } catch (error) {
+    logger.error('Failed to archive snapshot', { serial, error: error.message });
+    return false;
+  }
+}
+
+function toEntry(file) {
+  return {
+    id: file._id.toString(),
+    timestamp: file.metadata.timestamp,
+    rotation: file.metadata.rotation,
+    aspectRatio: file.metadata.aspectRatio,
+    source: file.metadata.source,
+    size: file.length,
+    url: archivedSnapshotUrl(file.metadata.serial, file._id),
+  };
+}
+
+/**
+ * Archived snapshots of a camera (metadata only), newest first
+ * @param {string} serial - Camera serial number
+ * @param {Object} [options]
+ * @param {string|number} [options.from] - ISO date or epoch ms
+ * @param {string|number} [options.to] - ISO date or epoch ms
+ * @param {number} [options.limit=100]
+ * @param {number} [options.skip=0]
+ * @returns {Promise<{ items: Array<Object>, total: number }>}
+ * @throws {Error} 400 if from/to are invalid
+ */
+export async function listArchivedSnapshots(serial, { from, to, limit = 100, skip = 0 } = {}) {
+  const filter = { 'metadata.serial': serial };
+  const start = parseRangeBound(from, 'from');
+  const end = parseRangeBound(to, 'to');
+  if (start !== null || end !== null) {
+    filter['metadata.timestamp'] = {};
+    if (start !== null) filter['metadata.timestamp'].$gte = new Date(start);
+    if (end !== null) filter['metadata.timestamp'].$lt = new Date(end);
+  }
+
+  const [files, total] = await Promise.all([
+    filesCollection().find(filter).sort({ 'metadata.timestamp': -1 }).skip(skip).limit(limit).toArray(),
+    filesCollection().countDocuments(filter),
+  ]);
+  return { items: files.map(toEntry), total };
+}
+
+/**
+ * The snapshot taken closest to a point in time
+ * Candidates are the nearest archived snapshots before and after it, and the camera's
+ * latest snapshot (which may not be archived yet).
+ * @param {string} serial - Camera serial number
+ * @param {string|number} at - ISO date or epoch ms
+ * @returns {Promise<Object|null>} - { timestamp, rotation, aspectRatio, archiveId, url }, null if there is none
+ * @throws {Error} 400 if at is missing or invalid
+ */
+export async function getSnapshotAt(serial, at) {
+  const target = parseRangeBound(at, 'at');
+  if (target === null) {
+    throw Object.assign(new Error('at is required'), { status: 400 });
+  }
+  const atDate = new Date(target);
+
+  const [before, after, camera] = await Promise.all([
+    filesCollection().findOne(
+      { 'metadata.serial': serial, 'metadata.timestamp': { $lte: atDate } },
+      { sort: { 'metadata.timestamp': -1 } }
+    ),
+    filesCollection().findOne(
+      { 'metadata.serial': serial, 'metadata.timestamp': { $gt: atDate } },
+      { sort: { 'metadata.timestamp': 1 } }
+    ),
+    Camera.findOne({ serialNumber: serial })
+      .select('latestSnapshotId latestSnapshotTimestamp rotation aspectRatio')
+      .lean(),
+  ]);
+
+  const distance = (timestamp) => Math.abs(new Date(timestamp).getTime() - target);
+  const candidates = [before, after]
+    .filter(Boolean)
+    .map((file) => ({ file, timestamp: file.metadata.timestamp }));
+  if (camera?.latestSnapshotId && camera.latestSnapshotTimestamp) {
+    candidates.push({ camera, timestamp: camera.latestSnapshotTimestamp });
+  }
+  if (candidates.length === 0) return null;
+
+  const closest = candidates.reduce((best, candidate) =>
+    distance(candidate.timestamp) < distance(best.timestamp) ? candidate : best
+  );
+  if (closest.camera) {
+    return {
+      timestamp: closest.camera.latestSnapshotTimestamp,
+      rotation: closest.camera.rotation,
+      aspectRatio: closest.camera.aspectRatio,
+      archiveId: null,
+      // The latest snapshot URL (snapshotService.snapshotUrl)
+      url: `/api/cameras/${serial}/snapshot?v=${closest.camera.latestSnapshotId}`,
+    };
+  }
+  return {
+    timestamp: closest.file.metadata.timestamp,
+    rotation: closest.file.metadata.rotation ?? camera?.rotation ?? 0,
+    aspectRatio: closest.file.metadata.aspectRatio ?? camera?.aspectRatio ?? null,
+    archiveId: closest.file._id.toString(),
+    url: archivedSnapshotUrl(serial, closest.file._id),
+  };
+}
+
+/**
+ * Open an archived snapshot image (or a thumbnail of it) for sending
+ * @param {string} serial - Camera serial number
+ * @param {string} id - Archived snapshot id
+ * @param {Object} [options]
+ * @param {string|number} [options.width] - Thumbnail width
+ * @returns {Promise<Object|null>} - See imageStore.openImage; null if the camera has no such snapshot
+ * @throws {Error} 400 if the width is not a thumbnail width
+ */
+export async function openArchivedSnapshot(serial, id, { width } = {}) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const fileId = new mongoose.Types.ObjectId(id);
+  if (!(await filesCollection().countDocuments({ _id: fileId, 'metadata.serial': serial }, { limit: 1 }))) return null;
+  return openImage(BUCKET_NAME, fileId, { width });
+}
+
+/**
+ * Delete archived snapshots older than the snapshot archive retention
+ * @param {number} [days] - Retention in days (default: SystemConfig.snapshotArchive.retentionDays)
+ * @returns {Promise<number>} - Number of deleted snapshots
+ */
+export async function purgeArchivedSnapshots(days) {
+  const retentionDays = days ?? (await getArchiveSettings()).retentionDays;
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const files = await filesCollection()
+    .find({ 'metadata.timestamp': { $lt: cutoff } })
+    .project({ _id: 1 })
+    .toArray();
+  for (const file of files) {
+    await deleteImage(BUCKET_NAME, file._id);
+  }
+  return files.length;
+}
+
+export default {
+  archivedSnapshotUrl,
+  initSnapshotArchive,
+  archiveSnapshot,
+  listArchivedSnapshots,
+  getSnapshotAt,
+  openArchivedSnapshot,
+  purgeArchivedSnapshots,
+};
@@ -0,0 +1,172 @@
+import { Camera } from '../models/index.js';
+import {
+  createImageIndexes,
+  deleteImage,
+  decodeBase64Image,
+  openImage,
+  readImageBase64,
+  uploadImage,
+} from '../db/imageStore.js';
+import { archiveSnapshot } from './snapshotArchiveService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Latest camera snapshots
+ *
+ * The current snapshot of each camera is a JPEG in the `cameraSnapshots` GridFS bucket;
+ * the camera only references it (latestSnapshotId, latestSnapshotTimestamp), so camera
+ * queries stay small. Every update stores a new file and deletes the previous one, so a
+ * file id identifies one image for ever and serves as its ETag / cache key.
+ */
+
+export const LATEST_SNAPSHOT_BUCKET = 'cameraSnapshots';
+
+/**
+ * URL of a camera's snapshot; the version makes it cacheable until the snapshot changes
+ * @param {string} serial - Camera serial number
+ * @param {ObjectId|string} fileId - latestSnapshotId
+ * @returns {string}
+ */
+export function snapshotUrl(serial, fileId) {
+  return `/api/cameras/${serial}/snapshot?v=${fileId}`;
+}
+
+/**
+ * Replace a camera's latest snapshot, and archive it when due
+ * @param {string} serial - Camera serial number
+ * @param {Buffer} image - JPEG
+ * @param {Object} [details]
+ * @param {Date|number} [details.timestamp] - When the image was taken (default: now)
+ * @param {number} [details.rotation] - Also stored on the camera when given
+ * @param {string} [details.aspectRatio] - Also stored on the camera when given
+ * @param {string} details.source - mqtt | vapix
+ * @returns {Promise<Object|null>} - The updated camera, null if the camera doesn't exist
+ */
+export async function storeLatestSnapshot(serial, image, { timestamp = new Date(), rotation, aspectRatio, source }) {
+  const at = new Date(timestamp);
+  const fileId = await uploadImage(LATEST_SNAPSHOT_BUCKET, `${serial}.jpg`, image, { serial, timestamp: at });
+
+  const update = { latestSnapshotId: fileId, latestSnapshotTimestamp: at };
+  if (rotation !== undefined) update.rotation = rotation;
+  if (aspectRatio) update.aspectRatio = aspectRatio;
+  const previous = await Camera.findOneAndUpdate({ serialNumber: serial }, { $set: update }, { new: false }).lean();
+
+  if (!previous) {
+    await deleteImage(LATEST_SNAPSHOT_BUCKET, fileId);
+    return null;
+  }
+  if (previous.latestSnapshotId) {
+    await deleteImage(LATEST_SNAPSHOT_BUCKET, previous.latestSnapshotId).catch((error) =>
+      logger.warn('Failed to delete previous snapshot', { serial, error: error.message })
+    );
+  }
+
+  const camera = { ...previous, ...update };
+  await archiveSnapshot({
+    serial,
+    image,
+    timestamp: at,
+    rotation: camera.rotation,
+    aspectRatio: camera.aspectRatio,
+    source,
+  });
+  return camera;
+}
+
+/**
+ * Latest snapshot metadata of a camera
+ * @param {string} serial - Camera serial number
+ * @returns {Promise<Object|null>} - { fileId, timestamp, rotation, aspectRatio, url }, null if there is none
+ */
+export async function getLatestSnapshot(serial) {
+  const camera = await Camera.findOne({ serialNumber: serial.toUpperCase() })
+    .select('serialNumber latestSnapshotId latestSnapshotTimestamp rotation aspectRatio')
+    .lean();
+  if (!camera?.latestSnapshotId) return null;
+
+  return {
+    fileId: camera.latestSnapshotId,
+    timestamp: camera.latestSnapshotTimestamp,
+    rotation: camera.rotation,
+    aspectRatio: camera.aspectRatio,
+    url: snapshotUrl(camera.serialNumber, camera.latestSnapshotId),
+  };
+}
+
+/**
+ * Open a latest snapshot image (or a thumbnail of it) for sending
+ * @param {ObjectId} fileId - latestSnapshotId
+ * @param {Object} [options]
+ * @param {string|number} [options.width] - Thumbnail width
+ * @returns {Promise<Object|null>} - See imageStore.openImage
+ * @throws {Error} 400 if the width is not a thumbnail width
+ */
+export async function openLatestSnapshot(fileId, { width } = {}) {
+  return openImage(LATEST_SNAPSHOT_BUCKET, fileId, { width });
+}
+
+/**
+ * Latest snapshot image as base64 (for clients of the legacy JSON snapshot response)
+ * @param {ObjectId} fileId - latestSnapshotId
+ * @returns {Promise<string>}
+ */
+export async function readLatestSnapshotBase64(fileId) {
+  return readImageBase64(LATEST_SNAPSHOT_BUCKET, fileId);
+}
+
+/**
+ * Delete a camera's latest snapshot (when the camera is deleted)
+ * @param {ObjectId|null} fileId - latestSnapshotId
+ * @returns {Promise<void>}
+ */
+export async function deleteLatestSnapshot(fileId) {
+  if (fileId) await deleteImage(LATEST_SNAPSHOT_BUCKET, fileId);
+}
+
+/**
+ * Move base64 snapshots stored inline on cameras (latestSnapshot) to GridFS
+ * Safe to run on several instances at once: only one of them moves each camera.
+ * @returns {Promise<number>} - Number of migrated cameras
+ */
+export async function migrateInlineSnapshots() {
+  await createImageIndexes(LATEST_SNAPSHOT_BUCKET);
+
+  // latestSnapshot is no longer in the schema, so use the collection directly
+  const cursor = Camera.collection.find(
+    { latestSnapshot: { $exists: true } },
+    { projection: { serialNumber: 1, latestSnapshot: 1, latestSnapshotTimestamp: 1, latestSnapshotId: 1 } }
+  );
+  let migrated = 0;
+  for await (const camera of cursor) {
+    let fileId = null;
+    if (camera.latestSnapshot && !camera.latestSnapshotId) {
+      fileId = await uploadImage(
+        LATEST_SNAPSHOT_BUCKET,
+        `${camera.serialNumber}.jpg`,
+        decodeBase64Image(camera.latestSnapshot),
+        { serial: camera.serialNumber, timestamp: camera.latestSnapshotTimestamp ?? new Date() }
+      );
+    }
+    const update = { $unset: { latestSnapshot: '' } };
+    if (fileId) update.$set = { latestSnapshotId: fileId };
+    const result = await Camera.collection.updateOne({ _id: camera._id, latestSnapshot: { $exists: true } }, update);
+    if (result.modifiedCount === 0) {
+      // Migrated by another instance
+      if (fileId) await deleteImage(LATEST_SNAPSHOT_BUCKET, fileId);
+      continue;
+    }
+    if (fileId) migrated++;
+  }
+  return migrated;
+}
+
+export default {
+  LATEST_SNAPSHOT_BUCKET,
+  snapshotUrl,
+  storeLatestSnapshot,
+  getLatestSnapshot,
+  openLatestSnapshot,
+  readLatestSnapshotBase64,
+  deleteLatestSnapshot,
+  migrateInlineSnapshots,
+};
@@ -0,0 +1,157 @@
+import mongoose from 'mongoose';
+import { Camera, CameraStatus, SystemConfig } from '../models/index.js';
+import { appConfig } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_POINTS = 200;
+const MAX_POINTS = 2000;
+// Every replica receives each heartbeat; one claim per window keeps a single sample
+const SAMPLE_CLAIM_MS = 5000;
+
+/**
+ * Store a status heartbeat as a time-series sample
+ * Fields missing from the message are left out rather than stored as 0.
+ * The instance that claims `deviceStatus.statusSampledAt` stores the sample; heartbeats
+ * within SAMPLE_CLAIM_MS of the last stored one are dropped, as the same message
+ * reaches every replica.
+ * @param {string} serialNumber - Upper-case serial number
+ * @param {Object} message - Validated status message
+ * @param {Date} [timestamp] - Receive time
+ * @returns {Promise<void>}
+ */
+export async function recordStatusSample(serialNumber, message, timestamp = new Date()) {
+  try {
+    const claimed = await Camera.updateOne(
+      {
+        serialNumber,
+        $or: [
+          { 'deviceStatus.statusSampledAt': null },
+          { 'deviceStatus.statusSampledAt': { $lte: new Date(timestamp.getTime() - SAMPLE_CLAIM_MS) } },
+        ],
+      },
+      { $set: { 'deviceStatus.statusSampledAt': timestamp } }
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    await CameraStatus.create({
+      timestamp,
+      serial: serialNumber,
+      networkKbps: message.Network_Kbps,
+      cpuAverage: message.CPU_average,
+      uptimeHours: message.Uptime_Hours,
+    });
+  } catch (error) {
+    logger.error('Failed to store camera status sample', { serialNumber, error: error.message });
+  }
+}
+
+function parseDate(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw Object.assign(new Error(`${name} must be an ISO date or epoch milliseconds`), { status: 400 });
+  }
+  return date;
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+/**
+ * Status history of one camera, downsampled into equal time buckets
+ * Each bucket holds the average and peak CPU and network load and the last uptime.
+ * @param {string} serialNumber - Camera serial number
+ * @param {Object} [options]
+ * @param {string|number} [options.from] - Start (default: 24 hours before to)
+ * @param {string|number} [options.to] - End (default: now)
+ * @param {number} [options.points=200] - Target number of buckets (10-2000)
+ * @param {number} [options.bucketSeconds] - Fixed bucket size, overrides points
+ * @returns {Promise<Object>} - { serial, from, to, bucketSeconds, points: [...] }
+ */
+export async function getStatusHistory(serialNumber, { from, to, points, bucketSeconds } = {}) {
+  const serial = String(serialNumber).toUpperCase();
+  const end = parseDate(to, 'to', new Date());
+  const start = parseDate(from, 'from', new Date(end.getTime() - DEFAULT_RANGE_MS));
+  if (start >= end) {
+    throw Object.assign(new Error('from must be before to'), { status: 400 });
+  }
+
+  const target = points === undefined ? DEFAULT_POINTS : Number(points);
+  if (!Number.isInteger(target) || target < 10 || target > MAX_POINTS) {
+    throw Object.assign(new Error(`points must be an integer between 10 and ${MAX_POINTS}`), { status: 400 });
+  }
+  let bucketMs = Math.max(1000, Math.ceil((end - start) / target / 1000) * 1000);
+  if (bucketSeconds !== undefined) {
+    const seconds = Number(bucketSeconds);
+    if (!Number.isInteger(seconds) || seconds < 1) {
+      throw Object.assign(new Error('bucketSeconds must be a positive integer'), { status: 400 });
+    }
+    bucketMs = seconds * 1000;
+    if ((end - start) / bucketMs > MAX_POINTS) {
+      throw Object.assign(new Error(`bucketSeconds is too small for this range (max ${MAX_POINTS} buckets)`), {
+        status: 400,
+      });
+    }
+  }
+
+  const buckets = await CameraStatus.aggregate([
+    { $match: { serial, timestamp: { $gte: start, $lt: end } } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        // Buckets are aligned to the start of the range
+        _id: { $subtract: ['$timestamp', { $mod: [{ $subtract: ['$timestamp', start] }, bucketMs] }] },
+        cpuAverage: { $avg: '$cpuAverage' },
+        cpuMax: { $max: '$cpuAverage' },
+        networkKbps: { $avg: '$networkKbps' },
+        networkMax: { $max: '$networkKbps' },
+        uptimeHours: { $last: '$uptimeHours' },
+        samples: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]).option({ maxTimeMS: appConfig.queryMaxTimeMS });
+
+  return {
+    serial,
+    from: start.toISOString(),
+    to: end.toISOString(),
+    bucketSeconds: bucketMs / 1000,
+    points: buckets.map((bucket) => ({
+      timestamp: bucket._id,
+      cpuAverage: round(bucket.cpuAverage),
+      cpuMax: round(bucket.cpuMax),
+      networkKbps: round(bucket.networkKbps),
+      networkMax: round(bucket.networkMax),
+      uptimeHours: bucket.uptimeHours ?? null,
+      samples: bucket.samples,
+    })),
+  };
+}
+
+/**
+ * Make status samples expire after the configured retention
+ * Sets the time-series collection's expireAfterSeconds; safe to call repeatedly.
+ * @param {number} [days] - Retention in days (default: SystemConfig.statusRetentionDays)
+ * @returns {Promise<void>}
+ */
+export async function applyStatusRetention(days) {
+  try {
+    const retentionDays = days ?? (await SystemConfig.findById('system-config').lean())?.statusRetentionDays ?? 30;
+    // Creates the time-series collection if no status has been received yet
+    await CameraStatus.init();
+    await mongoose.connection.db.command({
+      collMod: CameraStatus.collection.collectionName,
+      expireAfterSeconds: Math.round(retentionDays * 24 * 60 * 60),
+    });
+    logger.info('Camera status retention applied', { retentionDays });
+  } catch (error) {
+    logger.error('Failed to apply camera status retention', { error: error.message });
+  }
+}
+
+export default {
+  recordStatusSample,
+  getStatusHistory,
+  applyStatusRetention,
+};
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import DigestClient from 'digest-fetch';
+import { storeLatestSnapshot } from './snapshotService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -152,14 +153,13 @@ export async function updateCameraSnapshot(camera) {
     resolution: camera.resolution || '1280x720',
   });
 
-  // Update camera document with new snapshot
-  camera.latestSnapshot = base64Image;
-  camera.latestSnapshotTimestamp = new Date();
-  await camera.save();
+  // Store the new snapshot (GridFS) and reference it from the camera
+  const timestamp = new Date();
+  await storeLatestSnapshot(camera.serialNumber, Buffer.from(base64Image, 'base64'), { timestamp, source: 'vapix' });
 
   logger.info('Updated camera snapshot via VAPIX', {
     serialNumber: camera.serialNumber,
-    timestamp: camera.latestSnapshotTimestamp,
+    timestamp,
   });
 
   return base64Image;
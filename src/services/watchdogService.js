@@ -0,0 +1,305 @@
+import { Alert, Camera, SystemConfig } from '../models/index.js';
+import { appConfig } from '../config/index.js';
+import { isDBConnected } from '../db/connection.js';
+import { getMQTTClient } from '../mqtt/client.js';
+import { broadcastAlert } from '../websocket/broadcaster.js';
+import { recordConnectivityChange } from './connectivityService.js';
+import { minutesInZone, minutesOfDay } from '../dataq/filters.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Stale-camera watchdog
+ *
+ * Every watchdogIntervalMs the enabled cameras are checked against their expected
+ * intervals (camera watchdog overrides, else the system watchdog settings):
+ * - heartbeat: deviceStatus.lastSeen older than heartbeatMinutes + graceMinutes
+ * - paths: deviceStatus.lastPathAt older than pathGapMinutes + graceMinutes (0 = off)
+ * A camera that goes silent raises an Alert ("camera-silent"); resolving it sends
+ * "camera-recovered". Notifications go to /ws/paths clients subscribed to the camera
+ * and to the watchdog MQTT topic on the default broker. No alerts are raised during
+ * quiet hours, and the path gap is measured from the end of the last quiet hours.
+ * Active alerts live in MongoDB, so several instances raise each alert only once.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+let timer = null;
+let checking = false;
+let startedAt = null;
+
+/**
+ * Current watchdog settings (schema defaults while no system config is stored)
+ * @returns {Promise<Object>}
+ */
+export async function getWatchdogSettings() {
+  const defaults = new SystemConfig().toObject().watchdog;
+  const stored = (await SystemConfig.findById('system-config').lean())?.watchdog;
+  return {
+    ...defaults,
+    ...stored,
+    quietHours: { ...defaults.quietHours, ...stored?.quietHours },
+  };
+}
+
+/**
+ * Whether a time falls within the quiet hours (in their time zone; may span midnight)
+ * @param {Object} quietHours - { enabled, start: 'HH:MM', end: 'HH:MM', timezone }
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isQuietTime(quietHours, date) {
+  if (!quietHours?.enabled) return false;
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  if (start === end) return false;
+  const now = minutesInZone(date, quietHours.timezone || 'UTC');
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Most recent end of the quiet hours at or before date (null when quiet hours are off)
+function lastQuietEnd(quietHours, date) {
+  if (!quietHours?.enabled) return null;
+  const sinceEnd = (minutesInZone(date, quietHours.timezone || 'UTC') - minutesOfDay(quietHours.end) + 1440) % 1440;
+  return new Date((Math.floor(date.getTime() / MINUTE_MS) - sinceEnd) * MINUTE_MS);
+}
+
+/**
+ * Check one camera against its expected intervals
+ * @param {Object} camera - Lean camera with deviceStatus and watchdog
+ * @param {Object} settings - System watchdog settings
+ * @param {Date} now
+ * @returns {Object} - cause → { silent, lastActivityAt, thresholdMinutes } (paths only when checked)
+ */
+export function evaluateCamera(camera, settings, now) {
+  const overrides = camera.watchdog || {};
+  const status = camera.deviceStatus || {};
+  const result = {};
+
+  const heartbeatMinutes = (overrides.heartbeatMinutes ?? settings.heartbeatMinutes) + settings.graceMinutes;
+  result.heartbeat = {
+    silent: now - new Date(status.lastSeen) > heartbeatMinutes * MINUTE_MS,
+    lastActivityAt: status.lastSeen,
+    thresholdMinutes: heartbeatMinutes,
+  };
+
+  const pathGapMinutes = overrides.pathGapMinutes ?? settings.pathGapMinutes;
+  if (pathGapMinutes > 0) {
+    // No paths are expected during quiet hours, and before this process knew about the camera
+    const since = Math.max(
+      new Date(status.lastPathAt ?? startedAt ?? now).getTime(),
+      lastQuietEnd(settings.quietHours, now)?.getTime() ?? 0
+    );
+    result.paths = {
+      silent: now - since > (pathGapMinutes + settings.graceMinutes) * MINUTE_MS,
+      lastActivityAt: status.lastPathAt ?? null,
+      thresholdMinutes: pathGapMinutes + settings.graceMinutes,
+    };
+  }
+  return result;
+}
+
+function notify(type, alert, camera, settings) {
+  const end = alert.resolvedAt ?? new Date();
+  const notification = {
+    type,
+    alertId: alert._id.toString(),
+    serial: alert.serial,
+    name: alert.name,
+    location: camera?.location || '',
+    cause: alert.cause,
+    lastActivityAt: alert.lastActivityAt,
+    thresholdMinutes: alert.thresholdMinutes,
+    raisedAt: alert.raisedAt,
+    resolvedAt: alert.resolvedAt,
+    silentMinutes: alert.lastActivityAt ? Math.round((end - new Date(alert.lastActivityAt)) / MINUTE_MS) : null,
+  };
+
+  broadcastAlert(notification);
+
+  const client = getMQTTClient();
+  if (settings.mqttTopic && client?.connected) {
+    const topic = settings.mqttTopic.replace('{serial}', alert.serial);
+    client.publish(topic, JSON.stringify(notification), { qos: 1 }, (error) => {
+      if (error) logger.warn('Failed to publish watchdog alert', { topic, error: error.message });
+    });
+  }
+}
+
+// Returns whether this instance raised the alert
+async function raiseAlert(camera, cause, check, settings) {
+  let alert;
+  try {
+    alert = await Alert.create({
+      serial: camera.serialNumber,
+      name: camera.name,
+      cause,
+      lastActivityAt: check.lastActivityAt,
+      thresholdMinutes: check.thresholdMinutes,
+    });
+  } catch (error) {
+    // Another instance raised it first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  logger.warn('Camera silent', { serial: camera.serialNumber, cause, lastActivityAt: check.lastActivityAt });
+  if (cause === 'heartbeat') {
+    const silentSince = check.lastActivityAt ?? alert.raisedAt;
+    await Camera.updateOne({ _id: camera._id }, { $set: { 'deviceStatus.silentSince': silentSince } });
+    await recordConnectivityChange(camera.serialNumber, false, { reason: 'silent', timestamp: silentSince });
+  }
+  notify('camera-silent', alert.toObject(), camera, settings);
+  return true;
+}
+
+/**
+ * Resolve an active alert
+ * When the check no longer applies (watchdog or camera disabled), the silent state the
+ * watchdog recorded is withdrawn: a camera whose last announcement said connected is
+ * logged as connected again ('unwatched'), so availability reports don't keep the outage open.
+ * @param {Object} alert - Lean active alert
+ * @param {Object|null} camera - The camera (null when it was deleted)
+ * @param {Object} settings
+ * @param {boolean} recovered - Send "camera-recovered" (false when the check no longer applies)
+ * @returns {Promise<boolean>} - False if another instance resolved it first
+ */
+async function resolveAlert(alert, camera, settings, recovered) {
+  const resolvedAt = new Date();
+  const result = await Alert.updateOne({ _id: alert._id, active: true }, { $set: { active: false, resolvedAt } });
+  if (result.modifiedCount === 0) return false;
+
+  if (alert.cause === 'heartbeat' && camera) {
+    await Camera.updateOne({ _id: camera._id }, { $set: { 'deviceStatus.silentSince': null } });
+    if (recovered) {
+      await recordConnectivityChange(alert.serial, true, { reason: 'recovered' });
+    } else if (camera.deviceStatus?.connected) {
+      await recordConnectivityChange(alert.serial, true, { reason: 'unwatched' });
+    }
+  }
+  if (recovered) {
+    logger.info('Camera recovered', { serial: alert.serial, cause: alert.cause });
+    notify('camera-recovered', { ...alert, active: false, resolvedAt }, camera, settings);
+  }
+  return true;
+}
+
+/**
+ * Check every enabled camera once, raising and resolving alerts
+ * Cameras that have never sent anything are skipped.
+ * @param {Date} [now]
+ * @returns {Promise<{ checked: number, raised: number, resolved: number }>}
+ */
+export async function runWatchdogCheck(now = new Date()) {
+  const settings = await getWatchdogSettings();
+  const activeAlerts = await Alert.find({ active: true }).lean();
+  const cameras = await Camera.find({}).select('serialNumber name location enabled deviceStatus watchdog').lean();
+  const cameraBySerial = new Map(cameras.map((camera) => [camera.serialNumber, camera]));
+  const quiet = isQuietTime(settings.quietHours, now);
+  let raised = 0;
+  let resolved = 0;
+  let checked = 0;
+
+  const checks = new Map();
+  if (settings.enabled) {
+    for (const camera of cameras) {
+      if (!camera.enabled || camera.watchdog?.enabled === false || !camera.deviceStatus?.lastSeen) continue;
+      checks.set(camera.serialNumber, evaluateCamera(camera, settings, now));
+      checked++;
+    }
+  }
+
+  // Resolve alerts whose camera recovered, or no longer gets this check
+  const open = new Set();
+  for (const alert of activeAlerts) {
+    const check = checks.get(alert.serial)?.[alert.cause];
+    if (check?.silent) {
+      open.add(`${alert.serial}:${alert.cause}`);
+      continue;
+    }
+    if (await resolveAlert(alert, cameraBySerial.get(alert.serial) ?? null, settings, Boolean(check))) resolved++;
+  }
+
+  if (!quiet) {
+    for (const [serial, cameraChecks] of checks) {
+      for (const [cause, check] of Object.entries(cameraChecks)) {
+        if (!check.silent || open.has(`${serial}:${cause}`)) continue;
+        if (await raiseAlert(cameraBySerial.get(serial), cause, check, settings)) raised++;
+      }
+    }
+  }
+
+  return { checked, raised, resolved };
+}
+
+async function tick() {
+  if (checking || !isDBConnected()) return;
+  checking = true;
+  try {
+    const result = await runWatchdogCheck();
+    if (result.raised > 0 || result.resolved > 0) logger.info('Watchdog check', result);
+  } catch (error) {
+    logger.error('Watchdog check failed', { error: error.message });
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start checking cameras every watchdogIntervalMs
+ */
+export function startWatchdog() {
+  if (timer) return;
+  startedAt = new Date();
+  timer = setInterval(tick, appConfig.watchdogIntervalMs);
+  timer.unref();
+  logger.info('Camera watchdog started', { intervalMs: appConfig.watchdogIntervalMs });
+}
+
+/**
+ * Stop the watchdog
+ */
+export function stopWatchdog() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * List alerts, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.active] - Only active (true) or resolved (false) alerts
+ * @param {string} [options.serial] - Only this camera
+ * @param {number} [options.limit=100]
+ * @param {number} [options.skip=0]
+ * @returns {Promise<{ items: Array<Object>, total: number }>}
+ */
+export async function listAlerts({ active, serial, limit = 100, skip = 0 } = {}) {
+  const filter = {};
+  if (active !== undefined) filter.active = active;
+  if (serial) filter.serial = String(serial).toUpperCase();
+  const [items, total] = await Promise.all([
+    Alert.find(filter).sort({ raisedAt: -1 }).skip(skip).limit(limit).lean(),
+    Alert.countDocuments(filter),
+  ]);
+  return { items, total };
+}
+
+/**
+ * Delete resolved alerts raised before the cutoff
+ * @param {Date} cutoffDate
+ * @returns {Promise<number>} - Number of deleted alerts
+ */
+export async function purgeAlerts(cutoffDate) {
+  const result = await Alert.deleteMany({ active: false, raisedAt: { $lt: cutoffDate } });
+  return result.deletedCount || 0;
+}
+
+export default {
+  getWatchdogSettings,
+  isQuietTime,
+  evaluateCamera,
+  runWatchdogCheck,
+  startWatchdog,
+  stopWatchdog,
+  listAlerts,
+  purgeAlerts,
+};
@@ -0,0 +1,281 @@
+/**
+ * Validation of client-supplied MongoDB queries and aggregation pipelines
+ *
+ * The path API lets clients send MongoDB syntax directly. Everything is checked
+ * against allow-lists before it reaches Mongoose, so server-side JavaScript
+ * ($where, $function), cross-collection reads ($lookup, $unionWith) and writes
+ * ($out, $merge) are rejected with a 400 that names the offending operator.
+ */
+
+import { appConfig } from '../config/index.js';
+
+// Operators accepted inside find() filters and $match stages
+const QUERY_OPERATORS = new Set([
+  // Comparison
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+  // Logical
+  '$and', '$or', '$nor', '$not',
+  // Element
+  '$exists', '$type',
+  // Evaluation
+  '$regex', '$options', '$mod', '$expr',
+  // Array
+  '$all', '$elemMatch', '$size',
+  // Geospatial
+  '$geoWithin', '$geoIntersects', '$near', '$nearSphere', '$geometry',
+  '$box', '$polygon', '$center', '$centerSphere', '$maxDistance', '$minDistance',
+]);
+
+// Aggregation expression and accumulator operators
+const EXPRESSION_OPERATORS = new Set([
+  // Arithmetic
+  '$abs', '$add', '$ceil', '$divide', '$exp', '$floor', '$ln', '$log', '$log10',
+  '$mod', '$multiply', '$pow', '$round', '$sqrt', '$subtract', '$trunc',
+  // Trigonometry (bearings, distances)
+  '$sin', '$cos', '$tan', '$asin', '$acos', '$atan', '$atan2',
+  '$degreesToRadians', '$radiansToDegrees',
+  // Comparison and boolean
+  '$cmp', '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$and', '$or', '$not',
+  // Conditional
+  '$cond', '$ifNull', '$switch',
+  // Array
+  '$arrayElemAt', '$concatArrays', '$filter', '$first', '$last', '$in', '$indexOfArray',
+  '$isArray', '$map', '$range', '$reduce', '$reverseArray', '$size', '$slice', '$zip',
+  '$maxN', '$minN', '$firstN', '$lastN', '$sortArray',
+  // Object
+  '$mergeObjects', '$objectToArray', '$arrayToObject', '$getField',
+  // String
+  '$concat', '$indexOfCP', '$ltrim', '$rtrim', '$trim', '$split', '$strLenCP',
+  '$strcasecmp', '$substrCP', '$toLower', '$toUpper', '$regexMatch', '$regexFind',
+  // Date
+  '$dateAdd', '$dateDiff', '$dateFromParts', '$dateFromString', '$dateToParts',
+  '$dateToString', '$dateTrunc', '$dayOfMonth', '$dayOfWeek', '$dayOfYear', '$hour',
+  '$isoDayOfWeek', '$isoWeek', '$isoWeekYear', '$millisecond', '$minute', '$month',
+  '$second', '$week', '$year',
+  // Type conversion
+  '$convert', '$toBool', '$toDate', '$toDecimal', '$toDouble', '$toInt', '$toLong',
+  '$toString', '$type', '$isNumber',
+  // Variables and literals
+  '$let', '$literal',
+  // Accumulators ($group, $bucket)
+  '$avg', '$count', '$max', '$min', '$push', '$addToSet', '$stdDevPop', '$stdDevSamp',
+  '$sum', '$top', '$bottom', '$topN', '$bottomN', '$median', '$percentile',
+  // Sort metadata
+  '$meta',
+]);
+
+// Aggregation stages accepted in client pipelines
+const PIPELINE_STAGES = new Set([
+  '$match', '$project', '$addFields', '$set', '$unset', '$group', '$sort', '$limit',
+  '$skip', '$count', '$unwind', '$bucket', '$bucketAuto', '$facet', '$sortByCount',
+  '$replaceRoot', '$replaceWith', '$sample', '$geoNear',
+]);
+
+/**
+ * Build the error thrown for rejected input
+ * Routes map `status` straight onto the HTTP response.
+ * @param {string} message - Human-readable reason
+ * @param {string} [operator] - Rejected operator or stage, if any
+ * @returns {Error}
+ */
+function validationError(message, operator) {
+  return Object.assign(new Error(message), { status: 400, operator });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkDepth(depth) {
+  if (depth > appConfig.maxQueryDepth) {
+    throw validationError(`Query is nested too deeply (max depth ${appConfig.maxQueryDepth})`);
+  }
+}
+
+/**
+ * Walk an aggregation expression
+ * @param {*} expr - Expression value
+ * @param {number} depth - Current nesting depth
+ */
+function validateExpression(expr, depth) {
+  checkDepth(depth);
+
+  if (Array.isArray(expr)) {
+    expr.forEach((item) => validateExpression(item, depth + 1));
+    return;
+  }
+  if (!isPlainObject(expr)) return;
+
+  for (const [key, value] of Object.entries(expr)) {
+    if (key.startsWith('$')) {
+      if (!EXPRESSION_OPERATORS.has(key)) {
+        throw validationError(`Expression operator ${key} is not allowed`, key);
+      }
+      // $literal contents are never evaluated
+      if (key === '$literal') continue;
+    }
+    validateExpression(value, depth + 1);
+  }
+}
+
+/**
+ * Walk a query filter (find() filter or $match stage)
+ * @param {*} query - Query value
+ * @param {number} depth - Current nesting depth
+ */
+function validateFilter(query, depth) {
+  checkDepth(depth);
+
+  if (Array.isArray(query)) {
+    query.forEach((item) => validateFilter(item, depth + 1));
+    return;
+  }
+  if (!isPlainObject(query)) return;
+
+  for (const [key, value] of Object.entries(query)) {
+    if (!key.startsWith('$')) {
+      validateFilter(value, depth + 1);
+      continue;
+    }
+    if (!QUERY_OPERATORS.has(key)) {
+      throw validationError(`Query operator ${key} is not allowed`, key);
+    }
+    if (key === '$expr') {
+      validateExpression(value, depth + 1);
+    } else {
+      validateFilter(value, depth + 1);
+    }
+  }
+}
+
+function validateCount(value, name, max) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw validationError(`${name} must be a non-negative integer`, name);
+  }
+  if (max !== undefined && value > max) {
+    throw validationError(`${name} must not exceed ${max}`, name);
+  }
+}
+
+/**
+ * Validate a client-supplied query filter
+ * @param {Object} query - MongoDB query object
+ * @throws {Error} status 400 if the query uses a disallowed operator
+ */
+export function validateQuery(query) {
+  if (!isPlainObject(query)) {
+    throw validationError('Query must be an object');
+  }
+  validateFilter(query, 0);
+}
+
+/**
+ * Validate client-supplied find() options
+ * @param {Object} options - { sort, limit, skip, projection, cursor }
+ * @throws {Error} status 400 if any option is invalid
+ */
+export function validateQueryOptions(options) {
+  if (!isPlainObject(options)) {
+    throw validationError('Options must be an object');
+  }
+
+  const { sort, limit, skip, projection, cursor } = options;
+
+  if (limit !== undefined) validateCount(limit, 'limit', appConfig.maxQueryResults);
+  if (skip !== undefined) validateCount(skip, 'skip');
+
+  if (cursor !== undefined && cursor !== null) {
+    if (typeof cursor !== 'string') throw validationError('cursor must be a string');
+    if (skip) throw validationError('cursor cannot be combined with skip');
+  }
+
+  if (sort !== undefined) {
+    if (!isPlainObject(sort)) throw validationError('sort must be an object');
+    for (const [field, direction] of Object.entries(sort)) {
+      if (field.startsWith('$')) throw validationError(`Invalid sort field ${field}`, field);
+      if (![1, -1, 'asc', 'desc'].includes(direction)) {
+        throw validationError(`Invalid sort direction for ${field}`);
+      }
+    }
+  }
+
+  if (projection !== undefined) {
+    if (!isPlainObject(projection)) throw validationError('projection must be an object');
+    for (const [field, value] of Object.entries(projection)) {
+      if (field.startsWith('$')) throw validationError(`Invalid projection field ${field}`, field);
+      if (isPlainObject(value) && value.$elemMatch !== undefined) {
+        validateFilter(value.$elemMatch, 1);
+      } else {
+        validateExpression(value, 1);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a client-supplied aggregation pipeline
+ * @param {Array} pipeline - MongoDB aggregation pipeline
+ * @param {number} [depth=0] - Nesting depth (used for $facet sub-pipelines)
+ * @throws {Error} status 400 if a stage or operator is not allowed
+ */
+export function validatePipeline(pipeline, depth = 0) {
+  if (!Array.isArray(pipeline)) {
+    throw validationError('Pipeline must be an array');
+  }
+  if (pipeline.length > appConfig.maxPipelineStages) {
+    throw validationError(`Pipeline must not have more than ${appConfig.maxPipelineStages} stages`);
+  }
+  checkDepth(depth);
+
+  pipeline.forEach((stage, index) => {
+    if (!isPlainObject(stage) || Object.keys(stage).length !== 1) {
+      throw validationError(`Pipeline stage ${index} must be an object with exactly one stage operator`);
+    }
+
+    const [name] = Object.keys(stage);
+    const args = stage[name];
+
+    if (!PIPELINE_STAGES.has(name)) {
+      throw validationError(`Pipeline stage ${name} is not allowed`, name);
+    }
+
+    switch (name) {
+      case '$match':
+        validateFilter(args, depth + 1);
+        break;
+      case '$limit':
+        validateCount(args, '$limit', appConfig.maxQueryResults);
+        break;
+      case '$skip':
+        validateCount(args, '$skip');
+        break;
+      case '$sample':
+        validateCount(args?.size, '$sample.size', appConfig.maxQueryResults);
+        break;
+      case '$geoNear':
+        if (index !== 0) {
+          throw validationError('$geoNear is only allowed as the first pipeline stage', name);
+        }
+        if (args?.query !== undefined) validateFilter(args.query, depth + 1);
+        validateExpression({ ...args, query: undefined }, depth + 1);
+        break;
+      case '$facet':
+        if (!isPlainObject(args)) throw validationError('$facet must be an object', name);
+        for (const subPipeline of Object.values(args)) {
+          if (Array.isArray(subPipeline) && subPipeline.some((s) => isPlainObject(s) && s.$facet)) {
+            throw validationError('$facet cannot be nested', name);
+          }
+          validatePipeline(subPipeline, depth + 1);
+        }
+        break;
+      default:
+        validateExpression(args, depth + 1);
+    }
+  });
+}
+
+export default {
+  validateQuery,
+  validateQueryOptions,
+  validatePipeline,
+};
@@ -104,7 +104,7 @@ function shouldSendToClient(connection, pathEvent) {
  * Broadcast a snapshot (image) update to all WebSocket clients subscribed to that camera
  * @param {Object} snapshot - Snapshot data
  * @param {string} snapshot.serial - Camera serial number
- * @param {string} snapshot.image - Base64 encoded image
+ * @param {string} snapshot.url - Image URL (GET /api/cameras/:serial/snapshot, versioned)
  * @param {number} snapshot.timestamp - Image timestamp (ms)
  * @param {number} [snapshot.rotation] - Image rotation degrees
  * @param {string} [snapshot.aspect] - Aspect ratio string
@@ -131,7 +131,7 @@ export function broadcastSnapshot(snapshot) {
         JSON.stringify({
           type: 'snapshot',
           serial: snapshot.serial,
-          image: snapshot.image,
+          url: snapshot.url,
           timestamp: snapshot.timestamp,
           rotation: snapshot.rotation ?? 0,
           aspect: snapshot.aspect ?? '16:9',
@@ -154,7 +154,42 @@ export function broadcastSnapshot(snapshot) {
   }
 }
 
+/**
+ * Broadcast a watchdog alert to all WebSocket clients subscribed to that camera
+ * @param {Object} alert - Alert notification (see watchdogService)
+ * @param {string} alert.type - camera-silent | camera-recovered
+ * @param {string} alert.serial - Camera serial number
+ */
+export function broadcastAlert(alert) {
+  const connections = getAllConnections();
+  let sentCount = 0;
+
+  for (const connection of connections) {
+    const { ws, subscriptions } = connection;
+
+    if (ws.readyState !== 1) continue;
+
+    const { cameras } = subscriptions;
+    if (cameras.length > 0 && !cameras.includes(alert.serial)) continue;
+
+    try {
+      ws.send(JSON.stringify({ type: 'alert', data: alert }));
+      sentCount++;
+    } catch (error) {
+      logger.error('Failed to send alert to client', {
+        error: error.message,
+        connectionId: connection.id,
+      });
+    }
+  }
+
+  if (sentCount > 0) {
+    logger.debug('Alert broadcasted', { type: alert.type, serial: alert.serial, recipientCount: sentCount });
+  }
+}
+
 export default {
   broadcastPathEvent,
   broadcastSnapshot,
+  broadcastAlert,
 };
@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterPath, shouldSavePath } from '../src/dataq/filters.js';
+
+// A path that passes the default filters: a car moving 40% of the diagonal
+function makePath(overrides = {}) {
+  return {
+    id: '1',
+    class: 'Car',
+    confidence: 80,
+    age: 5,
+    dx: 400,
+    dy: 400,
+    bx: 100,
+    by: 100,
+    timestamp: Date.UTC(2026, 0, 15, 12, 0),
+    path: [
+      { x: 100, y: 100 },
+      { x: 300, y: 300 },
+      { x: 500, y: 500 },
+    ],
+    ...overrides,
+  };
+}
+
+const square = (x1, y1, x2, y2) => [
+  { x: x1, y: y1 },
+  { x: x2, y: y1 },
+  { x: x2, y: y2 },
+  { x: x1, y: y2 },
+];
+
+describe('filterPath', () => {
+  it('passes a path without configured filters', () => {
+    assert.equal(filterPath(makePath(), undefined), null);
+    assert.equal(shouldSavePath(makePath(), {}), true);
+  });
+
+  it('filters on object type', () => {
+    assert.equal(filterPath(makePath(), { objectTypes: ['Human'] }).reason, 'objectType');
+    assert.equal(filterPath(makePath(), { objectTypes: [] }), null);
+  });
+
+  it('filters on confidence and age', () => {
+    assert.equal(filterPath(makePath({ confidence: 40 }), { minConfidence: 50 }).reason, 'minConfidence');
+    assert.equal(filterPath(makePath({ age: 1 }), {}).reason, 'minAge');
+    assert.equal(filterPath(makePath({ age: 120 }), { maxAge: 60 }).reason, 'maxAge');
+    assert.equal(shouldSavePath(makePath({ age: 1 }), {}), false);
+  });
+
+  it('filters on distance, per class when configured', () => {
+    const short = makePath({ dx: 50, dy: 0 });
+    assert.equal(filterPath(short, {}).reason, 'minDistance');
+    assert.equal(filterPath(short, { classMinDistance: [{ class: 'Car', minDistance: 1 }] }), null);
+    assert.equal(
+      filterPath(makePath(), { classMinDistance: [{ class: 'Car', minDistance: 50 }] }).reason,
+      'minDistance'
+    );
+  });
+
+  it('requires paths to touch an include region', () => {
+    const inside = { name: 'lane', mode: 'include', points: square(250, 250, 350, 350) };
+    const elsewhere = { name: 'far', mode: 'include', points: square(800, 800, 900, 900) };
+    assert.equal(filterPath(makePath(), { regions: [inside] }), null);
+    assert.equal(filterPath(makePath(), { regions: [elsewhere] }).reason, 'includeRegions');
+    assert.equal(filterPath(makePath(), { regions: [elsewhere, inside] }), null);
+  });
+
+  it('drops paths touching an exclude region', () => {
+    const region = { name: 'parking', mode: 'exclude', points: square(250, 250, 350, 350) };
+    assert.deepEqual(filterPath(makePath(), { regions: [region] }), {
+      reason: 'excludeRegion',
+      details: { region: 'parking' },
+    });
+  });
+
+  it('tests regions against the birth or end point only when asked', () => {
+    const atBirth = square(50, 50, 150, 150);
+    assert.equal(
+      filterPath(makePath(), { regions: [{ name: 'b', mode: 'exclude', evaluate: 'birth', points: atBirth }] }).reason,
+      'excludeRegion'
+    );
+    assert.equal(
+      filterPath(makePath(), { regions: [{ name: 'e', mode: 'exclude', evaluate: 'end', points: atBirth }] }),
+      null
+    );
+  });
+
+  it('ignores regions with fewer than 3 points', () => {
+    const line = {
+      name: 'line',
+      mode: 'include',
+      points: [
+        { x: 0, y: 0 },
+        { x: 1000, y: 1000 },
+      ],
+    };
+    assert.equal(filterPath(makePath(), { regions: [line] }).reason, 'includeRegions');
+  });
+
+  describe('schedule', () => {
+    const schedule = (start, end, timezone) => ({ schedule: { enabled: true, start, end, timezone } });
+    // 12:00 UTC is 13:00 in Stockholm and 07:00 in New York (January)
+    const noonUtc = makePath();
+
+    it('is evaluated in UTC by default', () => {
+      assert.equal(filterPath(noonUtc, schedule('08:00', '17:00')), null);
+      assert.equal(filterPath(noonUtc, schedule('13:00', '17:00')).reason, 'schedule');
+    });
+
+    it('is evaluated in the configured time zone', () => {
+      assert.equal(filterPath(noonUtc, schedule('13:00', '17:00', 'Europe/Stockholm')), null);
+      assert.equal(filterPath(noonUtc, schedule('08:00', '17:00', 'America/New_York')).reason, 'schedule');
+      assert.match(
+        filterPath(noonUtc, schedule('08:00', '17:00', 'America/New_York')).details.schedule,
+        /America\/New_York$/
+      );
+    });
+
+    it('wraps around midnight', () => {
+      assert.equal(
+        filterPath(makePath({ timestamp: Date.UTC(2026, 0, 15, 23, 30) }), schedule('22:00', '06:00')),
+        null
+      );
+      assert.equal(filterPath(makePath({ timestamp: Date.UTC(2026, 0, 15, 5, 59) }), schedule('22:00', '06:00')), null);
+      assert.equal(
+        filterPath(makePath({ timestamp: Date.UTC(2026, 0, 15, 6, 0) }), schedule('22:00', '06:00')).reason,
+        'schedule'
+      );
+    });
+
+    it('treats equal start and end as all day', () => {
+      assert.equal(filterPath(noonUtc, schedule('00:00', '00:00')), null);
+    });
+
+    it('treats timestamps as epoch milliseconds', () => {
+      // 15 Jan 2026 12:00 UTC in seconds; read as milliseconds it is 21 Jan 1970 11:14 UTC
+      assert.equal(filterPath(makePath({ timestamp: 1768478400 }), schedule('12:00', '13:00')).reason, 'schedule');
+    });
+
+    it('rejects paths without a valid timestamp', () => {
+      assert.equal(filterPath(makePath({ timestamp: 'not a time' }), schedule('00:00', '23:59')).reason, 'schedule');
+    });
+
+    it('is skipped when disabled', () => {
+      assert.equal(filterPath(noonUtc, { schedule: { enabled: false, start: '13:00', end: '14:00' } }), null);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PathEvent, CounterSet } from '../src/models/index.js';
+import { insertPathEvents } from '../src/services/pathEventService.js';
+
+function makeEvent(id, extra = {}) {
+  return { serial: 'B8A44F000000', id, class: 'Car', timestamp: 1768478400000, path: [{ x: 1, y: 2 }], ...extra };
+}
+
+// insertMany rejection the driver raises for an unordered batch with per-document errors
+function bulkWriteError(writeErrors) {
+  return Object.assign(new Error('E11000 and others'), { writeErrors });
+}
+
+describe('insertPathEvents', () => {
+  let insertMany;
+
+  beforeEach(() => {
+    // No counter set zones; enrichment runs without a database
+    mock.method(CounterSet, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    insertMany = mock.method(PathEvent, 'insertMany', async () => []);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns nothing for an empty batch', async () => {
+    assert.deepEqual(await insertPathEvents([]), { inserted: [], duplicates: 0, failed: [] });
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+
+  it('inserts the whole batch unordered and returns the stored events', async () => {
+    const result = await insertPathEvents([makeEvent('1'), makeEvent('2')]);
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.deepEqual(insertMany.mock.calls[0].arguments[1], { ordered: false });
+    assert.deepEqual(
+      result.inserted.map((event) => event.id),
+      ['1', '2']
+    );
+    assert.ok(result.inserted.every((event) => event._id && event.derived));
+    assert.equal(result.duplicates, 0);
+    assert.deepEqual(result.failed, []);
+  });
+
+  it('counts duplicates and fails rejected documents while keeping the rest', async () => {
+    insertMany.mock.mockImplementation(async () => {
+      throw bulkWriteError([
+        { index: 0, code: 11000, errmsg: 'E11000 duplicate key' },
+        { index: 2, code: 16755, errmsg: "Can't extract geo keys" },
+      ]);
+    });
+    const events = [makeEvent('1'), makeEvent('2'), makeEvent('3'), makeEvent('4')];
+    const result = await insertPathEvents(events);
+
+    assert.deepEqual(
+      result.inserted.map((event) => event.id),
+      ['2', '4']
+    );
+    assert.equal(result.duplicates, 1);
+    assert.deepEqual(result.failed, [{ event: events[2], reason: "Can't extract geo keys" }]);
+  });
+
+  it('leaves oversized documents out of the insert and maps write errors past them', async () => {
+    insertMany.mock.mockImplementation(async () => {
+      throw bulkWriteError([{ index: 0, code: 11000 }]);
+    });
+    const oversized = makeEvent('1', { note: 'x'.repeat(17 * 1024 * 1024) });
+    const result = await insertPathEvents([oversized, makeEvent('2'), makeEvent('3')]);
+
+    assert.deepEqual(
+      insertMany.mock.calls[0].arguments[0].map((doc) => doc.id),
+      ['2', '3']
+    );
+    assert.deepEqual(
+      result.inserted.map((event) => event.id),
+      ['3']
+    );
+    assert.equal(result.duplicates, 1);
+    assert.equal(result.failed.length, 1);
+    assert.equal(result.failed[0].event, oversized);
+    assert.match(result.failed[0].reason, /byte limit/);
+  });
+
+  it('does not call insertMany when every document is oversized', async () => {
+    const result = await insertPathEvents([makeEvent('1', { note: 'x'.repeat(17 * 1024 * 1024) })]);
+    assert.equal(insertMany.mock.callCount(), 0);
+    assert.deepEqual(result.inserted, []);
+    assert.equal(result.failed.length, 1);
+  });
+
+  it('throws errors that are not tied to single documents', async () => {
+    insertMany.mock.mockImplementation(async () => {
+      throw new Error('connection closed');
+    });
+    await assert.rejects(insertPathEvents([makeEvent('1')]), /connection closed/);
+  });
+});
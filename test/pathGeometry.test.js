@@ -0,0 +1,154 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PathEvent } from '../src/models/index.js';
+import { derivePathGeometry } from '../src/dataq/pathGeometry.js';
+import { findPathsIntersecting, findPathsWithin, findPathsNear } from '../src/services/pathGeoService.js';
+
+const square = {
+  type: 'Polygon',
+  coordinates: [
+    [
+      [18, 59],
+      [18.1, 59],
+      [18.1, 59.1],
+      [18, 59.1],
+      [18, 59],
+    ],
+  ],
+};
+
+describe('derivePathGeometry', () => {
+  it('builds a line with start and end points in [lon, lat] order', () => {
+    const geo = derivePathGeometry({
+      path: [
+        { x: 1, y: 1, lat: 59.01, lon: 18.01 },
+        { x: 2, y: 2, lat: 59.02, lon: 18.02 },
+      ],
+    });
+    assert.deepEqual(geo, {
+      start: { type: 'Point', coordinates: [18.01, 59.01] },
+      end: { type: 'Point', coordinates: [18.02, 59.02] },
+      line: {
+        type: 'LineString',
+        coordinates: [
+          [18.01, 59.01],
+          [18.02, 59.02],
+        ],
+      },
+    });
+  });
+
+  it('drops repeated consecutive vertices from the line', () => {
+    const geo = derivePathGeometry({
+      path: [
+        { lat: 59.01, lon: 18.01 },
+        { lat: 59.01, lon: 18.01 },
+        { lat: 59.02, lon: 18.02 },
+      ],
+    });
+    assert.equal(geo.line.coordinates.length, 2);
+  });
+
+  it('has no line for a path that never moved', () => {
+    const geo = derivePathGeometry({
+      path: [
+        { lat: 59.01, lon: 18.01 },
+        { lat: 59.01, lon: 18.01 },
+      ],
+    });
+    assert.equal(geo.line, undefined);
+    assert.deepEqual(geo.start, geo.end);
+  });
+
+  it('skips points without valid coordinates', () => {
+    const geo = derivePathGeometry({
+      path: [{ x: 1, y: 1 }, { lat: 91, lon: 18 }, { lat: 59, lon: 'a' }, { lat: 59.01, lon: 18.01 }, null],
+    });
+    assert.deepEqual(geo, {
+      start: { type: 'Point', coordinates: [18.01, 59.01] },
+      end: { type: 'Point', coordinates: [18.01, 59.01] },
+    });
+  });
+
+  it('returns null without coordinates', () => {
+    assert.equal(derivePathGeometry({ path: [{ x: 1, y: 1 }] }), null);
+    assert.equal(derivePathGeometry({}), null);
+  });
+});
+
+describe('geospatial path queries', () => {
+  let find;
+
+  beforeEach(() => {
+    // Query chain that resolves to no events, recording the filter
+    const chain = {
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      maxTimeMS: () => chain,
+      lean: () => chain,
+      then: (resolve, reject) => Promise.resolve([]).then(resolve, reject),
+    };
+    find = mock.method(PathEvent, 'find', () => chain);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('queries paths crossing a valid area', async () => {
+    assert.deepEqual(await findPathsIntersecting({ ...square, extra: true }, { serial: 'B8A44F000001' }), {
+      events: [],
+      nextCursor: null,
+    });
+    const [filter] = find.mock.calls[0].arguments;
+    assert.deepEqual(filter.$and[0], { serial: 'B8A44F000001' });
+    assert.deepEqual(filter.$and[1].$or[0], { 'geo.line': { $geoIntersects: { $geometry: square } } });
+  });
+
+  it('queries paths starting or ending in a MultiPolygon', async () => {
+    const area = { type: 'MultiPolygon', coordinates: [square.coordinates] };
+    await findPathsWithin(area, 'end');
+    assert.deepEqual(find.mock.calls[0].arguments[0], { 'geo.end': { $geoWithin: { $geometry: area } } });
+  });
+
+  it('rejects geometries that are not areas', async () => {
+    for (const geometry of [
+      null,
+      { type: 'Point', coordinates: [18, 59] },
+      { type: 'Polygon' },
+      { type: 'LineString', coordinates: [] },
+    ]) {
+      await assert.rejects(findPathsIntersecting(geometry), {
+        status: 400,
+        message: 'geometry must be a GeoJSON Polygon or MultiPolygon',
+      });
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('rejects empty, open, short or out-of-range rings', async () => {
+    const ring = square.coordinates[0];
+    const invalid = [
+      { type: 'Polygon', coordinates: [] },
+      { type: 'MultiPolygon', coordinates: [] },
+      { type: 'Polygon', coordinates: [ring.slice(0, 4)] },
+      { type: 'Polygon', coordinates: [[ring[0], ring[1], ring[0]]] },
+      { type: 'Polygon', coordinates: [[[200, 59], ...ring.slice(1, 4), [200, 59]]] },
+    ];
+    for (const geometry of invalid) {
+      await assert.rejects(findPathsWithin(geometry), {
+        status: 400,
+        message: 'geometry rings must be closed and have at least 4 [lon, lat] positions in range',
+      });
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('rejects an invalid `at`, point or distance', async () => {
+    await assert.rejects(findPathsWithin(square, 'middle'), { status: 400, message: 'at must be start or end' });
+    await assert.rejects(findPathsNear({ lon: 18 }, 100), { status: 400 });
+    await assert.rejects(findPathsNear([181, 59], 100), { status: 400 });
+    await assert.rejects(findPathsNear([18, 59], 0), { status: 400 });
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { derivePathMetrics, PATH_METRICS_VERSION } from '../src/dataq/pathMetrics.js';
+
+// A path moving right across the middle of the frame, 600 units in 3 seconds
+function makePath(overrides = {}) {
+  return {
+    bx: 200,
+    by: 500,
+    path: [
+      { x: 200, y: 500, t: 0 },
+      { x: 500, y: 500, t: 1.5 },
+      { x: 800, y: 500, t: 3 },
+    ],
+    ...overrides,
+  };
+}
+
+describe('derivePathMetrics', () => {
+  it('measures length, duration, speed and direction', () => {
+    const metrics = derivePathMetrics(makePath());
+    assert.equal(metrics.version, PATH_METRICS_VERSION);
+    assert.equal(metrics.points, 3);
+    assert.equal(metrics.length, 600);
+    assert.equal(metrics.duration, 3);
+    assert.equal(metrics.speed, 200);
+    assert.equal(metrics.bearing, 90);
+    assert.equal(metrics.heading, 'E');
+    assert.equal(metrics.headings.E, 1);
+    assert.equal(metrics.headings.W, 0);
+    assert.deepEqual(metrics.bbox, { x1: 200, y1: 500, x2: 800, y2: 500 });
+  });
+
+  it('measures bearings clockwise from up', () => {
+    const up = derivePathMetrics(
+      makePath({
+        path: [
+          { x: 500, y: 500 },
+          { x: 500, y: 200 },
+        ],
+      })
+    );
+    assert.equal(up.bearing, 0);
+    assert.equal(up.heading, 'N');
+    const downLeft = derivePathMetrics(
+      makePath({
+        path: [
+          { x: 500, y: 500 },
+          { x: 300, y: 700 },
+        ],
+      })
+    );
+    assert.equal(downLeft.bearing, 225);
+    assert.equal(downLeft.heading, 'SW');
+  });
+
+  it('splits headings by the length travelled in each direction', () => {
+    const metrics = derivePathMetrics(
+      makePath({
+        path: [
+          { x: 100, y: 500 },
+          { x: 400, y: 500 },
+          { x: 400, y: 400 },
+        ],
+      })
+    );
+    assert.equal(metrics.heading, 'E');
+    assert.equal(metrics.headings.E, 0.75);
+    assert.equal(metrics.headings.N, 0.25);
+  });
+
+  it('finds the frame edges where the path entered and left', () => {
+    const metrics = derivePathMetrics(
+      makePath({
+        bx: 50,
+        by: 500,
+        path: [
+          { x: 50, y: 500 },
+          { x: 500, y: 960 },
+        ],
+      })
+    );
+    assert.equal(metrics.entryEdge, 'left');
+    assert.equal(metrics.exitEdge, 'bottom');
+    assert.equal(derivePathMetrics(makePath()).entryEdge, 'inside');
+  });
+
+  it('has no duration or speed without point times', () => {
+    const metrics = derivePathMetrics(
+      makePath({
+        path: [
+          { x: 200, y: 500 },
+          { x: 800, y: 500 },
+        ],
+      })
+    );
+    assert.equal(metrics.duration, null);
+    assert.equal(metrics.speed, null);
+  });
+
+  it('has no direction for a path that did not move', () => {
+    const metrics = derivePathMetrics(
+      makePath({
+        path: [
+          { x: 500, y: 500 },
+          { x: 500, y: 500 },
+        ],
+      })
+    );
+    assert.equal(metrics.length, 0);
+    assert.equal(metrics.bearing, null);
+    assert.equal(metrics.heading, null);
+    assert.equal(metrics.headings.N, 0);
+  });
+
+  it('skips invalid points and handles an empty path', () => {
+    const metrics = derivePathMetrics(
+      makePath({ path: [{ x: 200, y: 500 }, null, { x: 'a', y: 1 }, { x: 800, y: 500 }] })
+    );
+    assert.equal(metrics.points, 2);
+    assert.equal(metrics.length, 600);
+
+    const empty = derivePathMetrics({ path: undefined });
+    assert.equal(empty.points, 0);
+    assert.equal(empty.bbox, null);
+    assert.equal(empty.exitEdge, null);
+  });
+
+  it('lists the zones visited in the order they were entered', () => {
+    const zones = [
+      { counterSet: 'a', label: 'B', name: 'Exit', rect: { x1: 700, y1: 400, x2: 900, y2: 600 } },
+      { counterSet: 'a', label: 'A', rect: { x1: 100, y1: 400, x2: 300, y2: 600 } },
+      { counterSet: 'a', label: 'C', rect: { x1: 0, y1: 0, x2: 100, y2: 100 } },
+    ];
+    const metrics = derivePathMetrics(makePath(), zones);
+    assert.deepEqual(metrics.zones, [
+      { counterSet: 'a', label: 'A', name: 'A' },
+      { counterSet: 'a', label: 'B', name: 'Exit' },
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuery, validateQueryOptions, validatePipeline } from '../src/utils/queryValidator.js';
+import { appConfig } from '../src/config/index.js';
+
+// Assert that fn throws the validator's 400 naming the given operator
+function assertRejected(fn, operator) {
+  assert.throws(fn, (error) => {
+    assert.equal(error.status, 400);
+    if (operator !== undefined) assert.equal(error.operator, operator);
+    return true;
+  });
+}
+
+function nested(depth) {
+  let query = { x: 1 };
+  for (let i = 0; i < depth; i++) query = { $and: [query] };
+  return query;
+}
+
+describe('validateQuery', () => {
+  it('accepts allowed operators', () => {
+    validateQuery({
+      serial: 'B8A44F000000',
+      class: { $in: ['Human', 'Car'] },
+      $or: [{ age: { $gte: 2 } }, { confidence: { $not: { $lt: 50 } } }],
+      path: { $elemMatch: { x: { $gt: 500 } } },
+      $expr: { $gt: [{ $size: '$path' }, 3] },
+    });
+  });
+
+  it('rejects server-side JavaScript', () => {
+    assertRejected(() => validateQuery({ $where: 'this.age > 2' }), '$where');
+    assertRejected(() => validateQuery({ $expr: { $function: { body: '', args: [], lang: 'js' } } }), '$function');
+  });
+
+  it('rejects disallowed operators nested under fields', () => {
+    assertRejected(() => validateQuery({ age: { $jsonSchema: {} } }), '$jsonSchema');
+    assertRejected(() => validateQuery({ $and: [{ class: { $text: 'x' } }] }), '$text');
+  });
+
+  it('rejects queries that are not objects', () => {
+    assertRejected(() => validateQuery([]));
+    assertRejected(() => validateQuery(null));
+    assertRejected(() => validateQuery('serial'));
+  });
+
+  it('limits the nesting depth', () => {
+    validateQuery(nested(Math.floor(appConfig.maxQueryDepth / 2) - 1));
+    assertRejected(() => validateQuery(nested(appConfig.maxQueryDepth)));
+  });
+});
+
+describe('validateQueryOptions', () => {
+  it('accepts valid options', () => {
+    validateQueryOptions({
+      sort: { timestamp: -1, _id: 'asc' },
+      limit: 10,
+      skip: 0,
+      projection: { path: { $slice: 5 }, bx: 1 },
+    });
+    validateQueryOptions({ cursor: 'abc', projection: { path: { $elemMatch: { x: { $gt: 1 } } } } });
+  });
+
+  it('checks limit and skip', () => {
+    assertRejected(() => validateQueryOptions({ limit: -1 }), 'limit');
+    assertRejected(() => validateQueryOptions({ limit: 1.5 }), 'limit');
+    assertRejected(() => validateQueryOptions({ limit: appConfig.maxQueryResults + 1 }), 'limit');
+    assertRejected(() => validateQueryOptions({ skip: '10' }), 'skip');
+  });
+
+  it('rejects a cursor combined with skip', () => {
+    assertRejected(() => validateQueryOptions({ cursor: 'abc', skip: 10 }));
+    assertRejected(() => validateQueryOptions({ cursor: 5 }));
+  });
+
+  it('checks sort fields and directions', () => {
+    assertRejected(() => validateQueryOptions({ sort: { $natural: 1 } }), '$natural');
+    assertRejected(() => validateQueryOptions({ sort: { timestamp: 2 } }));
+  });
+
+  it('checks projection operators', () => {
+    assertRejected(() => validateQueryOptions({ projection: { $where: 1 } }), '$where');
+    assertRejected(() => validateQueryOptions({ projection: { x: { $function: {} } } }), '$function');
+    assertRejected(() => validateQueryOptions({ projection: { path: { $elemMatch: { $where: 'x' } } } }), '$where');
+  });
+});
+
+describe('validatePipeline', () => {
+  it('accepts allowed stages', () => {
+    validatePipeline([
+      { $match: { class: 'Human' } },
+      { $group: { _id: '$serial', count: { $sum: 1 }, avgAge: { $avg: '$age' } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 },
+      { $facet: { total: [{ $count: 'n' }], top: [{ $limit: 1 }] } },
+    ]);
+  });
+
+  it('rejects cross-collection reads and writes', () => {
+    assertRejected(() => validatePipeline([{ $lookup: { from: 'users' } }]), '$lookup');
+    assertRejected(() => validatePipeline([{ $unionWith: 'users' }]), '$unionWith');
+    assertRejected(() => validatePipeline([{ $match: {} }, { $out: 'copy' }]), '$out');
+    assertRejected(() => validatePipeline([{ $merge: { into: 'copy' } }]), '$merge');
+  });
+
+  it('rejects disallowed operators inside stages', () => {
+    assertRejected(() => validatePipeline([{ $match: { $where: 'true' } }]), '$where');
+    assertRejected(() => validatePipeline([{ $project: { x: { $accumulator: {} } } }]), '$accumulator');
+    assertRejected(() => validatePipeline([{ $facet: { a: [{ $lookup: {} }] } }]), '$lookup');
+  });
+
+  it('keeps $literal contents unevaluated', () => {
+    validatePipeline([{ $project: { text: { $literal: { $where: 'not evaluated' } } } }]);
+  });
+
+  it('checks stage shape and count', () => {
+    assertRejected(() => validatePipeline({ $match: {} }));
+    assertRejected(() => validatePipeline([{ $match: {}, $limit: 1 }]));
+    assertRejected(() =>
+      validatePipeline(Array.from({ length: appConfig.maxPipelineStages + 1 }, () => ({ $match: {} })))
+    );
+  });
+
+  it('checks $limit, $skip and $sample sizes', () => {
+    assertRejected(() => validatePipeline([{ $limit: appConfig.maxQueryResults + 1 }]), '$limit');
+    assertRejected(() => validatePipeline([{ $skip: -1 }]), '$skip');
+    assertRejected(() => validatePipeline([{ $sample: {} }]), '$sample.size');
+  });
+
+  it('only allows $geoNear first', () => {
+    const geoNear = { $geoNear: { near: { type: 'Point', coordinates: [0, 0] }, key: 'geo.line', distanceField: 'd' } };
+    validatePipeline([geoNear, { $limit: 5 }]);
+    assertRejected(() => validatePipeline([{ $limit: 5 }, geoNear]), '$geoNear');
+    assertRejected(() => validatePipeline([{ $geoNear: { ...geoNear.$geoNear, query: { $where: 'x' } } }]), '$where');
+  });
+
+  it('rejects nested $facet', () => {
+    assertRejected(() => validatePipeline([{ $facet: { a: [{ $facet: { b: [] } }] } }]), '$facet');
+  });
+});
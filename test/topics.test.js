@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  matchTopic,
+  normalizeTopicPrefix,
+  resolveTopicTemplates,
+  subscriptionFor,
+  topicFor,
+  validateTopicTemplates,
+} from '../src/dataq/topics.js';
+
+const defaults = resolveTopicTemplates();
+const siteA = resolveTopicTemplates({ topicPrefix: 'siteA/dataq/#' });
+
+describe('resolveTopicTemplates', () => {
+  it('substitutes the default prefix', () => {
+    assert.equal(defaults.path, 'dataq/path/{serial}');
+    assert.equal(siteA.status, 'siteA/dataq/status/{serial}');
+  });
+
+  it('drops the prefix level when the prefix is empty', () => {
+    assert.equal(resolveTopicTemplates({ topicPrefix: '' }).image, 'image/{serial}');
+  });
+
+  it('strips a trailing /# from the prefix', () => {
+    assert.equal(normalizeTopicPrefix('siteA/dataq/#'), 'siteA/dataq');
+    assert.equal(normalizeTopicPrefix('#'), '');
+  });
+});
+
+describe('matchTopic', () => {
+  it('matches each kind and uppercases the serial', () => {
+    assert.deepEqual(matchTopic('dataq/path/b8a44f000001', defaults), { kind: 'path', serial: 'B8A44F000001' });
+    assert.deepEqual(matchTopic('dataq/connect/B8A44F000001', defaults), { kind: 'connect', serial: 'B8A44F000001' });
+    assert.deepEqual(matchTopic('siteA/dataq/status/B8A44F000001', siteA), { kind: 'status', serial: 'B8A44F000001' });
+  });
+
+  it('routes the legacy image topic', () => {
+    assert.deepEqual(matchTopic('image/B8A44F000001', defaults), { kind: 'image', serial: 'B8A44F000001' });
+  });
+
+  it('returns null for topics that match no template', () => {
+    assert.equal(matchTopic('dataq/path/B8A44F000001', siteA), null);
+    assert.equal(matchTopic('dataq/path/B8A44F000001/extra', defaults), null);
+    assert.equal(matchTopic('dataq/path/', defaults), null);
+    assert.equal(matchTopic('', defaults), null);
+  });
+
+  it('prefers the other kinds over path when templates overlap', () => {
+    const templates = resolveTopicTemplates({
+      topicPrefix: '',
+      topicTemplates: { path: '{serial}/events', status: 'cam/{serial}' },
+    });
+    assert.deepEqual(matchTopic('cam/status', templates), { kind: 'status', serial: 'STATUS' });
+  });
+
+  it('round-trips topicFor', () => {
+    assert.deepEqual(matchTopic(topicFor('status', 'abc', siteA), siteA), { kind: 'status', serial: 'ABC' });
+  });
+});
+
+describe('subscriptionFor', () => {
+  it('replaces the serial level with a single-level wildcard', () => {
+    assert.equal(subscriptionFor('path', siteA), 'siteA/dataq/path/+');
+  });
+});
+
+describe('validateTopicTemplates', () => {
+  it('accepts the defaults and a custom prefix', () => {
+    assert.deepEqual(validateTopicTemplates({}), []);
+    assert.deepEqual(validateTopicTemplates({ topicPrefix: 'siteA/dataq/#' }), []);
+  });
+
+  it('rejects wildcards or placeholders in the prefix', () => {
+    const message = 'topicPrefix may only end in /# and cannot contain other wildcards or placeholders';
+    assert.equal(validateTopicTemplates({ topicPrefix: 'site+/dataq' })[0], message);
+    assert.equal(validateTopicTemplates({ topicPrefix: '{serial}' })[0], message);
+  });
+
+  it('requires {serial} exactly once as a whole level', () => {
+    const [error] = validateTopicTemplates({ topicTemplates: { path: '{prefix}/path/cam-{serial}' } });
+    assert.match(error, /^path topic template must contain \{serial\}/);
+    assert.equal(validateTopicTemplates({ topicTemplates: { path: '{prefix}/{serial}/{serial}' } }).length, 1);
+    assert.equal(validateTopicTemplates({ topicTemplates: { path: '{prefix}/path' } }).length, 1);
+  });
+
+  it('rejects wildcards and empty levels in templates', () => {
+    const [error] = validateTopicTemplates({ topicTemplates: { status: '{prefix}/+/{serial}' } });
+    assert.match(error, /^status topic template cannot contain wildcards/);
+    assert.equal(validateTopicTemplates({ topicTemplates: { status: '{prefix}//{serial}' } }).length, 1);
+  });
+
+  it('rejects two kinds sharing a template', () => {
+    const errors = validateTopicTemplates({ topicTemplates: { connect: '{prefix}/path/{serial}' } });
+    assert.deepEqual(errors, ['Each message type needs its own topic template']);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isQuietTime, evaluateCamera } from '../src/services/watchdogService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('isQuietTime', () => {
+  const quiet = (timezone) => ({ enabled: true, start: '22:00', end: '06:00', timezone });
+
+  it('is evaluated in UTC by default', () => {
+    assert.equal(isQuietTime(quiet(), new Date(Date.UTC(2026, 0, 15, 23, 0))), true);
+    assert.equal(isQuietTime(quiet(), new Date(Date.UTC(2026, 0, 15, 5, 59))), true);
+    assert.equal(isQuietTime(quiet(), new Date(Date.UTC(2026, 0, 15, 6, 0))), false);
+  });
+
+  it('is evaluated in the configured time zone', () => {
+    // 21:30 UTC is 22:30 in Stockholm (January) and 16:30 in New York
+    const date = new Date(Date.UTC(2026, 0, 15, 21, 30));
+    assert.equal(isQuietTime(quiet('Europe/Stockholm'), date), true);
+    assert.equal(isQuietTime(quiet('America/New_York'), date), false);
+  });
+
+  it('is off when disabled or empty', () => {
+    const date = new Date(Date.UTC(2026, 0, 15, 23, 0));
+    assert.equal(isQuietTime({ ...quiet(), enabled: false }, date), false);
+    assert.equal(isQuietTime({ enabled: true, start: '22:00', end: '22:00' }, date), false);
+  });
+});
+
+describe('evaluateCamera', () => {
+  const settings = {
+    heartbeatMinutes: 5,
+    pathGapMinutes: 60,
+    graceMinutes: 5,
+    quietHours: { enabled: true, start: '22:00', end: '06:00', timezone: 'Europe/Stockholm' },
+  };
+
+  it('flags a camera silent past its heartbeat interval plus grace', () => {
+    const now = new Date(Date.UTC(2026, 0, 15, 12, 0));
+    const camera = { deviceStatus: { lastSeen: new Date(now - 11 * MINUTE_MS), lastPathAt: now } };
+    assert.equal(evaluateCamera(camera, settings, now).heartbeat.silent, true);
+    camera.deviceStatus.lastSeen = new Date(now - 9 * MINUTE_MS);
+    assert.equal(evaluateCamera(camera, settings, now).heartbeat.silent, false);
+  });
+
+  it('measures the path gap from the end of the quiet hours in their time zone', () => {
+    // 06:00 in Stockholm is 05:00 UTC; last path the evening before
+    const camera = {
+      deviceStatus: {
+        lastSeen: new Date(Date.UTC(2026, 0, 15, 6, 0)),
+        lastPathAt: new Date(Date.UTC(2026, 0, 14, 20)),
+      },
+    };
+    assert.equal(evaluateCamera(camera, settings, new Date(Date.UTC(2026, 0, 15, 6, 0))).paths.silent, false);
+    assert.equal(evaluateCamera(camera, settings, new Date(Date.UTC(2026, 0, 15, 6, 6))).paths.silent, true);
+  });
+
+  it('uses the camera overrides', () => {
+    const now = new Date(Date.UTC(2026, 0, 15, 12, 0));
+    const camera = {
+      watchdog: { heartbeatMinutes: 30, pathGapMinutes: 0 },
+      deviceStatus: { lastSeen: new Date(now - 20 * MINUTE_MS) },
+    };
+    const result = evaluateCamera(camera, settings, now);
+    assert.equal(result.heartbeat.silent, false);
+    assert.equal(result.heartbeat.thresholdMinutes, 35);
+    assert.equal(result.paths, undefined);
+  });
+});